@@ -7,6 +7,7 @@ import Dashboard from './components/Dashboard/Dashboard';
 import Cases from './components/Cases/Cases';
 import OccurrenceBook from './components/OccurrenceBook/OccurrenceBook';
 import LicensePlates from './components/LicensePlates/LicensePlates';
+import Persons from './components/Persons/Persons';
 import Evidence from './components/Evidence/Evidence';
 import Geofiles from './components/Geofiles/Geofiles';
 import Reports from './components/Reports/Reports';
@@ -26,6 +27,7 @@ const AuthenticatedApp = () => {
   const { user, isAuthenticated, isLoading } = useAuth();
   const [activeSection, setActiveSection] = useState('dashboard');
   const [isAddCaseModalOpen, setIsAddCaseModalOpen] = useState(false);
+  const [caseFromOB, setCaseFromOB] = useState(null); // OB entry the case modal is opening a case from
   const [isAddOBModalOpen, setIsAddOBModalOpen] = useState(false);
   const [isLicensePlateModalOpen, setIsLicensePlateModalOpen] = useState(false);
   const [isLoginModalOpen, setIsLoginModalOpen] = useState(false);
@@ -48,33 +50,22 @@ const AuthenticatedApp = () => {
     }
   ]);
 
-  // Initial state for OB entries, will be fetched from the API
-  const [obEntries, setOBEntries] = useState([]);
+  // The Occurrence Book pages its own entries from the API; bumping this makes it reload
+  const [obRefreshKey, setOBRefreshKey] = useState(0);
 
-  // Fetch OB entries when the component mounts
-  useEffect(() => {
-    fetchOBEntries();
-  }, []);
+  const fetchOBEntries = () => setOBRefreshKey(key => key + 1);
 
-  const fetchOBEntries = async () => {
-    try {
-      console.log('🔍 Fetching OB entries from MongoDB...');
-      const response = await fetch('/api/ob-entries');
-      if (response.ok) {
-        const data = await response.json();
-        console.log('📊 Received OB entries from API:', data);
-        setOBEntries(data.obEntries || []);
-        console.log('✅ OB entries set in state:', data.obEntries?.length || 0, 'entries');
-      } else {
-        console.error('❌ Failed to fetch OB entries:', response.status, response.statusText);
-      }
-    } catch (error) {
-      console.error('❌ Error fetching OB entries:', error);
-    }
-  };
+  // The dashboard loads its own statistics; bumping this makes it reload after a new case
+  const [dashboardRefreshKey, setDashboardRefreshKey] = useState(0);
 
-  const handleAddCase = (newCase) => {
+  const handleAddCase = (newCase, message) => {
     setCases(prev => [newCase, ...prev]);
+    setDashboardRefreshKey(key => key + 1);
+    if (caseFromOB) {
+      fetchOBEntries();
+      setShowMessage({ type: 'success', text: message || 'Case opened from OB entry' });
+      setTimeout(() => setShowMessage(null), 3000);
+    }
   };
 
   const handleUpdateCase = (updatedCase) => {
@@ -101,7 +92,7 @@ const AuthenticatedApp = () => {
         console.log('✅ OB entry created successfully:', result);
 
         // Refresh the OB entries list from the database
-        await fetchOBEntries();
+        fetchOBEntries();
 
         setShowMessage({ type: 'success', text: 'OB entry added successfully!' });
       } else {
@@ -117,72 +108,25 @@ const AuthenticatedApp = () => {
     setTimeout(() => setShowMessage(null), 3000);
   };
 
-  const handleUpdateOB = async (updatedOB) => {
-    try {
-      console.log('🔄 Updating OB entry:', updatedOB.id, updatedOB);
-      const response = await fetch(`/api/ob-entries/${updatedOB.id}`, {
-        method: 'PUT',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify(updatedOB),
-      });
-
-      if (response.ok) {
-        console.log('✅ OB entry updated successfully');
-
-        // Refresh the OB entries list from the database
-        await fetchOBEntries();
-
-        setShowMessage({ type: 'success', text: 'OB entry updated successfully!' });
-      } else {
-        const errorData = await response.json();
-        console.error('❌ Failed to update OB entry:', errorData);
-        setShowMessage({ type: 'error', text: 'Failed to update OB entry' });
-      }
-    } catch (error) {
-      console.error('❌ Error updating OB entry:', error);
-      setShowMessage({ type: 'error', text: 'Error updating OB entry' });
-    }
-
-    setTimeout(() => setShowMessage(null), 3000);
-  };
-
-  const handleDeleteOB = async (obId) => {
-    try {
-      console.log('🗑️ Deleting OB entry:', obId);
-      const response = await fetch(`/api/ob-entries/${obId}`, {
-        method: 'DELETE',
-      });
-
-      if (response.ok) {
-        console.log('✅ OB entry deleted successfully');
-
-        // Refresh the OB entries list from the database
-        await fetchOBEntries();
-
-        setShowMessage({ type: 'success', text: 'OB entry deleted successfully!' });
-      } else {
-        const errorData = await response.json();
-        console.error('❌ Failed to delete OB entry:', errorData);
-        setShowMessage({ type: 'error', text: 'Failed to delete OB entry' });
-      }
-    } catch (error) {
-      console.error('❌ Error deleting OB entry:', error);
-      setShowMessage({ type: 'error', text: 'Error deleting OB entry' });
-    }
-
-    setTimeout(() => setShowMessage(null), 3000);
-  };
-
   const handleAddPlate = (newPlate) => {
     setLicensePlates(prev => [newPlate, ...prev]);
   };
 
   const handleAddCaseClick = () => {
+    setCaseFromOB(null);
+    setIsAddCaseModalOpen(true);
+  };
+
+  const handleOpenCaseFromOB = (entry) => {
+    setCaseFromOB(entry);
     setIsAddCaseModalOpen(true);
   };
 
+  const handleCloseCaseModal = () => {
+    setIsAddCaseModalOpen(false);
+    setCaseFromOB(null);
+  };
+
   const handleAddOBClick = () => {
     setIsAddOBModalOpen(true);
   };
@@ -216,13 +160,15 @@ const AuthenticatedApp = () => {
   const renderContent = () => {
     switch (activeSection) {
       case 'dashboard':
-        return <Dashboard onAddCaseClick={handleAddCaseClick} onLicensePlateClick={handleLicensePlateClick} cases={cases} setActiveSection={setActiveSection} />;
+        return <Dashboard onAddCaseClick={handleAddCaseClick} onLicensePlateClick={handleLicensePlateClick} refreshKey={dashboardRefreshKey} setActiveSection={setActiveSection} />;
       case 'cases':
         return <CasesManager />;
       case 'occurrence-book':
-        return <OccurrenceBook onAddOBClick={handleAddOBClick} obEntries={obEntries} onUpdateOB={handleUpdateOB} onDeleteOB={handleDeleteOB} />;
+        return <OccurrenceBook onAddOBClick={handleAddOBClick} refreshKey={obRefreshKey} onOpenCase={handleOpenCaseFromOB} />;
       case 'license-plates':
         return <LicensePlates />;
+      case 'persons':
+        return <Persons />;
       case 'evidence':
         return <Evidence />;
       case 'geofiles':
@@ -239,7 +185,7 @@ const AuthenticatedApp = () => {
           </div>
         );
       default:
-        return <Dashboard onAddCaseClick={handleAddCaseClick} onLicensePlateClick={handleLicensePlateClick} cases={cases} setActiveSection={setActiveSection} />;
+        return <Dashboard onAddCaseClick={handleAddCaseClick} onLicensePlateClick={handleLicensePlateClick} refreshKey={dashboardRefreshKey} setActiveSection={setActiveSection} />;
     }
   };
 
@@ -311,8 +257,9 @@ const AuthenticatedApp = () => {
 
       <AddCaseModal
         isOpen={isAddCaseModalOpen}
-        onClose={() => setIsAddCaseModalOpen(false)}
+        onClose={handleCloseCaseModal}
         onAddCase={handleAddCase}
+        obEntry={caseFromOB}
       />
       <AddOBModal
         isOpen={isAddOBModalOpen}
@@ -1,19 +1,55 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import { X, Save, AlertCircle, Minimize2, Maximize2, Square } from 'lucide-react';
 import './AddCaseModal.css';
 
-const AddCaseModal = ({ isOpen, onClose, onAddCase }) => {
+const CASE_TYPES = ['Theft', 'Assault', 'Vandalism', 'Fraud', 'Burglary', 'Traffic', 'Domestic', 'Drug', 'Other'];
+
+const EMPTY_CASE = {
+  title: '',
+  type: 'Other',
+  officer: '',
+  priority: 'Medium',
+  status: 'Open',
+  description: '',
+  location: '',
+  reportedBy: '',
+  involvedPersons: ''
+};
+
+// With `obEntry` set the modal opens a case from that OB entry and links the two
+const AddCaseModal = ({ isOpen, onClose, onAddCase, obEntry = null }) => {
   const [isMaximized, setIsMaximized] = useState(false);
   const [isMinimized, setIsMinimized] = useState(false);
-  const [formData, setFormData] = useState({
-    title: '',
-    officer: '',
-    priority: 'Medium',
-    status: 'Open',
-    description: '',
-    location: '',
-    reportedBy: ''
-  });
+  const [formData, setFormData] = useState(EMPTY_CASE);
+  const [draftInfo, setDraftInfo] = useState(null);
+
+  // Opening a case from an OB entry starts from the server's draft of it
+  useEffect(() => {
+    if (!isOpen || !obEntry) return;
+    setDraftInfo(null);
+    fetch(`/api/ob-entries/${obEntry.id}/case-draft`, { credentials: 'include' })
+      .then(async (response) => {
+        const data = await response.json();
+        if (!response.ok) {
+          setErrors({ submit: data.message || 'Failed to load the OB entry' });
+          return;
+        }
+        const { draft } = data;
+        setFormData({
+          ...EMPTY_CASE,
+          title: draft.title,
+          type: draft.type,
+          officer: draft.assignedOfficer,
+          priority: draft.priority,
+          description: draft.description,
+          location: draft.location,
+          reportedBy: draft.reportedBy,
+          involvedPersons: draft.involvedPersons
+        });
+        setDraftInfo(data);
+      })
+      .catch(() => setErrors({ submit: 'Failed to load the OB entry' }));
+  }, [isOpen, obEntry]);
 
   const [errors, setErrors] = useState({});
 
@@ -66,31 +102,28 @@ const AddCaseModal = ({ isOpen, onClose, onAddCase }) => {
       setErrors({});
       
       try {
-        const response = await fetch('/api/cases', {
+        const response = await fetch(obEntry ? `/api/ob-entries/${obEntry.id}/case` : '/api/cases', {
           method: 'POST',
           headers: {
             'Content-Type': 'application/json'
           },
           body: JSON.stringify({
             title: formData.title,
+            type: formData.type,
             description: formData.description,
             priority: formData.priority.toLowerCase(),
-            status: formData.status.toLowerCase()
+            status: formData.status,
+            assignedOfficer: formData.officer,
+            location: formData.location,
+            reportedBy: formData.reportedBy,
+            involvedPersons: formData.involvedPersons
           })
         });
 
         if (response.ok) {
           const result = await response.json();
-          onAddCase(result.case);
-          setFormData({
-            title: '',
-            officer: '',
-            priority: 'Medium',
-            status: 'Open',
-            description: '',
-            location: '',
-            reportedBy: ''
-          });
+          onAddCase(result.case, result.message);
+          setFormData(EMPTY_CASE);
           onClose();
         } else {
           const errorData = await response.json();
@@ -106,15 +139,8 @@ const AddCaseModal = ({ isOpen, onClose, onAddCase }) => {
   };
 
   const handleClose = () => {
-    setFormData({
-      title: '',
-      officer: '',
-      priority: 'Medium',
-      status: 'Open',
-      description: '',
-      location: '',
-      reportedBy: ''
-    });
+    setFormData(EMPTY_CASE);
+    setDraftInfo(null);
     setErrors({});
     onClose();
   };
@@ -137,7 +163,7 @@ const AddCaseModal = ({ isOpen, onClose, onAddCase }) => {
     <div className="modal-overlay" onClick={handleClose}>
       <div className={modalClass} onClick={(e) => e.stopPropagation()}>
         <div className="modal-header">
-          <h2>Add New Case</h2>
+          <h2>{obEntry ? `Open Case from ${obEntry.obNumber}` : 'Add New Case'}</h2>
           <div className="modal-controls">
             <button className="minimize-btn" onClick={handleMinimize}>
               <Minimize2 size={16} />
@@ -153,6 +179,13 @@ const AddCaseModal = ({ isOpen, onClose, onAddCase }) => {
         
         {!isMinimized && (
           <form onSubmit={handleSubmit} className="case-form">
+          {obEntry && (
+            <div className="ob-link-note">
+              {draftInfo
+                ? `Pre-filled from ${obEntry.obNumber}. The case and the OB entry will be linked${draftInfo.evidenceCount > 0 ? `, and ${draftInfo.evidenceCount} evidence item(s) recorded against the entry will move onto the case` : ''}.`
+                : `Loading ${obEntry.obNumber}...`}
+            </div>
+          )}
           <div className="form-row">
             <div className="form-group">
               <label htmlFor="title">Case Title *</label>
@@ -193,7 +226,21 @@ const AddCaseModal = ({ isOpen, onClose, onAddCase }) => {
             </div>
           </div>
 
-          <div className="form-row">
+          <div className="form-row three-columns">
+            <div className="form-group">
+              <label htmlFor="type">Case Type</label>
+              <select
+                id="type"
+                name="type"
+                value={formData.type}
+                onChange={handleInputChange}
+              >
+                {CASE_TYPES.map(type => (
+                  <option key={type} value={type}>{type}</option>
+                ))}
+              </select>
+            </div>
+
             <div className="form-group">
               <label htmlFor="priority">Priority</label>
               <select
@@ -218,7 +265,6 @@ const AddCaseModal = ({ isOpen, onClose, onAddCase }) => {
               >
                 <option value="Open">Open</option>
                 <option value="In Progress">In Progress</option>
-                <option value="Closed">Closed</option>
               </select>
             </div>
           </div>
@@ -254,6 +300,18 @@ const AddCaseModal = ({ isOpen, onClose, onAddCase }) => {
             />
           </div>
 
+          <div className="form-group">
+            <label htmlFor="involvedPersons">Involved Persons</label>
+            <textarea
+              id="involvedPersons"
+              name="involvedPersons"
+              value={formData.involvedPersons}
+              onChange={handleInputChange}
+              placeholder="Suspects, victims and witnesses (optional)"
+              rows="2"
+            />
+          </div>
+
           <div className="form-group">
             <label htmlFor="description">Description *</label>
             <textarea
@@ -286,7 +344,7 @@ const AddCaseModal = ({ isOpen, onClose, onAddCase }) => {
             </button>
             <button type="submit" className="submit-btn" disabled={isSubmitting} data-testid="button-submit">
               <Save size={16} />
-              {isSubmitting ? 'Creating Case...' : 'Add Case'}
+              {isSubmitting ? 'Creating Case...' : obEntry ? 'Open Case' : 'Add Case'}
             </button>
           </div>
         </form>
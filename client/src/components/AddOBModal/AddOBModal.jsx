@@ -60,9 +60,8 @@ const AddOBModal = ({ isOpen, onClose, onAddOB }) => {
     
     if (validateForm()) {
       const now = new Date();
+      // The OB number is assigned by the server from the station's counter
       const newOBEntry = {
-        id: `OB-${Date.now()}`,
-        obNumber: `OB/${now.getFullYear()}/${String(Date.now()).slice(-4)}`,
         type: formData.type,
         description: formData.description,
         reportedBy: formData.reportedBy,
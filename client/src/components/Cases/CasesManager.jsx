@@ -12,26 +12,42 @@ import {
   Clock,
   CheckCircle,
   XCircle,
-  RotateCcw
+  RotateCcw,
+  PauseCircle,
+  Paperclip,
+  Download
 } from 'lucide-react';
 import { useAuth } from '../../context/AuthContext';
+import Pagination from '../Pagination/Pagination';
 import './CasesManager.css';
 
 const CasesManager = () => {
-  const { user } = useAuth();
+  const { user, can } = useAuth();
   const [currentView, setCurrentView] = useState('list'); // 'list', 'detail', 'create', 'edit'
   const [selectedCase, setSelectedCase] = useState(null);
   const [cases, setCases] = useState([]);
-  const [filteredCases, setFilteredCases] = useState([]);
+  const [pagination, setPagination] = useState(null);
+  const [page, setPage] = useState(1);
   const [searchTerm, setSearchTerm] = useState('');
+  const [debouncedSearch, setDebouncedSearch] = useState('');
   const [statusFilter, setStatusFilter] = useState('');
   const [priorityFilter, setPriorityFilter] = useState('');
+  const [sortBy, setSortBy] = useState('-createdAt');
   const [viewHistory, setViewHistory] = useState(['list']); // Track navigation history
   const [isLoading, setIsLoading] = useState(false);
   const [error, setError] = useState('');
 
-  const caseStatuses = ['Open', 'In Progress', 'Pending', 'Closed', 'Archived'];
+  const caseStatuses = ['Open', 'In Progress', 'Suspended', 'Closed', 'Archived'];
+  // A new case starts Open or In Progress; later changes go through the status panel
+  const initialCaseStatuses = ['Open', 'In Progress'];
   const casePriorities = ['Low', 'Medium', 'High', 'Critical'];
+  const sortOptions = [
+    { value: '-createdAt', label: 'Newest first' },
+    { value: 'createdAt', label: 'Oldest first' },
+    { value: '-incidentDate', label: 'Incident date' },
+    { value: 'caseNumber', label: 'Case number' },
+    { value: 'title', label: 'Title (A-Z)' }
+  ];
   const caseTypes = [
     'Theft', 'Burglary', 'Assault', 'Domestic Violence', 'Drug Offense',
     'Traffic Violation', 'Fraud', 'Vandalism', 'Missing Person', 'Other'
@@ -56,23 +72,37 @@ const CasesManager = () => {
     return () => window.removeEventListener('popstate', handlePopState);
   }, [viewHistory]);
 
+  // Wait for the user to stop typing before searching on the server
   useEffect(() => {
-    fetchCases();
-  }, []);
+    const timer = setTimeout(() => {
+      setDebouncedSearch(searchTerm);
+      setPage(1);
+    }, 300);
+    return () => clearTimeout(timer);
+  }, [searchTerm]);
 
   useEffect(() => {
-    filterCases();
-  }, [cases, searchTerm, statusFilter, priorityFilter]);
+    fetchCases();
+  }, [page, debouncedSearch, statusFilter, priorityFilter, sortBy]);
 
   const fetchCases = async () => {
     setIsLoading(true);
     try {
-      const response = await fetch('/api/cases', {
+      const params = new URLSearchParams({ page, limit: 24, sort: sortBy });
+      if (debouncedSearch) params.set('search', debouncedSearch);
+      if (statusFilter) params.set('status', statusFilter);
+      if (priorityFilter) params.set('priority', priorityFilter);
+
+      const response = await fetch(`/api/cases?${params}`, {
         credentials: 'include' // Include cookies for authentication
       });
+      const data = await response.json();
       if (response.ok) {
-        const data = await response.json();
         setCases(data.cases || []);
+        setPagination(data.pagination || null);
+        setError('');
+      } else {
+        setError(data.message || 'Failed to fetch cases');
       }
     } catch (error) {
       setError('Failed to fetch cases');
@@ -81,31 +111,6 @@ const CasesManager = () => {
     }
   };
 
-  const filterCases = () => {
-    let filtered = [...cases];
-
-    if (searchTerm) {
-      const search = searchTerm.toLowerCase();
-      filtered = filtered.filter(caseItem => 
-        caseItem.caseNumber?.toLowerCase().includes(search) ||
-        caseItem.title?.toLowerCase().includes(search) ||
-        caseItem.description?.toLowerCase().includes(search) ||
-        caseItem.location?.toLowerCase().includes(search) ||
-        caseItem.assignedOfficer?.toLowerCase().includes(search)
-      );
-    }
-
-    if (statusFilter) {
-      filtered = filtered.filter(caseItem => caseItem.status === statusFilter);
-    }
-
-    if (priorityFilter) {
-      filtered = filtered.filter(caseItem => caseItem.priority === priorityFilter);
-    }
-
-    setFilteredCases(filtered);
-  };
-
   const navigateToView = (newView, caseData = null) => {
     // Add current view to history
     const newHistory = [...viewHistory, newView];
@@ -145,6 +150,7 @@ const CasesManager = () => {
     switch (status) {
       case 'Open': return <AlertTriangle className="status-icon" />;
       case 'In Progress': return <Clock className="status-icon" />;
+      case 'Suspended': return <PauseCircle className="status-icon" />;
       case 'Closed': return <CheckCircle className="status-icon" />;
       case 'Archived': return <Archive className="status-icon" />;
       default: return <FileText className="status-icon" />;
@@ -182,10 +188,12 @@ const CasesManager = () => {
             <RotateCcw size={18} className={isLoading ? 'spinning' : ''} />
             Refresh
           </button>
-          <button className="add-case-btn" onClick={() => navigateToView('create')}>
-            <Plus size={18} />
-            New Case
-          </button>
+          {can('cases', 'create') && (
+            <button className="add-case-btn" onClick={() => navigateToView('create')}>
+              <Plus size={18} />
+              New Case
+            </button>
+          )}
         </div>
       </div>
 
@@ -200,18 +208,23 @@ const CasesManager = () => {
           />
         </div>
         <div className="filter-controls">
-          <select value={statusFilter} onChange={(e) => setStatusFilter(e.target.value)}>
+          <select value={statusFilter} onChange={(e) => { setStatusFilter(e.target.value); setPage(1); }}>
             <option value="">All Status</option>
             {caseStatuses.map(status => (
               <option key={status} value={status}>{status}</option>
             ))}
           </select>
-          <select value={priorityFilter} onChange={(e) => setPriorityFilter(e.target.value)}>
+          <select value={priorityFilter} onChange={(e) => { setPriorityFilter(e.target.value); setPage(1); }}>
             <option value="">All Priority</option>
             {casePriorities.map(priority => (
               <option key={priority} value={priority}>{priority}</option>
             ))}
           </select>
+          <select value={sortBy} onChange={(e) => { setSortBy(e.target.value); setPage(1); }}>
+            {sortOptions.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
         </div>
       </div>
 
@@ -222,14 +235,14 @@ const CasesManager = () => {
       <div className="cases-grid">
         {isLoading ? (
           <div className="loading-state">Loading cases...</div>
-        ) : filteredCases.length === 0 ? (
+        ) : cases.length === 0 ? (
           <div className="empty-state">
             <FileText size={48} />
             <h3>No cases found</h3>
             <p>Create a new case or adjust your search filters</p>
           </div>
         ) : (
-          filteredCases.map((caseItem) => (
+          cases.map((caseItem) => (
             <div key={caseItem.id} className="case-card" onClick={() => handleCaseClick(caseItem)}>
               <div className="case-header">
                 <div className="case-info">
@@ -258,6 +271,8 @@ const CasesManager = () => {
           ))
         )}
       </div>
+
+      <Pagination pagination={pagination} onPageChange={setPage} disabled={isLoading} />
     </div>
   );
 
@@ -391,7 +406,7 @@ const CasesManager = () => {
                 onChange={handleInputChange}
                 data-testid="select-status"
               >
-                {caseStatuses.map(status => (
+                {initialCaseStatuses.map(status => (
                   <option key={status} value={status}>{status}</option>
                 ))}
               </select>
@@ -492,7 +507,6 @@ const CasesManager = () => {
       description: selectedCase?.description || '',
       type: selectedCase?.type || 'Theft',
       priority: selectedCase?.priority || 'Medium',
-      status: selectedCase?.status || 'Open',
       location: selectedCase?.location || '',
       assignedOfficer: selectedCase?.assignedOfficer || '',
       incidentDate: selectedCase?.incidentDate ? new Date(selectedCase.incidentDate).toISOString().split('T')[0] : new Date().toISOString().split('T')[0]
@@ -611,21 +625,6 @@ const CasesManager = () => {
               </select>
             </div>
 
-            <div className="form-group">
-              <label htmlFor="status">Status</label>
-              <select
-                id="status"
-                name="status"
-                value={formData.status}
-                onChange={handleInputChange}
-                data-testid="select-status"
-              >
-                {caseStatuses.map(status => (
-                  <option key={status} value={status}>{status}</option>
-                ))}
-              </select>
-            </div>
-
             <div className="form-group">
               <label htmlFor="assignedOfficer">Assigned Officer</label>
               <input
@@ -714,6 +713,326 @@ const CasesManager = () => {
     );
   };
 
+  // Moves the case along its lifecycle. Closing needs a disposition and, like reopening
+  // and archiving, a supervisor's sign-off; the server only offers what this user may do.
+  const CaseStatusPanel = () => {
+    const [lifecycle, setLifecycle] = useState(null);
+    const [form, setForm] = useState({ status: '', statusReason: '', disposition: '' });
+    const [isSubmitting, setIsSubmitting] = useState(false);
+    const [statusError, setStatusError] = useState('');
+
+    useEffect(() => {
+      fetch('/api/cases/lifecycle', { credentials: 'include' })
+        .then(response => (response.ok ? response.json() : null))
+        .then(setLifecycle)
+        .catch(() => setLifecycle(null));
+    }, []);
+
+    if (!lifecycle) return null;
+
+    const transitions = lifecycle.transitions[selectedCase?.status] || [];
+    const chosen = transitions.find(transition => transition.to === form.status);
+
+    const handleChange = (e) => {
+      const { name, value } = e.target;
+      setForm(prev => ({ ...prev, [name]: value }));
+      setStatusError('');
+    };
+
+    const handleSubmit = async (e) => {
+      e.preventDefault();
+      if (!chosen) return;
+
+      setIsSubmitting(true);
+      try {
+        const response = await fetch(`/api/cases/${selectedCase.id}`, {
+          method: 'PUT',
+          headers: { 'Content-Type': 'application/json' },
+          credentials: 'include',
+          body: JSON.stringify(form)
+        });
+        const data = await response.json();
+        if (!response.ok) {
+          setStatusError(data.message || 'Failed to change case status');
+          return;
+        }
+        setSelectedCase(data.case);
+        await fetchCases();
+      } catch (error) {
+        setStatusError('Network error. Please try again.');
+      } finally {
+        setIsSubmitting(false);
+      }
+    };
+
+    return (
+      <div className="detail-section">
+        <h3>Change Status</h3>
+        {transitions.length === 0 ? (
+          <p className="case-description">
+            {selectedCase?.status === 'Archived'
+              ? 'Archived cases are final.'
+              : 'Only a supervisor can move this case on from here.'}
+          </p>
+        ) : (
+          <form onSubmit={handleSubmit}>
+            {statusError && <div className="error-message">{statusError}</div>}
+            <div className="form-grid">
+              <div className="form-group">
+                <label htmlFor="transition-status">New Status</label>
+                <select id="transition-status" name="status" value={form.status} onChange={handleChange} data-testid="select-transition-status">
+                  <option value="">Select status</option>
+                  {transitions.map(transition => (
+                    <option key={transition.to} value={transition.to}>
+                      {transition.to}{transition.signOff ? ' (supervisor sign-off)' : ''}
+                    </option>
+                  ))}
+                </select>
+              </div>
+
+              {chosen?.requires.includes('disposition') && (
+                <div className="form-group">
+                  <label htmlFor="transition-disposition">Disposition *</label>
+                  <select id="transition-disposition" name="disposition" value={form.disposition} onChange={handleChange} required>
+                    <option value="">Select disposition</option>
+                    {lifecycle.dispositions.map(disposition => (
+                      <option key={disposition} value={disposition}>{disposition}</option>
+                    ))}
+                  </select>
+                </div>
+              )}
+
+              {chosen && (
+                <div className="form-group full-width">
+                  <label htmlFor="transition-reason">Reason{chosen.requires.includes('reason') ? ' *' : ''}</label>
+                  <textarea
+                    id="transition-reason"
+                    name="statusReason"
+                    value={form.statusReason}
+                    onChange={handleChange}
+                    required={chosen.requires.includes('reason')}
+                    placeholder="Why is the case changing status?"
+                  />
+                </div>
+              )}
+            </div>
+            {!lifecycle.canSignOff && (
+              <p className="case-description">Closing, reopening and archiving need a supervisor's sign-off.</p>
+            )}
+            <div className="form-actions">
+              <button type="submit" className="submit-btn" disabled={!chosen || isSubmitting} data-testid="button-change-status">
+                {isSubmitting ? 'Saving...' : `Move to ${form.status || '...'}`}
+              </button>
+            </div>
+          </form>
+        )}
+      </div>
+    );
+  };
+
+  const actorName = (actor) => actor?.name || actor?.username || 'system';
+
+  // @username mentions stand out in note text
+  const renderNoteText = (text) => String(text || '').split(/(@[\w.-]*\w)/g).map((part, index) => (
+    part.startsWith('@') ? <span key={index} className="timeline-mention">{part}</span> : part
+  ));
+
+  // Investigators' notes merged with evidence, custody, OB, report and status events,
+  // filterable by type and exportable as CSV or PDF
+  const CaseTimeline = () => {
+    const [timeline, setTimeline] = useState(null);
+    const [typeFilter, setTypeFilter] = useState([]); // empty shows every type
+    const [timelineError, setTimelineError] = useState('');
+    const [note, setNote] = useState({ noteType: 'Interview', text: '', occurredAt: '' });
+    const [attachments, setAttachments] = useState([]);
+    const [isSaving, setIsSaving] = useState(false);
+    const [noteMessage, setNoteMessage] = useState('');
+
+    const typesParam = typeFilter.length > 0 ? `types=${typeFilter.join(',')}` : '';
+
+    const fetchTimeline = async () => {
+      try {
+        const response = await fetch(`/api/cases/${selectedCase.id}/timeline?${typesParam}`, { credentials: 'include' });
+        const data = await response.json();
+        if (!response.ok) {
+          setTimelineError(data.error || 'Failed to load the case timeline');
+          return;
+        }
+        setTimeline(data);
+        setTimelineError('');
+      } catch (error) {
+        setTimelineError('Network error. Please try again.');
+      }
+    };
+
+    useEffect(() => {
+      fetchTimeline();
+    }, [typesParam]);
+
+    const toggleType = (type) => {
+      setTypeFilter(prev => (prev.includes(type) ? prev.filter(item => item !== type) : [...prev, type]));
+    };
+
+    const handleNoteChange = (e) => {
+      const { name, value } = e.target;
+      setNote(prev => ({ ...prev, [name]: value }));
+      setNoteMessage('');
+    };
+
+    const handleAddNote = async (e) => {
+      e.preventDefault();
+      if (!note.text.trim()) return;
+
+      setIsSaving(true);
+      try {
+        const body = new FormData();
+        body.append('noteType', note.noteType);
+        body.append('text', note.text);
+        if (note.occurredAt) body.append('occurredAt', new Date(note.occurredAt).toISOString());
+        attachments.forEach(file => body.append('attachments', file));
+
+        const response = await fetch(`/api/cases/${selectedCase.id}/notes`, {
+          method: 'POST',
+          credentials: 'include',
+          body
+        });
+        const data = await response.json();
+        if (!response.ok) {
+          setTimelineError(data.error || 'Failed to add note');
+          return;
+        }
+        setNote({ noteType: note.noteType, text: '', occurredAt: '' });
+        setAttachments([]);
+        setNoteMessage(data.message);
+        await fetchTimeline();
+      } catch (error) {
+        setTimelineError('Network error. Please try again.');
+      } finally {
+        setIsSaving(false);
+      }
+    };
+
+    return (
+      <div className="detail-section">
+        <div className="timeline-header">
+          <h3>Case Timeline</h3>
+          <div className="timeline-exports">
+            <a href={`/api/cases/${selectedCase?.id}/timeline/export?format=csv&${typesParam}`} data-testid="link-timeline-csv">
+              <Download size={14} /> CSV
+            </a>
+            <a href={`/api/cases/${selectedCase?.id}/timeline/export?format=pdf&${typesParam}`} data-testid="link-timeline-pdf">
+              <Download size={14} /> PDF
+            </a>
+          </div>
+        </div>
+
+        {timelineError && <div className="error-message">{timelineError}</div>}
+
+        {can('cases', 'update') && selectedCase?.status !== 'Archived' && (
+          <form className="timeline-note-form" onSubmit={handleAddNote}>
+            <div className="form-grid">
+              <div className="form-group">
+                <label htmlFor="note-type">Note Type</label>
+                <select id="note-type" name="noteType" value={note.noteType} onChange={handleNoteChange}>
+                  {(timeline?.noteTypes || ['Interview']).map(type => (
+                    <option key={type} value={type}>{type}</option>
+                  ))}
+                </select>
+              </div>
+              <div className="form-group">
+                <label htmlFor="note-occurred">When (if not now)</label>
+                <input
+                  type="datetime-local"
+                  id="note-occurred"
+                  name="occurredAt"
+                  value={note.occurredAt}
+                  onChange={handleNoteChange}
+                />
+              </div>
+              <div className="form-group full-width">
+                <label htmlFor="note-text">Note</label>
+                <textarea
+                  id="note-text"
+                  name="text"
+                  value={note.text}
+                  onChange={handleNoteChange}
+                  placeholder="What happened? Mention officers with @username"
+                  data-testid="textarea-case-note"
+                />
+              </div>
+              <div className="form-group full-width">
+                <label htmlFor="note-attachments">Attachments</label>
+                <input
+                  type="file"
+                  id="note-attachments"
+                  multiple
+                  onChange={(e) => setAttachments(Array.from(e.target.files))}
+                />
+              </div>
+            </div>
+            {noteMessage && <div className="timeline-note-message">{noteMessage}</div>}
+            <div className="form-actions">
+              <button type="submit" className="submit-btn" disabled={isSaving || !note.text.trim()} data-testid="button-add-note">
+                {isSaving ? 'Saving...' : 'Add Note'}
+              </button>
+            </div>
+          </form>
+        )}
+
+        <div className="timeline-filters">
+          {(timeline?.types || []).map(type => (
+            <button
+              key={type.value}
+              type="button"
+              className={`timeline-chip ${type.value} ${typeFilter.includes(type.value) ? 'active' : ''}`}
+              onClick={() => toggleType(type.value)}
+            >
+              {type.label}
+            </button>
+          ))}
+          {typeFilter.length > 0 && (
+            <button type="button" className="timeline-chip" onClick={() => setTypeFilter([])}>Show all</button>
+          )}
+        </div>
+
+        {!timeline ? (
+          <p className="case-description">Loading timeline...</p>
+        ) : timeline.events.length === 0 ? (
+          <p className="case-description">Nothing on the timeline yet.</p>
+        ) : (
+          <div className="activity-log">
+            {[...timeline.events].reverse().map((event, index) => (
+              <div key={`${event.type}-${index}`} className={`activity-item timeline-event ${event.type}`}>
+                <span className="activity-time">{new Date(event.at).toLocaleString()}</span>
+                <div className="timeline-body">
+                  <span className="activity-text">
+                    <strong>{event.title}</strong>
+                    {event.by && <span className="timeline-by"> by {event.by}</span>}
+                  </span>
+                  {event.summary && (
+                    <p className="timeline-summary">{event.type === 'note' ? renderNoteText(event.summary) : event.summary}</p>
+                  )}
+                  {event.details.signedOffBy && (
+                    <span className="timeline-by">Signed off by {event.details.signedOffBy}</span>
+                  )}
+                  {event.details.attachments?.length > 0 && (
+                    <div className="timeline-attachments">
+                      {event.details.attachments.map(attachment => (
+                        <a key={attachment.filename} href={attachment.url} target="_blank" rel="noopener noreferrer">
+                          <Paperclip size={12} /> {attachment.name}
+                        </a>
+                      ))}
+                    </div>
+                  )}
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    );
+  };
+
   // Case Detail View
   const CaseDetail = () => (
     <div className="case-detail">
@@ -723,10 +1042,12 @@ const CasesManager = () => {
           Back to Cases
         </button>
         <div className="detail-actions">
-          <button onClick={() => navigateToView('edit', selectedCase)}>
-            <Edit2 size={16} />
-            Edit Case
-          </button>
+          {can('cases', 'update') && (
+            <button onClick={() => navigateToView('edit', selectedCase)}>
+              <Edit2 size={16} />
+              Edit Case
+            </button>
+          )}
         </div>
       </div>
       
@@ -754,6 +1075,18 @@ const CasesManager = () => {
               <div><strong>Reported Date:</strong> {new Date(selectedCase?.reportedDate || selectedCase?.createdAt).toLocaleString()}</div>
               <div><strong>Location:</strong> {selectedCase?.location}</div>
               <div><strong>Assigned Officer:</strong> {selectedCase?.assignedOfficer || 'Unassigned'}</div>
+              {selectedCase?.obNumber && (
+                <div><strong>Opened from OB:</strong> {selectedCase.obNumber}</div>
+              )}
+              {selectedCase?.involvedPersons && (
+                <div><strong>Involved Persons:</strong> {selectedCase.involvedPersons}</div>
+              )}
+              {selectedCase?.disposition && (
+                <div><strong>Disposition:</strong> {selectedCase.disposition}</div>
+              )}
+              {selectedCase?.closedAt && (
+                <div><strong>Closed:</strong> {new Date(selectedCase.closedAt).toLocaleString()} by {actorName(selectedCase.closedBy)}</div>
+              )}
             </div>
           </div>
 
@@ -772,21 +1105,29 @@ const CasesManager = () => {
             </div>
           )}
 
-          <div className="detail-section">
-            <h3>Activity Log</h3>
-            <div className="activity-log">
-              <div className="activity-item">
-                <span className="activity-time">{new Date(selectedCase?.createdAt).toLocaleString()}</span>
-                <span className="activity-text">Case created</span>
+          {can('cases', 'update') && <CaseStatusPanel />}
+
+          {selectedCase?.statusHistory?.length > 0 && (
+            <div className="detail-section">
+              <h3>Status History</h3>
+              <div className="activity-log">
+                {[...selectedCase.statusHistory].reverse().map((entry, index) => (
+                  <div key={index} className="activity-item">
+                    <span className="activity-time">{new Date(entry.at).toLocaleString()}</span>
+                    <span className="activity-text">
+                      {entry.from ? `${entry.from} → ${entry.to}` : `Opened as ${entry.to}`}
+                      {entry.disposition && ` (${entry.disposition})`}
+                      {entry.reason && `: ${entry.reason}`}
+                      {` by ${actorName(entry.by)}`}
+                      {entry.signedOffBy && `, signed off by ${actorName(entry.signedOffBy)}`}
+                    </span>
+                  </div>
+                ))}
               </div>
-              {selectedCase?.updatedAt !== selectedCase?.createdAt && (
-                <div className="activity-item">
-                  <span className="activity-time">{new Date(selectedCase?.updatedAt).toLocaleString()}</span>
-                  <span className="activity-text">Case updated</span>
-                </div>
-              )}
             </div>
-          </div>
+          )}
+
+          <CaseTimeline />
         </div>
       </div>
     </div>
@@ -1,85 +1,244 @@
-import React from 'react';
-import { 
-  Clock, 
-  CheckCircle, 
-  AlertTriangle, 
+import React, { useState, useEffect } from 'react';
+import {
+  Clock,
+  CheckCircle,
+  AlertTriangle,
   Plus,
   Users,
   FileText,
   Shield,
-  TrendingUp
+  TrendingUp,
+  BookOpen,
+  Camera,
+  ClipboardList,
+  RotateCcw
 } from 'lucide-react';
+import { useAuth } from '../../context/AuthContext';
 import './Dashboard.css';
 
-const Dashboard = ({ cases = [], onAddCaseClick, onLicensePlateClick, setActiveSection }) => {
-  const openCases = cases.filter(c => c.status === 'Open').length;
-  const inProgressCases = cases.filter(c => c.status === 'In Progress').length;
-  const closedCases = cases.filter(c => c.status === 'Closed').length;
-  const priorityCases = cases.filter(c => c.priority === 'High').length;
-
-  const stats = [
-    { title: 'Open Cases', value: openCases.toString(), change: '+2 from last week', color: 'orange', icon: FileText, onClick: () => setActiveSection?.('cases') },
-    { title: 'In Progress', value: inProgressCases.toString(), change: '+1 from last week', color: 'blue', icon: Clock, onClick: () => setActiveSection?.('cases') },
-    { title: 'Closed Cases', value: closedCases.toString(), change: '+5 from last week', color: 'green', icon: CheckCircle, onClick: () => setActiveSection?.('cases') },
-    { title: 'Priority Cases', value: priorityCases.toString(), change: '+1 from last week', color: 'red', icon: AlertTriangle, onClick: () => setActiveSection?.('cases') }
-  ];
+const formatLabel = (value) => value.replace(/_/g, ' ').replace(/\b\w/g, c => c.toUpperCase());
+
+// Sidebar section each audited collection opens in
+const entitySections = {
+  cases: 'cases',
+  ob_entries: 'occurrence-book',
+  evidence: 'evidence',
+  reports: 'reports',
+  license_plates: 'license-plates',
+  geofiles: 'geofiles',
+  persons: 'persons',
+  person_links: 'persons'
+};
+
+const weekChange = (count) => {
+  if (!count) return '';
+  const sign = count.change > 0 ? '+' : '';
+  return `${count.thisWeek} this week (${sign}${count.change} vs last week)`;
+};
+
+const Dashboard = ({ onAddCaseClick, onLicensePlateClick, setActiveSection, refreshKey = 0 }) => {
+  const { user } = useAuth();
+  const [dashboard, setDashboard] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  const fetchDashboard = async () => {
+    try {
+      setLoading(true);
+      const response = await fetch('/api/dashboard');
+      const data = await response.json();
+
+      if (response.ok) {
+        setDashboard(data);
+        setError('');
+      } else {
+        setError(data.message || 'Failed to load dashboard');
+      }
+    } catch (err) {
+      setError('Failed to load dashboard');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchDashboard();
+  }, [refreshKey]);
+
+  const counts = dashboard?.counts || {};
+  const caseStatus = dashboard?.caseStatus;
+  const pending = dashboard?.pending || { assignedCases: [], reportsAwaitingApproval: [], overdueEvidence: [] };
+  const overdueEvidence = pending.overdueEvidence || [];
+  const integrityAlerts = pending.mediaIntegrityAlerts || [];
+  const mentions = pending.mentions || [];
+  const pendingCount = pending.assignedCases.length + pending.reportsAwaitingApproval.length +
+    overdueEvidence.length + integrityAlerts.length;
+  const displayName = dashboard?.user?.name
+    || [user?.firstName, user?.lastName].filter(Boolean).join(' ')
+    || user?.username;
+
+  const recordStats = [
+    { key: 'cases', title: 'Cases', color: 'orange', icon: FileText, section: 'cases' },
+    { key: 'ob_entries', title: 'OB Entries', color: 'blue', icon: BookOpen, section: 'occurrence-book' },
+    { key: 'evidence', title: 'Evidence Items', color: 'green', icon: Camera, section: 'evidence' },
+    { key: 'reports', title: 'Reports', color: 'red', icon: ClipboardList, section: 'reports' }
+  ].filter(stat => counts[stat.key]).map(stat => ({
+    ...stat,
+    value: counts[stat.key].total.toString(),
+    change: weekChange(counts[stat.key]),
+    trend: counts[stat.key].change < 0 ? 'down' : 'up',
+    onClick: () => setActiveSection?.(stat.section)
+  }));
+
+  const caseStats = caseStatus ? [
+    { title: 'Open Cases', value: caseStatus.open.toString(), change: 'Awaiting investigation', color: 'orange', icon: FileText },
+    { title: 'In Progress', value: caseStatus.inProgress.toString(), change: 'Under active investigation', color: 'blue', icon: Clock },
+    { title: 'Closed Cases', value: caseStatus.closed.toString(), change: `${caseStatus.archived || 0} archived · ${caseStatus.suspended} suspended`, color: 'green', icon: CheckCircle },
+    { title: 'Priority Cases', value: caseStatus.highPriority.toString(), change: 'High priority, not closed', color: 'red', icon: AlertTriangle }
+  ].map(stat => ({ ...stat, onClick: () => setActiveSection?.('cases') })) : [];
 
   const quickActions = [
     { title: 'Add Case', subtitle: 'Create new case file', icon: Plus, color: 'blue', onClick: onAddCaseClick },
-    { title: 'New Arrests', subtitle: '3 pending entries', icon: Users, color: 'red' },
-    { title: 'Geofile Access', subtitle: 'Location tracking', icon: Shield, color: 'green' },
+    { title: 'New Arrests', subtitle: 'Record in the Occurrence Book', icon: Users, color: 'red', onClick: () => setActiveSection?.('occurrence-book') },
+    { title: 'Geofile Access', subtitle: 'Location tracking', icon: Shield, color: 'green', onClick: () => setActiveSection?.('geofiles') },
     { title: 'License Plate', subtitle: 'Vehicle lookup', icon: FileText, color: 'purple', onClick: onLicensePlateClick },
-    { title: 'Evidence Log', subtitle: 'Upload evidence', icon: TrendingUp, color: 'teal' },
-    { title: 'Generate Report', subtitle: 'Create case report', icon: FileText, color: 'indigo' }
+    { title: 'Evidence Log', subtitle: 'Upload evidence', icon: TrendingUp, color: 'teal', onClick: () => setActiveSection?.('evidence') },
+    { title: 'Generate Report', subtitle: 'Create case report', icon: FileText, color: 'indigo', onClick: () => setActiveSection?.('reports') }
   ];
 
-  const recentUpdates = [
-    { id: 'UPD003', time: '2024-01-15 14:30', officer: 'Officer Johnson', caseId: 'CASE-2024-001', description: 'Evidence submitted for forensic analysis', priority: 'HIGH' },
-    { id: 'UPD002', time: '2024-01-15 12:15', officer: 'Officer Davis', caseId: 'CASE-2024-002', description: 'Witness statement recorded', priority: 'MEDIUM' },
-    { id: 'UPD001', time: '2024-01-15 09:45', officer: 'Officer Smith', caseId: 'CASE-2024-003', description: 'Suspect interview completed', priority: 'HIGH' },
-    { id: 'UPD004', time: '2024-01-14 16:20', officer: 'Officer Wilson', caseId: 'CASE-2024-004', description: 'Crime scene photos uploaded', priority: 'LOW' },
-    { id: 'UPD005', time: '2024-01-14 11:30', officer: 'Officer Brown', caseId: 'CASE-2024-005', description: 'Background check completed', priority: 'MEDIUM' }
-  ];
+  const renderStatCards = (stats) => (
+    <div className="stats-grid">
+      {stats.map((stat) => {
+        const IconComponent = stat.icon;
+        return (
+          <div
+            key={stat.title}
+            className={`stat-card ${stat.color}`}
+            onClick={stat.onClick}
+            style={{ cursor: stat.onClick ? 'pointer' : 'default' }}
+            data-testid={`stat-card-${stat.title.toLowerCase().replace(' ', '-')}`}
+          >
+            <div className="stat-header">
+              <IconComponent className="stat-icon" />
+              <span className="stat-value">{stat.value}</span>
+            </div>
+            <div className="stat-info">
+              <h3>{stat.title}</h3>
+              <p className={stat.trend === 'down' ? 'trend-down' : ''}>{stat.change}</p>
+            </div>
+          </div>
+        );
+      })}
+    </div>
+  );
 
   return (
     <div className="dashboard">
       <div className="dashboard-header">
         <div>
-          <h1>Welcome, Officer Smith</h1>
-          <p>Monday, July 28, 2025</p>
+          <h1>Welcome, {displayName}</h1>
+          <p>{new Date().toLocaleDateString(undefined, { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' })}</p>
         </div>
         <div className="header-actions">
-          <div className="notification-badge">
-            <span>3</span>
-          </div>
+          <button className="dashboard-refresh" onClick={fetchDashboard} disabled={loading} title="Refresh dashboard">
+            <RotateCcw size={16} />
+          </button>
+          {pendingCount > 0 && (
+            <div className="notification-badge" title={`${pendingCount} pending item(s)`}>
+              <span>{pendingCount}</span>
+            </div>
+          )}
         </div>
       </div>
 
+      {error && <div className="dashboard-error">{error}</div>}
+
       <div className="dashboard-content">
-        <section className="stats-section">
-          <h2>Case Overview</h2>
-          <div className="stats-grid">
-            {stats.map((stat, index) => {
-              const IconComponent = stat.icon;
-              return (
-                <div 
-                  key={index} 
-                  className={`stat-card ${stat.color}`}
-                  onClick={stat.onClick}
-                  style={{ cursor: stat.onClick ? 'pointer' : 'default' }}
-                  data-testid={`stat-card-${stat.title.toLowerCase().replace(' ', '-')}`}
-                >
-                  <div className="stat-header">
-                    <IconComponent className="stat-icon" />
-                    <span className="stat-value">{stat.value}</span>
+        {recordStats.length > 0 && (
+          <section className="stats-section">
+            <h2>This Week</h2>
+            {renderStatCards(recordStats)}
+          </section>
+        )}
+
+        {caseStats.length > 0 && (
+          <section className="stats-section">
+            <h2>Case Overview</h2>
+            {renderStatCards(caseStats)}
+          </section>
+        )}
+
+        <section className="pending-section">
+          <h2>My Pending Items</h2>
+          <div className="pending-grid">
+            <div className="pending-card">
+              <h3>Assigned Cases ({pending.assignedCases.length})</h3>
+              {pending.assignedCases.length === 0 ? (
+                <p className="pending-empty">No open cases assigned to you</p>
+              ) : pending.assignedCases.map(caseItem => (
+                <div key={caseItem.id} className="pending-item" onClick={() => setActiveSection?.('cases')}>
+                  <span className="case-link">{caseItem.caseNumber}</span>
+                  <span className="pending-title">{caseItem.title}</span>
+                  {caseItem.priority && (
+                    <span className={`priority ${caseItem.priority.toLowerCase()}`}>{caseItem.priority}</span>
+                  )}
+                </div>
+              ))}
+            </div>
+            <div className="pending-card">
+              <h3>
+                {pending.canApproveReports ? 'Reports Awaiting Approval' : 'My Reports Awaiting Approval'} ({pending.reportsAwaitingApproval.length})
+              </h3>
+              {pending.reportsAwaitingApproval.length === 0 ? (
+                <p className="pending-empty">Nothing waiting for approval</p>
+              ) : pending.reportsAwaitingApproval.map(report => (
+                <div key={report.id} className="pending-item" onClick={() => setActiveSection?.('reports')}>
+                  <span className="case-link">{report.reportNumber}</span>
+                  <span className="pending-title">{report.title}</span>
+                  <span className="pending-date">{new Date(report.createdAt).toLocaleDateString()}</span>
+                </div>
+              ))}
+            </div>
+            {overdueEvidence.length > 0 && (
+              <div className="pending-card overdue-card">
+                <h3>
+                  {pending.isEvidenceCustodian ? 'Overdue Evidence Checkouts' : 'Evidence Overdue for Return'} ({overdueEvidence.length})
+                </h3>
+                {overdueEvidence.map(item => (
+                  <div key={item.id} className="pending-item" onClick={() => setActiveSection?.('evidence')}>
+                    <span className="case-link">{item.evidenceNumber}</span>
+                    <span className="pending-title">
+                      {pending.isEvidenceCustodian ? item.checkedOutTo?.name : item.description}
+                    </span>
+                    <span className="overdue-days">{item.daysOverdue}d overdue</span>
                   </div>
-                  <div className="stat-info">
-                    <h3>{stat.title}</h3>
-                    <p>{stat.change}</p>
+                ))}
+              </div>
+            )}
+            {integrityAlerts.length > 0 && (
+              <div className="pending-card overdue-card">
+                <h3>Media Integrity Alerts ({integrityAlerts.length})</h3>
+                {integrityAlerts.map(alert => (
+                  <div key={alert.id} className="pending-item" onClick={() => setActiveSection?.('evidence')}>
+                    <span className="case-link">{alert.evidenceNumber}</span>
+                    <span className="pending-title">{alert.name}</span>
+                    <span className="overdue-days">{alert.status === 'missing' ? 'File missing' : 'Hash mismatch'}</span>
                   </div>
-                </div>
-              );
-            })}
+                ))}
+              </div>
+            )}
+            {mentions.length > 0 && (
+              <div className="pending-card">
+                <h3>Mentioned in Case Notes ({mentions.length})</h3>
+                {mentions.map(mention => (
+                  <div key={mention.id} className="pending-item" onClick={() => setActiveSection?.('cases')}>
+                    <span className="case-link">{mention.caseNumber || 'Case'}</span>
+                    <span className="pending-title">{mention.author}: {mention.text}</span>
+                    <span className="pending-date">{new Date(mention.createdAt).toLocaleDateString()}</span>
+                  </div>
+                ))}
+              </div>
+            )}
           </div>
         </section>
 
@@ -89,8 +248,8 @@ const Dashboard = ({ cases = [], onAddCaseClick, onLicensePlateClick, setActiveS
             {quickActions.map((action, index) => {
               const IconComponent = action.icon;
               return (
-                <div 
-                  key={index} 
+                <div
+                  key={index}
                   className={`action-card ${action.color}`}
                   onClick={action.onClick}
                   style={{ cursor: action.onClick ? 'pointer' : 'default' }}
@@ -107,29 +266,36 @@ const Dashboard = ({ cases = [], onAddCaseClick, onLicensePlateClick, setActiveS
         </section>
 
         <section className="updates-section">
-          <h2>Recent Updates</h2>
+          <h2>Recent Activity</h2>
           <table className="updates-table">
             <thead>
               <tr>
-                <th>Entry ID</th>
                 <th>Date & Time</th>
                 <th>Officer</th>
-                <th>Case ID</th>
+                <th>Record</th>
                 <th>Description</th>
-                <th>Priority</th>
+                <th>Action</th>
               </tr>
             </thead>
             <tbody>
-              {recentUpdates.map((update) => (
-                <tr key={update.id}>
-                  <td>{update.id}</td>
-                  <td>{update.time}</td>
-                  <td>{update.officer}</td>
-                  <td className="case-link">{update.caseId}</td>
-                  <td>{update.description}</td>
+              {(dashboard?.recentActivity || []).length === 0 ? (
+                <tr>
+                  <td colSpan="5" className="pending-empty">{loading ? 'Loading activity...' : 'No recent activity'}</td>
+                </tr>
+              ) : dashboard.recentActivity.map((activity) => (
+                <tr key={activity.id}>
+                  <td>{new Date(activity.time).toLocaleString()}</td>
+                  <td>{activity.actor}</td>
+                  <td
+                    className="case-link"
+                    onClick={() => entitySections[activity.entity] && setActiveSection?.(entitySections[activity.entity])}
+                  >
+                    {formatLabel(activity.entity)} {activity.entityLabel}
+                  </td>
+                  <td>{activity.description}</td>
                   <td>
-                    <span className={`priority ${update.priority.toLowerCase()}`}>
-                      {update.priority}
+                    <span className={`activity-action ${activity.action}`}>
+                      {activity.action.toUpperCase()}
                     </span>
                   </td>
                 </tr>
@@ -142,4 +308,4 @@ const Dashboard = ({ cases = [], onAddCaseClick, onLicensePlateClick, setActiveS
   );
 };
 
-export default Dashboard;
\ No newline at end of file
+export default Dashboard;
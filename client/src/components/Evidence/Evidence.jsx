@@ -11,35 +11,79 @@ import {
   MapPin,
   Package,
   Shield,
-  Link
+  Link,
+  ShieldCheck,
+  ShieldAlert,
+  ScanLine,
+  Printer,
+  LogOut,
+  LogIn,
+  Clock,
+  Lock,
+  Trash2,
+  Upload,
+  BarChart3,
+  ClipboardCheck
 } from 'lucide-react';
+import { BarChart, Bar, XAxis, YAxis, Tooltip, ResponsiveContainer, CartesianGrid } from 'recharts';
+import { useAuth } from '../../context/AuthContext';
+import Pagination from '../Pagination/Pagination';
 import './Evidence.css';
 
 const Evidence = () => {
+  const { can, user } = useAuth();
   const [evidence, setEvidence] = useState([]);
   const [cases, setCases] = useState([]);
   const [obEntries, setObEntries] = useState([]);
   const [isLoading, setIsLoading] = useState(false);
   const [error, setError] = useState('');
   const [searchTerm, setSearchTerm] = useState('');
+  const [debouncedSearch, setDebouncedSearch] = useState('');
   const [typeFilter, setTypeFilter] = useState('');
   const [statusFilter, setStatusFilter] = useState('');
-  const [currentView, setCurrentView] = useState('list'); // 'list', 'create', 'detail', 'edit'
+  const [custodyFilter, setCustodyFilter] = useState('');
+  const [page, setPage] = useState(1);
+  const [pagination, setPagination] = useState(null);
+  const [currentView, setCurrentView] = useState('list'); // 'list', 'create', 'detail', 'edit', 'scan', 'disposals', 'analytics', 'inventory'
   const [selectedEvidence, setSelectedEvidence] = useState(null);
+  const [custodyVerification, setCustodyVerification] = useState(null);
+  const [isVerifying, setIsVerifying] = useState(false);
+  const [labelSymbology, setLabelSymbology] = useState('qr');
+  const [mediaVerification, setMediaVerification] = useState(null);
+  const [isVerifyingMedia, setIsVerifyingMedia] = useState(false);
+  const [isUploadingMedia, setIsUploadingMedia] = useState(false);
+  const [mediaUploadError, setMediaUploadError] = useState('');
+  const [geotaggingMedia, setGeotaggingMedia] = useState(null);
 
   const evidenceTypes = ['Physical', 'Digital', 'Document', 'Photo', 'Video', 'Audio', 'Other'];
   const evidenceStatuses = ['Collected', 'Analyzed', 'Stored', 'Disposed', 'Missing'];
+  // Lab, court and review trips go through check out / return so they carry a due date
+  const transferActions = ['Transferred', 'Received', 'Moved to Storage'];
+  const checkoutPurposes = [
+    { value: 'lab', label: 'Lab analysis' },
+    { value: 'court', label: 'Court' },
+    { value: 'review', label: 'Review' }
+  ];
+  const evidenceConditions = ['Excellent', 'Good', 'Fair', 'Poor', 'Damaged'];
+  const disposalMethods = ['Destroyed', 'Returned to Owner', 'Auctioned', 'Donated', 'Transferred to Agency'];
 
   const fetchEvidence = async () => {
     setIsLoading(true);
     try {
-      const response = await fetch('/api/evidence');
+      const params = new URLSearchParams({ page, limit: 24, sort: '-createdAt' });
+      if (debouncedSearch) params.set('search', debouncedSearch);
+      if (typeFilter) params.set('type', typeFilter);
+      if (statusFilter) params.set('status', statusFilter);
+      if (custodyFilter) params.set('custodyStatus', custodyFilter);
+
+      const response = await fetch(`/api/evidence?${params}`);
+      const data = await response.json();
       if (response.ok) {
-        const data = await response.json();
         setEvidence(data.evidence || []);
+        setPagination(data.pagination || null);
         setError('');
       } else {
-        setError('Failed to fetch evidence');
+        setError(data.error || 'Failed to fetch evidence');
       }
     } catch (error) {
       setError('Network error. Please try again.');
@@ -50,7 +94,8 @@ const Evidence = () => {
 
   const fetchCases = async () => {
     try {
-      const response = await fetch('/api/cases');
+      // Lookup list for linking; the most recent cases are enough for the picker
+      const response = await fetch('/api/cases?limit=200');
       if (response.ok) {
         const data = await response.json();
         setCases(data.cases || []);
@@ -62,7 +107,7 @@ const Evidence = () => {
 
   const fetchOBEntries = async () => {
     try {
-      const response = await fetch('/api/ob-entries');
+      const response = await fetch('/api/ob-entries?limit=200');
       if (response.ok) {
         const data = await response.json();
         setObEntries(data.obEntries || []);
@@ -73,26 +118,119 @@ const Evidence = () => {
   };
 
   useEffect(() => {
-    fetchEvidence();
     fetchCases();
     fetchOBEntries();
   }, []);
 
-  const filteredEvidence = evidence.filter(item => {
-    const matchesSearch =
-      item.evidenceNumber?.toLowerCase().includes(searchTerm.toLowerCase()) ||
-      item.description?.toLowerCase().includes(searchTerm.toLowerCase()) ||
-      item.location?.toLowerCase().includes(searchTerm.toLowerCase());
-
-    const matchesType = !typeFilter || item.type === typeFilter;
-    const matchesStatus = !statusFilter || item.status === statusFilter;
+  // Wait for the user to stop typing before searching on the server
+  useEffect(() => {
+    const timer = setTimeout(() => {
+      setDebouncedSearch(searchTerm);
+      setPage(1);
+    }, 300);
+    return () => clearTimeout(timer);
+  }, [searchTerm]);
 
-    return matchesSearch && matchesType && matchesStatus;
-  });
+  useEffect(() => {
+    fetchEvidence();
+  }, [page, debouncedSearch, typeFilter, statusFilter, custodyFilter]);
 
   const navigateToView = (view, evidenceItem = null) => {
     setCurrentView(view);
     setSelectedEvidence(evidenceItem);
+    setCustodyVerification(null);
+    setMediaVerification(null);
+    setMediaUploadError('');
+  };
+
+  // Uploads files onto an evidence item; the server records them in the custody log
+  const uploadMedia = async (evidenceId, files) => {
+    const mediaFormData = new FormData();
+    files.forEach(file => mediaFormData.append('media', file));
+    const response = await fetch(`/api/evidence/${evidenceId}/media/upload`, {
+      method: 'POST',
+      body: mediaFormData,
+    });
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.error || 'Media upload failed');
+    }
+    return data;
+  };
+
+  const attachFiles = async (e) => {
+    const files = Array.from(e.target.files);
+    e.target.value = '';
+    if (files.length === 0) return;
+
+    setIsUploadingMedia(true);
+    setMediaUploadError('');
+    try {
+      const data = await uploadMedia(selectedEvidence.id, files);
+      setSelectedEvidence(data.evidence);
+      setMediaVerification(null);
+      fetchEvidence();
+    } catch (error) {
+      setMediaUploadError(error.message || 'Failed to upload media');
+    } finally {
+      setIsUploadingMedia(false);
+    }
+  };
+
+  // Turns a photo's GPS position into a point geofile linked back to the media item
+  const geotagMedia = async (mediaItem) => {
+    setGeotaggingMedia(mediaItem.filename);
+    setMediaUploadError('');
+    try {
+      const response = await fetch(`/api/evidence/${selectedEvidence.id}/media/${encodeURIComponent(mediaItem.filename)}/geotag`, { method: 'POST' });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to add photo location to the map');
+      }
+      setSelectedEvidence(current => ({
+        ...current,
+        media: current.media.map(item => (item.filename === mediaItem.filename ? { ...item, geofileId: data.geofile.id } : item))
+      }));
+    } catch (error) {
+      setMediaUploadError(error.message || 'Failed to add photo location to the map');
+    } finally {
+      setGeotaggingMedia(null);
+    }
+  };
+
+  const verifyCustodyChain = async (evidenceId) => {
+    setIsVerifying(true);
+    try {
+      const response = await fetch(`/api/evidence/${evidenceId}/custody/verify`);
+      const data = await response.json();
+      if (response.ok) {
+        setCustodyVerification(data.verification);
+      } else {
+        setCustodyVerification({ valid: false, issues: [{ reason: data.error || data.message }] });
+      }
+    } catch (error) {
+      setCustodyVerification({ valid: false, issues: [{ reason: 'Network error. Please try again.' }] });
+    } finally {
+      setIsVerifying(false);
+    }
+  };
+
+  const verifyMedia = async (evidenceId) => {
+    setIsVerifyingMedia(true);
+    try {
+      const response = await fetch(`/api/evidence/${evidenceId}/media/verify`, { method: 'POST' });
+      const data = await response.json();
+      setMediaVerification(response.ok ? data.verification : { error: data.error });
+    } catch (error) {
+      setMediaVerification({ error: 'Network error. Please try again.' });
+    } finally {
+      setIsVerifyingMedia(false);
+    }
+  };
+
+  // Labels open in a new tab so they can be printed straight from the browser
+  const openLabel = (evidenceId, format) => {
+    window.open(`/api/evidence/${evidenceId}/label?format=${format}&symbology=${labelSymbology}`, '_blank');
   };
 
   const goBack = () => {
@@ -130,15 +268,46 @@ const Evidence = () => {
     }
   };
 
+  const isOverdue = (checkout) => Boolean(checkout) && new Date(checkout.expectedReturnAt) < new Date();
+  const isLocked = (item) => Boolean(item?.disposal?.lockedAt);
+
+  // Witnesses are typed one per line as "Name, badge number"
+  const parseWitnessLines = (text) => text
+    .split('\n')
+    .map(line => line.trim())
+    .filter(Boolean)
+    .map(line => {
+      const [name, badgeNumber] = line.split(',').map(part => part.trim());
+      return { name, badgeNumber: badgeNumber || null };
+    });
+  const formatWitnessLines = (witnesses = []) =>
+    witnesses.map(w => (w.badgeNumber ? `${w.name}, ${w.badgeNumber}` : w.name)).join('\n');
+
   const isImageFile = (fileName) => /\.(jpg|jpeg|png|gif|bmp|svg)$/i.test(fileName);
   const isVideoFile = (fileName) => /\.(mp4|avi|mov|wmv|flv)$/i.test(fileName);
 
+  // Uploads record their type; older linked media only have a file name to go on
+  const isPhoto = (mediaItem) => mediaItem.type === 'photo' || (!mediaItem.type && isImageFile(mediaItem.name));
+  const isVideo = (mediaItem) => mediaItem.type === 'video' || (!mediaItem.type && isVideoFile(mediaItem.name));
+
   const getMediaIcon = (fileName) => {
     if (isImageFile(fileName)) return <Camera size={24} />;
     if (isVideoFile(fileName)) return <Camera size={24} />;
     return <FileText size={24} />;
   };
 
+  const formatDuration = (seconds) => {
+    const minutes = Math.floor(seconds / 60);
+    return `${minutes}:${String(Math.round(seconds % 60)).padStart(2, '0')}`;
+  };
+
+  const mediaDetails = (metadata) => [
+    metadata.capturedAt && `Captured ${new Date(metadata.capturedAt).toLocaleString()}`,
+    metadata.camera && [metadata.camera.make, metadata.camera.model].filter(Boolean).join(' '),
+    metadata.width && metadata.height && `${metadata.width}×${metadata.height}`,
+    metadata.durationSeconds && formatDuration(metadata.durationSeconds)
+  ].filter(Boolean);
+
   const EvidenceList = () => (
     <div className="evidence-list">
       <div className="evidence-header">
@@ -159,10 +328,28 @@ const Evidence = () => {
             <RotateCcw size={18} className={isLoading ? 'spinning' : ''} />
             Refresh
           </button>
-          <button className="add-evidence-btn" onClick={() => navigateToView('create')}>
-            <Plus size={18} />
-            Add Evidence
+          <button className="refresh-btn" onClick={() => navigateToView('scan')} title="Scan an evidence label">
+            <ScanLine size={18} />
+            Scan
+          </button>
+          <button className="refresh-btn" onClick={() => navigateToView('disposals')} title="Disposal requests">
+            <Trash2 size={18} />
+            Disposals
+          </button>
+          <button className="refresh-btn" onClick={() => navigateToView('inventory')} title="Evidence room inventory audits">
+            <ClipboardCheck size={18} />
+            Inventory
+          </button>
+          <button className="refresh-btn" onClick={() => navigateToView('analytics')} title="Evidence analytics">
+            <BarChart3 size={18} />
+            Analytics
           </button>
+          {can('evidence', 'create') && (
+            <button className="add-evidence-btn" onClick={() => navigateToView('create')}>
+              <Plus size={18} />
+              Add Evidence
+            </button>
+          )}
         </div>
       </div>
 
@@ -177,18 +364,22 @@ const Evidence = () => {
           />
         </div>
         <div className="filter-controls">
-          <select value={typeFilter} onChange={(e) => setTypeFilter(e.target.value)}>
+          <select value={typeFilter} onChange={(e) => { setTypeFilter(e.target.value); setPage(1); }}>
             <option value="">All Types</option>
             {evidenceTypes.map(type => (
               <option key={type} value={type}>{type}</option>
             ))}
           </select>
-          <select value={statusFilter} onChange={(e) => setStatusFilter(e.target.value)}>
+          <select value={statusFilter} onChange={(e) => { setStatusFilter(e.target.value); setPage(1); }}>
             <option value="">All Status</option>
             {evidenceStatuses.map(status => (
               <option key={status} value={status}>{status}</option>
             ))}
           </select>
+          <select value={custodyFilter} onChange={(e) => { setCustodyFilter(e.target.value); setPage(1); }}>
+            <option value="">All Custody</option>
+            <option value="checked_out">Checked Out</option>
+          </select>
         </div>
       </div>
 
@@ -199,21 +390,21 @@ const Evidence = () => {
       <div className="evidence-grid">
         {isLoading ? (
           <div className="loading-state">Loading evidence...</div>
-        ) : filteredEvidence.length === 0 ? (
+        ) : evidence.length === 0 ? (
           <div className="empty-state">
             <Camera size={48} />
             <h3>No evidence found</h3>
             <p>Add new evidence or adjust your search filters</p>
           </div>
         ) : (
-          filteredEvidence.map((evidenceItem) => (
+          evidence.map((evidenceItem) => (
             <div key={evidenceItem.id} className="evidence-card" onClick={() => navigateToView('detail', evidenceItem)}>
               <div className="evidence-media-preview">
                 {evidenceItem.media && evidenceItem.media.length > 0 && evidenceItem.media[0].url ? (
                   <>
-                    {isImageFile(evidenceItem.media[0].name) ? (
+                    {evidenceItem.media[0].thumbnail?.url || isPhoto(evidenceItem.media[0]) ? (
                       <img
-                        src={evidenceItem.media[0].url}
+                        src={evidenceItem.media[0].thumbnail?.url || evidenceItem.media[0].url}
                         alt="Evidence"
                         crossOrigin="anonymous"
                         onError={(e) => {
@@ -225,9 +416,10 @@ const Evidence = () => {
                           console.log('✅ Image loaded successfully:', evidenceItem.media[0].url);
                         }}
                       />
-                    ) : isVideoFile(evidenceItem.media[0].name) ? (
+                    ) : isVideo(evidenceItem.media[0]) ? (
                       <video
                         controls
+                        preload="metadata"
                         src={evidenceItem.media[0].url}
                         crossOrigin="anonymous"
                         onError={(e) => {
@@ -273,6 +465,11 @@ const Evidence = () => {
               <div className="status-row">
                 {getStatusIcon(evidenceItem.status)}
                 <span className="status-text">{evidenceItem.status}</span>
+                {evidenceItem.custodyStatus === 'checked_out' && (
+                  <span className={`checkout-badge ${isOverdue(evidenceItem.checkout) ? 'overdue' : ''}`}>
+                    {isOverdue(evidenceItem.checkout) ? 'Overdue' : 'Checked out'}
+                  </span>
+                )}
               </div>
               <div className="evidence-details">
                 <p><strong>Location:</strong> {evidenceItem.location}</p>
@@ -295,6 +492,8 @@ const Evidence = () => {
           ))
         )}
       </div>
+
+      <Pagination pagination={pagination} onPageChange={setPage} disabled={isLoading} />
     </div>
   );
 
@@ -307,8 +506,7 @@ const Evidence = () => {
       status: 'Collected',
       collectedAt: new Date().toISOString().split('T')[0],
       caseId: '',
-      obId: '',
-      media: [] // Added media field
+      obId: ''
     });
     const [isSubmitting, setIsSubmitting] = useState(false);
     const [errors, setErrors] = useState({});
@@ -345,51 +543,45 @@ const Evidence = () => {
       setIsSubmitting(true);
       const dataToSubmit = { ...formData };
 
-      if (selectedFiles.length > 0) {
-        const mediaFormData = new FormData();
-        selectedFiles.forEach(file => mediaFormData.append('media', file));
-
-        try {
-          console.log('🔍 Uploading media files:', selectedFiles.length);
-          const mediaUploadResponse = await fetch('/api/upload-media', {
-            method: 'POST',
-            body: mediaFormData,
-          });
-          if (mediaUploadResponse.ok) {
-            const mediaData = await mediaUploadResponse.json();
-            dataToSubmit.media = mediaData.files;
-            console.log('✅ Media uploaded successfully:', dataToSubmit.media);
-          } else {
-            const errorData = await mediaUploadResponse.json();
-            throw new Error(errorData.error || 'Media upload failed');
-          }
-        } catch (error) {
-          console.error('❌ Media upload failed:', error);
-          setErrors({ submit: error.message || 'Failed to upload media' });
-          setIsSubmitting(false);
-          return;
-        }
-      }
-
+      let created;
       try {
         const response = await fetch('/api/evidence', {
           method: 'POST',
           headers: { 'Content-Type': 'application/json' },
           body: JSON.stringify(dataToSubmit)
         });
-
-        if (response.ok) {
-          await fetchEvidence();
-          goBack();
-        } else {
-          const errorData = await response.json();
-          setErrors({ submit: errorData.message || 'Failed to add evidence' });
+        const data = await response.json();
+        if (!response.ok) {
+          setErrors({ submit: data.error || data.message || 'Failed to add evidence' });
+          setIsSubmitting(false);
+          return;
         }
+        created = data.evidence;
       } catch (error) {
         setErrors({ submit: 'Network error. Please try again.' });
-      } finally {
         setIsSubmitting(false);
+        return;
+      }
+
+      // Files are uploaded onto the new item; if that fails the item still exists and
+      // opens in detail view so the files can be attached again from there
+      if (selectedFiles.length > 0) {
+        try {
+          console.log('🔍 Uploading media files:', selectedFiles.length);
+          const mediaData = await uploadMedia(created.id, selectedFiles);
+          console.log('✅ Media uploaded successfully:', mediaData.media);
+        } catch (error) {
+          console.error('❌ Media upload failed:', error);
+          await fetchEvidence();
+          navigateToView('detail', created);
+          setMediaUploadError(`${created.evidenceNumber} was created, but its files were not uploaded: ${error.message}`);
+          return;
+        }
       }
+
+      await fetchEvidence();
+      setIsSubmitting(false);
+      goBack();
     };
 
     return (
@@ -426,7 +618,7 @@ const Evidence = () => {
                 value={formData.status}
                 onChange={handleInputChange}
               >
-                {evidenceStatuses.map(status => (
+                {evidenceStatuses.filter(status => status !== 'Disposed').map(status => (
                   <option key={status} value={status}>{status}</option>
                 ))}
               </select>
@@ -571,6 +763,307 @@ const Evidence = () => {
     );
   };
 
+  // Check out / return for the item open in the detail view
+  const CheckoutPanel = () => {
+    const checkout = selectedEvidence?.custodyStatus === 'checked_out' ? selectedEvidence.checkout : null;
+    const [form, setForm] = useState({
+      officerName: '',
+      badgeNumber: '',
+      officerUserId: null,
+      purpose: 'lab',
+      destination: '',
+      expectedReturnAt: '',
+      notes: ''
+    });
+    const [returnForm, setReturnForm] = useState({
+      returnedBy: '',
+      storageLocation: selectedEvidence?.checkout?.fromLocation || selectedEvidence?.storageLocation || '',
+      condition: selectedEvidence?.condition || 'Good',
+      sealIntact: true,
+      notes: ''
+    });
+    const [isSubmitting, setIsSubmitting] = useState(false);
+    const [panelError, setPanelError] = useState('');
+
+    const checkOutToMe = () => {
+      setForm({
+        ...form,
+        officerName: [user?.firstName, user?.lastName].filter(Boolean).join(' ') || user?.username || '',
+        badgeNumber: user?.badgeNumber || '',
+        officerUserId: user?.id || null
+      });
+    };
+
+    const submit = async (e, path, body) => {
+      e.preventDefault();
+      setIsSubmitting(true);
+      setPanelError('');
+      try {
+        const response = await fetch(`/api/evidence/${selectedEvidence.id}/${path}`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify(body)
+        });
+        const data = await response.json();
+        if (response.ok) {
+          setSelectedEvidence(data.evidence);
+          fetchEvidence();
+        } else {
+          setPanelError(data.error || 'Request failed');
+        }
+      } catch (error) {
+        setPanelError('Network error. Please try again.');
+      } finally {
+        setIsSubmitting(false);
+      }
+    };
+
+    if (checkout) {
+      const overdue = isOverdue(checkout);
+      return (
+        <div className={`detail-section checkout-panel ${overdue ? 'overdue' : ''}`}>
+          <h3><LogOut size={18} /> Checked Out</h3>
+          <div className="info-grid">
+            <div><strong>To:</strong> {checkout.checkedOutTo?.name}{checkout.checkedOutTo?.badgeNumber ? ` (${checkout.checkedOutTo.badgeNumber})` : ''}</div>
+            <div><strong>Purpose:</strong> {checkoutPurposes.find(p => p.value === checkout.purpose)?.label || checkout.purpose}</div>
+            {checkout.destination && <div><strong>Destination:</strong> {checkout.destination}</div>}
+            <div><strong>Checked out:</strong> {new Date(checkout.checkedOutAt).toLocaleString()}</div>
+            <div className={overdue ? 'overdue-text' : ''}>
+              <Clock size={14} /> <strong>Due back:</strong> {new Date(checkout.expectedReturnAt).toLocaleDateString()}
+              {overdue && ' — OVERDUE'}
+            </div>
+          </div>
+
+          {can('evidence', 'update') && (
+            <form className="checkout-form" onSubmit={(e) => submit(e, 'return', returnForm)}>
+              <div className="form-grid">
+                <div className="form-group">
+                  <label>Returned By</label>
+                  <input
+                    type="text"
+                    placeholder={checkout.checkedOutTo?.name}
+                    value={returnForm.returnedBy}
+                    onChange={(e) => setReturnForm({ ...returnForm, returnedBy: e.target.value })}
+                  />
+                </div>
+                <div className="form-group">
+                  <label>Storage Location</label>
+                  <input
+                    type="text"
+                    value={returnForm.storageLocation}
+                    onChange={(e) => setReturnForm({ ...returnForm, storageLocation: e.target.value })}
+                  />
+                </div>
+                <div className="form-group">
+                  <label>Condition</label>
+                  <select value={returnForm.condition} onChange={(e) => setReturnForm({ ...returnForm, condition: e.target.value })}>
+                    {evidenceConditions.map(condition => <option key={condition} value={condition}>{condition}</option>)}
+                  </select>
+                </div>
+              </div>
+              <div className="form-group">
+                <label>Notes</label>
+                <input
+                  type="text"
+                  value={returnForm.notes}
+                  onChange={(e) => setReturnForm({ ...returnForm, notes: e.target.value })}
+                />
+              </div>
+              <label className="scan-toggle">
+                <input
+                  type="checkbox"
+                  checked={returnForm.sealIntact}
+                  onChange={(e) => setReturnForm({ ...returnForm, sealIntact: e.target.checked })}
+                />
+                Seal intact on return
+              </label>
+              {panelError && <div className="error-message">{panelError}</div>}
+              <div className="form-actions">
+                <button type="submit" className="submit-btn" disabled={isSubmitting}>
+                  <LogIn size={16} />
+                  {isSubmitting ? 'Returning...' : 'Return to Evidence Room'}
+                </button>
+              </div>
+            </form>
+          )}
+        </div>
+      );
+    }
+
+    if (!can('evidence', 'update') || ['Disposed', 'Released', 'Missing'].includes(selectedEvidence?.status)) {
+      return null;
+    }
+
+    return (
+      <div className="detail-section checkout-panel">
+        <h3><LogOut size={18} /> Check Out</h3>
+        <form className="checkout-form" onSubmit={(e) => submit(e, 'checkout', form)}>
+          <div className="form-grid">
+            <div className="form-group">
+              <label>Officer *</label>
+              <div className="checkout-officer">
+                <input
+                  type="text"
+                  required
+                  value={form.officerName}
+                  onChange={(e) => setForm({ ...form, officerName: e.target.value, officerUserId: null })}
+                />
+                <button type="button" className="cancel-btn" onClick={checkOutToMe}>Me</button>
+              </div>
+            </div>
+            <div className="form-group">
+              <label>Badge Number</label>
+              <input
+                type="text"
+                value={form.badgeNumber}
+                onChange={(e) => setForm({ ...form, badgeNumber: e.target.value })}
+              />
+            </div>
+            <div className="form-group">
+              <label>Purpose *</label>
+              <select value={form.purpose} onChange={(e) => setForm({ ...form, purpose: e.target.value })}>
+                {checkoutPurposes.map(purpose => <option key={purpose.value} value={purpose.value}>{purpose.label}</option>)}
+              </select>
+            </div>
+          </div>
+          <div className="form-grid">
+            <div className="form-group">
+              <label>Destination</label>
+              <input
+                type="text"
+                placeholder="e.g. County Forensic Lab"
+                value={form.destination}
+                onChange={(e) => setForm({ ...form, destination: e.target.value })}
+              />
+            </div>
+            <div className="form-group">
+              <label>Expected Return *</label>
+              <input
+                type="date"
+                required
+                min={new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString().slice(0, 10)}
+                value={form.expectedReturnAt}
+                onChange={(e) => setForm({ ...form, expectedReturnAt: e.target.value })}
+              />
+            </div>
+          </div>
+          <div className="form-group">
+            <label>Notes</label>
+            <input
+              type="text"
+              value={form.notes}
+              onChange={(e) => setForm({ ...form, notes: e.target.value })}
+            />
+          </div>
+          {panelError && <div className="error-message">{panelError}</div>}
+          <div className="form-actions">
+            <button type="submit" className="submit-btn" disabled={isSubmitting}>
+              <LogOut size={16} />
+              {isSubmitting ? 'Checking out...' : 'Check Out'}
+            </button>
+          </div>
+        </form>
+      </div>
+    );
+  };
+
+  // Raises a disposal request for the item open in the detail view
+  const DisposalRequestPanel = () => {
+    const [isOpen, setIsOpen] = useState(false);
+    const [form, setForm] = useState({ method: 'Destroyed', reason: '', witnesses: '' });
+    const [isSubmitting, setIsSubmitting] = useState(false);
+    const [result, setResult] = useState(null);
+
+    if (!can('evidence', 'update') || selectedEvidence?.custodyStatus === 'checked_out') {
+      return null;
+    }
+
+    const submit = async (e) => {
+      e.preventDefault();
+      setIsSubmitting(true);
+      setResult(null);
+      try {
+        const response = await fetch('/api/disposals', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({
+            evidenceIds: [selectedEvidence.id],
+            method: form.method,
+            reason: form.reason,
+            witnesses: parseWitnessLines(form.witnesses)
+          })
+        });
+        const data = await response.json();
+        if (response.ok) {
+          setResult({ type: 'success', text: data.message });
+          setIsOpen(false);
+        } else {
+          const reasons = data.blockers?.flatMap(item => item.reasons);
+          setResult({ type: 'error', text: reasons?.length ? `Cannot dispose yet: ${reasons.join('; ')}` : data.error });
+        }
+      } catch (error) {
+        setResult({ type: 'error', text: 'Network error. Please try again.' });
+      } finally {
+        setIsSubmitting(false);
+      }
+    };
+
+    return (
+      <div className="detail-section">
+        <div className="custody-log-header">
+          <h3>Disposal</h3>
+          {!isOpen && (
+            <button className="verify-chain-btn" onClick={() => setIsOpen(true)}>
+              <Trash2 size={16} />
+              Request Disposal
+            </button>
+          )}
+        </div>
+        {result && (
+          <div className={result.type === 'error' ? 'error-message' : 'scan-success'}>{result.text}</div>
+        )}
+        {isOpen && (
+          <form className="checkout-form" onSubmit={submit}>
+            <p className="disposal-hint">
+              Needs supervisor approval. The linked case must be closed and the retention period over.
+            </p>
+            <div className="form-grid">
+              <div className="form-group">
+                <label>Method *</label>
+                <select value={form.method} onChange={(e) => setForm({ ...form, method: e.target.value })}>
+                  {disposalMethods.map(method => <option key={method} value={method}>{method}</option>)}
+                </select>
+              </div>
+              <div className="form-group">
+                <label>Reason *</label>
+                <input
+                  type="text"
+                  required
+                  value={form.reason}
+                  onChange={(e) => setForm({ ...form, reason: e.target.value })}
+                />
+              </div>
+            </div>
+            <div className="form-group">
+              <label>Witnesses (one per line: name, badge number)</label>
+              <textarea
+                rows={3}
+                value={form.witnesses}
+                onChange={(e) => setForm({ ...form, witnesses: e.target.value })}
+              />
+            </div>
+            <div className="form-actions">
+              <button type="button" className="cancel-btn" onClick={() => setIsOpen(false)}>Cancel</button>
+              <button type="submit" className="submit-btn" disabled={isSubmitting}>
+                {isSubmitting ? 'Submitting...' : 'Submit for Approval'}
+              </button>
+            </div>
+          </form>
+        )}
+      </div>
+    );
+  };
+
   const EvidenceDetail = () => {
     const linkedCase = cases.find(c => c.id === selectedEvidence?.caseId);
     const linkedOB = obEntries.find(ob => ob.id === selectedEvidence?.obId);
@@ -583,10 +1076,32 @@ const Evidence = () => {
             Back to Evidence
           </button>
           <div className="detail-actions">
-            <button onClick={() => navigateToView('edit', selectedEvidence)}>
-              <Edit2 size={16} />
-              Edit Evidence
+            <div className="label-actions">
+              <select value={labelSymbology} onChange={(e) => setLabelSymbology(e.target.value)} title="Barcode type">
+                <option value="qr">QR code</option>
+                <option value="code128">Code128</option>
+              </select>
+              <button onClick={() => openLabel(selectedEvidence.id, 'pdf')} title="Print label (PDF)">
+                <Printer size={16} />
+                Label PDF
+              </button>
+              <button onClick={() => openLabel(selectedEvidence.id, 'png')} title="Label image (PNG)">
+                PNG
+              </button>
+            </div>
+            <button
+              onClick={() => window.open(`/api/evidence/${selectedEvidence.id}/custody/report`, '_blank')}
+              title="Chain of custody report with media hashes (PDF)"
+            >
+              <FileText size={16} />
+              Custody Report
             </button>
+            {can('evidence', 'update') && !isLocked(selectedEvidence) && (
+              <button onClick={() => navigateToView('edit', selectedEvidence)}>
+                <Edit2 size={16} />
+                Edit Evidence
+              </button>
+            )}
           </div>
         </div>
 
@@ -602,6 +1117,19 @@ const Evidence = () => {
             </div>
           </div>
 
+          {isLocked(selectedEvidence) && (
+            <div className="disposal-locked">
+              <Lock size={18} />
+              <span>
+                Disposed ({selectedEvidence.disposalMethod}) on {new Date(selectedEvidence.disposalDate).toLocaleDateString()} under {selectedEvidence.disposal.disposalNumber}. This record is locked.
+              </span>
+              <button onClick={() => window.open(`/api/disposals/${selectedEvidence.disposal.disposalId}/certificate`, '_blank')}>
+                <FileText size={14} />
+                Certificate
+              </button>
+            </div>
+          )}
+
           <div className="detail-grid">
             <div className="detail-section">
               <h3>Evidence Information</h3>
@@ -620,6 +1148,9 @@ const Evidence = () => {
               <p className="evidence-description">{selectedEvidence?.description}</p>
             </div>
 
+            {!isLocked(selectedEvidence) && <CheckoutPanel />}
+            {!isLocked(selectedEvidence) && <DisposalRequestPanel />}
+
             {selectedEvidence?.chain_of_custody && (
               <div className="detail-section">
                 <h3>Chain of Custody</h3>
@@ -628,28 +1159,136 @@ const Evidence = () => {
             )}
 
             <div className="detail-section">
-                <h3>Media</h3>
+              <div className="custody-log-header">
+                <h3>Chain of Custody Log</h3>
+                <button
+                  className="verify-chain-btn"
+                  onClick={() => verifyCustodyChain(selectedEvidence.id)}
+                  disabled={isVerifying}
+                >
+                  <ShieldCheck size={16} />
+                  {isVerifying ? 'Verifying...' : 'Verify Chain'}
+                </button>
+              </div>
+
+              {custodyVerification && (
+                <div className={`custody-verification ${custodyVerification.valid ? 'valid' : 'broken'}`}>
+                  <div className="verification-status">
+                    {custodyVerification.valid ? <ShieldCheck size={18} /> : <ShieldAlert size={18} />}
+                    <strong>
+                      {custodyVerification.valid
+                        ? `Chain intact (${custodyVerification.chainedEntries} signed entries)`
+                        : 'Chain integrity check failed'}
+                    </strong>
+                  </div>
+                  {custodyVerification.issues?.map((issue, index) => (
+                    <div key={index} className="verification-issue">
+                      {issue.sequence ? `#${issue.sequence}: ` : ''}{issue.reason}
+                    </div>
+                  ))}
+                </div>
+              )}
+
+              {selectedEvidence?.custodyLog?.length > 0 ? (
+                <div className="custody-log">
+                  {selectedEvidence.custodyLog.map((entry, index) => (
+                    <div key={entry.hash || index} className="custody-entry">
+                      <div className="custody-entry-main">
+                        <span className="custody-sequence">{entry.sequence ? `#${entry.sequence}` : '—'}</span>
+                        <strong>{entry.action}</strong>
+                        <span>by {entry.officer}</span>
+                        <span className="custody-time">{new Date(entry.timestamp).toLocaleString()}</span>
+                      </div>
+                      {(entry.location || entry.notes) && (
+                        <div className="custody-entry-notes">
+                          {entry.location && <span><MapPin size={12} /> {entry.location}</span>}
+                          {entry.notes && <span>{entry.notes}</span>}
+                        </div>
+                      )}
+                      <div className="custody-hash">
+                        {entry.hash ? `hash ${entry.hash.slice(0, 16)}…` : 'unsigned (recorded before chaining)'}
+                      </div>
+                    </div>
+                  ))}
+                </div>
+              ) : (
+                <p className="no-media-found">No custody events recorded.</p>
+              )}
+            </div>
+
+            <div className="detail-section">
+                <div className="custody-log-header">
+                  <h3>Media</h3>
+                  {can('evidence', 'update') && !isLocked(selectedEvidence) && (
+                    <label className={`verify-chain-btn attach-media-btn ${isUploadingMedia ? 'disabled' : ''}`}>
+                      <Upload size={16} />
+                      {isUploadingMedia ? 'Uploading...' : 'Attach Files'}
+                      <input type="file" multiple onChange={attachFiles} disabled={isUploadingMedia} hidden />
+                    </label>
+                  )}
+                  {selectedEvidence?.media?.some(mediaItem => mediaItem.sha256) && (
+                    <button
+                      className="verify-chain-btn"
+                      onClick={() => verifyMedia(selectedEvidence.id)}
+                      disabled={isVerifyingMedia}
+                    >
+                      <ShieldCheck size={16} />
+                      {isVerifyingMedia ? 'Hashing...' : 'Verify Files'}
+                    </button>
+                  )}
+                </div>
+
+                {mediaUploadError && <div className="error-message">{mediaUploadError}</div>}
+
+                {mediaVerification && (
+                  mediaVerification.error ? (
+                    <div className="custody-verification broken">
+                      <div className="verification-status"><ShieldAlert size={18} /><strong>{mediaVerification.error}</strong></div>
+                    </div>
+                  ) : (
+                    <div className={`custody-verification ${mediaVerification.results.every(r => r.status === 'ok' || r.status === 'unhashed') ? 'valid' : 'broken'}`}>
+                      {mediaVerification.results.map(result => (
+                        <div key={result.index} className="verification-status">
+                          {result.status === 'ok' ? <ShieldCheck size={16} /> : <ShieldAlert size={16} />}
+                          <span>
+                            {result.name}: {{
+                              ok: 'SHA-256 matches',
+                              mismatch: 'SHA-256 MISMATCH - file has changed since ingest',
+                              missing: 'stored file is MISSING',
+                              unhashed: 'no hash recorded'
+                            }[result.status]}
+                          </span>
+                        </div>
+                      ))}
+                    </div>
+                  )
+                )}
+
                 {selectedEvidence?.media && selectedEvidence.media.length > 0 ? (
                   <div className="media-gallery">
                     {selectedEvidence.media.map((mediaItem, index) => (
                       <div key={index} className="media-item">
-                        {mediaItem.url && isImageFile(mediaItem.name) ? (
-                          <img
-                            src={mediaItem.url}
-                            alt="Evidence Media"
-                            crossOrigin="anonymous"
-                            onError={(e) => {
-                              console.error('❌ Failed to load gallery image:', mediaItem.url);
-                              e.target.style.display = 'none';
-                              e.target.nextElementSibling.style.display = 'flex';
-                            }}
-                            onLoad={() => {
-                              console.log('✅ Gallery image loaded:', mediaItem.url);
-                            }}
-                          />
-                        ) : mediaItem.url && isVideoFile(mediaItem.name) ? (
+                        {mediaItem.url && isPhoto(mediaItem) ? (
+                          <a href={mediaItem.url} target="_blank" rel="noopener noreferrer" title="Open full size">
+                            <img
+                              src={mediaItem.thumbnail?.url || mediaItem.url}
+                              alt="Evidence Media"
+                              crossOrigin="anonymous"
+                              onError={(e) => {
+                                console.error('❌ Failed to load gallery image:', mediaItem.url);
+                                e.target.parentElement.style.display = 'none';
+                                e.target.parentElement.nextElementSibling.style.display = 'flex';
+                              }}
+                              onLoad={() => {
+                                console.log('✅ Gallery image loaded:', mediaItem.url);
+                              }}
+                            />
+                          </a>
+                        ) : mediaItem.url && isVideo(mediaItem) ? (
                           <video
                             controls
+                            preload="metadata"
+                            poster={mediaItem.thumbnail?.url}
                             src={mediaItem.url}
                             crossOrigin="anonymous"
                             onError={(e) => {
@@ -671,7 +1310,39 @@ const Evidence = () => {
                           <p>Media unavailable</p>
                         </div>
                         <div className="media-info">
-                          <small>Uploaded: {new Date(mediaItem.uploadedAt).toLocaleDateString()}</small>
+                          <small>
+                            Uploaded: {new Date(mediaItem.uploadedAt).toLocaleDateString()}
+                            {mediaItem.uploadedBy && ` by ${mediaItem.uploadedBy}`}
+                          </small>
+                          {mediaItem.metadata && mediaDetails(mediaItem.metadata).length > 0 && (
+                            <small className="media-metadata">{mediaDetails(mediaItem.metadata).join(' · ')}</small>
+                          )}
+                          {mediaItem.metadata?.gps && (
+                            <small className="media-location">
+                              <MapPin size={12} />
+                              {mediaItem.metadata.gps.latitude.toFixed(5)}, {mediaItem.metadata.gps.longitude.toFixed(5)}
+                              {mediaItem.geofileId ? (
+                                <span className="media-on-map">On map</span>
+                              ) : can('geofiles', 'create') && !isLocked(selectedEvidence) && (
+                                <button
+                                  className="media-geotag-btn"
+                                  onClick={() => geotagMedia(mediaItem)}
+                                  disabled={geotaggingMedia === mediaItem.filename}
+                                >
+                                  {geotaggingMedia === mediaItem.filename ? 'Adding...' : 'Add to map'}
+                                </button>
+                              )}
+                            </small>
+                          )}
+                          {mediaItem.sha256 && (
+                            <small className="media-hash" title={mediaItem.sha256}>SHA-256 {mediaItem.sha256.slice(0, 16)}…</small>
+                          )}
+                          {mediaItem.url?.startsWith('/api/') && (
+                            <small>
+                              <a href={`${mediaItem.url}?download=true`}>Download</a>
+                              {mediaItem.downloadCount > 0 && ` · ${mediaItem.downloadCount} download(s)`}
+                            </small>
+                          )}
                         </div>
                       </div>
                     ))}
@@ -707,7 +1378,820 @@ const Evidence = () => {
     );
   };
 
+  // Evidence-room scan station: a handheld scanner types the label code and presses Enter
+  const ScanStation = () => {
+    const [code, setCode] = useState('');
+    const [scanned, setScanned] = useState(null);
+    const [transfer, setTransfer] = useState({ action: 'Transferred', location: '', notes: '' });
+    const [transferOnScan, setTransferOnScan] = useState(false);
+    const [isWorking, setIsWorking] = useState(false);
+    const [message, setMessage] = useState(null);
+    const canTransfer = can('evidence', 'update');
+
+    const lookUp = async () => {
+      if (!code.trim()) return;
+      setIsWorking(true);
+      setMessage(null);
+      try {
+        const response = await fetch(`/api/evidence/scan/${encodeURIComponent(code.trim())}`);
+        const data = await response.json();
+        if (response.ok) {
+          setScanned(data.evidence);
+        } else {
+          setScanned(null);
+          setMessage({ type: 'error', text: data.error });
+        }
+      } catch (error) {
+        setMessage({ type: 'error', text: 'Network error. Please try again.' });
+      } finally {
+        setIsWorking(false);
+      }
+    };
+
+    const recordTransfer = async (scanCode) => {
+      setIsWorking(true);
+      setMessage(null);
+      try {
+        const response = await fetch(`/api/evidence/scan/${encodeURIComponent(scanCode)}/custody`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify(transfer)
+        });
+        const data = await response.json();
+        if (response.ok) {
+          setScanned(data.evidence);
+          setMessage({
+            type: 'success',
+            text: `${transfer.action} recorded for ${data.evidence.evidenceNumber} (#${data.custodyEntry.sequence})`
+          });
+          setCode('');
+        } else {
+          setMessage({ type: 'error', text: data.error });
+        }
+      } catch (error) {
+        setMessage({ type: 'error', text: 'Network error. Please try again.' });
+      } finally {
+        setIsWorking(false);
+      }
+    };
+
+    const handleScan = (e) => {
+      e.preventDefault();
+      if (transferOnScan && canTransfer) {
+        if (code.trim()) recordTransfer(code.trim());
+      } else {
+        lookUp();
+      }
+    };
+
+    const lastCustody = scanned?.custodyLog?.[scanned.custodyLog.length - 1];
+
+    return (
+      <div className="evidence-scan">
+        <div className="detail-header">
+          <button className="back-btn" onClick={goBack}>
+            <Camera size={20} />
+            Back to Evidence
+          </button>
+          <h1>Scan Evidence</h1>
+        </div>
+
+        <form className="scan-form" onSubmit={handleScan}>
+          <ScanLine size={24} />
+          <input
+            type="text"
+            autoFocus
+            placeholder="Scan a label or type an evidence number..."
+            value={code}
+            onChange={(e) => setCode(e.target.value)}
+            disabled={isWorking}
+          />
+          <button type="submit" className="submit-btn" disabled={isWorking || !code.trim()}>
+            {transferOnScan && canTransfer ? 'Scan & Record' : 'Look Up'}
+          </button>
+        </form>
+
+        {canTransfer && (
+          <div className="scan-transfer-panel">
+            <div className="form-group">
+              <label>Custody Action</label>
+              <select value={transfer.action} onChange={(e) => setTransfer({ ...transfer, action: e.target.value })}>
+                {transferActions.map(action => <option key={action} value={action}>{action}</option>)}
+              </select>
+            </div>
+            <div className="form-group">
+              <label>Location</label>
+              <input
+                type="text"
+                placeholder="e.g. Evidence Room B, Shelf 4"
+                value={transfer.location}
+                onChange={(e) => setTransfer({ ...transfer, location: e.target.value })}
+              />
+            </div>
+            <div className="form-group">
+              <label>Notes</label>
+              <input
+                type="text"
+                value={transfer.notes}
+                onChange={(e) => setTransfer({ ...transfer, notes: e.target.value })}
+              />
+            </div>
+            <label className="scan-toggle">
+              <input type="checkbox" checked={transferOnScan} onChange={(e) => setTransferOnScan(e.target.checked)} />
+              Record this action on every scan
+            </label>
+          </div>
+        )}
+
+        {message && (
+          <div className={message.type === 'error' ? 'error-message' : 'scan-success'}>{message.text}</div>
+        )}
+
+        {scanned && (
+          <div className="detail-section scan-result">
+            <h3>{scanned.evidenceNumber}</h3>
+            <div className="info-grid">
+              <div><strong>Type:</strong> {scanned.type}</div>
+              <div><strong>Status:</strong> {scanned.status}</div>
+              <div><strong>Description:</strong> {scanned.description}</div>
+              <div><strong>Storage:</strong> {scanned.storageLocation || scanned.location}</div>
+              {scanned.custodyStatus === 'checked_out' && (
+                <div className={isOverdue(scanned.checkout) ? 'overdue-text' : ''}>
+                  <strong>Checked out to:</strong> {scanned.checkout?.checkedOutTo?.name}, due {new Date(scanned.checkout?.expectedReturnAt).toLocaleDateString()}
+                  {isOverdue(scanned.checkout) && ' — OVERDUE'}
+                </div>
+              )}
+              {lastCustody && (
+                <div>
+                  <strong>Last custody:</strong> {lastCustody.action} by {lastCustody.officer}, {new Date(lastCustody.timestamp).toLocaleString()}
+                </div>
+              )}
+            </div>
+            <div className="form-actions">
+              {canTransfer && !transferOnScan && (
+                <button className="submit-btn" onClick={() => recordTransfer(scanned.evidenceNumber)} disabled={isWorking}>
+                  Record {transfer.action}
+                </button>
+              )}
+              <button className="cancel-btn" onClick={() => navigateToView('detail', scanned)}>
+                Open Item
+              </button>
+            </div>
+          </div>
+        )}
+      </div>
+    );
+  };
+
+  // Disposal requests: supervisors approve or reject; approved ones print a certificate
+  const DisposalQueue = () => {
+    const [disposals, setDisposals] = useState([]);
+    const [filter, setFilter] = useState('Pending');
+    const [witnessText, setWitnessText] = useState({});
+    const [rejectReason, setRejectReason] = useState({});
+    const [isWorking, setIsWorking] = useState(false);
+    const [message, setMessage] = useState(null);
+    const canApprove = can('evidence', 'approve');
+
+    const loadDisposals = async () => {
+      try {
+        const response = await fetch(`/api/disposals${filter ? `?status=${filter}` : ''}`);
+        const data = await response.json();
+        if (response.ok) {
+          setDisposals(data.disposals || []);
+          setWitnessText(Object.fromEntries((data.disposals || []).map(d => [d.id, formatWitnessLines(d.witnesses)])));
+        } else {
+          setMessage({ type: 'error', text: data.error });
+        }
+      } catch (error) {
+        setMessage({ type: 'error', text: 'Network error. Please try again.' });
+      }
+    };
+
+    useEffect(() => {
+      loadDisposals();
+    }, [filter]);
+
+    const decide = async (disposal, decision) => {
+      setIsWorking(true);
+      setMessage(null);
+      try {
+        const body = decision === 'approve'
+          ? { witnesses: parseWitnessLines(witnessText[disposal.id] || '') }
+          : { reason: rejectReason[disposal.id] || '' };
+        const response = await fetch(`/api/disposals/${disposal.id}/${decision}`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify(body)
+        });
+        const data = await response.json();
+        if (response.ok) {
+          setMessage({ type: 'success', text: data.message });
+          loadDisposals();
+        } else {
+          const reasons = data.blockers?.map(item => `${item.evidenceNumber}: ${item.reasons.join('; ')}`);
+          setMessage({ type: 'error', text: reasons?.length ? reasons.join(' | ') : data.error });
+        }
+      } catch (error) {
+        setMessage({ type: 'error', text: 'Network error. Please try again.' });
+      } finally {
+        setIsWorking(false);
+      }
+    };
+
+    return (
+      <div className="evidence-scan">
+        <div className="detail-header">
+          <button className="back-btn" onClick={goBack}>
+            <Camera size={20} />
+            Back to Evidence
+          </button>
+          <h1>Disposal Requests</h1>
+          <div className="filter-controls">
+            <select value={filter} onChange={(e) => setFilter(e.target.value)}>
+              <option value="Pending">Pending</option>
+              <option value="Approved">Approved</option>
+              <option value="Rejected">Rejected</option>
+              <option value="">All</option>
+            </select>
+          </div>
+        </div>
+
+        {message && (
+          <div className={message.type === 'error' ? 'error-message' : 'scan-success'}>{message.text}</div>
+        )}
+
+        {disposals.length === 0 ? (
+          <div className="empty-state">
+            <Trash2 size={48} />
+            <h3>No {filter ? `${filter.toLowerCase()} ` : ''}disposal requests</h3>
+          </div>
+        ) : disposals.map(disposal => (
+          <div key={disposal.id} className="detail-section disposal-card">
+            <div className="custody-log-header">
+              <h3>{disposal.disposalNumber} · {disposal.method}</h3>
+              <span className={`disposal-status ${disposal.status.toLowerCase()}`}>{disposal.status}</span>
+            </div>
+            <div className="info-grid">
+              <div><strong>Reason:</strong> {disposal.reason}</div>
+              <div><strong>Requested by:</strong> {disposal.requestedBy?.name || disposal.requestedBy?.username || 'Unknown'}, {new Date(disposal.createdAt).toLocaleDateString()}</div>
+              {disposal.approvedAt && (
+                <div><strong>Approved by:</strong> {disposal.approvedBy?.name || disposal.approvedBy?.username}, {new Date(disposal.approvedAt).toLocaleDateString()}</div>
+              )}
+              {disposal.rejectionReason && (
+                <div><strong>Rejected:</strong> {disposal.rejectionReason}</div>
+              )}
+            </div>
+            <ul className="disposal-items">
+              {disposal.items.map(item => (
+                <li key={item.evidenceId}>
+                  <strong>{item.evidenceNumber}</strong> {item.caseNumber && `(${item.caseNumber})`} {item.description}
+                </li>
+              ))}
+            </ul>
+
+            {disposal.status === 'Pending' && canApprove && (
+              <div className="checkout-form">
+                <div className="form-grid">
+                  <div className="form-group">
+                    <label>Witnesses (one per line: name, badge number)</label>
+                    <textarea
+                      rows={3}
+                      value={witnessText[disposal.id] || ''}
+                      onChange={(e) => setWitnessText({ ...witnessText, [disposal.id]: e.target.value })}
+                    />
+                  </div>
+                  <div className="form-group">
+                    <label>Rejection reason</label>
+                    <input
+                      type="text"
+                      value={rejectReason[disposal.id] || ''}
+                      onChange={(e) => setRejectReason({ ...rejectReason, [disposal.id]: e.target.value })}
+                    />
+                  </div>
+                </div>
+                <div className="form-actions">
+                  <button
+                    className="cancel-btn"
+                    onClick={() => decide(disposal, 'reject')}
+                    disabled={isWorking || !rejectReason[disposal.id]}
+                  >
+                    Reject
+                  </button>
+                  <button className="submit-btn" onClick={() => decide(disposal, 'approve')} disabled={isWorking}>
+                    <Lock size={16} />
+                    Approve &amp; Lock Items
+                  </button>
+                </div>
+              </div>
+            )}
+
+            {disposal.status === 'Approved' && (
+              <div className="form-actions">
+                <button className="submit-btn" onClick={() => window.open(`/api/disposals/${disposal.id}/certificate`, '_blank')}>
+                  <FileText size={16} />
+                  Disposal Certificate
+                </button>
+              </div>
+            )}
+          </div>
+        ))}
+      </div>
+    );
+  };
+
+  const InventoryAudits = () => {
+    const [audits, setAudits] = useState([]);
+    const [filter, setFilter] = useState('Open');
+    const [audit, setAudit] = useState(null);
+    const [newAudit, setNewAudit] = useState({ evidenceRoom: '', storageLocation: '', notes: '' });
+    const [code, setCode] = useState('');
+    const [foundLocation, setFoundLocation] = useState('');
+    const [completion, setCompletion] = useState({ markMissing: true, notes: '' });
+    const [verification, setVerification] = useState(null);
+    const [isWorking, setIsWorking] = useState(false);
+    const [message, setMessage] = useState(null);
+    const canAudit = can('evidence', 'approve');
+
+    const loadAudits = async () => {
+      try {
+        const response = await fetch(`/api/inventory-audits${filter ? `?status=${filter}` : ''}`);
+        const data = await response.json();
+        if (response.ok) {
+          setAudits(data.audits || []);
+        } else {
+          setMessage({ type: 'error', text: data.error });
+        }
+      } catch (error) {
+        setMessage({ type: 'error', text: 'Network error. Please try again.' });
+      }
+    };
+
+    useEffect(() => {
+      loadAudits();
+    }, [filter]);
+
+    // Every audit action answers with the updated audit
+    const send = async (url, method = 'POST', body) => {
+      setIsWorking(true);
+      setMessage(null);
+      try {
+        const response = await fetch(url, {
+          method,
+          headers: { 'Content-Type': 'application/json' },
+          body: body ? JSON.stringify(body) : undefined
+        });
+        const data = await response.json();
+        if (response.ok) {
+          setAudit(data.audit);
+          if (data.message) setMessage({ type: data.found?.expected === false ? 'error' : 'success', text: data.message });
+          return data;
+        }
+        setMessage({ type: 'error', text: data.error });
+      } catch (error) {
+        setMessage({ type: 'error', text: 'Network error. Please try again.' });
+      } finally {
+        setIsWorking(false);
+      }
+      return null;
+    };
+
+    const openAudit = async (id) => {
+      setVerification(null);
+      setMessage(null);
+      const response = await fetch(`/api/inventory-audits/${id}`);
+      const data = await response.json();
+      if (response.ok) {
+        setAudit(data.audit);
+        setFoundLocation(data.audit.storageLocation || '');
+      } else {
+        setMessage({ type: 'error', text: data.error });
+      }
+    };
+
+    const startAudit = async (e) => {
+      e.preventDefault();
+      const data = await send('/api/inventory-audits', 'POST', newAudit);
+      if (data) {
+        setFoundLocation(data.audit.storageLocation || '');
+        setNewAudit({ evidenceRoom: '', storageLocation: '', notes: '' });
+      }
+    };
+
+    const scanFound = async (e) => {
+      e.preventDefault();
+      if (!code.trim()) return;
+      const data = await send(`/api/inventory-audits/${audit.id}/found`, 'POST', { code: code.trim(), foundLocation });
+      if (data) setCode('');
+    };
+
+    const toggleFound = (item, isFound) => (isFound
+      ? send(`/api/inventory-audits/${audit.id}/found/${item.evidenceId}`, 'DELETE')
+      : send(`/api/inventory-audits/${audit.id}/found`, 'POST', { evidenceId: item.evidenceId, foundLocation }));
+
+    const completeAudit = async () => {
+      const missing = audit.findings?.missing?.length || 0;
+      if (missing > 0 && completion.markMissing &&
+        !window.confirm(`${missing} item(s) were not found and will be marked Missing. Complete ${audit.auditNumber}?`)) {
+        return;
+      }
+      const data = await send(`/api/inventory-audits/${audit.id}/complete`, 'POST', completion);
+      if (data) {
+        loadAudits();
+        fetchEvidence();
+      }
+    };
+
+    const cancelAudit = async () => {
+      const reason = window.prompt(`Why is ${audit.auditNumber} being cancelled?`);
+      if (!reason) return;
+      if (await send(`/api/inventory-audits/${audit.id}/cancel`, 'POST', { reason })) loadAudits();
+    };
+
+    const verifyReport = async () => {
+      const response = await fetch(`/api/inventory-audits/${audit.id}/verify`);
+      const data = await response.json();
+      setVerification(response.ok ? data.verification : { valid: false, reason: data.error });
+    };
+
+    const FindingList = ({ title, items, describe }) => (
+      <div className="detail-section analytics-card">
+        <h3>{title} ({items.length})</h3>
+        {items.length === 0 ? (
+          <p className="no-media-found">None.</p>
+        ) : items.map(item => (
+          <div key={item.evidenceId} className="inventory-finding">
+            <strong>{item.evidenceNumber}</strong> {item.description}
+            <small>{describe(item)}</small>
+          </div>
+        ))}
+      </div>
+    );
+
+    if (audit) {
+      const foundIds = new Set((audit.found || []).map(item => item.evidenceId));
+      const unexpected = (audit.found || []).filter(item => !item.expected);
+      const isOpen = audit.status === 'Open';
+      const { findings } = audit;
+
+      return (
+        <div className="evidence-scan">
+          <div className="detail-header">
+            <button className="back-btn" onClick={() => { setAudit(null); loadAudits(); }}>
+              <ClipboardCheck size={20} />
+              Back to Audits
+            </button>
+            <h1>{audit.auditNumber}</h1>
+            <span className={`disposal-status ${audit.status.toLowerCase()}`}>{audit.status}</span>
+          </div>
+
+          <div className="detail-section">
+            <div className="info-grid">
+              <div><strong>Room:</strong> {audit.evidenceRoom}</div>
+              <div><strong>Shelf:</strong> {audit.storageLocation || 'Whole room'}</div>
+              <div><strong>Opened:</strong> {new Date(audit.createdAt).toLocaleString()} by {audit.openedBy?.name || audit.openedBy?.username || 'Unknown'}</div>
+              <div><strong>Progress:</strong> {findings?.counts.found ?? audit.found?.length} found of {findings?.counts.expected ?? audit.expected?.length} expected</div>
+              {audit.completedAt && (
+                <div><strong>Completed:</strong> {new Date(audit.completedAt).toLocaleString()} by {audit.completedBy?.name || audit.completedBy?.username}</div>
+              )}
+              {audit.cancellationReason && <div><strong>Cancelled:</strong> {audit.cancellationReason}</div>}
+            </div>
+          </div>
+
+          {message && (
+            <div className={message.type === 'error' ? 'error-message' : 'scan-success'}>{message.text}</div>
+          )}
+
+          {isOpen && canAudit && (
+            <form className="scan-form" onSubmit={scanFound}>
+              <ScanLine size={24} />
+              <input
+                type="text"
+                autoFocus
+                placeholder="Scan each label as the item is found..."
+                value={code}
+                onChange={(e) => setCode(e.target.value)}
+                disabled={isWorking}
+              />
+              <input
+                type="text"
+                className="inventory-location-input"
+                placeholder="Found on shelf"
+                value={foundLocation}
+                onChange={(e) => setFoundLocation(e.target.value)}
+              />
+              <button type="submit" className="submit-btn" disabled={isWorking || !code.trim()}>Found</button>
+            </form>
+          )}
+
+          {findings && (
+            <div className="analytics-grid">
+              <FindingList
+                title={isOpen ? 'Not found yet' : 'Expected but not found'}
+                items={findings.missing}
+                describe={item => `${item.storageLocation || 'No location'}${audit.markedMissing?.some(m => m.evidenceId === item.evidenceId) ? ' · marked Missing' : ''}`}
+              />
+              <FindingList title="Wrong location" items={findings.misplaced} describe={item => `Found at ${item.foundLocation || audit.storageLocation || audit.evidenceRoom}, ${item.problem}`} />
+              <FindingList
+                title="Not sealed"
+                items={findings.unsealed}
+                describe={item => [!item.isSealed && 'item not sealed', !item.bagsSealed && 'bags not sealed'].filter(Boolean).join(', ')}
+              />
+              <FindingList title="Checked out" items={findings.checkedOut} describe={item => item.storageLocation || 'No location'} />
+            </div>
+          )}
+
+          <div className="detail-section">
+            <h3>Checklist ({audit.expected?.length || 0} expected{unexpected.length > 0 ? `, ${unexpected.length} unexpected` : ''})</h3>
+            {[...(audit.expected || []), ...unexpected].map(item => {
+              const isFound = foundIds.has(item.evidenceId);
+              return (
+                <label key={item.evidenceId} className={`inventory-item ${isFound ? 'found' : ''}`}>
+                  <input
+                    type="checkbox"
+                    checked={isFound}
+                    disabled={!isOpen || !canAudit || isWorking}
+                    onChange={() => toggleFound(item, isFound)}
+                  />
+                  <strong>{item.evidenceNumber}</strong>
+                  <span>{item.description}</span>
+                  <small>
+                    {item.storageLocation || 'No location'}
+                    {item.custodyStatus === 'checked_out' && ' · checked out'}
+                    {item.expected === false && ` · belongs in ${item.evidenceRoom || 'no recorded room'}`}
+                  </small>
+                </label>
+              );
+            })}
+          </div>
+
+          {isOpen && canAudit && (
+            <div className="detail-section">
+              <h3>Complete Audit</h3>
+              <label className="scan-toggle">
+                <input
+                  type="checkbox"
+                  checked={completion.markMissing}
+                  onChange={(e) => setCompletion({ ...completion, markMissing: e.target.checked })}
+                />
+                Mark items not found as Missing
+              </label>
+              <div className="form-group">
+                <label>Notes</label>
+                <textarea rows={2} value={completion.notes} onChange={(e) => setCompletion({ ...completion, notes: e.target.value })} />
+              </div>
+              <div className="form-actions">
+                <button className="cancel-btn" onClick={cancelAudit} disabled={isWorking}>Cancel Audit</button>
+                <button className="submit-btn" onClick={completeAudit} disabled={isWorking}>
+                  <ClipboardCheck size={16} />
+                  {isWorking ? 'Saving...' : 'Complete & Sign'}
+                </button>
+              </div>
+            </div>
+          )}
+
+          {audit.status === 'Completed' && (
+            <div className="detail-section">
+              <div className="custody-log-header">
+                <h3>Signed Report</h3>
+                <button className="verify-chain-btn" onClick={verifyReport}>
+                  <ShieldCheck size={16} />
+                  Verify Signature
+                </button>
+                <a className="verify-chain-btn" href={`/api/inventory-audits/${audit.id}/report`} target="_blank" rel="noopener noreferrer">
+                  <Printer size={16} />
+                  Report PDF
+                </a>
+              </div>
+              <small className="media-hash">SHA-256 {audit.signature?.hash}</small>
+              {verification && (
+                <div className={`custody-verification ${verification.valid ? 'valid' : 'broken'}`}>
+                  <div className="verification-status">
+                    {verification.valid ? <ShieldCheck size={18} /> : <ShieldAlert size={18} />}
+                    <strong>{verification.valid ? 'Report signature is valid' : verification.reason}</strong>
+                  </div>
+                </div>
+              )}
+            </div>
+          )}
+        </div>
+      );
+    }
+
+    return (
+      <div className="evidence-scan">
+        <div className="detail-header">
+          <button className="back-btn" onClick={goBack}>
+            <Camera size={20} />
+            Back to Evidence
+          </button>
+          <h1>Inventory Audits</h1>
+          <div className="filter-controls">
+            <select value={filter} onChange={(e) => setFilter(e.target.value)}>
+              <option value="Open">Open</option>
+              <option value="Completed">Completed</option>
+              <option value="Cancelled">Cancelled</option>
+              <option value="">All</option>
+            </select>
+          </div>
+        </div>
+
+        {message && (
+          <div className={message.type === 'error' ? 'error-message' : 'scan-success'}>{message.text}</div>
+        )}
+
+        {canAudit && (
+          <form className="detail-section" onSubmit={startAudit}>
+            <h3>Start an Audit</h3>
+            <div className="form-grid">
+              <div className="form-group">
+                <label>Evidence Room *</label>
+                <input
+                  type="text"
+                  required
+                  value={newAudit.evidenceRoom}
+                  onChange={(e) => setNewAudit({ ...newAudit, evidenceRoom: e.target.value })}
+                />
+              </div>
+              <div className="form-group">
+                <label>Shelf</label>
+                <input
+                  type="text"
+                  placeholder="Leave blank for the whole room"
+                  value={newAudit.storageLocation}
+                  onChange={(e) => setNewAudit({ ...newAudit, storageLocation: e.target.value })}
+                />
+              </div>
+            </div>
+            <div className="form-group">
+              <label>Notes</label>
+              <input type="text" value={newAudit.notes} onChange={(e) => setNewAudit({ ...newAudit, notes: e.target.value })} />
+            </div>
+            <div className="form-actions">
+              <button type="submit" className="submit-btn" disabled={isWorking || !newAudit.evidenceRoom.trim()}>
+                <ClipboardCheck size={16} />
+                Start Audit
+              </button>
+            </div>
+          </form>
+        )}
+
+        {audits.length === 0 ? (
+          <div className="empty-state">
+            <ClipboardCheck size={48} />
+            <h3>No {filter ? `${filter.toLowerCase()} ` : ''}inventory audits</h3>
+          </div>
+        ) : audits.map(item => (
+          <div key={item.id} className="detail-section disposal-card inventory-card" onClick={() => openAudit(item.id)}>
+            <div className="custody-log-header">
+              <h3>{item.auditNumber} · {item.evidenceRoom}{item.storageLocation ? `, ${item.storageLocation}` : ''}</h3>
+              <span className={`disposal-status ${item.status.toLowerCase()}`}>{item.status}</span>
+            </div>
+            <div className="info-grid">
+              <div><strong>Opened:</strong> {new Date(item.createdAt).toLocaleString()} by {item.openedBy?.name || item.openedBy?.username || 'Unknown'}</div>
+              {item.findings && (
+                <div>
+                  <strong>Result:</strong> {item.findings.counts.found} of {item.findings.counts.expected} found, {item.findings.missing.length} missing, {item.findings.misplaced.length} misplaced, {item.findings.unsealed.length} unsealed
+                </div>
+              )}
+            </div>
+          </div>
+        ))}
+      </div>
+    );
+  };
+
+  const EvidenceAnalytics = () => {
+    const [caseId, setCaseId] = useState('');
+    const [from, setFrom] = useState('');
+    const [to, setTo] = useState('');
+    const [stats, setStats] = useState(null);
+    const [isLoadingStats, setIsLoadingStats] = useState(false);
+    const [statsError, setStatsError] = useState('');
+
+    const loadStats = async () => {
+      setIsLoadingStats(true);
+      setStatsError('');
+      try {
+        const params = new URLSearchParams();
+        if (caseId) params.set('caseId', caseId);
+        if (from) params.set('from', from);
+        if (to) params.set('to', to);
+        const response = await fetch(`/api/evidence/stats?${params}`);
+        const data = await response.json();
+        if (response.ok) {
+          setStats(data.stats);
+        } else {
+          setStatsError(data.error || 'Failed to load evidence statistics');
+        }
+      } catch (error) {
+        setStatsError('Network error. Please try again.');
+      } finally {
+        setIsLoadingStats(false);
+      }
+    };
+
+    useEffect(() => {
+      loadStats();
+    }, [caseId, from, to]);
+
+    const weekly = (stats?.collectedPerWeek || []).map(week => ({
+      week: new Date(week.weekStart).toLocaleDateString(undefined, { day: 'numeric', month: 'short' }),
+      count: week.count
+    }));
+
+    const CountList = ({ title, counts }) => {
+      const max = Math.max(1, ...counts.map(item => item.count));
+      return (
+        <div className="detail-section analytics-card">
+          <h3>{title}</h3>
+          {counts.length === 0 ? (
+            <p className="no-media-found">No items.</p>
+          ) : counts.map(item => (
+            <div key={item.value} className="analytics-row">
+              <span className="analytics-label">{item.value}</span>
+              <div className="analytics-bar"><div style={{ width: `${(item.count / max) * 100}%` }} /></div>
+              <span className="analytics-count">{item.count}</span>
+            </div>
+          ))}
+        </div>
+      );
+    };
+
+    return (
+      <div className="evidence-scan">
+        <div className="detail-header">
+          <button className="back-btn" onClick={goBack}>
+            <Camera size={20} />
+            Back to Evidence
+          </button>
+          <h1>Evidence Analytics</h1>
+          <div className="filter-controls analytics-filters">
+            <select value={caseId} onChange={(e) => setCaseId(e.target.value)}>
+              <option value="">All cases</option>
+              {cases.map(caseItem => (
+                <option key={caseItem.id} value={caseItem.id}>{caseItem.caseNumber} - {caseItem.title}</option>
+              ))}
+            </select>
+            <input type="date" value={from} onChange={(e) => setFrom(e.target.value)} title="Collected from" />
+            <input type="date" value={to} onChange={(e) => setTo(e.target.value)} title="Collected to" />
+          </div>
+        </div>
+
+        {statsError && <div className="error-message">{statsError}</div>}
+
+        {!stats ? (
+          <div className="empty-state">
+            <BarChart3 size={48} />
+            <h3>{isLoadingStats ? 'Loading statistics...' : 'No statistics available'}</h3>
+          </div>
+        ) : (
+          <>
+            <div className="detail-section analytics-summary">
+              <h3>{stats.total} item{stats.total === 1 ? '' : 's'}</h3>
+              <small>As of {new Date(stats.generatedAt).toLocaleString()}</small>
+            </div>
+
+            <div className="detail-section">
+              <h3>Collected per week</h3>
+              {weekly.length === 0 ? (
+                <p className="no-media-found">No items collected in this period.</p>
+              ) : (
+                <ResponsiveContainer width="100%" height={240}>
+                  <BarChart data={weekly}>
+                    <CartesianGrid strokeDasharray="3 3" stroke="#3a526b" />
+                    <XAxis dataKey="week" stroke="#bdc3c7" />
+                    <YAxis allowDecimals={false} stroke="#bdc3c7" />
+                    <Tooltip contentStyle={{ background: '#2c3e50', border: '1px solid #3a526b', color: '#ecf0f1' }} />
+                    <Bar dataKey="count" name="Items collected" fill="#3498db" />
+                  </BarChart>
+                </ResponsiveContainer>
+              )}
+            </div>
+
+            <div className="analytics-grid">
+              <CountList title="Time in storage" counts={stats.ageing.map(bucket => ({ value: bucket.label, count: bucket.count }))} />
+              <CountList title="By status" counts={stats.byStatus} />
+              <CountList title="By type" counts={stats.byType} />
+              <CountList title="By condition" counts={stats.byCondition} />
+              <CountList title="By evidence room" counts={stats.byEvidenceRoom} />
+              <CountList title="By priority" counts={stats.byPriority} />
+            </div>
+          </>
+        )}
+      </div>
+    );
+  };
+
   switch (currentView) {
+    case 'analytics':
+      return <EvidenceAnalytics />;
+    case 'inventory':
+      return <InventoryAudits />;
+    case 'disposals':
+      return <DisposalQueue />;
+    case 'scan':
+      return <ScanStation />;
     case 'detail':
       return <EvidenceDetail />;
     case 'create':
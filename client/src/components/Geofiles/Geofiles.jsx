@@ -17,9 +17,12 @@ import {
   Trash2
 } from 'lucide-react';
 import InteractiveMap from './InteractiveMap';
+import { useAuth } from '../../context/AuthContext';
+import Pagination from '../Pagination/Pagination';
 import './Geofiles.css';
 
 const Geofiles = () => {
+  const { can } = useAuth();
   const [geofiles, setGeofiles] = useState([]);
   const [cases, setCases] = useState([]);
   const [obEntries, setObEntries] = useState([]);
@@ -40,6 +43,10 @@ const Geofiles = () => {
   const [dateFromFilter, setDateFromFilter] = useState('');
   const [dateToFilter, setDateToFilter] = useState('');
   const [showAdvancedFilters, setShowAdvancedFilters] = useState(false);
+  // Near-location search: lat/lng in degrees, radius in metres
+  const [nearFilter, setNearFilter] = useState({ lat: '', lng: '', radius: '1000' });
+  const [page, setPage] = useState(1);
+  const [pagination, setPagination] = useState(null);
 
   // Fetch data from API
   const fetchGeofiles = async () => {
@@ -48,28 +55,38 @@ const Geofiles = () => {
       setIsLoading(true);
 
       // Build query parameters for filtering
-      const params = new URLSearchParams();
+      const params = new URLSearchParams({ page, limit: 24 });
       if (searchTerm) params.append('search', searchTerm);
-      if (typeFilter) params.append('fileType', typeFilter);
+      if (typeFilter) params.append('fileType', typeFilter.toLowerCase());
       if (accessLevelFilter) params.append('accessLevel', accessLevelFilter);
       if (tagFilter) params.append('tags', tagFilter);
       if (dateFromFilter) params.append('dateFrom', dateFromFilter);
       if (dateToFilter) params.append('dateTo', dateToFilter);
 
+      // With a location set, results come back nearest first from the spatial endpoint
+      const nearSearch = nearFilter.lat !== '' && nearFilter.lng !== '';
+      if (nearSearch) {
+        params.append('lat', nearFilter.lat);
+        params.append('lng', nearFilter.lng);
+        if (nearFilter.radius) params.append('radius', nearFilter.radius);
+      }
+
       const queryString = params.toString();
-      const url = `/api/geofiles${queryString ? `?${queryString}` : ''}`;
+      const url = `${nearSearch ? '/api/geofiles/spatial/near' : '/api/geofiles'}?${queryString}`;
 
       console.log('📍 API URL:', url);
 
       const response = await fetch(url);
+      const data = await response.json();
       if (!response.ok) {
-        throw new Error(`HTTP error! status: ${response.status}`);
+        throw new Error(data.message || `HTTP error! status: ${response.status}`);
       }
 
-      const data = await response.json();
       console.log('📊 Received geofiles from API:', data);
 
       setGeofiles(data.geofiles || []);
+      setPagination(data.pagination || null);
+      setError('');
       console.log('✅ Geofiles set in state:', data.geofiles?.length || 0, 'records');
     } catch (error) {
       console.error('❌ Failed to fetch geofiles:', error);
@@ -85,7 +102,7 @@ const Geofiles = () => {
       if (response.ok) {
         const data = await response.json();
         // Add sample data if no vehicles exist
-        const vehicles = data && data.length > 0 ? data : getSampleVehicleData();
+        const vehicles = data.vehicles?.length > 0 ? data.vehicles : getSampleVehicleData();
         setPoliceVehicles(vehicles);
       } else {
         console.error('Failed to fetch police vehicles');
@@ -175,10 +192,10 @@ const Geofiles = () => {
   const fetchRelatedData = async () => {
     try {
       const [casesRes, obRes, evidenceRes, vehiclesRes] = await Promise.all([
-        fetch('/api/cases'),
-        fetch('/api/ob-entries'),
-        fetch('/api/evidence'),
-        fetch('/api/police-vehicles')
+        fetch('/api/cases?limit=200'),
+        fetch('/api/ob-entries?limit=200'),
+        fetch('/api/evidence?limit=200'),
+        fetch('/api/police-vehicles?limit=200')
       ]);
 
       if (casesRes.ok) {
@@ -198,7 +215,7 @@ const Geofiles = () => {
 
       if (vehiclesRes.ok) {
         const vehiclesData = await vehiclesRes.json();
-        setPoliceVehicles(vehiclesData || []);
+        setPoliceVehicles(vehiclesData.vehicles || []);
       }
     } catch (error) {
       console.error('Failed to fetch related data:', error);
@@ -210,14 +227,19 @@ const Geofiles = () => {
     fetchRelatedData();
   }, []);
 
-  // Trigger fetch when filters change
+  // New filters start again from the first page
+  useEffect(() => {
+    setPage(1);
+  }, [searchTerm, typeFilter, accessLevelFilter, tagFilter, dateFromFilter, dateToFilter, nearFilter]);
+
+  // Trigger fetch when filters or page change
   useEffect(() => {
     const timeoutId = setTimeout(() => {
       fetchGeofiles();
     }, 500); // Debounce the search
 
     return () => clearTimeout(timeoutId);
-  }, [searchTerm, typeFilter, accessLevelFilter, tagFilter, dateFromFilter, dateToFilter]);
+  }, [page, searchTerm, typeFilter, accessLevelFilter, tagFilter, dateFromFilter, dateToFilter, nearFilter]);
 
   // No local filtering needed since we have server-side filtering
   const filteredGeofiles = geofiles;
@@ -343,24 +365,28 @@ const Geofiles = () => {
 
   const handleDownloadGeofile = async (geofile) => {
     try {
-      console.log('📥 Recording download for geofile:', geofile.id);
-
-      // Record the download in the database
-      await fetch(`/api/geofiles/${geofile.id}/download`, {
-        method: 'POST',
-      });
+      if (!geofile.storageKey) {
+        setError('No file has been uploaded for this geofile');
+        return;
+      }
+      console.log('📥 Downloading geofile:', geofile.id);
 
-      // Trigger the actual download if file URL exists
-      if (geofile.fileUrl || geofile.filepath) {
-        const downloadUrl = geofile.fileUrl || geofile.filepath;
-        const link = document.createElement('a');
-        link.href = downloadUrl;
-        link.download = geofile.filename;
-        document.body.appendChild(link);
-        link.click();
-        document.body.removeChild(link);
+      // The server checks the geofile's access level and records the download
+      const response = await fetch(`/api/geofiles/${geofile.id}/file`);
+      if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}));
+        throw new Error(errorData.message || `Download failed (${response.status})`);
       }
 
+      const downloadUrl = URL.createObjectURL(await response.blob());
+      const link = document.createElement('a');
+      link.href = downloadUrl;
+      link.download = geofile.filename;
+      document.body.appendChild(link);
+      link.click();
+      document.body.removeChild(link);
+      URL.revokeObjectURL(downloadUrl);
+
       // Refresh the geofiles list to update download count
       await fetchGeofiles();
     } catch (error) {
@@ -388,6 +414,11 @@ const Geofiles = () => {
     return Math.round(bytes / 1048576) + ' MB';
   };
 
+  const formatDistance = (meters) => {
+    if (meters < 1000) return meters + ' m';
+    return (meters / 1000).toFixed(1) + ' km';
+  };
+
   const getAccessLevelBadgeClass = (level) => {
     switch (level?.toLowerCase()) {
       case 'public': return 'access-badge public';
@@ -430,10 +461,12 @@ const Geofiles = () => {
             <Radio size={18} />
             Vehicle Map
           </button>
-          <button className="add-geofile-btn" onClick={() => navigateToView('create')}>
-            <Plus size={18} />
-            Add Geofile
-          </button>
+          {can('geofiles', 'create') && (
+            <button className="add-geofile-btn" onClick={() => navigateToView('create')}>
+              <Plus size={18} />
+              Add Geofile
+            </button>
+          )}
         </div>
       </div>
 
@@ -500,6 +533,38 @@ const Geofiles = () => {
                   onChange={(e) => setDateToFilter(e.target.value)}
                 />
               </div>
+            </div>
+            <div className="filter-row">
+              <div className="filter-group">
+                <label>Near Latitude:</label>
+                <input
+                  type="number"
+                  step="any"
+                  placeholder="-1.2921"
+                  value={nearFilter.lat}
+                  onChange={(e) => setNearFilter(prev => ({ ...prev, lat: e.target.value }))}
+                />
+              </div>
+              <div className="filter-group">
+                <label>Near Longitude:</label>
+                <input
+                  type="number"
+                  step="any"
+                  placeholder="36.8219"
+                  value={nearFilter.lng}
+                  onChange={(e) => setNearFilter(prev => ({ ...prev, lng: e.target.value }))}
+                />
+              </div>
+              <div className="filter-group">
+                <label>Radius (m):</label>
+                <input
+                  type="number"
+                  min="1"
+                  max="100000"
+                  value={nearFilter.radius}
+                  onChange={(e) => setNearFilter(prev => ({ ...prev, radius: e.target.value }))}
+                />
+              </div>
               <div className="filter-actions">
                 <button 
                   className="clear-filters-btn"
@@ -510,6 +575,7 @@ const Geofiles = () => {
                     setAccessLevelFilter('');
                     setDateFromFilter('');
                     setDateToFilter('');
+                    setNearFilter({ lat: '', lng: '', radius: '1000' });
                   }}
                 >
                   Clear All
@@ -572,6 +638,12 @@ const Geofiles = () => {
                     <span className="stat-label">Downloads:</span>
                     <span className="stat-value">{geofile.downloadCount || 0}</span>
                   </div>
+                  {geofile.distance !== undefined && (
+                    <div className="stat-item">
+                      <span className="stat-label">Distance:</span>
+                      <span className="stat-value">{formatDistance(geofile.distance)}</span>
+                    </div>
+                  )}
                 </div>
                 {formatTags(geofile.tags).length > 0 && (
                   <div className="geofile-tags">
@@ -608,17 +680,19 @@ const Geofiles = () => {
                       <Eye size={16} />
                       View
                     </button>
-                    <button
-                      className="action-btn edit-btn"
-                      onClick={(e) => {
-                        e.stopPropagation();
-                        navigateToView('edit', geofile);
-                      }}
-                      title="Edit geofile"
-                    >
-                      <Edit size={16} />
-                      Edit
-                    </button>
+                    {can('geofiles', 'update') && (
+                      <button
+                        className="action-btn edit-btn"
+                        onClick={(e) => {
+                          e.stopPropagation();
+                          navigateToView('edit', geofile);
+                        }}
+                        title="Edit geofile"
+                      >
+                        <Edit size={16} />
+                        Edit
+                      </button>
+                    )}
                     <button
                       className="action-btn download-btn"
                       onClick={(e) => {
@@ -630,24 +704,28 @@ const Geofiles = () => {
                       <Download size={16} />
                       Download
                     </button>
-                    <button
-                      className="action-btn delete-btn"
-                      onClick={(e) => {
-                        e.stopPropagation();
-                        if (window.confirm('Are you sure you want to delete this geofile?')) {
-                          handleDeleteGeofile(geofile.id);
-                        }
-                      }}
-                      title="Delete geofile"
-                    >
-                      <Trash2 size={16} />
-                      Delete
-                    </button>
+                    {can('geofiles', 'delete') && (
+                      <button
+                        className="action-btn delete-btn"
+                        onClick={(e) => {
+                          e.stopPropagation();
+                          if (window.confirm('Are you sure you want to delete this geofile?')) {
+                            handleDeleteGeofile(geofile.id);
+                          }
+                        }}
+                        title="Delete geofile"
+                      >
+                        <Trash2 size={16} />
+                        Delete
+                      </button>
+                    )}
                   </div>
             </div>
           ))
         )}
       </div>
+
+      <Pagination pagination={pagination} onPageChange={setPage} disabled={isLoading} />
     </div>
   );
 
@@ -669,7 +747,7 @@ const Geofiles = () => {
     const [errors, setErrors] = useState({});
     const [filePreview, setFilePreview] = useState(null);
 
-    const allowedFileTypes = ['.shp', '.kml', '.geojson', '.csv'];
+    const allowedFileTypes = ['.shp', '.kml', '.kmz', '.gpx', '.geojson', '.gml', '.csv'];
     const coordinateSystems = [
       { value: 'WGS84', label: 'WGS 84 (EPSG:4326) - Global GPS Standard' },
       { value: 'UTM', label: 'UTM - Universal Transverse Mercator' },
@@ -824,7 +902,7 @@ const Geofiles = () => {
               <input
                 type="file"
                 id="geofile"
-                accept=".shp,.kml,.geojson,.csv"
+                accept=".shp,.kml,.kmz,.gpx,.geojson,.gml,.csv"
                 onChange={handleFileChange}
                 className="file-input"
               />
@@ -832,7 +910,7 @@ const Geofiles = () => {
                 <Upload size={32} />
                 <div className="upload-text">
                   <strong>Click to upload geofile</strong>
-                  <p>Supports .shp, .kml, .geojson, .csv with lat/lng</p>
+                  <p>Supports .kml, .kmz, .gpx, .geojson, .gml, .shp, .csv with lat/lng</p>
                 </div>
               </label>
               {errors.file && <span className="error-text">{errors.file}</span>}
@@ -907,6 +985,7 @@ const Geofiles = () => {
                 name="accessLevel"
                 value={formData.accessLevel}
                 onChange={handleInputChange}
+                disabled={!can('geofiles', 'approve')}
               >
                 {accessLevels.map(level => (
                   <option key={level} value={level}>
@@ -914,6 +993,9 @@ const Geofiles = () => {
                   </option>
                 ))}
               </select>
+              {!can('geofiles', 'approve') && (
+                <small className="field-help">New geofiles are internal; a supervisor can widen access</small>
+              )}
             </div>
 
             {/* Public Access Checkbox */}
@@ -925,6 +1007,7 @@ const Geofiles = () => {
                   name="isPublic"
                   checked={formData.isPublic}
                   onChange={(e) => setFormData(prev => ({ ...prev, isPublic: e.target.checked }))}
+                  disabled={!can('geofiles', 'approve')}
                 />
                 <span>Make file publicly accessible</span>
               </label>
@@ -1056,10 +1139,12 @@ const Geofiles = () => {
               <Download size={16} />
               Download
             </button>
-            <button onClick={() => navigateToView('edit', selectedGeofile)}>
-              <Edit2 size={16} />
-              Edit Geofile
-            </button>
+            {can('geofiles', 'update') && (
+              <button onClick={() => navigateToView('edit', selectedGeofile)}>
+                <Edit2 size={16} />
+                Edit Geofile
+              </button>
+            )}
           </div>
         </div>
 
@@ -1149,6 +1234,7 @@ const Geofiles = () => {
           vehicles={policeVehicles}
           showPatrolAreas={true}
           onVehicleSelect={handleVehicleSelect}
+          onGeofileSelect={(geofile) => navigateToView('detail', geofile)}
         />
       </div>
 
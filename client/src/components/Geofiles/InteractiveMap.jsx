@@ -1,6 +1,6 @@
 
 import React, { useState, useEffect, useRef } from 'react';
-import { MapContainer, TileLayer, Marker, Popup, Polyline, useMapEvents, useMap } from 'react-leaflet';
+import { MapContainer, TileLayer, Marker, Popup, Polyline, Rectangle, useMapEvents, useMap } from 'react-leaflet';
 import L from 'leaflet';
 import { 
   MapPin, 
@@ -20,7 +20,8 @@ import {
   Layers,
   Settings,
   Target,
-  Search
+  Search,
+  FileText
 } from 'lucide-react';
 import 'leaflet/dist/leaflet.css';
 import './InteractiveMap.css';
@@ -33,7 +34,32 @@ L.Icon.Default.mergeOptions({
   shadowUrl: 'https://cdnjs.cloudflare.com/ajax/libs/leaflet/1.7.1/images/marker-shadow.png',
 });
 
-const InteractiveMap = ({ vehicles = [], showPatrolAreas = true, onVehicleSelect }) => {
+// Leaflet shape props for a geofile's GeoJSON footprint ([lng, lat] order)
+const footprintShape = (footprint) => {
+  if (!footprint) return null;
+  const toLatLng = ([lng, lat]) => [lat, lng];
+  switch (footprint.type) {
+    case 'Point':
+      return { kind: 'point', position: toLatLng(footprint.coordinates) };
+    case 'LineString':
+      return { kind: 'line', positions: footprint.coordinates.map(toLatLng) };
+    case 'Polygon': {
+      const ring = footprint.coordinates[0];
+      const lngs = ring.map(([lng]) => lng);
+      const lats = ring.map(([, lat]) => lat);
+      return {
+        kind: 'box',
+        bounds: [[Math.min(...lats), Math.min(...lngs)], [Math.max(...lats), Math.max(...lngs)]]
+      };
+    }
+    default:
+      return null;
+  }
+};
+
+const InteractiveMap = ({ vehicles = [], showPatrolAreas = true, onVehicleSelect, onGeofileSelect }) => {
+  const mapRef = useRef(null);
+  const suggestTimeoutRef = useRef(null);
   const [selectedVehicle, setSelectedVehicle] = useState(null);
   const [mapCenter, setMapCenter] = useState([45.0792, -74.5058]); // Montreal coordinates as default
   const [zoom, setZoom] = useState(12);
@@ -71,6 +97,8 @@ const InteractiveMap = ({ vehicles = [], showPatrolAreas = true, onVehicleSelect
   const [trackedAddresses, setTrackedAddresses] = useState([]);
   const [isFullscreen, setIsFullscreen] = useState(false);
   const [highlightedSearchResult, setHighlightedSearchResult] = useState(null);
+  const [filesInView, setFilesInView] = useState(null);
+  const [isSearchingFiles, setIsSearchingFiles] = useState(false);
 
   // Custom icons for different vehicle types and statuses
   const createVehicleIcon = (vehicleType, status) => {
@@ -232,26 +260,17 @@ const InteractiveMap = ({ vehicles = [], showPatrolAreas = true, onVehicleSelect
     return route;
   };
 
-  // Advanced geocoding with Nominatim (free OpenStreetMap service)
+  // Geocoding runs on the server against the station's local gazetteer, so searched
+  // and clicked locations are never sent to a public service
   const geocodeAddress = async (address) => {
     try {
-      const response = await fetch(
-        `https://nominatim.openstreetmap.org/search?` +
-        `format=json&addressdetails=1&limit=5&q=${encodeURIComponent(address)}`
-      );
+      const response = await fetch(`/api/geocode/search?limit=5&q=${encodeURIComponent(address)}`);
       const data = await response.json();
       
-      if (data && data.length > 0) {
+      if (response.ok && data.results.length > 0) {
         return {
-          coordinates: [parseFloat(data[0].lat), parseFloat(data[0].lon)],
-          results: data.map(item => ({
-            lat: parseFloat(item.lat),
-            lon: parseFloat(item.lon),
-            display_name: item.display_name,
-            address: item.address,
-            place_id: item.place_id,
-            importance: item.importance
-          }))
+          coordinates: [data.results[0].lat, data.results[0].lon],
+          results: data.results
         };
       }
     } catch (error) {
@@ -263,17 +282,21 @@ const InteractiveMap = ({ vehicles = [], showPatrolAreas = true, onVehicleSelect
   // Reverse geocoding to get address from coordinates
   const reverseGeocode = async (lat, lng) => {
     try {
-      const response = await fetch(
-        `https://nominatim.openstreetmap.org/reverse?` +
-        `format=json&lat=${lat}&lon=${lng}&addressdetails=1`
-      );
-      const data = await response.json();
-      
-      if (data && data.display_name) {
+      const response = await fetch(`/api/geocode/reverse?lat=${lat}&lng=${lng}`);
+      if (response.ok) {
+        const { result } = await response.json();
         return {
-          display_name: data.display_name,
-          address: data.address,
-          place_id: data.place_id
+          display_name: result.display_name,
+          address: result.address,
+          place_id: result.place_id
+        };
+      }
+      if (response.status === 404) {
+        // Outside the imported gazetteer: still let the user work with the raw position
+        return {
+          display_name: `${lat.toFixed(6)}, ${lng.toFixed(6)}`,
+          address: {},
+          place_id: null
         };
       }
     } catch (error) {
@@ -284,29 +307,42 @@ const InteractiveMap = ({ vehicles = [], showPatrolAreas = true, onVehicleSelect
 
   // Search for places/cities
   const searchPlaces = async (query) => {
+    const response = await fetch(`/api/geocode/search?limit=10&q=${encodeURIComponent(query)}`);
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.message || `HTTP error! status: ${response.status}`);
+    }
+    return data.results;
+  };
+
+  // Type-ahead suggestions while the user is typing
+  const suggestPlaces = async (query) => {
     try {
-      const response = await fetch(
-        `https://nominatim.openstreetmap.org/search?` +
-        `format=json&addressdetails=1&limit=10&q=${encodeURIComponent(query)}`
-      );
+      const response = await fetch(`/api/geocode/autocomplete?limit=8&q=${encodeURIComponent(query)}`);
+      if (!response.ok) return [];
       const data = await response.json();
-      
-      return data.map(item => ({
-        lat: parseFloat(item.lat),
-        lon: parseFloat(item.lon),
-        display_name: item.display_name,
-        address: item.address,
-        place_id: item.place_id,
-        type: item.type,
-        class: item.class,
-        importance: item.importance
-      }));
+      return data.suggestions;
     } catch (error) {
-      console.error('Place search error:', error);
+      console.error('Place suggestion error:', error);
       return [];
     }
   };
 
+  const handleSearchInputChange = (value) => {
+    setSearchAddress(value);
+    clearTimeout(suggestTimeoutRef.current);
+    if (!value.trim()) {
+      setShowSearchResults(false);
+      return;
+    }
+
+    suggestTimeoutRef.current = setTimeout(async () => {
+      const suggestions = await suggestPlaces(value);
+      setSearchResults(suggestions);
+      setShowSearchResults(suggestions.length > 0);
+    }, 250);
+  };
+
   const handleVehicleClick = (vehicle) => {
     setSelectedVehicle(vehicle);
     if (onVehicleSelect) {
@@ -326,6 +362,7 @@ const InteractiveMap = ({ vehicles = [], showPatrolAreas = true, onVehicleSelect
       return;
     }
     
+    clearTimeout(suggestTimeoutRef.current);
     setIsSearching(true);
     setShowSearchResults(false);
     setSearchMarkers([]); // Clear existing markers
@@ -342,7 +379,7 @@ const InteractiveMap = ({ vehicles = [], showPatrolAreas = true, onVehicleSelect
         // Don't auto-navigate on search, let user select from dropdown
         console.log('✅ Search completed, showing', results.length, 'results in dropdown');
       } else {
-        alert('No places found for your search. Please try a different query.');
+        alert('No places found in the local gazetteer. Please try a different query.');
         console.log('❌ No search results found');
       }
     } catch (error) {
@@ -357,6 +394,7 @@ const InteractiveMap = ({ vehicles = [], showPatrolAreas = true, onVehicleSelect
     console.log('🎯 Selected search result:', result);
     
     // Update map center and zoom to selected location
+    clearTimeout(suggestTimeoutRef.current);
     setMapCenter([result.lat, result.lon]);
     setZoom(16);
     setShowSearchResults(false);
@@ -507,6 +545,29 @@ const InteractiveMap = ({ vehicles = [], showPatrolAreas = true, onVehicleSelect
     setIsFullscreen(!isFullscreen);
   };
 
+  // Geofiles whose footprint touches the visible map area
+  const searchFilesInView = async () => {
+    if (!mapRef.current) return;
+    try {
+      setIsSearchingFiles(true);
+      const params = new URLSearchParams({
+        bbox: mapRef.current.getBounds().toBBoxString(),
+        limit: 100
+      });
+      const response = await fetch(`/api/geofiles/spatial/intersects?${params}`);
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.message || `HTTP error! status: ${response.status}`);
+      }
+      setFilesInView({ geofiles: data.geofiles || [], total: data.pagination?.total || 0 });
+    } catch (error) {
+      console.error('❌ Failed to search geofiles in view:', error);
+      alert('Failed to search geofiles in this area: ' + error.message);
+    } finally {
+      setIsSearchingFiles(false);
+    }
+  };
+
   // Map click handler component
   const MapClickHandler = () => {
     useMapEvents({
@@ -625,12 +686,7 @@ const InteractiveMap = ({ vehicles = [], showPatrolAreas = true, onVehicleSelect
               type="text"
               placeholder="Search cities, places, addresses..."
               value={searchAddress}
-              onChange={(e) => {
-                setSearchAddress(e.target.value);
-                if (!e.target.value.trim()) {
-                  setShowSearchResults(false);
-                }
-              }}
+              onChange={(e) => handleSearchInputChange(e.target.value)}
               onKeyPress={(e) => {
                 if (e.key === 'Enter') {
                   if (showSearchResults && searchResults.length > 0) {
@@ -795,6 +851,15 @@ const InteractiveMap = ({ vehicles = [], showPatrolAreas = true, onVehicleSelect
             <Crosshair size={16} />
             My Location
           </button>
+          <button 
+            className={`control-btn ${filesInView ? 'active' : ''}`}
+            onClick={searchFilesInView}
+            disabled={isSearchingFiles || isMapMinimized}
+            title="Find geofiles touching the visible area"
+          >
+            <FileText size={16} />
+            {isSearchingFiles ? 'Searching...' : 'Files in View'}
+          </button>
         </div>
       </div>
 
@@ -806,6 +871,7 @@ const InteractiveMap = ({ vehicles = [], showPatrolAreas = true, onVehicleSelect
             zoom={zoom}
             style={{ height: '100%', width: '100%' }}
             zoomControl={false}
+            ref={mapRef}
           >
           <TileLayer
             url={getTileLayerUrl()}
@@ -1261,6 +1327,33 @@ const InteractiveMap = ({ vehicles = [], showPatrolAreas = true, onVehicleSelect
               </Popup>
             </Marker>
           )}
+
+          {/* Geofile footprints from the last "Files in View" search */}
+          {filesInView?.geofiles.map((geofile) => {
+            const shape = footprintShape(geofile.footprint);
+            if (!shape) return null;
+
+            const popup = (
+              <Popup>
+                <div className="geofile-footprint-popup">
+                  <h4>{geofile.filename}</h4>
+                  <p>{geofile.fileType?.toUpperCase()} · {geofile.locationName || geofile.address || 'No location name'}</p>
+                  {onGeofileSelect && (
+                    <button onClick={() => onGeofileSelect(geofile)}>View Details</button>
+                  )}
+                </div>
+              </Popup>
+            );
+            const pathOptions = { color: '#9b59b6', weight: 2, fillOpacity: 0.1 };
+
+            if (shape.kind === 'box') {
+              return <Rectangle key={`geofile-${geofile.id}`} bounds={shape.bounds} pathOptions={pathOptions}>{popup}</Rectangle>;
+            }
+            if (shape.kind === 'line') {
+              return <Polyline key={`geofile-${geofile.id}`} positions={shape.positions} pathOptions={pathOptions}>{popup}</Polyline>;
+            }
+            return <Marker key={`geofile-${geofile.id}`} position={shape.position}>{popup}</Marker>;
+          })}
         </MapContainer>
         ) : (
           <div className="minimized-map-view">
@@ -1297,6 +1390,37 @@ const InteractiveMap = ({ vehicles = [], showPatrolAreas = true, onVehicleSelect
             </div>
           </div>
         )}
+
+        {filesInView && !isMapMinimized && (
+          <div className="files-in-view-panel">
+            <div className="files-in-view-header">
+              <h4>
+                <FileText size={14} />
+                {filesInView.total} file{filesInView.total === 1 ? '' : 's'} in this area
+              </h4>
+              <button onClick={() => setFilesInView(null)} title="Clear results">×</button>
+            </div>
+            {filesInView.geofiles.length === 0 ? (
+              <p className="files-in-view-empty">No geofiles touch the visible area</p>
+            ) : (
+              <ul>
+                {filesInView.geofiles.map(geofile => (
+                  <li
+                    key={geofile.id}
+                    onClick={() => onGeofileSelect?.(geofile)}
+                    className={onGeofileSelect ? 'selectable' : ''}
+                  >
+                    <span className="files-in-view-name">{geofile.filename}</span>
+                    <span className="files-in-view-type">{geofile.fileType?.toUpperCase()}</span>
+                  </li>
+                ))}
+              </ul>
+            )}
+            {filesInView.total > filesInView.geofiles.length && (
+              <p className="files-in-view-empty">Showing first {filesInView.geofiles.length}; zoom in to narrow the area</p>
+            )}
+          </div>
+        )}
       </div>
 
       
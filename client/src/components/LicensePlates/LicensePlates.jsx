@@ -11,26 +11,37 @@ import {
   Calendar,
   MapPin
 } from 'lucide-react';
+import { useAuth } from '../../context/AuthContext';
+import Pagination from '../Pagination/Pagination';
 import './LicensePlates.css';
 
 const LicensePlates = () => {
+  const { can } = useAuth();
   const [plates, setPlates] = useState([]);
   const [isLoading, setIsLoading] = useState(false);
   const [error, setError] = useState('');
   const [searchTerm, setSearchTerm] = useState('');
+  const [debouncedSearch, setDebouncedSearch] = useState('');
+  const [sortBy, setSortBy] = useState('-createdAt');
+  const [page, setPage] = useState(1);
+  const [pagination, setPagination] = useState(null);
   const [currentView, setCurrentView] = useState('list'); // 'list', 'create', 'detail', 'edit'
   const [selectedPlate, setSelectedPlate] = useState(null);
 
   const fetchPlates = async () => {
     setIsLoading(true);
     try {
-      const response = await fetch('/api/mongo/license-plates');
+      const params = new URLSearchParams({ page, limit: 24, sort: sortBy });
+      if (debouncedSearch) params.set('search', debouncedSearch);
+
+      const response = await fetch(`/api/mongo/license-plates?${params}`);
+      const data = await response.json();
       if (response.ok) {
-        const data = await response.json();
         setPlates(data.licensePlates || []);
+        setPagination(data.pagination || null);
         setError('');
       } else {
-        setError('Failed to fetch license plates');
+        setError(data.message || 'Failed to fetch license plates');
       }
     } catch (error) {
       setError('Network error. Please try again.');
@@ -60,15 +71,18 @@ const LicensePlates = () => {
   };
 
 
+  // Wait for the user to stop typing before searching on the server
   useEffect(() => {
-    fetchPlates();
-  }, []);
+    const timer = setTimeout(() => {
+      setDebouncedSearch(searchTerm);
+      setPage(1);
+    }, 300);
+    return () => clearTimeout(timer);
+  }, [searchTerm]);
 
-  const filteredPlates = plates.filter(plate =>
-    plate.plateNumber?.toLowerCase().includes(searchTerm.toLowerCase()) ||
-    plate.ownerName?.toLowerCase().includes(searchTerm.toLowerCase()) ||
-    plate.idNumber?.toLowerCase().includes(searchTerm.toLowerCase())
-  );
+  useEffect(() => {
+    fetchPlates();
+  }, [page, debouncedSearch, sortBy]);
 
   const navigateToView = (view, plate = null) => {
     setCurrentView(view);
@@ -108,10 +122,12 @@ const LicensePlates = () => {
             <RotateCcw size={18} className={isLoading ? 'spinning' : ''} />
             Refresh
           </button>
-          <button className="add-plate-btn" onClick={() => navigateToView('create')}>
-            <Plus size={18} />
-            Add Plate
-          </button>
+          {can('license_plates', 'create') && (
+            <button className="add-plate-btn" onClick={() => navigateToView('create')}>
+              <Plus size={18} />
+              Add Plate
+            </button>
+          )}
         </div>
       </div>
 
@@ -125,6 +141,16 @@ const LicensePlates = () => {
             onChange={(e) => setSearchTerm(e.target.value)}
           />
         </div>
+        <select
+          className="sort-select"
+          value={sortBy}
+          onChange={(e) => { setSortBy(e.target.value); setPage(1); }}
+        >
+          <option value="-createdAt">Newest first</option>
+          <option value="createdAt">Oldest first</option>
+          <option value="plateNumber">Plate number</option>
+          <option value="ownerName">Owner name</option>
+        </select>
       </div>
 
       {error && (
@@ -134,14 +160,14 @@ const LicensePlates = () => {
       <div className="plates-grid">
         {isLoading ? (
           <div className="loading-state">Loading license plates...</div>
-        ) : filteredPlates.length === 0 ? (
+        ) : plates.length === 0 ? (
           <div className="empty-state">
             <Car size={48} />
             <h3>No license plates found</h3>
             <p>Add a new license plate or adjust your search filters</p>
           </div>
         ) : (
-          filteredPlates.map((plate) => (
+          plates.map((plate) => (
             <div key={plate.id} className="plate-card" onClick={() => navigateToView('detail', plate)}>
               <div className="plate-header">
                 <div className="plate-number">
@@ -170,6 +196,8 @@ const LicensePlates = () => {
           ))
         )}
       </div>
+
+      <Pagination pagination={pagination} onPageChange={setPage} disabled={isLoading} />
     </div>
   );
 
@@ -361,10 +389,12 @@ const LicensePlates = () => {
           Back to Plates
         </button>
         <div className="detail-actions">
-          <button onClick={() => navigateToView('edit', selectedPlate)}>
-            <Edit2 size={16} />
-            Edit Plate
-          </button>
+          {can('license_plates', 'update') && (
+            <button onClick={() => navigateToView('edit', selectedPlate)}>
+              <Edit2 size={16} />
+              Edit Plate
+            </button>
+          )}
         </div>
       </div>
 
@@ -1,49 +1,504 @@
-import React, { useState } from 'react';
-import { Search, Plus, Clock, FileText, Edit, Trash2, AlertTriangle } from 'lucide-react';
+import React, { useState, useEffect } from 'react';
+import { Search, Plus, Clock, FileText, Edit, Ban, AlertTriangle, FolderPlus, History, ShieldCheck, ShieldAlert, Printer, Download, X } from 'lucide-react';
+import { useAuth } from '../../context/AuthContext';
+import Pagination from '../Pagination/Pagination';
 import './OccurrenceBook.css';
 
-const OccurrenceBook = ({ onAddOBClick, obEntries, onUpdateOB, onDeleteOB }) => {
+const OB_TYPES = ['Incident', 'Complaint', 'Arrest', 'Accident', 'Other'];
+const OB_REVIEW_STATUSES = ['Pending', 'Under Review', 'Completed'];
+
+// Fields an amendment may correct (AMENDABLE_FIELDS in server/occurrence-book.js)
+const AMENDABLE_FIELDS = [
+  { name: 'type', label: 'Type' },
+  { name: 'description', label: 'Description' },
+  { name: 'reportedBy', label: 'Reported By' },
+  { name: 'officer', label: 'Officer' },
+  { name: 'location', label: 'Location' },
+  { name: 'details', label: 'Details' },
+  { name: 'involvedPersons', label: 'Involved Persons' },
+  { name: 'actionTaken', label: 'Action Taken' }
+];
+
+const fieldLabel = (name) => AMENDABLE_FIELDS.find(field => field.name === name)?.label || name;
+
+// datetime-local value for a Date, in the browser's time zone
+const toLocalInput = (date) => {
+  const local = new Date(date.getTime() - date.getTimezoneOffset() * 60000);
+  return local.toISOString().slice(0, 16);
+};
+
+const todayRange = () => {
+  const start = new Date();
+  start.setHours(0, 0, 0, 0);
+  const end = new Date(start);
+  end.setDate(end.getDate() + 1);
+  return { from: toLocalInput(start), to: toLocalInput(end) };
+};
+
+const OccurrenceBook = ({ onAddOBClick, refreshKey, onOpenCase }) => {
+  const { can } = useAuth();
+  const [obEntries, setOBEntries] = useState([]);
+  const [pagination, setPagination] = useState(null);
+  const [page, setPage] = useState(1);
+  const [isLoading, setIsLoading] = useState(false);
   const [searchTerm, setSearchTerm] = useState('');
+  const [debouncedSearch, setDebouncedSearch] = useState('');
   const [typeFilter, setTypeFilter] = useState('all');
-  const [editingEntry, setEditingEntry] = useState(null);
+  const [expandedId, setExpandedId] = useState(null);
+  const [amendingId, setAmendingId] = useState(null);
+  const [trail, setTrail] = useState(null);
+  const [message, setMessage] = useState(null);
+  const [showRegister, setShowRegister] = useState(false);
+  const [counts, setCounts] = useState({ total: 0, today: 0, pending: 0 });
 
   const stats = [
-    { title: 'Total Entries', value: obEntries.length.toString(), icon: FileText, color: 'blue' },
-    { title: 'Today\'s Entries', value: obEntries.filter(e => e.date === new Date().toISOString().split('T')[0]).length.toString(), icon: Clock, color: 'orange' },
-    { title: 'Pending Review', value: obEntries.filter(e => e.status === 'Pending').length.toString(), icon: AlertTriangle, color: 'red' }
+    { title: 'Total Entries', value: counts.total.toString(), icon: FileText, color: 'blue' },
+    { title: 'Today\'s Entries', value: counts.today.toString(), icon: Clock, color: 'orange' },
+    { title: 'Pending Review', value: counts.pending.toString(), icon: AlertTriangle, color: 'red' }
   ];
 
-  const filteredEntries = obEntries.filter(entry => {
-    const matchesSearch = entry.description.toLowerCase().includes(searchTerm.toLowerCase()) ||
-                         entry.obNumber.toLowerCase().includes(searchTerm.toLowerCase()) ||
-                         entry.reportedBy.toLowerCase().includes(searchTerm.toLowerCase());
-    const matchesType = typeFilter === 'all' || entry.type.toLowerCase() === typeFilter.toLowerCase();
-    
-    return matchesSearch && matchesType;
-  });
-
-  const handleEdit = (entry) => {
-    setEditingEntry(entry);
+  // Wait for the user to stop typing before searching on the server
+  useEffect(() => {
+    const timer = setTimeout(() => {
+      setDebouncedSearch(searchTerm);
+      setPage(1);
+    }, 300);
+    return () => clearTimeout(timer);
+  }, [searchTerm]);
+
+  useEffect(() => {
+    fetchEntries();
+  }, [page, debouncedSearch, typeFilter, refreshKey]);
+
+  useEffect(() => {
+    fetchCounts();
+  }, [refreshKey]);
+
+  const fetchEntries = async () => {
+    setIsLoading(true);
+    try {
+      const params = new URLSearchParams({ page, limit: 50, sort: '-createdAt' });
+      if (debouncedSearch) params.set('search', debouncedSearch);
+      if (typeFilter !== 'all') params.set('type', typeFilter);
+
+      const response = await fetch(`/api/ob-entries?${params}`);
+      if (response.ok) {
+        const data = await response.json();
+        setOBEntries(data.obEntries || []);
+        setPagination(data.pagination || null);
+      } else {
+        console.error('❌ Failed to fetch OB entries:', response.status, response.statusText);
+      }
+    } catch (error) {
+      console.error('❌ Error fetching OB entries:', error);
+    } finally {
+      setIsLoading(false);
+    }
   };
 
-  const handleDelete = (obId) => {
-    if (window.confirm('Are you sure you want to delete this OB entry?')) {
-      onDeleteOB(obId);
+  // Stat cards use the server totals rather than counting the current page
+  const fetchCounts = async () => {
+    const countFor = async (query) => {
+      const response = await fetch(`/api/ob-entries?limit=1&${query}`);
+      if (!response.ok) return 0;
+      const data = await response.json();
+      return data.pagination?.total || 0;
+    };
+
+    try {
+      const today = new Date().toISOString().split('T')[0];
+      const [total, todayCount, pending] = await Promise.all([
+        countFor(''),
+        countFor(`date=${today}`),
+        countFor('status=Pending')
+      ]);
+      setCounts({ total, today: todayCount, pending });
+    } catch (error) {
+      console.error('❌ Error fetching OB counts:', error);
     }
   };
 
-  const handleUpdateSubmit = (e) => {
-    e.preventDefault();
-    onUpdateOB(editingEntry);
-    setEditingEntry(null);
+  // Entries are locked once recorded; the status is the only thing changed in place
+  const handleStatusChange = async (entry, status) => {
+    setMessage(null);
+    try {
+      const response = await fetch(`/api/ob-entries/${entry.id}`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        credentials: 'include',
+        body: JSON.stringify({ status })
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        setMessage({ type: 'error', text: data.message || 'Failed to update OB entry' });
+        return;
+      }
+      fetchEntries();
+      fetchCounts();
+    } catch (error) {
+      console.error('❌ Error updating OB entry:', error);
+      setMessage({ type: 'error', text: 'Error updating OB entry' });
+    }
   };
 
-  const handleEditChange = (e) => {
-    const { name, value } = e.target;
-    setEditingEntry(prev => ({
-      ...prev,
-      [name]: value
-    }));
+  const handleStrikeOut = async (entry) => {
+    const reason = window.prompt(`Strike out ${entry.obNumber}? It stays in the book marked as struck out.\n\nReason:`);
+    if (reason === null) return;
+    if (!reason.trim()) {
+      setMessage({ type: 'error', text: 'A reason is required to strike out an OB entry' });
+      return;
+    }
+
+    setMessage(null);
+    try {
+      const response = await fetch(`/api/ob-entries/${entry.id}/strike-out`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        credentials: 'include',
+        body: JSON.stringify({ reason })
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        setMessage({ type: 'error', text: data.message || 'Failed to strike out OB entry' });
+        return;
+      }
+      setMessage({ type: 'success', text: data.message });
+      if (expandedId === entry.id) loadTrail(entry.id);
+      fetchEntries();
+      fetchCounts();
+    } catch (error) {
+      console.error('❌ Error striking out OB entry:', error);
+      setMessage({ type: 'error', text: 'Error striking out OB entry' });
+    }
+  };
+
+  const loadTrail = async (id) => {
+    setTrail(null);
+    try {
+      const response = await fetch(`/api/ob-entries/${id}`, { credentials: 'include' });
+      const data = await response.json();
+      setTrail(response.ok ? data : { error: data.message || 'Failed to load the amendment trail' });
+    } catch (error) {
+      setTrail({ error: 'Network error. Please try again.' });
+    }
+  };
+
+  const toggleTrail = (entry) => {
+    setAmendingId(null);
+    if (expandedId === entry.id) {
+      setExpandedId(null);
+      return;
+    }
+    setExpandedId(entry.id);
+    loadTrail(entry.id);
+  };
+
+  const startAmendment = (entry) => {
+    setExpandedId(entry.id);
+    setAmendingId(entry.id);
+    loadTrail(entry.id);
+  };
+
+  const formatWhen = (value) => (value ? new Date(value).toLocaleString() : '-');
+  const actorName = (actor) => (typeof actor === 'string' ? actor : actor?.name || actor?.username) || 'Unknown';
+
+  // Corrections start from the entry as it now reads, after earlier amendments
+  const AmendmentForm = ({ amended }) => {
+    const [changes, setChanges] = useState(() => Object.fromEntries(AMENDABLE_FIELDS.map(({ name }) => [name, amended[name] ?? ''])));
+    const [reason, setReason] = useState('');
+    const [isSubmitting, setIsSubmitting] = useState(false);
+    const [amendError, setAmendError] = useState('');
+
+    const changed = Object.fromEntries(
+      Object.entries(changes).filter(([name, value]) => String(value) !== String(amended[name] ?? ''))
+    );
+
+    const handleSubmit = async (e) => {
+      e.preventDefault();
+      setIsSubmitting(true);
+      setAmendError('');
+      try {
+        const response = await fetch(`/api/ob-entries/${amended.id}/amendments`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          credentials: 'include',
+          body: JSON.stringify({ changes: changed, reason })
+        });
+        const data = await response.json();
+        if (!response.ok) {
+          setAmendError(data.message || 'Failed to record amendment');
+          return;
+        }
+        setMessage({ type: 'success', text: data.message });
+        setAmendingId(null);
+        loadTrail(amended.id);
+        fetchEntries();
+        fetchCounts();
+      } catch (error) {
+        setAmendError('Network error. Please try again.');
+      } finally {
+        setIsSubmitting(false);
+      }
+    };
+
+    return (
+      <form className="ob-amendment-form" onSubmit={handleSubmit}>
+        <h4>Amend {amended.obNumber}</h4>
+        <p className="ob-trail-note">The original stays as recorded. Your corrections are recorded as a new OB entry that references it.</p>
+        {amendError && <div className="ob-message error">{amendError}</div>}
+        <div className="ob-amendment-grid">
+          {AMENDABLE_FIELDS.map(({ name, label }) => (
+            <label key={name}>
+              {label}
+              {name === 'type' ? (
+                <select name={name} value={changes[name]} onChange={(e) => setChanges(prev => ({ ...prev, [name]: e.target.value }))} className="edit-select">
+                  {[...new Set([amended.type, ...OB_TYPES])].filter(Boolean).map(type => <option key={type} value={type}>{type}</option>)}
+                </select>
+              ) : (
+                <input
+                  type="text"
+                  name={name}
+                  value={changes[name]}
+                  onChange={(e) => setChanges(prev => ({ ...prev, [name]: e.target.value }))}
+                  className={`edit-input${name in changed ? ' changed' : ''}`}
+                />
+              )}
+            </label>
+          ))}
+        </div>
+        <label className="ob-amendment-reason">
+          Reason for amendment *
+          <textarea value={reason} onChange={(e) => setReason(e.target.value)} className="edit-input" rows={2} required />
+        </label>
+        <div className="action-buttons">
+          <button type="submit" className="save-btn" disabled={isSubmitting || !reason.trim() || Object.keys(changed).length === 0}>
+            {isSubmitting ? 'Recording...' : 'Record Amendment'}
+          </button>
+          <button type="button" onClick={() => setAmendingId(null)} className="cancel-btn-small">
+            Cancel
+          </button>
+        </div>
+      </form>
+    );
+  };
+
+  const Verification = ({ verification }) => (
+    <span className={`ob-seal ${verification.valid ? 'valid' : verification.sealed ? 'broken' : 'unsealed'}`}>
+      {verification.valid ? <ShieldCheck size={14} /> : <ShieldAlert size={14} />}
+      {verification.valid ? 'Seal intact' : verification.reason}
+    </span>
+  );
+
+  const AmendmentTrail = () => {
+    if (!trail) return <p className="ob-trail-note">Loading...</p>;
+    if (trail.error) return <div className="ob-message error">{trail.error}</div>;
+
+    const { obEntry, amended, amendments } = trail;
+    return (
+      <div className="ob-trail">
+        <div className="ob-trail-header">
+          <span>
+            Recorded {formatWhen(obEntry.recordedAt || obEntry.createdAt)}
+            {obEntry.recordedBy && ` by ${actorName(obEntry.recordedBy)}`}
+          </span>
+          <Verification verification={obEntry.verification} />
+        </div>
+
+        {obEntry.amends && (
+          <p className="ob-trail-note">
+            Amends {obEntry.amends.obNumber}. Reason: {obEntry.reason}
+          </p>
+        )}
+
+        {obEntry.struckOut && (
+          <div className="ob-struck-out-note">
+            Struck out {formatWhen(obEntry.struckOut.at)} by {actorName(obEntry.struckOut.by)}: {obEntry.struckOut.reason}
+          </div>
+        )}
+
+        {amendments.length > 0 && (
+          <>
+            <h4>Amendments</h4>
+            {amendments.map(amendment => (
+              <div key={amendment.id} className={`ob-amendment ${amendment.struckOut ? 'struck-out' : ''}`}>
+                <div className="ob-trail-header">
+                  <span>
+                    <strong>{amendment.obNumber}</strong> · {formatWhen(amendment.recordedAt)} by {actorName(amendment.recordedBy)}
+                    {amendment.struckOut && ' · struck out'}
+                  </span>
+                  <Verification verification={amendment.verification} />
+                </div>
+                <ul>
+                  {(amendment.corrections || []).map(correction => (
+                    <li key={correction.field}>
+                      {fieldLabel(correction.field)}: <del>{correction.from || '(blank)'}</del> → {correction.to || '(blank)'}
+                    </li>
+                  ))}
+                </ul>
+                <p className="ob-trail-note">Reason: {amendment.reason}</p>
+              </div>
+            ))}
+            <h4>As Amended</h4>
+            <p className="ob-trail-note">{amended.type}: {amended.description}</p>
+          </>
+        )}
+
+        {amendingId === obEntry.id && <AmendmentForm amended={{ ...amended, id: obEntry.id }} />}
+      </div>
+    );
+  };
+
+  // Daily or shift register for the officer in charge to sign, in OB number order. The
+  // browser prints the sheet as shown; the PDF is the server's copy with page numbers.
+  const RegisterView = () => {
+    const [range, setRange] = useState(() => ({ ...todayRange(), station: '' }));
+    const [register, setRegister] = useState(null);
+    const [registerError, setRegisterError] = useState('');
+    const [isLoadingRegister, setIsLoadingRegister] = useState(false);
+
+    const registerQuery = (format) => {
+      const params = new URLSearchParams({
+        from: new Date(range.from).toISOString(),
+        to: new Date(range.to).toISOString(),
+        format
+      });
+      if (range.station) params.set('station', range.station);
+      return `/api/ob-entries/register?${params}`;
+    };
+
+    const loadRegister = async () => {
+      setIsLoadingRegister(true);
+      setRegisterError('');
+      try {
+        const response = await fetch(registerQuery('json'), { credentials: 'include' });
+        const data = await response.json();
+        if (!response.ok) {
+          setRegisterError(data.message || 'Failed to build the register');
+          setRegister(null);
+          return;
+        }
+        setRegister(data);
+      } catch (error) {
+        setRegisterError('Network error. Please try again.');
+      } finally {
+        setIsLoadingRegister(false);
+      }
+    };
+
+    useEffect(() => {
+      loadRegister();
+    }, []);
+
+    const handleRangeChange = (e) => {
+      const { name, value } = e.target;
+      setRange(prev => ({ ...prev, [name]: value }));
+    };
+
+    const entries = register?.entries || [];
+
+    return (
+      <div className="ob-register-overlay">
+        <div className="ob-register-toolbar">
+          <label>
+            Station
+            <select name="station" value={range.station || register?.station || ''} onChange={handleRangeChange} className="edit-select">
+              {[...new Set([register?.station, ...(register?.stations || [])])].filter(Boolean).map(station => (
+                <option key={station} value={station}>{station}</option>
+              ))}
+            </select>
+          </label>
+          <label>
+            From
+            <input type="datetime-local" name="from" value={range.from} onChange={handleRangeChange} className="edit-input" />
+          </label>
+          <label>
+            To
+            <input type="datetime-local" name="to" value={range.to} onChange={handleRangeChange} className="edit-input" />
+          </label>
+          <button onClick={loadRegister} className="save-btn" disabled={isLoadingRegister || !range.from || !range.to}>
+            {isLoadingRegister ? 'Loading...' : 'Show'}
+          </button>
+          <button onClick={() => window.print()} className="edit-btn" disabled={!register} title="Print">
+            <Printer size={16} />
+          </button>
+          <a href={registerQuery('pdf')} target="_blank" rel="noreferrer" className="edit-btn" title="Download PDF">
+            <Download size={16} />
+          </a>
+          <button onClick={() => setShowRegister(false)} className="cancel-btn-small" title="Close">
+            <X size={16} />
+          </button>
+        </div>
+
+        {registerError && <div className="ob-message error">{registerError}</div>}
+
+        {register && (
+          <div className="ob-register-sheet">
+            <h2>Occurrence Book Register</h2>
+            <p className="ob-register-period">
+              Station {register.station} · {new Date(register.from).toLocaleString()} to {new Date(register.to).toLocaleString()}
+            </p>
+            <p className="ob-register-period">
+              {entries.length} entries · {entries.filter(row => row.amends).length} amendment(s) · {entries.filter(row => row.struckOut).length} struck out
+            </p>
+
+            <table>
+              <thead>
+                <tr>
+                  <th>OB No.</th>
+                  <th>Time</th>
+                  <th>Type</th>
+                  <th>Location</th>
+                  <th>Particulars and Action Taken</th>
+                  <th>Recording Officer</th>
+                </tr>
+              </thead>
+              <tbody>
+                {entries.length === 0 && (
+                  <tr>
+                    <td colSpan={6}>No entries were recorded in this period.</td>
+                  </tr>
+                )}
+                {entries.map(row => (
+                  <tr key={row.id} className={row.struckOut ? 'struck-out' : ''}>
+                    <td>{row.obNumber}</td>
+                    <td>{new Date(row.recordedAt).toLocaleString()}</td>
+                    <td>{row.amends ? `${row.type} of ${row.amends}` : row.type}</td>
+                    <td>{row.location || '-'}</td>
+                    <td>
+                      <div className="ob-register-particulars">{row.description}</div>
+                      {row.occurredAt && <div>Occurred: {row.occurredAt}</div>}
+                      {row.actionTaken && <div>Action taken: {row.actionTaken}</div>}
+                      {row.amendedBy.length > 0 && <div>Amended by {row.amendedBy.join(', ')}</div>}
+                      {row.struckOut && (
+                        <div className="ob-register-flag">
+                          Struck out {new Date(row.struckOut.at).toLocaleString()} by {row.struckOut.by || 'unknown'}: {row.struckOut.reason}
+                        </div>
+                      )}
+                      {row.sealBroken && <div className="ob-register-flag">Seal broken: entry has changed since it was recorded</div>}
+                    </td>
+                    <td>{row.recordingOfficer || '-'}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+
+            <div className="ob-register-signature">
+              <h3>Certified by the officer in charge</h3>
+              <p>
+                I have examined entries {entries[0]?.obNumber || '-'} to {entries[entries.length - 1]?.obNumber || '-'} recorded
+                at station {register.station} in this period.
+              </p>
+              <div className="ob-register-signature-lines">
+                <span>Name</span>
+                <span>Rank / service no.</span>
+                <span>Signature</span>
+                <span>Date and time</span>
+              </div>
+            </div>
+          </div>
+        )}
+      </div>
+    );
   };
 
   return (
@@ -66,22 +521,30 @@ const OccurrenceBook = ({ onAddOBClick, obEntries, onUpdateOB, onDeleteOB }) =>
         <div className="filters">
           <select 
             value={typeFilter} 
-            onChange={(e) => setTypeFilter(e.target.value)}
+            onChange={(e) => { setTypeFilter(e.target.value); setPage(1); }}
             className="filter-select"
           >
             <option value="all">All Types</option>
-            <option value="incident">Incident</option>
-            <option value="complaint">Complaint</option>
-            <option value="arrest">Arrest</option>
-            <option value="accident">Accident</option>
-            <option value="other">Other</option>
+            <option value="Incident">Incident</option>
+            <option value="Complaint">Complaint</option>
+            <option value="Arrest">Arrest</option>
+            <option value="Accident">Accident</option>
+            <option value="Other">Other</option>
+            <option value="Amendment">Amendment</option>
           </select>
         </div>
 
-        <button className="add-ob-btn" onClick={onAddOBClick}>
-          <Plus className="btn-icon" />
-          Add OB Entry
+        <button className="add-ob-btn register-btn" onClick={() => setShowRegister(true)}>
+          <Printer className="btn-icon" />
+          Print Register
         </button>
+
+        {can('ob_entries', 'create') && (
+          <button className="add-ob-btn" onClick={onAddOBClick}>
+            <Plus className="btn-icon" />
+            Add OB Entry
+          </button>
+        )}
       </div>
 
       <div className="ob-stats">
@@ -99,6 +562,8 @@ const OccurrenceBook = ({ onAddOBClick, obEntries, onUpdateOB, onDeleteOB }) =>
         })}
       </div>
 
+      {message && <div className={`ob-message ${message.type}`}>{message.text}</div>}
+
       <div className="ob-table">
         <table>
           <thead>
@@ -114,110 +579,83 @@ const OccurrenceBook = ({ onAddOBClick, obEntries, onUpdateOB, onDeleteOB }) =>
             </tr>
           </thead>
           <tbody>
-            {filteredEntries.map((entry) => (
-              <tr key={entry.id}>
-                {editingEntry && editingEntry.id === entry.id ? (
-                  <>
-                    <td className="ob-number">{entry.obNumber}</td>
-                    <td>{entry.dateTime}</td>
-                    <td>
-                      <select
-                        name="type"
-                        value={editingEntry.type}
-                        onChange={handleEditChange}
-                        className="edit-select"
-                      >
-                        <option value="Incident">Incident</option>
-                        <option value="Complaint">Complaint</option>
-                        <option value="Arrest">Arrest</option>
-                        <option value="Accident">Accident</option>
-                        <option value="Other">Other</option>
-                      </select>
-                    </td>
-                    <td>
-                      <input
-                        type="text"
-                        name="description"
-                        value={editingEntry.description}
-                        onChange={handleEditChange}
-                        className="edit-input"
-                      />
-                    </td>
-                    <td>
-                      <input
-                        type="text"
-                        name="reportedBy"
-                        value={editingEntry.reportedBy}
-                        onChange={handleEditChange}
-                        className="edit-input"
-                      />
-                    </td>
-                    <td>
-                      <input
-                        type="text"
-                        name="officer"
-                        value={editingEntry.officer}
-                        onChange={handleEditChange}
-                        className="edit-input"
-                      />
-                    </td>
-                    <td>
-                      <select
-                        name="status"
-                        value={editingEntry.status}
-                        onChange={handleEditChange}
-                        className="edit-select"
-                      >
-                        <option value="Pending">Pending</option>
-                        <option value="Under Review">Under Review</option>
-                        <option value="Completed">Completed</option>
-                      </select>
-                    </td>
-                    <td>
-                      <div className="action-buttons">
-                        <button onClick={handleUpdateSubmit} className="save-btn">
-                          Save
-                        </button>
-                        <button onClick={() => setEditingEntry(null)} className="cancel-btn-small">
-                          Cancel
-                        </button>
-                      </div>
+            {obEntries.map((entry) => {
+              const struckOut = entry.status === 'Struck Out';
+              return (
+                <React.Fragment key={entry.id}>
+                  <tr className={struckOut ? 'struck-out' : ''}>
+                    <td className="ob-number">
+                      {entry.obNumber}
+                      {entry.caseNumber && <span className="ob-case-link">{entry.caseNumber}</span>}
+                      {entry.amends && <span className="ob-case-link">Amends {entry.amends.obNumber}</span>}
+                      {entry.amendments?.length > 0 && (
+                        <span className="ob-amended-badge">Amended ({entry.amendments.length})</span>
+                      )}
                     </td>
-                  </>
-                ) : (
-                  <>
-                    <td className="ob-number">{entry.obNumber}</td>
                     <td>{entry.dateTime}</td>
                     <td>
                       <span className={`type ${entry.type.toLowerCase()}`}>
                         {entry.type}
                       </span>
                     </td>
-                    <td>{entry.description}</td>
+                    <td className="ob-description">{entry.description}</td>
                     <td>{entry.reportedBy}</td>
                     <td>{entry.officer}</td>
                     <td>
-                      <span className={`status ${entry.status.toLowerCase().replace(' ', '-')}`}>
-                        {entry.status}
-                      </span>
+                      {can('ob_entries', 'update') && !struckOut ? (
+                        <select
+                          value={entry.status}
+                          onChange={(e) => handleStatusChange(entry, e.target.value)}
+                          className={`edit-select status ${entry.status.toLowerCase().replace(' ', '-')}`}
+                        >
+                          {OB_REVIEW_STATUSES.map(status => <option key={status} value={status}>{status}</option>)}
+                        </select>
+                      ) : (
+                        <span className={`status ${entry.status.toLowerCase().replace(' ', '-')}`}>
+                          {entry.status}
+                        </span>
+                      )}
                     </td>
                     <td>
                       <div className="action-buttons">
-                        <button onClick={() => handleEdit(entry)} className="edit-btn">
-                          <Edit size={16} />
-                        </button>
-                        <button onClick={() => handleDelete(entry.id)} className="delete-btn">
-                          <Trash2 size={16} />
+                        <button onClick={() => toggleTrail(entry)} className="edit-btn" title="Amendment trail">
+                          <History size={16} />
                         </button>
+                        {can('cases', 'create') && !entry.caseId && !struckOut && onOpenCase && (
+                          <button onClick={() => onOpenCase(entry)} className="open-case-btn" title="Open case from this OB">
+                            <FolderPlus size={16} />
+                          </button>
+                        )}
+                        {can('ob_entries', 'update') && !struckOut && !entry.amends && (
+                          <button onClick={() => startAmendment(entry)} className="edit-btn" title="Record an amendment">
+                            <Edit size={16} />
+                          </button>
+                        )}
+                        {can('ob_entries', 'delete') && !struckOut && (
+                          <button onClick={() => handleStrikeOut(entry)} className="delete-btn" title="Strike out">
+                            <Ban size={16} />
+                          </button>
+                        )}
                       </div>
                     </td>
-                  </>
-                )}
-              </tr>
-            ))}
+                  </tr>
+                  {expandedId === entry.id && (
+                    <tr className="ob-trail-row">
+                      <td colSpan={8}>
+                        <AmendmentTrail />
+                      </td>
+                    </tr>
+                  )}
+                </React.Fragment>
+              );
+            })}
           </tbody>
         </table>
       </div>
+
+      <Pagination pagination={pagination} onPageChange={setPage} disabled={isLoading} />
+
+      {showRegister && <RegisterView />}
     </div>
   );
 };
@@ -0,0 +1,39 @@
+import React from 'react';
+import { ChevronLeft, ChevronRight } from 'lucide-react';
+import './Pagination.css';
+
+// Page controls for list endpoints that return { pagination } (see server/list-query.js)
+const Pagination = ({ pagination, onPageChange, disabled = false }) => {
+  if (!pagination || pagination.total === 0) return null;
+
+  const { page, limit, total, totalPages, hasNextPage, hasPrevPage } = pagination;
+  const firstItem = (page - 1) * limit + 1;
+  const lastItem = Math.min(page * limit, total);
+
+  return (
+    <div className="pagination">
+      <span className="pagination-summary">
+        Showing {firstItem}–{lastItem} of {total}
+      </span>
+      <div className="pagination-controls">
+        <button
+          onClick={() => onPageChange(page - 1)}
+          disabled={disabled || !hasPrevPage}
+          title="Previous page"
+        >
+          <ChevronLeft size={16} />
+        </button>
+        <span className="pagination-page">Page {page} of {totalPages}</span>
+        <button
+          onClick={() => onPageChange(page + 1)}
+          disabled={disabled || !hasNextPage}
+          title="Next page"
+        >
+          <ChevronRight size={16} />
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default Pagination;
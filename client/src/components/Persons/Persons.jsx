@@ -0,0 +1,640 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Users,
+  Plus,
+  Search,
+  Edit2,
+  Trash2,
+  RotateCcw,
+  User,
+  Link,
+  Unlink,
+  Camera,
+  Phone,
+  Mail,
+  MapPin,
+  AlertTriangle
+} from 'lucide-react';
+import { useAuth } from '../../context/AuthContext';
+import Pagination from '../Pagination/Pagination';
+import './Persons.css';
+
+const personRoles = ['suspect', 'victim', 'witness', 'complainant', 'owner', 'other'];
+const genders = ['Unknown', 'Male', 'Female', 'Other'];
+
+// Linkable record types and the list endpoint used to search each one
+const recordTypes = {
+  case: { label: 'Case', endpoint: '/api/cases', key: 'cases', number: r => r.caseNumber, title: r => r.title },
+  ob_entry: { label: 'OB Entry', endpoint: '/api/ob-entries', key: 'obEntries', number: r => r.obNumber, title: r => r.description },
+  evidence: { label: 'Evidence', endpoint: '/api/evidence', key: 'evidence', number: r => r.evidenceNumber, title: r => r.description },
+  license_plate: { label: 'License Plate', endpoint: '/api/license-plates', key: 'licensePlates', number: r => r.plateNumber, title: r => r.ownerName }
+};
+
+const formatLabel = (value) => value.replace(/_/g, ' ').replace(/\b\w/g, c => c.toUpperCase());
+
+const Persons = () => {
+  const { can } = useAuth();
+  const [persons, setPersons] = useState([]);
+  const [pagination, setPagination] = useState(null);
+  const [page, setPage] = useState(1);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [searchTerm, setSearchTerm] = useState('');
+  const [debouncedSearch, setDebouncedSearch] = useState('');
+  const [currentView, setCurrentView] = useState('list'); // 'list', 'create', 'detail', 'edit'
+  const [selectedPerson, setSelectedPerson] = useState(null);
+  const [linkedRecords, setLinkedRecords] = useState([]);
+  const [possibleMatches, setPossibleMatches] = useState([]);
+  const [recordsLoading, setRecordsLoading] = useState(false);
+
+  const fetchPersons = async () => {
+    setIsLoading(true);
+    try {
+      const params = new URLSearchParams({ page, limit: 24, sort: 'lastName' });
+      if (debouncedSearch) params.set('search', debouncedSearch);
+
+      const response = await fetch(`/api/persons?${params}`);
+      const data = await response.json();
+      if (response.ok) {
+        setPersons(data.persons || []);
+        setPagination(data.pagination || null);
+        setError('');
+      } else {
+        setError(data.message || 'Failed to fetch persons');
+      }
+    } catch (error) {
+      setError('Network error. Please try again.');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const fetchPersonRecords = async (personId) => {
+    setRecordsLoading(true);
+    try {
+      const response = await fetch(`/api/persons/${personId}/records`);
+      const data = await response.json();
+      if (response.ok) {
+        setLinkedRecords(data.records || []);
+        setPossibleMatches(data.possibleMatches || []);
+      } else {
+        setError(data.message || 'Failed to fetch linked records');
+      }
+    } catch (error) {
+      setError('Network error. Please try again.');
+    } finally {
+      setRecordsLoading(false);
+    }
+  };
+
+  // Wait for the user to stop typing before searching on the server
+  useEffect(() => {
+    const timer = setTimeout(() => {
+      setDebouncedSearch(searchTerm);
+      setPage(1);
+    }, 300);
+    return () => clearTimeout(timer);
+  }, [searchTerm]);
+
+  useEffect(() => {
+    fetchPersons();
+  }, [page, debouncedSearch]);
+
+  const navigateToView = (view, person = null) => {
+    setCurrentView(view);
+    setSelectedPerson(person);
+    setError('');
+    if (view === 'detail' && person) {
+      setLinkedRecords([]);
+      setPossibleMatches([]);
+      fetchPersonRecords(person.id);
+    }
+  };
+
+  const goBack = () => {
+    if (currentView === 'edit') {
+      navigateToView('detail', selectedPerson);
+    } else {
+      navigateToView('list');
+    }
+  };
+
+  const linkRecord = async (recordType, recordId, role, notes = '') => {
+    const response = await fetch(`/api/persons/${selectedPerson.id}/links`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ recordType, recordId, role, notes })
+    });
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.message || 'Failed to link record');
+    }
+    await fetchPersonRecords(selectedPerson.id);
+  };
+
+  const unlinkRecord = async (linkId) => {
+    if (!window.confirm('Remove this link?')) return;
+    try {
+      const response = await fetch(`/api/persons/${selectedPerson.id}/links/${linkId}`, { method: 'DELETE' });
+      if (response.ok) {
+        await fetchPersonRecords(selectedPerson.id);
+      } else {
+        const data = await response.json();
+        setError(data.message || 'Failed to remove link');
+      }
+    } catch (error) {
+      setError('Network error. Please try again.');
+    }
+  };
+
+  const deletePerson = async () => {
+    if (!window.confirm(`Delete ${selectedPerson.fullName} and all of their record links?`)) return;
+    try {
+      const response = await fetch(`/api/persons/${selectedPerson.id}`, { method: 'DELETE' });
+      if (response.ok) {
+        await fetchPersons();
+        navigateToView('list');
+      } else {
+        const data = await response.json();
+        setError(data.message || 'Failed to delete person');
+      }
+    } catch (error) {
+      setError('Network error. Please try again.');
+    }
+  };
+
+  const primaryPhoto = (person) => person?.photos?.[0]?.url;
+
+  const PersonsList = () => (
+    <div className="persons-list">
+      <div className="persons-header">
+        <div className="header-content">
+          <Users className="header-icon" />
+          <div>
+            <h1>Persons Registry</h1>
+            <p>Suspects, victims, witnesses, complainants and vehicle owners</p>
+          </div>
+        </div>
+        <div className="header-actions">
+          <button
+            className="refresh-btn"
+            onClick={fetchPersons}
+            disabled={isLoading}
+            title="Refresh persons list"
+          >
+            <RotateCcw size={18} className={isLoading ? 'spinning' : ''} />
+            Refresh
+          </button>
+          {can('persons', 'create') && (
+            <button className="add-person-btn" onClick={() => navigateToView('create')}>
+              <Plus size={18} />
+              Add Person
+            </button>
+          )}
+        </div>
+      </div>
+
+      <div className="persons-filters">
+        <div className="persons-search">
+          <Search size={20} />
+          <input
+            type="text"
+            placeholder="Search by name, alias, ID, passport or phone..."
+            value={searchTerm}
+            onChange={(e) => setSearchTerm(e.target.value)}
+          />
+        </div>
+      </div>
+
+      {error && <div className="persons-error">{error}</div>}
+
+      <div className="persons-grid">
+        {isLoading ? (
+          <div className="persons-empty">Loading persons...</div>
+        ) : persons.length === 0 ? (
+          <div className="persons-empty">
+            <Users size={48} />
+            <h3>No persons found</h3>
+            <p>Register a person or adjust your search</p>
+          </div>
+        ) : (
+          persons.map((person) => (
+            <div key={person.id} className="person-card" onClick={() => navigateToView('detail', person)}>
+              <div className="person-avatar">
+                {primaryPhoto(person) ? (
+                  <img src={primaryPhoto(person)} alt={person.fullName} />
+                ) : (
+                  <User size={32} />
+                )}
+              </div>
+              <div className="person-card-info">
+                <h4>{person.fullName}</h4>
+                {person.aliases?.length > 0 && (
+                  <p className="person-aliases">a.k.a. {person.aliases.join(', ')}</p>
+                )}
+                {person.idNumber && <p>ID: {person.idNumber}</p>}
+                {person.passportNumber && <p>Passport: {person.passportNumber}</p>}
+              </div>
+            </div>
+          ))
+        )}
+      </div>
+
+      <Pagination pagination={pagination} onPageChange={setPage} disabled={isLoading} />
+    </div>
+  );
+
+  const PersonForm = ({ person }) => {
+    const isEdit = Boolean(person);
+    const [formData, setFormData] = useState({
+      firstName: person?.firstName || '',
+      middleName: person?.middleName || '',
+      lastName: person?.lastName || '',
+      aliases: person?.aliases?.join(', ') || '',
+      idNumber: person?.idNumber || '',
+      passportNumber: person?.passportNumber || '',
+      dateOfBirth: person?.dateOfBirth || '',
+      gender: person?.gender || 'Unknown',
+      nationality: person?.nationality || '',
+      occupation: person?.occupation || '',
+      phone: person?.phone || '',
+      email: person?.email || '',
+      address: person?.address || '',
+      notes: person?.notes || ''
+    });
+    const [photoFiles, setPhotoFiles] = useState([]);
+    const [isSubmitting, setIsSubmitting] = useState(false);
+    const [errors, setErrors] = useState({});
+
+    const handleInputChange = (e) => {
+      const { name, value } = e.target;
+      setFormData(prev => ({ ...prev, [name]: value }));
+      if (errors[name]) {
+        setErrors(prev => ({ ...prev, [name]: '' }));
+      }
+    };
+
+    const validateForm = () => {
+      const newErrors = {};
+      if (!formData.firstName.trim()) newErrors.firstName = 'First name is required';
+      if (!formData.lastName.trim()) newErrors.lastName = 'Last name is required';
+      setErrors(newErrors);
+      return Object.keys(newErrors).length === 0;
+    };
+
+    const uploadPhotos = async (personId) => {
+      if (photoFiles.length === 0) return;
+      const body = new FormData();
+      photoFiles.forEach(file => body.append('photos', file));
+      const response = await fetch(`/api/persons/${personId}/photos`, { method: 'POST', body });
+      if (!response.ok) {
+        const data = await response.json();
+        throw new Error(data.message || 'Failed to upload photos');
+      }
+    };
+
+    const handleSubmit = async (e) => {
+      e.preventDefault();
+      if (!validateForm()) return;
+
+      setIsSubmitting(true);
+      try {
+        const response = await fetch(isEdit ? `/api/persons/${person.id}` : '/api/persons', {
+          method: isEdit ? 'PUT' : 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify(formData)
+        });
+        const data = await response.json();
+
+        if (!response.ok) {
+          setErrors({ submit: data.message || 'Failed to save person' });
+          return;
+        }
+
+        await uploadPhotos(data.person.id);
+        const saved = await fetch(`/api/persons/${data.person.id}`).then(res => res.json());
+        await fetchPersons();
+        navigateToView('detail', saved.person || data.person);
+      } catch (error) {
+        setErrors({ submit: error.message || 'Network error. Please try again.' });
+      } finally {
+        setIsSubmitting(false);
+      }
+    };
+
+    const textField = (name, label, props = {}) => (
+      <div className="form-group">
+        <label htmlFor={name}>{label}</label>
+        <input
+          type="text"
+          id={name}
+          name={name}
+          value={formData[name]}
+          onChange={handleInputChange}
+          className={errors[name] ? 'error' : ''}
+          {...props}
+        />
+        {errors[name] && <span className="error-text">{errors[name]}</span>}
+      </div>
+    );
+
+    return (
+      <div className="person-form-container">
+        <div className="person-form-header">
+          <button className="back-btn" onClick={goBack}>
+            <Users size={20} />
+            {isEdit ? 'Back to Person' : 'Back to Persons'}
+          </button>
+          <h1>{isEdit ? `Edit ${person.fullName}` : 'Register Person'}</h1>
+        </div>
+
+        <form onSubmit={handleSubmit} className="person-form">
+          <div className="person-form-grid">
+            {textField('firstName', 'First Name *')}
+            {textField('middleName', 'Middle Name')}
+            {textField('lastName', 'Last Name *')}
+            {textField('aliases', 'Aliases', { placeholder: 'Comma separated' })}
+            {textField('idNumber', 'ID Number')}
+            {textField('passportNumber', 'Passport Number')}
+            {textField('dateOfBirth', 'Date of Birth', { type: 'date' })}
+            <div className="form-group">
+              <label htmlFor="gender">Gender</label>
+              <select id="gender" name="gender" value={formData.gender} onChange={handleInputChange}>
+                {genders.map(gender => <option key={gender} value={gender}>{gender}</option>)}
+              </select>
+            </div>
+            {textField('nationality', 'Nationality')}
+            {textField('occupation', 'Occupation')}
+            {textField('phone', 'Phone', { type: 'tel' })}
+            {textField('email', 'Email', { type: 'email' })}
+          </div>
+
+          <div className="form-group">
+            <label htmlFor="address">Address</label>
+            <textarea id="address" name="address" rows="2" value={formData.address} onChange={handleInputChange} />
+          </div>
+
+          <div className="form-group">
+            <label htmlFor="notes">Notes</label>
+            <textarea id="notes" name="notes" rows="3" value={formData.notes} onChange={handleInputChange} />
+          </div>
+
+          <div className="form-group">
+            <label htmlFor="photos">Photos</label>
+            <input
+              type="file"
+              id="photos"
+              accept="image/*"
+              multiple
+              onChange={(e) => setPhotoFiles(Array.from(e.target.files))}
+            />
+            {photoFiles.length > 0 && <small>{photoFiles.length} photo(s) will be uploaded</small>}
+          </div>
+
+          {errors.submit && <div className="submit-error">{errors.submit}</div>}
+
+          <div className="form-actions">
+            <button type="button" className="cancel-btn" onClick={goBack} disabled={isSubmitting}>
+              Cancel
+            </button>
+            <button type="submit" className="submit-btn" disabled={isSubmitting}>
+              {isSubmitting ? 'Saving...' : isEdit ? 'Save Changes' : 'Register Person'}
+            </button>
+          </div>
+        </form>
+      </div>
+    );
+  };
+
+  const LinkRecordForm = () => {
+    const [recordType, setRecordType] = useState('case');
+    const [query, setQuery] = useState('');
+    const [results, setResults] = useState([]);
+    const [recordId, setRecordId] = useState('');
+    const [role, setRole] = useState('suspect');
+    const [notes, setNotes] = useState('');
+    const [linkError, setLinkError] = useState('');
+    const [isLinking, setIsLinking] = useState(false);
+
+    useEffect(() => {
+      const config = recordTypes[recordType];
+      const timer = setTimeout(async () => {
+        try {
+          const params = new URLSearchParams({ limit: 10 });
+          if (query) params.set('search', query);
+          const response = await fetch(`${config.endpoint}?${params}`);
+          const data = await response.json();
+          setResults(response.ok ? data[config.key] || [] : []);
+        } catch (error) {
+          setResults([]);
+        }
+      }, 300);
+      return () => clearTimeout(timer);
+    }, [recordType, query]);
+
+    const handleLink = async (e) => {
+      e.preventDefault();
+      if (!recordId) {
+        setLinkError('Choose a record to link');
+        return;
+      }
+      setIsLinking(true);
+      setLinkError('');
+      try {
+        await linkRecord(recordType, recordId, role, notes);
+      } catch (error) {
+        setLinkError(error.message);
+        setIsLinking(false);
+      }
+    };
+
+    const config = recordTypes[recordType];
+
+    return (
+      <form className="link-record-form" onSubmit={handleLink}>
+        <div className="link-record-row">
+          <select value={recordType} onChange={(e) => { setRecordType(e.target.value); setRecordId(''); }}>
+            {Object.entries(recordTypes).map(([type, { label }]) => (
+              <option key={type} value={type}>{label}</option>
+            ))}
+          </select>
+          <input
+            type="text"
+            placeholder={`Search ${config.label.toLowerCase()}s...`}
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+          />
+        </div>
+        <select value={recordId} onChange={(e) => setRecordId(e.target.value)} size={Math.min(Math.max(results.length, 2), 6)}>
+          {results.map(record => (
+            <option key={record.id} value={record.id}>
+              {config.number(record)} — {(config.title(record) || '').slice(0, 60)}
+            </option>
+          ))}
+        </select>
+        <div className="link-record-row">
+          <select value={role} onChange={(e) => setRole(e.target.value)}>
+            {personRoles.map(r => <option key={r} value={r}>{formatLabel(r)}</option>)}
+          </select>
+          <input type="text" placeholder="Notes (optional)" value={notes} onChange={(e) => setNotes(e.target.value)} />
+          <button type="submit" className="submit-btn" disabled={isLinking}>
+            <Link size={14} />
+            {isLinking ? 'Linking...' : 'Link'}
+          </button>
+        </div>
+        {linkError && <div className="submit-error">{linkError}</div>}
+      </form>
+    );
+  };
+
+  const PersonDetail = () => {
+    const grouped = Object.keys(recordTypes).map(type => ({
+      type,
+      records: linkedRecords.filter(record => record.recordType === type)
+    })).filter(group => group.records.length > 0);
+
+    return (
+      <div className="person-detail">
+        <div className="person-detail-header">
+          <button className="back-btn" onClick={goBack}>
+            <Users size={20} />
+            Back to Persons
+          </button>
+          <div className="detail-actions">
+            {can('persons', 'update') && (
+              <button onClick={() => navigateToView('edit', selectedPerson)}>
+                <Edit2 size={16} />
+                Edit Person
+              </button>
+            )}
+            {can('persons', 'delete') && (
+              <button className="danger" onClick={deletePerson}>
+                <Trash2 size={16} />
+                Delete
+              </button>
+            )}
+          </div>
+        </div>
+
+        {error && <div className="persons-error">{error}</div>}
+
+        <div className="person-profile">
+          <div className="person-photos">
+            {selectedPerson?.photos?.length > 0 ? (
+              selectedPerson.photos.map(photo => (
+                <img key={photo.filename} src={photo.url} alt={photo.name} />
+              ))
+            ) : (
+              <div className="person-photo-placeholder">
+                <Camera size={32} />
+                <span>No photos</span>
+              </div>
+            )}
+          </div>
+          <div className="person-identity">
+            <h1>{selectedPerson?.fullName}</h1>
+            {selectedPerson?.aliases?.length > 0 && (
+              <p className="person-aliases">a.k.a. {selectedPerson.aliases.join(', ')}</p>
+            )}
+            <div className="person-info-grid">
+              <div><strong>ID Number:</strong> {selectedPerson?.idNumber || 'Not provided'}</div>
+              <div><strong>Passport:</strong> {selectedPerson?.passportNumber || 'Not provided'}</div>
+              <div><strong>Date of Birth:</strong> {selectedPerson?.dateOfBirth || 'Unknown'}</div>
+              <div><strong>Gender:</strong> {selectedPerson?.gender || 'Unknown'}</div>
+              <div><strong>Nationality:</strong> {selectedPerson?.nationality || 'Unknown'}</div>
+              <div><strong>Occupation:</strong> {selectedPerson?.occupation || 'Unknown'}</div>
+            </div>
+            <div className="person-contact">
+              {selectedPerson?.phone && <span><Phone size={14} /> {selectedPerson.phone}</span>}
+              {selectedPerson?.email && <span><Mail size={14} /> {selectedPerson.email}</span>}
+              {selectedPerson?.address && <span><MapPin size={14} /> {selectedPerson.address}</span>}
+            </div>
+            {selectedPerson?.notes && <p className="person-notes">{selectedPerson.notes}</p>}
+          </div>
+        </div>
+
+        <div className="person-section">
+          <h3>Appears In</h3>
+          {recordsLoading ? (
+            <p className="person-muted">Loading linked records...</p>
+          ) : grouped.length === 0 ? (
+            <p className="person-muted">This person is not linked to any records yet.</p>
+          ) : (
+            grouped.map(group => (
+              <div key={group.type} className="record-group">
+                <h4>{recordTypes[group.type].label}s ({group.records.length})</h4>
+                {group.records.map(record => (
+                  <div key={record.id} className="record-row">
+                    <span className={`role-badge ${record.role}`}>{formatLabel(record.role)}</span>
+                    {record.summary ? (
+                      <>
+                        <strong>{record.summary.number}</strong>
+                        <span className="record-title">{record.summary.title}</span>
+                        {record.summary.status && <span className="record-status">{record.summary.status}</span>}
+                      </>
+                    ) : (
+                      <span className="record-title person-muted">Record no longer exists</span>
+                    )}
+                    {record.notes && <span className="record-notes">{record.notes}</span>}
+                    {can('persons', 'update') && (
+                      <button className="unlink-btn" onClick={() => unlinkRecord(record.id)} title="Remove link">
+                        <Unlink size={14} />
+                      </button>
+                    )}
+                  </div>
+                ))}
+              </div>
+            ))
+          )}
+        </div>
+
+        {possibleMatches.length > 0 && (
+          <div className="person-section">
+            <h3>
+              <AlertTriangle size={18} />
+              Possible Matches
+            </h3>
+            <p className="person-muted">Unlinked records that mention this person's name or identifiers.</p>
+            {possibleMatches.map(match => (
+              <div key={`${match.recordType}:${match.recordId}`} className="record-row">
+                <span className="record-type">{recordTypes[match.recordType].label}</span>
+                <strong>{match.summary.number}</strong>
+                <span className="record-title">{match.summary.title}</span>
+                <span className="record-notes">{match.reason}</span>
+                {can('persons', 'update') && (
+                  <button
+                    className="link-match-btn"
+                    onClick={() => linkRecord(match.recordType, match.recordId, match.suggestedRole).catch(err => setError(err.message))}
+                  >
+                    <Link size={14} />
+                    Link as {formatLabel(match.suggestedRole)}
+                  </button>
+                )}
+              </div>
+            ))}
+          </div>
+        )}
+
+        {can('persons', 'update') && (
+          <div className="person-section">
+            <h3>Link to a Record</h3>
+            <LinkRecordForm />
+          </div>
+        )}
+      </div>
+    );
+  };
+
+  switch (currentView) {
+    case 'detail':
+      return <PersonDetail />;
+    case 'create':
+      return <PersonForm />;
+    case 'edit':
+      return <PersonForm person={selectedPerson} />;
+    default:
+      return <PersonsList />;
+  }
+};
+
+export default Persons;
@@ -104,7 +104,7 @@ const EnhancedProfile = () => {
   const fetchOfficers = async () => {
     try {
       console.log('🔍 Fetching officers from MongoDB...');
-      const response = await fetch('/api/officers');
+      const response = await fetch('/api/officers?limit=200');
       if (response.ok) {
         const data = await response.json();
         console.log('📊 Received officers from API:', data);
@@ -129,7 +129,7 @@ const EnhancedProfile = () => {
   const fetchProfiles = async () => {
     try {
       console.log('🔍 Fetching profiles from MongoDB...');
-      const response = await fetch('/api/profiles');
+      const response = await fetch('/api/profiles?limit=200');
       if (response.ok) {
         const data = await response.json();
         console.log('📊 Received profiles from API:', data);
@@ -153,7 +153,7 @@ const EnhancedProfile = () => {
   const fetchOBEntries = async () => {
     try {
       console.log('🔍 Fetching OB entries from MongoDB...');
-      const response = await fetch('/api/ob-entries');
+      const response = await fetch('/api/ob-entries?limit=200');
       if (response.ok) {
         const data = await response.json();
         console.log('📊 Received OB entries from API:', data);
@@ -18,7 +18,7 @@ const ProfilesList = () => {
       setLoading(true);
       console.log('🔍 Fetching all profiles...');
       
-      const response = await fetch('/api/profiles');
+      const response = await fetch('/api/profiles?limit=200');
       const data = await response.json();
       
       if (response.ok) {
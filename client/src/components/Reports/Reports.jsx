@@ -21,9 +21,11 @@ import {
   FileCheck,
   AlertTriangle
 } from 'lucide-react';
+import { useAuth } from '../../context/AuthContext';
 import './Reports.css';
 
 const Reports = () => {
+  const { can } = useAuth();
   const [reports, setReports] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
@@ -49,7 +51,7 @@ const Reports = () => {
     try {
       setLoading(true);
       console.log('🔍 Fetching reports from MongoDB...');
-      const response = await fetch('/api/reports');
+      const response = await fetch('/api/reports?limit=200');
       
       if (!response.ok) {
         const errorText = await response.text();
@@ -296,14 +298,16 @@ const Reports = () => {
           >
             <RefreshCw size={18} className={refreshing ? 'spinning' : ''} />
           </button>
-          <button 
-            className="add-button"
-            onClick={() => setShowAddModal(true)}
-            disabled={loading}
-          >
-            <Plus size={20} />
-            Generate New Report
-          </button>
+          {can('reports', 'create') && (
+            <button 
+              className="add-button"
+              onClick={() => setShowAddModal(true)}
+              disabled={loading}
+            >
+              <Plus size={20} />
+              Generate New Report
+            </button>
+          )}
         </div>
       </div>
 
@@ -423,20 +427,24 @@ const Reports = () => {
                 >
                   <Download size={16} />
                 </button>
-                <button 
-                  className="action-button edit"
-                  title="Edit Report"
-                  onClick={() => handleEdit(report)}
-                >
-                  <Edit size={16} />
-                </button>
-                <button 
-                  className="action-button delete"
-                  title="Delete Report"
-                  onClick={() => handleDelete(report.id)}
-                >
-                  <Trash2 size={16} />
-                </button>
+                {can('reports', 'update') && (
+                  <button 
+                    className="action-button edit"
+                    title="Edit Report"
+                    onClick={() => handleEdit(report)}
+                  >
+                    <Edit size={16} />
+                  </button>
+                )}
+                {can('reports', 'delete') && (
+                  <button 
+                    className="action-button delete"
+                    title="Delete Report"
+                    onClick={() => handleDelete(report.id)}
+                  >
+                    <Trash2 size={16} />
+                  </button>
+                )}
               </div>
             </div>
           ))
@@ -523,6 +531,8 @@ const Reports = () => {
                   <select
                     value={formData.status}
                     onChange={(e) => setFormData({...formData, status: e.target.value})}
+                    disabled={!can('reports', 'approve')}
+                    title={can('reports', 'approve') ? undefined : 'Only approvers can change report status'}
                   >
                     <option value="Pending">Pending Review</option>
                     <option value="Approved">Approved</option>
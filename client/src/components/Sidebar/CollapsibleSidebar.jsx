@@ -19,23 +19,25 @@ import {
   Map,
   Archive,
   FileCheck,
-  Badge
+  Badge,
+  Contact
 } from 'lucide-react';
 import { useAuth } from '../../context/AuthContext';
 import './CollapsibleSidebar.css';
 
 const CollapsibleSidebar = ({ activeSection, setActiveSection }) => {
-  const { user, logout } = useAuth();
+  const { user, logout, can } = useAuth();
   const [isCollapsed, setIsCollapsed] = useState(false);
 
   const menuItems = [
     { id: 'dashboard', label: 'Dashboard', icon: Home },
-    { id: 'cases', label: 'Cases', icon: FileText },
-    { id: 'occurrence-book', label: 'Occurrence Book (OB)', icon: UserCheck },
-    { id: 'license-plates', label: 'License Plates', icon: Car },
-    { id: 'evidence', label: 'Evidence Log', icon: Camera },
-    { id: 'geofiles', label: 'Geo Files', icon: Map },
-    { id: 'reports', label: 'Generate Report', icon: FileCheck },
+    { id: 'cases', label: 'Cases', icon: FileText, resource: 'cases' },
+    { id: 'occurrence-book', label: 'Occurrence Book (OB)', icon: UserCheck, resource: 'ob_entries' },
+    { id: 'license-plates', label: 'License Plates', icon: Car, resource: 'license_plates' },
+    { id: 'persons', label: 'Persons', icon: Contact, resource: 'persons' },
+    { id: 'evidence', label: 'Evidence Log', icon: Camera, resource: 'evidence' },
+    { id: 'geofiles', label: 'Geo Files', icon: Map, resource: 'geofiles' },
+    { id: 'reports', label: 'Generate Report', icon: FileCheck, resource: 'reports' },
     { id: 'profile', label: 'Profile', icon: User, adminOnly: true },
   ];
 
@@ -44,11 +46,14 @@ const CollapsibleSidebar = ({ activeSection, setActiveSection }) => {
     menuItems.push({ id: 'admin', label: 'User Management', icon: Users });
   }
 
-  // Filter menu items based on admin access for profile
+  // Filter menu items based on admin access for profile and the role's read permissions
   const filteredMenuItems = menuItems.filter(item => {
     if (item.adminOnly && user?.role !== 'admin') {
       return false;
     }
+    if (item.resource && !can(item.resource, 'read')) {
+      return false;
+    }
     return true;
   });
 
@@ -0,0 +1,173 @@
+import React, { useState, useEffect } from 'react';
+import { History, ChevronDown, ChevronRight, RotateCcw } from 'lucide-react';
+import Pagination from '../Pagination/Pagination';
+
+const entities = [
+  'users', 'cases', 'ob_entries', 'license_plates', 'evidence', 'persons', 'person_links',
+  'reports', 'geofiles', 'profiles', 'officers', 'police_vehicles', 'role_permissions'
+];
+
+const formatLabel = (value) => value.replace(/_/g, ' ').replace(/\b\w/g, c => c.toUpperCase());
+
+const formatValue = (value) => {
+  if (value === null || value === undefined) return '—';
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+};
+
+const AuditLog = () => {
+  const [entries, setEntries] = useState([]);
+  const [pagination, setPagination] = useState(null);
+  const [page, setPage] = useState(1);
+  const [filters, setFilters] = useState({ entity: '', action: '', search: '', dateFrom: '', dateTo: '' });
+  const [expanded, setExpanded] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    fetchEntries();
+  }, [page, filters]);
+
+  const fetchEntries = async () => {
+    try {
+      setLoading(true);
+      const params = new URLSearchParams({ page, limit: 50 });
+      Object.entries(filters).forEach(([key, value]) => {
+        if (value) params.set(key, value);
+      });
+
+      const response = await fetch(`/api/audit-log?${params}`);
+      const data = await response.json();
+
+      if (response.ok) {
+        setEntries(data.entries);
+        setPagination(data.pagination);
+        setError('');
+      } else {
+        setError(data.message);
+      }
+    } catch (err) {
+      setError('Failed to fetch audit log');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const updateFilter = (key, value) => {
+    setFilters(prev => ({ ...prev, [key]: value }));
+    setPage(1);
+  };
+
+  const actorLabel = (entry) => {
+    if (entry.source === 'system') return 'System';
+    if (!entry.actor) return 'Anonymous';
+    return `${entry.actor.name || entry.actor.username} (${entry.actor.role})`;
+  };
+
+  return (
+    <div className="audit-log">
+      <div className="permission-matrix-header">
+        <h2>
+          <History className="header-icon" />
+          Audit Trail
+        </h2>
+        <button className="reset-permissions-btn" onClick={fetchEntries} disabled={loading}>
+          <RotateCcw size={16} />
+          Refresh
+        </button>
+      </div>
+
+      <div className="audit-filters">
+        <select value={filters.entity} onChange={(e) => updateFilter('entity', e.target.value)}>
+          <option value="">All records</option>
+          {entities.map(entity => <option key={entity} value={entity}>{formatLabel(entity)}</option>)}
+        </select>
+        <select value={filters.action} onChange={(e) => updateFilter('action', e.target.value)}>
+          <option value="">All actions</option>
+          <option value="create">Create</option>
+          <option value="update">Update</option>
+          <option value="delete">Delete</option>
+        </select>
+        <input
+          type="text"
+          placeholder="Search user, record ID, IP or path..."
+          value={filters.search}
+          onChange={(e) => updateFilter('search', e.target.value)}
+        />
+        <input type="date" value={filters.dateFrom} onChange={(e) => updateFilter('dateFrom', e.target.value)} title="From" />
+        <input type="date" value={filters.dateTo} onChange={(e) => updateFilter('dateTo', e.target.value)} title="To" />
+      </div>
+
+      {error && <div className="error-message">{error}</div>}
+
+      <table className="permission-table audit-table">
+        <thead>
+          <tr>
+            <th></th>
+            <th>When</th>
+            <th>Who</th>
+            <th>Action</th>
+            <th>Record</th>
+            <th>IP</th>
+            <th>Request</th>
+          </tr>
+        </thead>
+        <tbody>
+          {loading && entries.length === 0 ? (
+            <tr><td colSpan="7">Loading audit trail...</td></tr>
+          ) : entries.length === 0 ? (
+            <tr><td colSpan="7">No audit entries match these filters</td></tr>
+          ) : entries.map(entry => (
+            <React.Fragment key={entry.id}>
+              <tr className="audit-row" onClick={() => setExpanded(expanded === entry.id ? null : entry.id)}>
+                <td>{expanded === entry.id ? <ChevronDown size={14} /> : <ChevronRight size={14} />}</td>
+                <td>{new Date(entry.createdAt).toLocaleString()}</td>
+                <td>{actorLabel(entry)}</td>
+                <td><span className={`audit-action ${entry.action}`}>{formatLabel(entry.action)}</span></td>
+                <td>
+                  {formatLabel(entry.entity)} {entry.entityLabel || entry.entityId}
+                </td>
+                <td>{entry.ip || '—'}</td>
+                <td className="audit-request">{entry.request ? `${entry.request.method} ${entry.request.path}` : '—'}</td>
+              </tr>
+              {expanded === entry.id && (
+                <tr className="audit-details">
+                  <td colSpan="7">
+                    <div className="audit-meta">
+                      <span>Record ID: {entry.entityId}</span>
+                      <span>Operation: {entry.operation}</span>
+                      {entry.sessionFingerprint && <span>Session: {entry.sessionFingerprint.slice(0, 16)}…</span>}
+                      {entry.userAgent && <span>Client: {entry.userAgent}</span>}
+                    </div>
+                    <table className="audit-changes">
+                      <thead>
+                        <tr>
+                          <th>Field</th>
+                          <th>Before</th>
+                          <th>After</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {Object.entries(entry.changes || {}).map(([field, change]) => (
+                          <tr key={field}>
+                            <td>{field}</td>
+                            <td>{formatValue(change.from)}</td>
+                            <td>{formatValue(change.to)}</td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </td>
+                </tr>
+              )}
+            </React.Fragment>
+          ))}
+        </tbody>
+      </table>
+
+      <Pagination pagination={pagination} onPageChange={setPage} disabled={loading} />
+    </div>
+  );
+};
+
+export default AuditLog;
@@ -0,0 +1,180 @@
+import React, { useState, useEffect } from 'react';
+import { Lock, Save, RotateCcw } from 'lucide-react';
+import { useAuth } from '../../context/AuthContext';
+
+const formatLabel = (value) => value.replace(/_/g, ' ').replace(/\b\w/g, c => c.toUpperCase());
+
+const PermissionMatrix = () => {
+  const { checkAuthStatus } = useAuth();
+  const [matrix, setMatrix] = useState({});
+  const [roles, setRoles] = useState([]);
+  const [resources, setResources] = useState([]);
+  const [actions, setActions] = useState([]);
+  const [selectedRole, setSelectedRole] = useState('supervisor');
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+
+  useEffect(() => {
+    fetchPermissions();
+  }, []);
+
+  const fetchPermissions = async () => {
+    try {
+      setLoading(true);
+      const response = await fetch('/api/permissions');
+      const data = await response.json();
+
+      if (response.ok) {
+        setMatrix(data.permissions);
+        setRoles(data.roles);
+        setResources(data.resources);
+        setActions(data.actions);
+      } else {
+        setError(data.message);
+      }
+    } catch (err) {
+      setError('Failed to fetch permissions');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const isLocked = selectedRole === 'admin';
+
+  const togglePermission = (resource, action) => {
+    if (isLocked) return;
+    setMatrix(prev => {
+      const current = prev[selectedRole]?.[resource] || [];
+      const next = current.includes(action)
+        ? current.filter(a => a !== action)
+        : [...current, action];
+      return { ...prev, [selectedRole]: { ...prev[selectedRole], [resource]: next } };
+    });
+  };
+
+  const showSuccess = (message) => {
+    setSuccess(message);
+    setTimeout(() => setSuccess(''), 3000);
+  };
+
+  const handleSave = async () => {
+    try {
+      setSaving(true);
+      setError('');
+      const response = await fetch(`/api/permissions/${selectedRole}`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ permissions: matrix[selectedRole] })
+      });
+      const data = await response.json();
+
+      if (response.ok) {
+        setMatrix(prev => ({ ...prev, [selectedRole]: data.permissions }));
+        showSuccess(`Permissions for ${formatLabel(selectedRole)} saved`);
+        checkAuthStatus();
+      } else {
+        setError(data.message);
+      }
+    } catch (err) {
+      setError('Failed to save permissions');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleReset = async () => {
+    if (!window.confirm(`Reset ${formatLabel(selectedRole)} permissions to the system defaults?`)) return;
+    try {
+      setSaving(true);
+      setError('');
+      const response = await fetch(`/api/permissions/${selectedRole}`, { method: 'DELETE' });
+      const data = await response.json();
+
+      if (response.ok) {
+        setMatrix(prev => ({ ...prev, [selectedRole]: data.permissions }));
+        showSuccess(`Permissions for ${formatLabel(selectedRole)} reset to defaults`);
+      } else {
+        setError(data.message);
+      }
+    } catch (err) {
+      setError('Failed to reset permissions');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (loading) {
+    return <div className="permission-matrix"><div className="loading">Loading permissions...</div></div>;
+  }
+
+  return (
+    <div className="permission-matrix">
+      <div className="permission-matrix-header">
+        <h2>
+          <Lock className="header-icon" />
+          Role Permissions
+        </h2>
+        <div className="role-tabs">
+          {roles.map(role => (
+            <button
+              key={role}
+              className={`role-tab ${selectedRole === role ? 'active' : ''}`}
+              onClick={() => setSelectedRole(role)}
+            >
+              {formatLabel(role)}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {error && <div className="error-message">{error}</div>}
+      {success && <div className="success-message">{success}</div>}
+      {isLocked && (
+        <p className="permission-note">Administrators always have full access and cannot be restricted.</p>
+      )}
+
+      <table className="permission-table">
+        <thead>
+          <tr>
+            <th>Module</th>
+            {actions.map(action => <th key={action}>{formatLabel(action)}</th>)}
+          </tr>
+        </thead>
+        <tbody>
+          {resources.map(resource => (
+            <tr key={resource}>
+              <td>{formatLabel(resource)}</td>
+              {actions.map(action => (
+                <td key={action}>
+                  <input
+                    type="checkbox"
+                    checked={Boolean(matrix[selectedRole]?.[resource]?.includes(action))}
+                    onChange={() => togglePermission(resource, action)}
+                    disabled={isLocked || saving}
+                  />
+                </td>
+              ))}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      {!isLocked && (
+        <div className="permission-actions">
+          <button className="reset-permissions-btn" onClick={handleReset} disabled={saving}>
+            <RotateCcw size={16} />
+            Reset to Defaults
+          </button>
+          <button className="add-user-btn" onClick={handleSave} disabled={saving}>
+            <Save size={16} />
+            {saving ? 'Saving...' : 'Save Permissions'}
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PermissionMatrix;
@@ -1,6 +1,8 @@
 import React, { useState, useEffect } from 'react';
 import { useAuth } from '../../context/AuthContext';
 import { Users, UserPlus, Trash2, Shield, User } from 'lucide-react';
+import PermissionMatrix from './PermissionMatrix';
+import AuditLog from './AuditLog';
 import './UserManagement.css';
 
 const UserManagement = ({ onRegisterClick }) => {
@@ -17,7 +19,7 @@ const UserManagement = ({ onRegisterClick }) => {
   const fetchUsers = async () => {
     try {
       setLoading(true);
-      const response = await fetch('/api/users');
+      const response = await fetch('/api/users?limit=200');
       const data = await response.json();
       
       if (response.ok) {
@@ -205,6 +207,10 @@ const UserManagement = ({ onRegisterClick }) => {
           <span>{users.filter(u => u.role === 'user').length}</span>
         </div>
       </div>
+
+      <PermissionMatrix />
+
+      <AuditLog />
     </div>
   );
 };
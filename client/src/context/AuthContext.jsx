@@ -14,6 +14,7 @@ export const AuthProvider = ({ children }) => {
   const [user, setUser] = useState(null);
   const [isLoading, setIsLoading] = useState(true);
   const [isAuthenticated, setIsAuthenticated] = useState(false);
+  const [permissions, setPermissions] = useState({});
 
   // Check authentication status on mount
   useEffect(() => {
@@ -28,14 +29,17 @@ export const AuthProvider = ({ children }) => {
       if (response.ok) {
         const data = await response.json();
         setUser(data.user);
+        setPermissions(data.permissions || {});
         setIsAuthenticated(true);
       } else {
         setUser(null);
+        setPermissions({});
         setIsAuthenticated(false);
       }
     } catch (error) {
       console.error('Auth check failed:', error);
       setUser(null);
+      setPermissions({});
       setIsAuthenticated(false);
     } finally {
       setIsLoading(false);
@@ -57,6 +61,7 @@ export const AuthProvider = ({ children }) => {
 
       if (response.ok) {
         setUser(data.user);
+        setPermissions(data.permissions || {});
         setIsAuthenticated(true);
         return { success: true };
       } else {
@@ -75,6 +80,7 @@ export const AuthProvider = ({ children }) => {
       console.error('Logout failed:', error);
     } finally {
       setUser(null);
+      setPermissions({});
       setIsAuthenticated(false);
       // Redirect to login page after logout
       window.location.href = '/';
@@ -174,8 +180,15 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
+  // Mirrors the server permission matrix so the UI can hide actions the role cannot perform
+  const can = (resource, action) => {
+    return Boolean(permissions[resource]?.includes(action));
+  };
+
   const value = {
     user,
+    permissions,
+    can,
     isAuthenticated,
     isLoading,
     login,
@@ -0,0 +1,121 @@
+// Request context, diffing and writing for the audit trail.
+// auditContext() runs every request inside an AsyncLocalStorage scope so the CRUD layer
+// can attribute a write to whoever made the request without threading req through
+// every call. Mutations outside a request (seeds, startup jobs) are recorded as 'system'.
+import { AsyncLocalStorage } from 'async_hooks';
+import { getDatabase } from './mongodb-connection.js';
+import { custodyActorFromRequest } from './custody-chain.js';
+
+const requestContext = new AsyncLocalStorage();
+
+// Fields that only change as a side effect of a write and add nothing to a diff
+const IGNORED_FIELDS = ['_id', 'updatedAt'];
+const REDACTED = '[redacted]';
+
+export const auditContext = (req, res, next) => {
+  requestContext.run({ req }, next);
+};
+
+// Who and where a mutation came from, resolved when the entry is written so that
+// a login recorded mid-request is attributed to the user who just signed in
+export function currentAuditSource() {
+  const req = requestContext.getStore()?.req;
+  if (!req) {
+    return { source: 'system', actor: null, sessionFingerprint: null, ip: null, userAgent: null, request: null };
+  }
+
+  const { actor, sessionFingerprint } = custodyActorFromRequest(req);
+  return {
+    source: 'request',
+    actor,
+    sessionFingerprint,
+    ip: req.ip || req.socket?.remoteAddress || null,
+    userAgent: req.get('user-agent') || null,
+    request: { method: req.method, path: req.originalUrl.split('?')[0] }
+  };
+}
+
+function normalize(value) {
+  if (value === undefined) return null;
+  if (value instanceof Date) return value.toISOString();
+  if (value && typeof value.toHexString === 'function') return value.toHexString();
+  if (Array.isArray(value)) return value.map(normalize);
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, inner]) => [key, normalize(inner)]));
+  }
+  return value;
+}
+
+const isSensitive = (field) => /password|secret|token/i.test(field);
+
+// Top-level field changes between two versions of a document: { field: { from, to } }.
+// Either side may be null for creates and deletes.
+export function diffDocuments(before, after) {
+  const changes = {};
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+  for (const field of fields) {
+    if (IGNORED_FIELDS.includes(field)) continue;
+    const from = normalize(before?.[field]);
+    const to = normalize(after?.[field]);
+    if (JSON.stringify(from) === JSON.stringify(to)) continue;
+
+    changes[field] = isSensitive(field)
+      ? { from: from === null ? null : REDACTED, to: to === null ? null : REDACTED }
+      : { from, to };
+  }
+
+  return changes;
+}
+
+const LABEL_FIELDS = ['caseNumber', 'obNumber', 'evidenceNumber', 'disposalNumber', 'auditNumber', 'plateNumber', 'reportNumber', 'badgeNumber', 'vehicleId', 'username', 'fullName', 'filename', 'role'];
+
+// One audit_log entry for a document's change; `operation` names the method or job that made it
+export async function writeAuditEntry(entity, operation, before, after) {
+  const action = !before ? 'create' : !after ? 'delete' : 'update';
+  const changes = diffDocuments(before, after);
+  if (action === 'update' && Object.keys(changes).length === 0) return;
+
+  const doc = after || before;
+  const labelField = LABEL_FIELDS.find(field => doc[field]);
+
+  try {
+    await getDatabase().collection('audit_log').insertOne({
+      entity,
+      entityId: doc._id.toString(),
+      entityLabel: labelField ? String(doc[labelField]) : null,
+      action,
+      operation,
+      changes,
+      ...currentAuditSource(),
+      createdAt: new Date()
+    });
+  } catch (error) {
+    // The change itself has already been written; make the gap visible rather than fail the request
+    console.error('❌ Failed to write audit log entry:', entity, doc._id.toString(), action, error);
+  }
+}
+
+// Entries for every document that differs between two snapshots of the same documents
+export async function auditSnapshots(entity, operation, before, after) {
+  const beforeById = new Map(before.map(doc => [doc._id.toString(), doc]));
+  const afterById = new Map(after.map(doc => [doc._id.toString(), doc]));
+  for (const id of new Set([...beforeById.keys(), ...afterById.keys()])) {
+    await writeAuditEntry(entity, operation, beforeById.get(id) || null, afterById.get(id) || null);
+  }
+}
+
+// Runs `write` and records what it changed in the existing documents matching `filter`.
+// The documents are read back by _id, so a write that moves them out of the filter (a
+// status rewrite, say) is still recorded. For writes made outside the CRUD layer, such
+// as startup backfills.
+export async function auditedWrite(entity, operation, filter, write) {
+  const collection = getDatabase().collection(entity);
+  const before = await collection.find(filter).toArray();
+  const result = await write();
+  const after = before.length > 0
+    ? await collection.find({ _id: { $in: before.map(doc => doc._id) } }).toArray()
+    : [];
+  await auditSnapshots(entity, operation, before, after);
+  return result;
+}
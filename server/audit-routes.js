@@ -0,0 +1,58 @@
+// Admin-only read access to the audit trail written by the CRUD layer (see audit-log.js)
+// and to the file download log (see file-access.js)
+import { ObjectId } from 'mongodb';
+import { AuditLogCRUD, FileDownloadsCRUD } from './mongodb-crud.js';
+import { requireAdmin } from './permissions.js';
+import { parseListQuery, LIST_SPECS, ListQueryError } from './list-query.js';
+
+const toResponseEntry = (entry) => ({ ...entry, id: entry._id.toString() });
+
+export function registerAuditRoutes(app) {
+  console.log('🔧 Registering Audit Log Routes...');
+
+  // Filter with ?entity=cases&entityId=...&action=update&actor.username=jdoe&dateFrom=...
+  app.get('/api/audit-log', requireAdmin, async (req, res) => {
+    try {
+      const { items, pagination } = await AuditLogCRUD.findPage(parseListQuery(req.query, LIST_SPECS.audit_log));
+      res.json({ entries: items.map(toResponseEntry), pagination });
+    } catch (error) {
+      if (error instanceof ListQueryError) {
+        return res.status(400).json({ message: error.message });
+      }
+      console.error('❌ Failed to fetch audit log:', error);
+      res.status(500).json({ message: 'Failed to fetch audit log', error: error.message });
+    }
+  });
+
+  app.get('/api/audit-log/:id', requireAdmin, async (req, res) => {
+    try {
+      if (!ObjectId.isValid(req.params.id)) {
+        return res.status(400).json({ message: 'Invalid audit log entry ID' });
+      }
+      const entry = await AuditLogCRUD.findById(req.params.id);
+      if (!entry) {
+        return res.status(404).json({ message: 'Audit log entry not found' });
+      }
+      res.json({ entry: toResponseEntry(entry) });
+    } catch (error) {
+      console.error('❌ Failed to fetch audit log entry:', error);
+      res.status(500).json({ message: 'Failed to fetch audit log entry', error: error.message });
+    }
+  });
+
+  // Filter with ?resourceType=evidence&resourceId=...&granted=false&actor.username=jdoe&dateFrom=...
+  app.get('/api/file-downloads', requireAdmin, async (req, res) => {
+    try {
+      const { items, pagination } = await FileDownloadsCRUD.findPage(parseListQuery(req.query, LIST_SPECS.file_downloads));
+      res.json({ downloads: items.map(toResponseEntry), pagination });
+    } catch (error) {
+      if (error instanceof ListQueryError) {
+        return res.status(400).json({ message: error.message });
+      }
+      console.error('❌ Failed to fetch file downloads:', error);
+      res.status(500).json({ message: 'Failed to fetch file downloads', error: error.message });
+    }
+  });
+
+  console.log('✅ Audit Log Routes registered successfully');
+}
@@ -0,0 +1,162 @@
+// Case lifecycle: the one set of case states, the transitions allowed between them and
+// what each transition needs. Closing needs a disposition and a supervisor (cases
+// 'approve') to sign it off; so do reopening and archiving. Every transition is appended
+// to the case's statusHistory.
+import { getDatabase } from './mongodb-connection.js';
+import { auditedWrite } from './audit-log.js';
+
+export const CASE_STATES = ['Open', 'In Progress', 'Suspended', 'Closed', 'Archived'];
+
+// States a new case may start in
+export const INITIAL_CASE_STATES = ['Open', 'In Progress'];
+
+// No further investigation happens in these states
+export const CLOSED_CASE_STATES = ['Closed', 'Archived'];
+
+export const CASE_DISPOSITIONS = [
+  'Charged',
+  'Solved - No Charge',
+  'Unfounded',
+  'Insufficient Evidence',
+  'Complainant Withdrew',
+  'Referred to Another Agency'
+];
+
+// from -> to -> { requires: body fields that must be given, signOff: needs cases 'approve' }
+export const CASE_TRANSITIONS = {
+  Open: {
+    'In Progress': { requires: [] },
+    Suspended: { requires: ['reason'] },
+    Closed: { requires: ['disposition', 'reason'], signOff: true }
+  },
+  'In Progress': {
+    Suspended: { requires: ['reason'] },
+    Closed: { requires: ['disposition', 'reason'], signOff: true }
+  },
+  Suspended: {
+    'In Progress': { requires: ['reason'] },
+    Closed: { requires: ['disposition', 'reason'], signOff: true }
+  },
+  Closed: {
+    'In Progress': { requires: ['reason'], signOff: true },
+    Archived: { requires: [], signOff: true }
+  },
+  Archived: {}
+};
+
+// Statuses written by older forms and the original SQL schema
+const LEGACY_STATES = {
+  open: 'Open',
+  'in progress': 'In Progress',
+  in_progress: 'In Progress',
+  pending: 'Suspended',
+  suspended: 'Suspended',
+  closed: 'Closed',
+  archived: 'Archived'
+};
+
+export class CaseLifecycleError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'CaseLifecycleError';
+    this.status = status;
+  }
+}
+
+// The canonical state for a stored or submitted status; null when it is not one
+export function normalizeCaseStatus(status) {
+  if (CASE_STATES.includes(status)) return status;
+  return LEGACY_STATES[String(status || '').trim().toLowerCase()] || null;
+}
+
+export function initialCaseStatus(status) {
+  const state = status ? normalizeCaseStatus(status) : 'Open';
+  if (!INITIAL_CASE_STATES.includes(state)) {
+    throw new CaseLifecycleError(`A new case must start as ${INITIAL_CASE_STATES.join(' or ')}`);
+  }
+  return state;
+}
+
+// Transitions open from a state, for forms to offer; sign-off ones only to supervisors
+export function availableTransitions(from, canSignOff) {
+  return Object.entries(CASE_TRANSITIONS[normalizeCaseStatus(from)] || {})
+    .filter(([, rule]) => !rule.signOff || canSignOff)
+    .map(([to, rule]) => ({ to, requires: rule.requires, signOff: Boolean(rule.signOff) }));
+}
+
+// Checks a status change against the lifecycle and returns the transition to record.
+// `body` carries { status, reason, disposition }; canSignOff is cases 'approve'.
+export function parseTransition(caseDoc, body, canSignOff) {
+  const from = normalizeCaseStatus(caseDoc.status) || 'Open';
+  const to = normalizeCaseStatus(body.status);
+  if (!to) {
+    throw new CaseLifecycleError(`status must be one of: ${CASE_STATES.join(', ')}`);
+  }
+
+  const rule = CASE_TRANSITIONS[from][to];
+  if (!rule) {
+    const allowed = Object.keys(CASE_TRANSITIONS[from]);
+    throw new CaseLifecycleError(
+      `A case cannot go from ${from} to ${to}${allowed.length ? `; it can go to ${allowed.join(', ')}` : `; ${from} is final`}`,
+      409
+    );
+  }
+
+  const reason = String(body.reason || '').trim();
+  const disposition = body.disposition ? String(body.disposition).trim() : null;
+  if (rule.requires.includes('reason') && !reason) {
+    throw new CaseLifecycleError(`A reason is required to move a case from ${from} to ${to}`);
+  }
+  if (rule.requires.includes('disposition') && !CASE_DISPOSITIONS.includes(disposition)) {
+    throw new CaseLifecycleError(`Closing a case needs a disposition: ${CASE_DISPOSITIONS.join(', ')}`);
+  }
+  if (rule.signOff && !canSignOff) {
+    throw new CaseLifecycleError(`Moving a case from ${from} to ${to} needs a supervisor's sign-off`, 403);
+  }
+
+  return {
+    from,
+    to,
+    reason: reason || null,
+    disposition: rule.requires.includes('disposition') ? disposition : null,
+    signedOff: Boolean(rule.signOff)
+  };
+}
+
+// Rewrites statuses saved before the lifecycle existed. Unrecognised ones restart as Open;
+// either way the change is recorded in the case's history.
+export async function normalizeStoredCaseStatuses() {
+  const cases = getDatabase().collection('cases');
+  // distinct is not in Stable API v1, which the client runs in strict mode
+  const statuses = (await cases.aggregate([{ $group: { _id: '$status' } }]).toArray()).map(group => group._id);
+  let normalized = 0;
+
+  for (const status of new Set([...statuses, null])) {
+    if (CASE_STATES.includes(status)) continue;
+    const to = normalizeCaseStatus(status) || 'Open';
+    const filter = status === null ? { status: { $in: [null, ''] } } : { status };
+    const result = await auditedWrite('cases', 'normalizeStoredCaseStatuses', filter, () => cases.updateMany(
+      filter,
+      {
+        $set: { status: to },
+        $push: {
+          statusHistory: {
+            from: status || null,
+            to,
+            reason: 'Status brought into the case lifecycle',
+            disposition: null,
+            at: new Date(),
+            by: null,
+            signedOffBy: null
+          }
+        }
+      }
+    ));
+    normalized += result.modifiedCount;
+  }
+
+  if (normalized > 0) {
+    console.log(`🗂️ Normalised the status of ${normalized} case(s) to the case lifecycle`);
+  }
+  return normalized;
+}
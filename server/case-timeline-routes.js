@@ -0,0 +1,207 @@
+// Case timeline and investigator notes; see case-timeline.js for what goes on the timeline.
+// Note attachments are stored like evidence media and served only to users with access to
+// the case (see file-access.js).
+import { ObjectId } from 'mongodb';
+import multer from 'multer';
+import path from 'path';
+import { CasesCRUD, CaseNotesCRUD } from './mongodb-crud.js';
+import { requirePermission } from './permissions.js';
+import { currentAuditSource } from './audit-log.js';
+import { fingerprintUpload } from './media-integrity.js';
+import { StorageError, stagedUploads, storeUpload, discardUploads, sendStoredFile } from './file-storage.js';
+import { caseFileAccess, logDownload } from './file-access.js';
+import {
+  NOTE_TYPES,
+  TIMELINE_TYPES,
+  TIMELINE_TYPE_LABELS,
+  NOTE_ATTACHMENT_PREFIX,
+  CaseTimelineError,
+  parseNote,
+  parseTimelineTypes,
+  buildCaseTimeline,
+  filterTimeline,
+  timelineToCsv,
+  renderTimelinePdf
+} from './case-timeline.js';
+
+function sendTimelineError(res, error, fallback) {
+  if (error instanceof CaseTimelineError || error instanceof StorageError) {
+    return res.status(error.status).json({ error: error.message });
+  }
+  console.error(`❌ API: ${fallback}:`, error);
+  res.status(500).json({ error: fallback });
+}
+
+async function loadCase(req, res) {
+  if (!ObjectId.isValid(req.params.id)) {
+    res.status(400).json({ error: 'Invalid case ID' });
+    return null;
+  }
+  const caseDoc = await CasesCRUD.findById(req.params.id);
+  if (!caseDoc) {
+    res.status(404).json({ error: 'Case not found' });
+    return null;
+  }
+  return caseDoc;
+}
+
+async function caseTimeline(caseDoc, types) {
+  return filterTimeline(buildCaseTimeline(caseDoc, await CasesCRUD.findTimelineSources(caseDoc)), types);
+}
+
+export function registerCaseTimelineRoutes(app) {
+  console.log('🔧 Registering Case Timeline Routes...');
+
+  const attachmentUpload = multer({
+    storage: stagedUploads(NOTE_ATTACHMENT_PREFIX),
+    limits: { fileSize: 10 * 1024 * 1024 }, // 10MB per file
+    fileFilter: (req, file, cb) => {
+      const allowedTypes = /jpeg|jpg|png|gif|mp4|mov|mp3|wav|m4a|pdf|doc|docx|txt/;
+      const mimeTypes = /image\/|video\/|audio\/|pdf|msword|officedocument|text\/plain/;
+      if (allowedTypes.test(path.extname(file.originalname).toLowerCase()) && mimeTypes.test(file.mimetype)) {
+        return cb(null, true);
+      }
+      cb(new Error('Only images, video, audio recordings and documents can be attached'));
+    }
+  });
+
+  const uploadAttachments = (req, res, next) => {
+    attachmentUpload.array('attachments', 10)(req, res, (error) => {
+      if (error) {
+        return res.status(400).json({ error: error.message });
+      }
+      next();
+    });
+  };
+
+  // Checked before multer runs so nothing is staged for a missing or archived case
+  const caseAcceptsNotes = async (req, res, next) => {
+    try {
+      const caseDoc = await loadCase(req, res);
+      if (!caseDoc) return;
+      if (caseDoc.status === 'Archived') {
+        return res.status(409).json({ error: `${caseDoc.caseNumber} is archived; reopen it from Closed to add notes` });
+      }
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // ?types=note,evidence,custody,ob_entry,report,status (default all)
+  app.get('/api/cases/:id/timeline', requirePermission('cases', 'read'), async (req, res) => {
+    try {
+      const types = parseTimelineTypes(req.query.types);
+      const caseDoc = await loadCase(req, res);
+      if (!caseDoc) return;
+
+      const events = await caseTimeline(caseDoc, types);
+      res.json({
+        case: { id: caseDoc._id.toString(), caseNumber: caseDoc.caseNumber, title: caseDoc.title, status: caseDoc.status },
+        events,
+        types: TIMELINE_TYPES.map(type => ({ value: type, label: TIMELINE_TYPE_LABELS[type] })),
+        noteTypes: NOTE_TYPES
+      });
+    } catch (error) {
+      sendTimelineError(res, error, 'Failed to fetch case timeline');
+    }
+  });
+
+  // ?format=csv|pdf (default pdf) and the same ?types as the timeline
+  app.get('/api/cases/:id/timeline/export', requirePermission('cases', 'read'), async (req, res) => {
+    try {
+      const types = parseTimelineTypes(req.query.types);
+      const format = req.query.format || 'pdf';
+      if (!['csv', 'pdf'].includes(format)) {
+        return res.status(400).json({ error: 'format must be csv or pdf' });
+      }
+      const caseDoc = await loadCase(req, res);
+      if (!caseDoc) return;
+
+      const events = await caseTimeline(caseDoc, types);
+      const filename = `${caseDoc.caseNumber}-timeline.${format}`;
+      res.set({ 'Content-Disposition': `attachment; filename="${filename}"`, 'Cache-Control': 'no-store' });
+      if (format === 'csv') {
+        res.type('text/csv').send(timelineToCsv(events));
+      } else {
+        const pdf = await renderTimelinePdf(caseDoc, events, { types, exportedBy: currentAuditSource().actor });
+        res.type('application/pdf').send(pdf);
+      }
+    } catch (error) {
+      sendTimelineError(res, error, 'Failed to export case timeline');
+    }
+  });
+
+  // Multipart: noteType, text, occurredAt and up to 10 `attachments`. @username mentions
+  // in the text are resolved to officers when the note is saved.
+  app.post('/api/cases/:id/notes', requirePermission('cases', 'update'), caseAcceptsNotes, uploadAttachments, async (req, res) => {
+    const stored = [];
+    try {
+      console.log('🔍 API: Adding note to case:', req.params.id);
+      const note = parseNote(req.body);
+
+      const attachments = [];
+      for (const file of req.files || []) {
+        attachments.push({
+          name: file.originalname,
+          filename: file.filename,
+          url: `/api/cases/${req.params.id}/note-attachments/${file.filename}`,
+          mimeType: file.mimetype,
+          size: file.size,
+          ...(await fingerprintUpload(file.path))
+        });
+      }
+      for (const file of req.files || []) {
+        await storeUpload(file, file.filename);
+        stored.push(file.filename);
+      }
+
+      const created = await CaseNotesCRUD.create(req.params.id, note, attachments, currentAuditSource());
+      console.log('✅ API: Note added to case', req.params.id, 'mentioning', created.mentions.length, 'officer(s)');
+      res.status(201).json({
+        success: true,
+        note: { id: created._id.toString(), ...created },
+        message: created.mentions.length > 0
+          ? `Note added; ${created.mentions.map(mention => `@${mention.username}`).join(', ')} will see it on their dashboard`
+          : 'Note added'
+      });
+    } catch (error) {
+      await discardUploads(req.files, stored);
+      sendTimelineError(res, error, 'Failed to add case note');
+    }
+  });
+
+  app.get('/api/cases/:id/note-attachments/:filename', requirePermission('cases', 'read'), async (req, res) => {
+    try {
+      const caseDoc = await loadCase(req, res);
+      if (!caseDoc) return;
+      const note = await CaseNotesCRUD.findByAttachment(req.params.id, req.params.filename);
+      const attachment = note?.attachments.find(item => item.filename === req.params.filename);
+      if (!attachment) {
+        return res.status(404).json({ error: 'Attachment not found' });
+      }
+
+      const access = await caseFileAccess(req.session.user, caseDoc);
+      await logDownload({
+        resourceType: 'case_note',
+        resourceId: note._id.toString(),
+        resourceLabel: caseDoc.caseNumber,
+        filename: attachment.name,
+        storageKey: attachment.filename
+      }, access);
+      if (!access.granted) {
+        return res.status(403).json({ error: `You do not have access to files on ${caseDoc.caseNumber}: ${access.reason}` });
+      }
+
+      await sendStoredFile(res, attachment.filename, {
+        filename: attachment.name,
+        contentType: attachment.mimeType,
+        download: req.query.download === 'true'
+      });
+    } catch (error) {
+      sendTimelineError(res, error, 'Failed to load note attachment');
+    }
+  });
+
+  console.log('✅ Case Timeline Routes registered successfully');
+}
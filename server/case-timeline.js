@@ -0,0 +1,238 @@
+// Case timeline: investigators' own notes (interviews, canvasses, surveillance, phone
+// calls) merged in time order with what the system already records against the case:
+// evidence collected, custody moves on that evidence, linked OB entries, reports and
+// status changes. Notes may carry attachments and @mention officers by username; the
+// mentioned officers see the note on their dashboard.
+import PDFDocument from 'pdfkit';
+
+export const NOTE_TYPES = ['Interview', 'Canvass', 'Surveillance', 'Phone Call', 'General'];
+
+export const TIMELINE_TYPES = ['note', 'evidence', 'custody', 'ob_entry', 'report', 'status'];
+
+export const TIMELINE_TYPE_LABELS = {
+  note: 'Note',
+  evidence: 'Evidence',
+  custody: 'Custody',
+  ob_entry: 'OB Entry',
+  report: 'Report',
+  status: 'Status'
+};
+
+// Note attachments share the storage backend with evidence media under their own prefix,
+// so the evidence orphan sweep never touches them
+export const NOTE_ATTACHMENT_PREFIX = 'case-note-';
+
+const MAX_NOTE_LENGTH = 20000;
+
+export class CaseTimelineError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'CaseTimelineError';
+    this.status = status;
+  }
+}
+
+// Usernames mentioned as @username, lower-cased and without repeats
+export function extractMentions(text) {
+  const usernames = [...String(text || '').matchAll(/(?:^|[^\w@.])@([\w.-]*\w)/g)].map(match => match[1].toLowerCase());
+  return [...new Set(usernames)];
+}
+
+export function parseNote(body = {}) {
+  const text = String(body.text || '').trim();
+  if (!text) {
+    throw new CaseTimelineError('Note text is required');
+  }
+  if (text.length > MAX_NOTE_LENGTH) {
+    throw new CaseTimelineError(`Notes are limited to ${MAX_NOTE_LENGTH} characters`);
+  }
+
+  const noteType = body.noteType || 'General';
+  if (!NOTE_TYPES.includes(noteType)) {
+    throw new CaseTimelineError(`noteType must be one of: ${NOTE_TYPES.join(', ')}`);
+  }
+
+  // When the interview or call happened, which may be before it was written up
+  const occurredAt = body.occurredAt ? new Date(body.occurredAt) : new Date();
+  if (Number.isNaN(occurredAt.getTime())) {
+    throw new CaseTimelineError('occurredAt must be a date');
+  }
+  if (occurredAt > new Date()) {
+    throw new CaseTimelineError('occurredAt cannot be in the future');
+  }
+
+  return { noteType, text, occurredAt };
+}
+
+// ?types=note,status; every type when none are given
+export function parseTimelineTypes(value) {
+  if (!value) return TIMELINE_TYPES;
+  const types = String(value).split(',').map(type => type.trim()).filter(Boolean);
+  const unknown = types.filter(type => !TIMELINE_TYPES.includes(type));
+  if (unknown.length > 0) {
+    throw new CaseTimelineError(`Unknown timeline type ${unknown.join(', ')}; use ${TIMELINE_TYPES.join(', ')}`);
+  }
+  return types;
+}
+
+const actorName = (actor) => (typeof actor === 'string' ? actor : actor?.name || actor?.username) || null;
+const firstDate = (...values) => values.map(value => (value ? new Date(value) : null)).find(date => date && !Number.isNaN(date.getTime())) || null;
+
+// Entries written when an item is collected repeat the item's own collection event
+const isCollectionEntry = (entry) => /^collected$/i.test(entry.action || '');
+
+// Events for one case, oldest first. `sources` holds the case's notes, evidence items,
+// linked OB entries and reports.
+export function buildCaseTimeline(caseDoc, { notes = [], evidence = [], obEntries = [], reports = [] } = {}) {
+  const events = [];
+
+  for (const entry of caseDoc.statusHistory || []) {
+    events.push({
+      type: 'status',
+      at: firstDate(entry.at),
+      title: entry.from ? `Status changed from ${entry.from} to ${entry.to}` : `Case opened as ${entry.to}`,
+      summary: [entry.disposition, entry.reason].filter(Boolean).join(': ') || null,
+      by: actorName(entry.by),
+      details: { from: entry.from, to: entry.to, disposition: entry.disposition || null, signedOffBy: actorName(entry.signedOffBy) }
+    });
+  }
+  if (!(caseDoc.statusHistory || []).length) {
+    events.push({ type: 'status', at: firstDate(caseDoc.createdAt, caseDoc.reportedDate), title: 'Case opened', summary: null, by: null, details: {} });
+  }
+
+  for (const note of notes) {
+    events.push({
+      type: 'note',
+      at: firstDate(note.occurredAt, note.createdAt),
+      title: note.noteType,
+      summary: note.text,
+      by: actorName(note.author),
+      details: {
+        noteId: note._id.toString(),
+        noteType: note.noteType,
+        recordedAt: note.createdAt,
+        mentions: note.mentions || [],
+        attachments: (note.attachments || []).map(({ name, filename, url, mimeType, size }) => ({ name, filename, url, mimeType, size }))
+      }
+    });
+  }
+
+  for (const item of evidence) {
+    const evidenceId = item._id.toString();
+    events.push({
+      type: 'evidence',
+      at: firstDate(item.collectedAt, item.createdAt),
+      title: `${item.evidenceNumber} collected`,
+      summary: [item.type, item.description].filter(Boolean).join(': ') || null,
+      by: actorName(item.collectedBy),
+      details: { evidenceId, evidenceNumber: item.evidenceNumber, location: item.location || null }
+    });
+    for (const entry of item.custodyLog || []) {
+      if (isCollectionEntry(entry)) continue;
+      events.push({
+        type: 'custody',
+        at: firstDate(entry.timestamp),
+        title: `${item.evidenceNumber} ${entry.action}`,
+        summary: [entry.location, entry.notes].filter(Boolean).join(': ') || null,
+        by: actorName(entry.actor) || entry.officer || null,
+        details: { evidenceId, evidenceNumber: item.evidenceNumber, action: entry.action }
+      });
+    }
+  }
+
+  for (const entry of obEntries) {
+    events.push({
+      type: 'ob_entry',
+      at: firstDate(entry.dateTime, entry.createdAt),
+      title: `${entry.obNumber} ${entry.type || 'OB entry'}`,
+      summary: entry.description || null,
+      by: entry.officer || entry.reportingOfficer || null,
+      details: { obEntryId: entry._id.toString(), obNumber: entry.obNumber, location: entry.location || null }
+    });
+  }
+
+  for (const report of reports) {
+    events.push({
+      type: 'report',
+      at: firstDate(report.createdAt),
+      title: `${report.reportNumber} ${report.title}`,
+      summary: [report.type, report.status].filter(Boolean).join(', ') || null,
+      by: null,
+      details: { reportId: report._id.toString(), reportNumber: report.reportNumber, status: report.status }
+    });
+  }
+
+  return events
+    .filter(event => event.at)
+    .sort((a, b) => a.at - b.at);
+}
+
+export const filterTimeline = (events, types) => events.filter(event => types.includes(event.type));
+
+const csvCell = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export function timelineToCsv(events) {
+  const rows = [['Time', 'Type', 'Title', 'Details', 'By', 'Attachments']];
+  for (const event of events) {
+    rows.push([
+      event.at.toISOString(),
+      TIMELINE_TYPE_LABELS[event.type],
+      event.title,
+      event.summary,
+      event.by,
+      (event.details.attachments || []).map(attachment => attachment.name).join('; ')
+    ]);
+  }
+  return rows.map(row => row.map(csvCell).join(',')).join('\r\n') + '\r\n';
+}
+
+const formatDateTime = (value) => (value ? new Date(value).toISOString().replace('T', ' ').slice(0, 16) : '-');
+
+// The timeline as a PDF buffer, for the case file
+export async function renderTimelinePdf(caseDoc, events, { types = TIMELINE_TYPES, exportedBy } = {}) {
+  const doc = new PDFDocument({
+    size: 'A4',
+    margin: 50,
+    info: { Title: `Case timeline ${caseDoc.caseNumber}` }
+  });
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+  const finished = new Promise((resolve, reject) => {
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+  });
+
+  const left = doc.page.margins.left;
+  const width = doc.page.width - left - doc.page.margins.right;
+  const bottom = doc.page.height - doc.page.margins.bottom;
+
+  doc.font('Helvetica-Bold').fontSize(16).text('CASE TIMELINE', { align: 'center' });
+  doc.font('Helvetica').fontSize(10).text(`${caseDoc.caseNumber} · ${caseDoc.title || ''}`, { align: 'center' }).moveDown(1.5);
+  doc.font('Helvetica').fontSize(9)
+    .text(`Status: ${caseDoc.status || '-'}${caseDoc.disposition ? ` (${caseDoc.disposition})` : ''}`)
+    .text(`Showing: ${types.length === TIMELINE_TYPES.length ? 'all events' : types.map(type => TIMELINE_TYPE_LABELS[type]).join(', ')} · ${events.length} event(s)`)
+    .text(`Exported ${formatDateTime(new Date())} UTC${exportedBy ? ` by ${actorName(exportedBy)}` : ''}`)
+    .moveDown();
+
+  if (events.length === 0) {
+    doc.text('No events.');
+  }
+  for (const event of events) {
+    if (doc.y + 40 > bottom) doc.addPage();
+    doc.font('Helvetica-Bold').fontSize(9)
+      .text(`${formatDateTime(event.at)}  ${TIMELINE_TYPE_LABELS[event.type]}  ${event.title}`, left, doc.y, { width });
+    const lines = [
+      event.summary,
+      event.by && `By ${event.by}`,
+      event.details.signedOffBy && `Signed off by ${event.details.signedOffBy}`,
+      event.details.attachments?.length && `Attachments: ${event.details.attachments.map(attachment => attachment.name).join(', ')}`
+    ].filter(Boolean);
+    doc.font('Helvetica').fontSize(9).text(lines.join('\n') || ' ', left + 12, doc.y, { width: width - 12 }).moveDown(0.5);
+  }
+
+  doc.end();
+  return await finished;
+}
@@ -0,0 +1,175 @@
+// Sequential numbering for cases, OB entries, evidence, reports, disposal requests and
+// inventory audits.
+// Each number comes from a per-scope counter document in the `counters` collection and
+// is inserted in the same transaction as the record that carries it, so a failed insert
+// never burns a number and two concurrent inserts can never draw the same one.
+// Transactions need a replica set, which every Atlas cluster is.
+import { getDatabase, getMongoConnection } from './mongodb-connection.js';
+import { auditedWrite } from './audit-log.js';
+
+export const DEFAULT_STATION = process.env.STATION_CODE || 'HQ';
+
+// Tokens: {station}, {year}, {seq} or {seq:N} for a sequence zero-padded to N digits
+export const NUMBER_FORMATS = {
+  case: process.env.CASE_NUMBER_FORMAT || 'CASE-{year}-{seq:5}',
+  ob: process.env.OB_NUMBER_FORMAT || 'OB/{station}/{seq}/{year}',
+  evidence: process.env.EVIDENCE_NUMBER_FORMAT || 'EVD-{year}-{seq:6}',
+  report: process.env.REPORT_NUMBER_FORMAT || 'RPT-{year}-{seq:5}',
+  disposal: process.env.DISPOSAL_NUMBER_FORMAT || 'DSP-{year}-{seq:5}',
+  inventory: process.env.INVENTORY_NUMBER_FORMAT || 'INV-{year}-{seq:5}'
+};
+
+export const NUMBERED_RECORDS = {
+  case: { collection: 'cases', field: 'caseNumber' },
+  ob: { collection: 'ob_entries', field: 'obNumber' },
+  evidence: { collection: 'evidence', field: 'evidenceNumber' },
+  report: { collection: 'reports', field: 'reportNumber' },
+  disposal: { collection: 'disposal_requests', field: 'disposalNumber' },
+  inventory: { collection: 'inventory_audits', field: 'auditNumber' }
+};
+
+for (const [type, format] of Object.entries(NUMBER_FORMATS)) {
+  if (!/\{seq(:\d+)?\}/.test(format)) {
+    throw new Error(`Number format for ${type} must contain {seq}: ${format}`);
+  }
+}
+
+export const normalizeStation = (station) =>
+  String(station || DEFAULT_STATION).trim().toUpperCase().replace(/[^A-Z0-9-]/g, '') || DEFAULT_STATION;
+
+// The counter is only scoped by the parts that appear in the number, so a format
+// without {year} keeps counting across years instead of repeating numbers
+function counterScope(type, format, station, year) {
+  const parts = [type];
+  if (format.includes('{station}')) parts.push(station);
+  if (format.includes('{year}')) parts.push(year);
+  return parts.join(':');
+}
+
+export function formatNumber(format, { station, year, sequence }) {
+  return format
+    .replace(/\{station\}/g, station)
+    .replace(/\{year\}/g, String(year))
+    .replace(/\{seq(?::(\d+))?\}/g, (match, width) => String(sequence).padStart(Number(width || 0), '0'));
+}
+
+// Reads { year, sequence } back out of a number in the current format, for putting
+// records in number order; null for numbers in another format
+export function parseNumber(type, number) {
+  const captures = { '{station}': ['station', '([A-Z0-9-]+)'], '{year}': ['year', '(\\d{4})'], '{seq}': ['sequence', '(\\d+)'] };
+  const tokens = [];
+  const pattern = NUMBER_FORMATS[type]
+    .split(/(\{station\}|\{year\}|\{seq(?::\d+)?\})/)
+    .map(part => {
+      const capture = captures[part.replace(/:\d+\}$/, '}')];
+      if (!capture) return part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      tokens.push(capture[0]);
+      return capture[1];
+    })
+    .join('');
+  const match = new RegExp(`^${pattern}$`).exec(String(number || ''));
+  if (!match) return null;
+
+  const parts = Object.fromEntries(tokens.map((token, index) => [token, match[index + 1]]));
+  return { year: parts.year ? Number(parts.year) : null, sequence: Number(parts.sequence) };
+}
+
+// Draws the next number for a record type. Pass the transaction session so the
+// increment commits or rolls back with the record that uses it.
+export async function allocateNumber(type, { station, date = new Date(), session } = {}) {
+  const format = NUMBER_FORMATS[type];
+  if (!format) {
+    throw new Error(`Unknown number type: ${type}`);
+  }
+
+  const stationCode = normalizeStation(station);
+  const year = date.getFullYear();
+  const scope = counterScope(type, format, stationCode, year);
+
+  const counter = await getDatabase().collection('counters').findOneAndUpdate(
+    { _id: scope },
+    {
+      $inc: { sequence: 1 },
+      $set: { updatedAt: new Date() },
+      $setOnInsert: { type, createdAt: new Date() }
+    },
+    { upsert: true, returnDocument: 'after', session }
+  );
+
+  return {
+    number: formatNumber(format, { station: stationCode, year, sequence: counter.sequence }),
+    sequence: counter.sequence,
+    station: stationCode,
+    year
+  };
+}
+
+export async function inTransaction(work) {
+  const session = getMongoConnection().startSession();
+  try {
+    let result;
+    await session.withTransaction(async () => {
+      result = await work(session);
+    });
+    return result;
+  } finally {
+    await session.endSession();
+  }
+}
+
+// Allocates the next number and inserts buildDoc(allocation) with it, atomically.
+// buildDoc may run more than once if the transaction is retried. Callers already in a
+// transaction pass its `session` so the record commits together with their other writes.
+export async function insertNumbered(type, buildDoc, options = {}) {
+  const { collection, field } = NUMBERED_RECORDS[type];
+
+  const insert = async (session) => {
+    const allocation = await allocateNumber(type, { ...options, session });
+    const doc = { ...buildDoc(allocation), [field]: allocation.number };
+    const result = await getDatabase().collection(collection).insertOne(doc, { session });
+    return { ...doc, _id: result.insertedId };
+  };
+  return options.session ? await insert(options.session) : await inTransaction(insert);
+}
+
+// Unique indexes back up the counters against anything written around them
+export async function ensureNumberIndexes() {
+  const db = getDatabase();
+  for (const { collection, field } of Object.values(NUMBERED_RECORDS)) {
+    try {
+      await db.collection(collection).createIndex(
+        { [field]: 1 },
+        { unique: true, partialFilterExpression: { [field]: { $type: 'string' } } }
+      );
+    } catch (error) {
+      console.warn(`⚠️ Could not create unique index on ${collection}.${field} (existing duplicates?):`, error.message);
+    }
+  }
+}
+
+// Gives records created before numbering existed a real number, oldest first
+export async function backfillMissingNumbers() {
+  const db = getDatabase();
+
+  for (const [type, { collection, field }] of Object.entries(NUMBERED_RECORDS)) {
+    const missing = await db.collection(collection)
+      .find({ $or: [{ [field]: { $exists: false } }, { [field]: null }, { [field]: '' }] })
+      .sort({ createdAt: 1, _id: 1 })
+      .project({ _id: 1, createdAt: 1, station: 1 })
+      .toArray();
+
+    for (const record of missing) {
+      await auditedWrite(collection, 'backfillMissingNumbers', { _id: record._id }, () => inTransaction(async (session) => {
+        const date = record.createdAt ? new Date(record.createdAt) : record._id.getTimestamp();
+        const { number, station } = await allocateNumber(type, { station: record.station, date, session });
+        const update = { [field]: number };
+        if (type === 'ob') update.station = station;
+        await db.collection(collection).updateOne({ _id: record._id }, { $set: update }, { session });
+      }));
+    }
+
+    if (missing.length > 0) {
+      console.log(`🔢 Assigned ${missing.length} missing ${field} value(s) in ${collection}`);
+    }
+  }
+}
@@ -0,0 +1,104 @@
+// Printable chain-of-custody report for one evidence item: the item, the SHA-256 of
+// every attached file (re-checked as the report is built), and each custody entry with
+// its chain hash, as an A4 PDF.
+import PDFDocument from 'pdfkit';
+
+const formatDateTime = (value) => (value ? new Date(value).toISOString().replace('T', ' ').slice(0, 16) : '-');
+
+const formatSize = (bytes) => {
+  if (!Number.isFinite(bytes)) return '-';
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+const MEDIA_STATUS_LABELS = {
+  ok: 'Verified',
+  mismatch: 'HASH MISMATCH',
+  missing: 'FILE MISSING',
+  unhashed: 'Not hashed'
+};
+
+// `chain` is verifyCustodyChain's result and `mediaChecks` verifyEvidenceMedia's
+export async function renderCustodyReport(evidence, { caseDoc, chain, mediaChecks = [], generatedBy } = {}) {
+  const doc = new PDFDocument({
+    size: 'A4',
+    margin: 50,
+    info: { Title: `Chain of custody ${evidence.evidenceNumber}` }
+  });
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+  const finished = new Promise((resolve, reject) => {
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+  });
+
+  const left = doc.page.margins.left;
+  const width = doc.page.width - left - doc.page.margins.right;
+  const bottom = doc.page.height - doc.page.margins.bottom;
+  const ensureSpace = (height) => {
+    if (doc.y + height > bottom) doc.addPage();
+  };
+  const field = (label, value) => {
+    doc.font('Helvetica-Bold').fontSize(10).text(`${label}: `, { continued: true })
+      .font('Helvetica').text(value || '-');
+  };
+  const heading = (text) => {
+    ensureSpace(40);
+    doc.moveDown().font('Helvetica-Bold').fontSize(12).text(text, left).moveDown(0.4);
+  };
+
+  doc.font('Helvetica-Bold').fontSize(16).text('CHAIN OF CUSTODY REPORT', { align: 'center' });
+  doc.font('Helvetica').fontSize(9)
+    .text(`Generated ${formatDateTime(new Date())} UTC${generatedBy ? ` by ${generatedBy}` : ''}`, { align: 'center' })
+    .moveDown();
+
+  field('Evidence number', evidence.evidenceNumber);
+  field('Case', caseDoc ? `${caseDoc.caseNumber} - ${caseDoc.title || ''}` : null);
+  field('Type', evidence.type);
+  field('Description', evidence.description);
+  field('Collected', `${formatDateTime(evidence.collectedAt)} by ${evidence.collectedBy || 'Unknown'}`);
+  field('Status', evidence.status);
+  field('Storage', [evidence.evidenceRoom, evidence.storageLocation].filter(Boolean).join(', '));
+  if (chain) {
+    field('Custody chain', chain.valid
+      ? `Intact (${chain.chainedEntries} signed entries)`
+      : `BROKEN - ${chain.issues.map(issue => issue.reason).join('; ')}`);
+  }
+
+  heading(`Media (${(evidence.media || []).length})`);
+  if (!evidence.media?.length) {
+    doc.font('Helvetica').fontSize(10).text('No media attached.');
+  }
+  for (const [index, media] of (evidence.media || []).entries()) {
+    ensureSpace(50);
+    const check = mediaChecks.find(result => result.index === index);
+    doc.font('Helvetica-Bold').fontSize(10).text(media.name || media.filename || `File ${index + 1}`, left);
+    doc.font('Helvetica').fontSize(9)
+      .text(`${media.type || 'file'} · ${formatSize(media.size)} · uploaded ${formatDateTime(media.uploadedAt)}${check ? ` · ${MEDIA_STATUS_LABELS[check.status]}` : ''}`);
+    doc.font('Courier').fontSize(8).text(`SHA-256 ${media.sha256 || '(none recorded)'}`);
+    if (check?.status === 'mismatch') {
+      doc.font('Courier').fontSize(8).fillColor('#c0392b').text(`Current ${check.actual}`).fillColor('#000000');
+    }
+    doc.moveDown(0.4);
+  }
+
+  heading(`Custody log (${(evidence.custodyLog || []).length} entries)`);
+  for (const entry of evidence.custodyLog || []) {
+    ensureSpace(50);
+    doc.font('Helvetica-Bold').fontSize(10)
+      .text(`${entry.sequence ? `#${entry.sequence} ` : ''}${entry.action}`, left, doc.y, { continued: true })
+      .font('Helvetica').text(`  ${formatDateTime(entry.timestamp)} · ${entry.officer || 'Unknown'}`);
+    const where = [entry.location, entry.notes].filter(Boolean).join(' · ');
+    if (where) doc.font('Helvetica').fontSize(9).text(where, { width });
+    if (entry.actor) {
+      doc.font('Helvetica').fontSize(8).fillColor('#555555')
+        .text(`Recorded by ${entry.actor.name || entry.actor.username} (${entry.actor.role})`).fillColor('#000000');
+    }
+    doc.font('Courier').fontSize(8).text(entry.hash ? `hash ${entry.hash}` : 'unsigned (recorded before chaining)');
+    doc.moveDown(0.4);
+  }
+
+  doc.end();
+  return await finished;
+}
@@ -0,0 +1,288 @@
+// Dashboard summary for the logged-in user: week-over-week counts, recent activity
+// (read from the audit trail) and the user's own pending work
+import { ObjectId } from 'mongodb';
+import { getDatabase } from './mongodb-connection.js';
+import { requireAuth, getRolePermissions } from './permissions.js';
+import { overdueFilter, daysOverdue } from './evidence-checkout.js';
+import { findOpenAlerts } from './media-integrity.js';
+import { CLOSED_CASE_STATES } from './case-lifecycle.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Collections counted on the dashboard and the permission resource that gates each
+const COUNTED_COLLECTIONS = {
+  cases: 'cases',
+  ob_entries: 'ob_entries',
+  evidence: 'evidence',
+  reports: 'reports'
+};
+
+// Audit entities shown in the activity feed. Users and role permissions are left to the
+// admin audit trail so logins and permission edits do not flood everyone's feed.
+const FEED_ENTITIES = {
+  cases: 'cases',
+  ob_entries: 'ob_entries',
+  evidence: 'evidence',
+  disposal_requests: 'evidence',
+  reports: 'reports',
+  license_plates: 'license_plates',
+  geofiles: 'geofiles',
+  persons: 'persons',
+  person_links: 'persons',
+  officers: 'officers',
+  police_vehicles: 'vehicles'
+};
+
+const canRead = (permissions, resource) => (permissions[resource] || []).includes('read');
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+async function weekOverWeek(collection, now) {
+  const weekAgo = new Date(now.getTime() - 7 * DAY_MS);
+  const twoWeeksAgo = new Date(now.getTime() - 14 * DAY_MS);
+
+  const [total, thisWeek, lastWeek] = await Promise.all([
+    collection.countDocuments({}),
+    collection.countDocuments({ createdAt: { $gte: weekAgo } }),
+    collection.countDocuments({ createdAt: { $gte: twoWeeksAgo, $lt: weekAgo } })
+  ]);
+
+  return { total, thisWeek, lastWeek, change: thisWeek - lastWeek };
+}
+
+async function caseStatusCounts(db) {
+  const [byStatus, highPriority] = await Promise.all([
+    db.collection('cases').aggregate([{ $group: { _id: '$status', count: { $sum: 1 } } }]).toArray(),
+    db.collection('cases').countDocuments({ priority: 'High', status: { $nin: CLOSED_CASE_STATES } })
+  ]);
+  const count = (status) => byStatus.find(group => group._id === status)?.count || 0;
+
+  return {
+    open: count('Open'),
+    inProgress: count('In Progress'),
+    closed: count('Closed'),
+    suspended: count('Suspended'),
+    archived: count('Archived'),
+    highPriority
+  };
+}
+
+function describeActivity(entry) {
+  const verb = { create: 'Created', update: 'Updated', delete: 'Deleted' }[entry.action] || entry.action;
+  const fields = entry.action === 'update' ? Object.keys(entry.changes || {}) : [];
+  const statusChange = entry.changes?.status;
+
+  if (statusChange && entry.action === 'update') {
+    return `Status changed from ${statusChange.from || 'none'} to ${statusChange.to}`;
+  }
+  if (entry.operation === 'addCustodyEntry') return 'Custody entry recorded';
+  if (entry.operation === 'addMedia') return 'Media attached';
+  if (entry.operation === 'checkOut') return 'Evidence checked out';
+  if (entry.operation === 'checkIn') return 'Evidence returned';
+  if (fields.length > 0) return `${verb} ${fields.slice(0, 4).join(', ')}${fields.length > 4 ? '…' : ''}`;
+  return verb;
+}
+
+async function recentActivity(db, permissions, limit = 15) {
+  const entities = Object.entries(FEED_ENTITIES)
+    .filter(([, resource]) => canRead(permissions, resource))
+    .map(([entity]) => entity);
+  if (entities.length === 0) return [];
+
+  const entries = await db.collection('audit_log')
+    .find({ entity: { $in: entities } })
+    .sort({ createdAt: -1 })
+    .limit(limit)
+    .toArray();
+
+  return entries.map(entry => ({
+    id: entry._id.toString(),
+    time: entry.createdAt,
+    actor: entry.source === 'system'
+      ? 'System'
+      : entry.actor?.name || entry.actor?.username || 'Unknown',
+    action: entry.action,
+    entity: entry.entity,
+    entityId: entry.entityId,
+    entityLabel: entry.entityLabel || entry.entityId,
+    description: describeActivity(entry)
+  }));
+}
+
+// Case-insensitive matchers for any of the names the forms accept for an officer
+function userNameMatchers(user) {
+  return [
+    [user.firstName, user.lastName].filter(Boolean).join(' '),
+    user.username,
+    user.badgeNumber
+  ].filter(Boolean).map(name => new RegExp(`^${escapeRegex(name)}$`, 'i'));
+}
+
+// Open cases assigned to the user
+async function assignedCases(db, user) {
+  const matchers = userNameMatchers(user);
+  if (matchers.length === 0) return [];
+
+  const cases = await db.collection('cases')
+    .find({
+      status: { $nin: CLOSED_CASE_STATES },
+      $or: [{ assignedOfficer: { $in: matchers } }, { officer: { $in: matchers } }]
+    })
+    .sort({ updatedAt: -1 })
+    .limit(10)
+    .toArray();
+
+  return cases.map(caseDoc => ({
+    id: caseDoc._id.toString(),
+    caseNumber: caseDoc.caseNumber,
+    title: caseDoc.title,
+    status: caseDoc.status,
+    priority: caseDoc.priority,
+    updatedAt: caseDoc.updatedAt
+  }));
+}
+
+// Approvers see every pending report; everyone else sees their own requests still waiting
+async function reportsAwaitingApproval(db, user, canApprove) {
+  const filter = canApprove
+    ? { status: 'Pending' }
+    : { status: 'Pending', requestedBy: user.id };
+
+  const reports = await db.collection('reports').find(filter).sort({ createdAt: 1 }).limit(10).toArray();
+
+  return reports.map(report => ({
+    id: report._id.toString(),
+    reportNumber: report.reportNumber,
+    title: report.title,
+    type: report.type,
+    priority: report.priority,
+    createdAt: report.createdAt
+  }));
+}
+
+// Custodians see every overdue checkout; everyone else sees items checked out to them
+async function overdueEvidence(db, user, isCustodian, now) {
+  const matchers = userNameMatchers(user);
+  const filter = isCustodian
+    ? overdueFilter(now)
+    : {
+      ...overdueFilter(now),
+      $or: [
+        { 'checkout.checkedOutTo.userId': user.id },
+        { 'checkout.checkedOutTo.name': { $in: matchers } },
+        { 'checkout.checkedOutTo.badgeNumber': { $in: matchers } }
+      ]
+    };
+
+  const items = await db.collection('evidence')
+    .find(filter)
+    .sort({ 'checkout.expectedReturnAt': 1 })
+    .limit(10)
+    .toArray();
+
+  return items.map(item => ({
+    id: item._id.toString(),
+    evidenceNumber: item.evidenceNumber,
+    description: item.description,
+    checkedOutTo: item.checkout.checkedOutTo,
+    purpose: item.checkout.purpose,
+    expectedReturnAt: item.checkout.expectedReturnAt,
+    daysOverdue: daysOverdue(item.checkout, now)
+  }));
+}
+
+// Case notes that @mention the user, newest first
+async function noteMentions(db, user) {
+  const notes = await db.collection('case_notes')
+    .find({ 'mentions.userId': user.id })
+    .sort({ createdAt: -1 })
+    .limit(10)
+    .toArray();
+  if (notes.length === 0) return [];
+
+  const caseIds = [...new Set(notes.map(note => note.caseId))].filter(id => ObjectId.isValid(id));
+  const cases = await db.collection('cases')
+    .find({ _id: { $in: caseIds.map(id => new ObjectId(id)) } }, { projection: { caseNumber: 1 } })
+    .toArray();
+  const caseNumbers = new Map(cases.map(caseDoc => [caseDoc._id.toString(), caseDoc.caseNumber]));
+
+  return notes.map(note => ({
+    id: note._id.toString(),
+    caseId: note.caseId,
+    caseNumber: caseNumbers.get(note.caseId) || null,
+    noteType: note.noteType,
+    text: note.text.length > 120 ? `${note.text.slice(0, 117)}...` : note.text,
+    author: note.author?.name || note.author?.username || 'Unknown',
+    createdAt: note.createdAt
+  }));
+}
+
+// Media that failed its last integrity check, for evidence custodians
+async function mediaIntegrityAlerts() {
+  const alerts = await findOpenAlerts();
+  return alerts.slice(0, 10).map(alert => ({
+    id: alert._id.toString(),
+    evidenceId: alert.evidenceId,
+    evidenceNumber: alert.evidenceNumber,
+    name: alert.name,
+    status: alert.status,
+    lastDetectedAt: alert.lastDetectedAt
+  }));
+}
+
+export function registerDashboardRoutes(app) {
+  console.log('🔧 Registering Dashboard Routes...');
+
+  app.get('/api/dashboard', requireAuth, async (req, res) => {
+    try {
+      const db = getDatabase();
+      const user = req.session.user;
+      const permissions = await getRolePermissions(user.role);
+      const now = new Date();
+
+      const counts = {};
+      await Promise.all(Object.entries(COUNTED_COLLECTIONS)
+        .filter(([, resource]) => canRead(permissions, resource))
+        .map(async ([collection]) => {
+          counts[collection] = await weekOverWeek(db.collection(collection), now);
+        }));
+
+      const canApproveReports = (permissions.reports || []).includes('approve');
+      const isEvidenceCustodian = (permissions.evidence || []).includes('approve');
+      const [caseStatus, activity, cases, reports, overdue, integrityAlerts, mentions] = await Promise.all([
+        canRead(permissions, 'cases') ? caseStatusCounts(db) : null,
+        recentActivity(db, permissions),
+        canRead(permissions, 'cases') ? assignedCases(db, user) : [],
+        canRead(permissions, 'reports') ? reportsAwaitingApproval(db, user, canApproveReports) : [],
+        canRead(permissions, 'evidence') ? overdueEvidence(db, user, isEvidenceCustodian, now) : [],
+        isEvidenceCustodian ? mediaIntegrityAlerts() : [],
+        canRead(permissions, 'cases') ? noteMentions(db, user) : []
+      ]);
+
+      res.json({
+        user: {
+          name: [user.firstName, user.lastName].filter(Boolean).join(' ') || user.username,
+          role: user.role
+        },
+        generatedAt: now,
+        counts,
+        caseStatus,
+        recentActivity: activity,
+        pending: {
+          assignedCases: cases,
+          reportsAwaitingApproval: reports,
+          canApproveReports,
+          overdueEvidence: overdue,
+          mediaIntegrityAlerts: integrityAlerts,
+          mentions,
+          isEvidenceCustodian
+        }
+      });
+    } catch (error) {
+      console.error('❌ Failed to build dashboard:', error);
+      res.status(500).json({ message: 'Failed to load dashboard', error: error.message });
+    }
+  });
+
+  console.log('✅ Dashboard Routes registered successfully');
+}
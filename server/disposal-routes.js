@@ -0,0 +1,147 @@
+// Evidence disposal requests: raise, approve or reject, and print the certificate.
+// Only supervisors (evidence 'approve') can sign off; see evidence-disposal.js for the rules.
+import { ObjectId } from 'mongodb';
+import { DisposalRequestsCRUD } from './mongodb-crud.js';
+import { requirePermission } from './permissions.js';
+import { custodyActorFromRequest } from './custody-chain.js';
+import {
+  DisposalError,
+  parseDisposalRequest,
+  parseApproval,
+  renderDisposalCertificate
+} from './evidence-disposal.js';
+
+const DISPOSAL_STATUSES = ['Pending', 'Approved', 'Rejected'];
+
+const toClientRequest = (request) => ({ id: request._id.toString(), ...request });
+
+function sendDisposalError(res, error, fallback) {
+  if (error instanceof DisposalError) {
+    return res.status(error.status).json({ error: error.message, blockers: error.blockers });
+  }
+  console.error(`❌ API: ${fallback}:`, error);
+  res.status(500).json({ error: fallback });
+}
+
+export function registerDisposalRoutes(app) {
+  console.log('🔧 Registering Disposal Routes...');
+
+  // ?status=Pending|Approved|Rejected
+  app.get('/api/disposals', requirePermission('evidence', 'read'), async (req, res) => {
+    try {
+      const { status } = req.query;
+      if (status && !DISPOSAL_STATUSES.includes(status)) {
+        return res.status(400).json({ error: `status must be one of: ${DISPOSAL_STATUSES.join(', ')}` });
+      }
+      const requests = await DisposalRequestsCRUD.findAll({ status });
+      res.json({ disposals: requests.map(toClientRequest) });
+    } catch (error) {
+      sendDisposalError(res, error, 'Failed to fetch disposal requests');
+    }
+  });
+
+  app.get('/api/disposals/:id', requirePermission('evidence', 'read'), async (req, res) => {
+    try {
+      if (!ObjectId.isValid(req.params.id)) {
+        return res.status(400).json({ error: 'Invalid disposal request ID' });
+      }
+      const request = await DisposalRequestsCRUD.findById(req.params.id);
+      if (!request) {
+        return res.status(404).json({ error: 'Disposal request not found' });
+      }
+      res.json({ disposal: toClientRequest(request) });
+    } catch (error) {
+      sendDisposalError(res, error, 'Failed to fetch disposal request');
+    }
+  });
+
+  app.post('/api/disposals', requirePermission('evidence', 'update'), async (req, res) => {
+    try {
+      console.log('🔍 API: Creating disposal request:', req.body);
+      const request = await DisposalRequestsCRUD.create(parseDisposalRequest(req.body), custodyActorFromRequest(req));
+
+      console.log('✅ API: Disposal request created:', request.disposalNumber);
+      res.status(201).json({
+        success: true,
+        disposal: toClientRequest(request),
+        message: `Disposal request ${request.disposalNumber} submitted for approval`
+      });
+    } catch (error) {
+      sendDisposalError(res, error, 'Failed to create disposal request');
+    }
+  });
+
+  app.post('/api/disposals/:id/approve', requirePermission('evidence', 'approve'), async (req, res) => {
+    try {
+      console.log('🔍 API: Approving disposal request:', req.params.id);
+      if (!ObjectId.isValid(req.params.id)) {
+        return res.status(400).json({ error: 'Invalid disposal request ID' });
+      }
+      const existing = await DisposalRequestsCRUD.findById(req.params.id);
+      if (!existing) {
+        return res.status(404).json({ error: 'Disposal request not found' });
+      }
+
+      const approval = parseApproval(req.body, existing);
+      const request = await DisposalRequestsCRUD.approve(req.params.id, approval, custodyActorFromRequest(req));
+
+      console.log('✅ API: Disposal approved:', request.disposalNumber, request.items.length, 'item(s) locked');
+      res.json({
+        success: true,
+        disposal: toClientRequest(request),
+        message: `${request.items.length} item(s) disposed under ${request.disposalNumber}`
+      });
+    } catch (error) {
+      sendDisposalError(res, error, 'Failed to approve disposal request');
+    }
+  });
+
+  app.post('/api/disposals/:id/reject', requirePermission('evidence', 'approve'), async (req, res) => {
+    try {
+      console.log('🔍 API: Rejecting disposal request:', req.params.id);
+      if (!ObjectId.isValid(req.params.id)) {
+        return res.status(400).json({ error: 'Invalid disposal request ID' });
+      }
+      const reason = String(req.body.reason || '').trim();
+      if (!reason) {
+        return res.status(400).json({ error: 'A reason is required to reject a disposal request' });
+      }
+
+      const request = await DisposalRequestsCRUD.reject(req.params.id, reason, custodyActorFromRequest(req));
+      if (!request) {
+        return res.status(404).json({ error: 'Disposal request not found' });
+      }
+      res.json({ success: true, disposal: toClientRequest(request), message: `${request.disposalNumber} rejected` });
+    } catch (error) {
+      sendDisposalError(res, error, 'Failed to reject disposal request');
+    }
+  });
+
+  // Certificate PDF, available once the disposal is approved
+  app.get('/api/disposals/:id/certificate', requirePermission('evidence', 'read'), async (req, res) => {
+    try {
+      if (!ObjectId.isValid(req.params.id)) {
+        return res.status(400).json({ error: 'Invalid disposal request ID' });
+      }
+      const request = await DisposalRequestsCRUD.findById(req.params.id);
+      if (!request) {
+        return res.status(404).json({ error: 'Disposal request not found' });
+      }
+      if (request.status !== 'Approved') {
+        return res.status(409).json({ error: `${request.disposalNumber} is ${request.status}; certificates are issued on approval` });
+      }
+
+      const pdf = await renderDisposalCertificate(request);
+      res.set({
+        'Content-Type': 'application/pdf',
+        'Content-Disposition': `inline; filename="${request.disposalNumber}-certificate.pdf"`,
+        'Cache-Control': 'no-store'
+      });
+      res.send(pdf);
+    } catch (error) {
+      sendDisposalError(res, error, 'Failed to generate disposal certificate');
+    }
+  });
+
+  console.log('✅ Disposal Routes registered successfully');
+}
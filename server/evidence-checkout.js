@@ -0,0 +1,98 @@
+// Structured checkout/return of evidence held in the evidence room.
+// A checked-out item carries a `checkout` record and custodyStatus 'checked_out' until
+// it is returned; both transitions append a typed custody entry whose `details` (hashed
+// into the custody chain) record who had the item, why, and when it was due back.
+import crypto from 'crypto';
+
+export const CHECKOUT_PURPOSES = ['lab', 'court', 'review'];
+
+// Longest an item may be booked out for in one go
+const MAX_CHECKOUT_DAYS = 90;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Items in these states are not in the evidence room and cannot be checked out
+export const UNAVAILABLE_STATUSES = ['Disposed', 'Released', 'Missing'];
+
+export class CheckoutError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'CheckoutError';
+    this.status = status;
+  }
+}
+
+// Validates a checkout request body into the custody input and checkout record
+export function parseCheckoutRequest(body = {}, now = new Date()) {
+  const officerName = String(body.officerName || '').trim();
+  if (!officerName) {
+    throw new CheckoutError('officerName is required: the officer taking the item');
+  }
+
+  const purpose = String(body.purpose || '').toLowerCase();
+  if (!CHECKOUT_PURPOSES.includes(purpose)) {
+    throw new CheckoutError(`purpose must be one of: ${CHECKOUT_PURPOSES.join(', ')}`);
+  }
+
+  const expectedReturnAt = new Date(body.expectedReturnAt);
+  if (!body.expectedReturnAt || Number.isNaN(expectedReturnAt.getTime())) {
+    throw new CheckoutError('expectedReturnAt must be a valid date');
+  }
+  if (expectedReturnAt <= now) {
+    throw new CheckoutError('expectedReturnAt must be in the future');
+  }
+  if (expectedReturnAt - now > MAX_CHECKOUT_DAYS * DAY_MS) {
+    throw new CheckoutError(`Items cannot be checked out for more than ${MAX_CHECKOUT_DAYS} days`);
+  }
+
+  return {
+    checkoutId: crypto.randomUUID(),
+    checkedOutTo: {
+      name: officerName,
+      badgeNumber: body.badgeNumber ? String(body.badgeNumber).trim() : null,
+      userId: body.officerUserId || null
+    },
+    purpose,
+    destination: body.destination ? String(body.destination).trim() : '',
+    expectedReturnAt,
+    notes: body.notes || ''
+  };
+}
+
+export function parseReturnRequest(body = {}) {
+  return {
+    returnedBy: body.returnedBy ? String(body.returnedBy).trim() : null,
+    storageLocation: body.storageLocation ? String(body.storageLocation).trim() : null,
+    condition: body.condition || null,
+    sealIntact: typeof body.sealIntact === 'boolean' ? body.sealIntact : null,
+    notes: body.notes || ''
+  };
+}
+
+export function isOverdue(checkout, now = new Date()) {
+  return Boolean(checkout) && new Date(checkout.expectedReturnAt) < now;
+}
+
+export const daysOverdue = (checkout, now = new Date()) =>
+  (isOverdue(checkout, now) ? Math.ceil((now - new Date(checkout.expectedReturnAt)) / DAY_MS) : 0);
+
+// Mongo filter for checked-out items past their expected return date
+export const overdueFilter = (now = new Date()) => ({
+  custodyStatus: 'checked_out',
+  'checkout.expectedReturnAt': { $lt: now }
+});
+
+// Checkout summary for API responses
+export function checkoutSummary(evidence, now = new Date()) {
+  return {
+    id: evidence._id.toString(),
+    evidenceNumber: evidence.evidenceNumber,
+    description: evidence.description,
+    type: evidence.type,
+    caseId: evidence.caseId,
+    storageLocation: evidence.storageLocation,
+    evidenceRoom: evidence.evidenceRoom,
+    checkout: evidence.checkout,
+    overdue: isOverdue(evidence.checkout, now),
+    daysOverdue: daysOverdue(evidence.checkout, now)
+  };
+}
@@ -0,0 +1,214 @@
+// Evidence disposal: a disposal request lists items to destroy or release, a supervisor
+// (evidence 'approve') signs it off, and approval marks every item Disposed, records a
+// custody entry and locks the item against further edits. Items only qualify once their
+// case is closed and their retention period has run out.
+import PDFDocument from 'pdfkit';
+import { CLOSED_CASE_STATES } from './case-lifecycle.js';
+
+export const DISPOSAL_METHODS = ['Destroyed', 'Returned to Owner', 'Auctioned', 'Donated', 'Transferred to Agency'];
+
+// How long evidence is kept after collection unless the item sets its own retentionUntil
+export const DEFAULT_RETENTION_DAYS = Number(process.env.EVIDENCE_RETENTION_DAYS) || 365;
+
+// Witnesses required on an approved disposal
+export const MIN_DISPOSAL_WITNESSES = Number(process.env.DISPOSAL_MIN_WITNESSES) || 2;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export class DisposalError extends Error {
+  constructor(message, status = 400, blockers = []) {
+    super(message);
+    this.name = 'DisposalError';
+    this.status = status;
+    this.blockers = blockers;
+  }
+}
+
+export function retentionEndsAt(evidence) {
+  if (evidence.retentionUntil) return new Date(evidence.retentionUntil);
+  const collected = new Date(evidence.collectedAt || evidence.createdAt);
+  return new Date(collected.getTime() + DEFAULT_RETENTION_DAYS * DAY_MS);
+}
+
+// Reasons an item cannot be disposed of yet; empty when it can
+export function disposalBlockers(evidence, caseDoc, now = new Date()) {
+  const blockers = [];
+  if (evidence.status === 'Disposed' || evidence.disposal) {
+    blockers.push('already disposed');
+  }
+  if (evidence.custodyStatus === 'checked_out') {
+    blockers.push(`checked out to ${evidence.checkout?.checkedOutTo?.name || 'an officer'}`);
+  }
+  if (evidence.caseId && !caseDoc) {
+    blockers.push('linked case not found');
+  } else if (caseDoc && !CLOSED_CASE_STATES.includes(caseDoc.status)) {
+    blockers.push(`case ${caseDoc.caseNumber} is ${caseDoc.status || 'open'}`);
+  }
+  const retention = retentionEndsAt(evidence);
+  if (retention > now) {
+    blockers.push(`retention period runs until ${retention.toISOString().slice(0, 10)}`);
+  }
+  return blockers;
+}
+
+// Throws with every blocked item listed, so one request reports all problems at once
+export function assertDisposable(items, casesById, now = new Date()) {
+  const blocked = items
+    .map(evidence => ({
+      evidenceId: evidence._id.toString(),
+      evidenceNumber: evidence.evidenceNumber,
+      reasons: disposalBlockers(evidence, casesById.get(evidence.caseId), now)
+    }))
+    .filter(item => item.reasons.length > 0);
+
+  if (blocked.length > 0) {
+    const summary = blocked.map(item => `${item.evidenceNumber}: ${item.reasons.join('; ')}`).join(' | ');
+    throw new DisposalError(`Some items cannot be disposed of: ${summary}`, 409, blocked);
+  }
+}
+
+// Approved disposals lock the item; edits, custody entries, media and deletes are refused
+export function assertEvidenceUnlocked(evidence) {
+  if (evidence?.disposal?.lockedAt) {
+    throw new DisposalError(
+      `${evidence.evidenceNumber} was disposed of under ${evidence.disposal.disposalNumber} and is locked`,
+      409
+    );
+  }
+}
+
+export const UNLOCKED_FILTER = { 'disposal.lockedAt': { $exists: false } };
+
+function parseWitnesses(input) {
+  if (input === undefined) return undefined;
+  if (!Array.isArray(input)) {
+    throw new DisposalError('witnesses must be a list of { name, badgeNumber }');
+  }
+  return input
+    .map(witness => (typeof witness === 'string' ? { name: witness } : witness || {}))
+    .map(witness => ({
+      name: String(witness.name || '').trim(),
+      badgeNumber: witness.badgeNumber ? String(witness.badgeNumber).trim() : null
+    }))
+    .filter(witness => witness.name);
+}
+
+export function parseDisposalRequest(body = {}) {
+  if (body.evidenceIds !== undefined && !Array.isArray(body.evidenceIds)) {
+    throw new DisposalError('evidenceIds must be an array of evidence item ids');
+  }
+  const evidenceIds = [...new Set((body.evidenceIds || []).map(String))];
+  if (evidenceIds.length === 0) {
+    throw new DisposalError('evidenceIds must list at least one evidence item');
+  }
+  if (!DISPOSAL_METHODS.includes(body.method)) {
+    throw new DisposalError(`method must be one of: ${DISPOSAL_METHODS.join(', ')}`);
+  }
+  const reason = String(body.reason || '').trim();
+  if (!reason) {
+    throw new DisposalError('reason is required');
+  }
+
+  return {
+    evidenceIds,
+    method: body.method,
+    reason,
+    witnesses: parseWitnesses(body.witnesses) || [],
+    notes: body.notes || ''
+  };
+}
+
+// Witnesses may be named on the request or added by the approver at sign-off
+export function parseApproval(body = {}, request) {
+  const witnesses = parseWitnesses(body.witnesses) ?? request.witnesses ?? [];
+  if (witnesses.length < MIN_DISPOSAL_WITNESSES) {
+    throw new DisposalError(`At least ${MIN_DISPOSAL_WITNESSES} witness(es) must be named to approve a disposal`);
+  }
+
+  const disposedAt = body.disposedAt ? new Date(body.disposedAt) : new Date();
+  if (Number.isNaN(disposedAt.getTime())) {
+    throw new DisposalError('disposedAt must be a valid date');
+  }
+
+  return { witnesses, disposedAt, notes: body.notes || '' };
+}
+
+const formatDate = (value) => (value ? new Date(value).toISOString().slice(0, 10) : '');
+
+// Disposal certificate for an approved request, as a PDF buffer
+export async function renderDisposalCertificate(request) {
+  const doc = new PDFDocument({
+    size: 'A4',
+    margin: 50,
+    info: { Title: `Evidence disposal certificate ${request.disposalNumber}` }
+  });
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+  const finished = new Promise((resolve, reject) => {
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+  });
+
+  const left = doc.page.margins.left;
+  const width = doc.page.width - left - doc.page.margins.right;
+
+  doc.font('Helvetica-Bold').fontSize(16).text('EVIDENCE DISPOSAL CERTIFICATE', { align: 'center' });
+  doc.font('Helvetica').fontSize(10).text(request.disposalNumber, { align: 'center' }).moveDown(1.5);
+
+  const field = (label, value) => {
+    doc.font('Helvetica-Bold').fontSize(10).text(`${label}: `, { continued: true })
+      .font('Helvetica').text(value || '-');
+  };
+  field('Method', request.method);
+  field('Reason', request.reason);
+  field('Disposed on', formatDate(request.disposedAt));
+  field('Requested by', `${request.requestedBy?.name || request.requestedBy?.username || 'Unknown'} on ${formatDate(request.createdAt)}`);
+  field('Approved by', `${request.approvedBy?.name || request.approvedBy?.username || 'Unknown'} on ${formatDate(request.approvedAt)}`);
+  if (request.approvalNotes) field('Notes', request.approvalNotes);
+  doc.moveDown();
+
+  const columns = [
+    { header: 'Evidence No.', key: 'evidenceNumber', width: 0.2 },
+    { header: 'Case', key: 'caseNumber', width: 0.17 },
+    { header: 'Type', key: 'type', width: 0.13 },
+    { header: 'Description', key: 'description', width: 0.5 }
+  ];
+  const row = (values, bold) => {
+    const y = doc.y;
+    let x = left;
+    let bottom = y;
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(9);
+    columns.forEach((column, index) => {
+      const columnWidth = column.width * width;
+      doc.text(values[index] || '-', x, y, { width: columnWidth - 6 });
+      bottom = Math.max(bottom, doc.y);
+      x += columnWidth;
+    });
+    doc.x = left;
+    doc.y = bottom + 4;
+  };
+
+  doc.font('Helvetica-Bold').fontSize(11).text(`Items (${request.items.length})`).moveDown(0.5);
+  row(columns.map(column => column.header), true);
+  doc.moveTo(left, doc.y - 2).lineTo(left + width, doc.y - 2).stroke();
+  for (const item of request.items) {
+    if (doc.y > doc.page.height - doc.page.margins.bottom - 40) doc.addPage();
+    row(columns.map(column => item[column.key]), false);
+  }
+  doc.moveDown();
+
+  doc.font('Helvetica-Bold').fontSize(11).text('Witnesses').moveDown(0.5);
+  for (const witness of request.witnesses) {
+    if (doc.y > doc.page.height - doc.page.margins.bottom - 40) doc.addPage();
+    const y = doc.y + 20;
+    doc.font('Helvetica').fontSize(10)
+      .text(`${witness.name}${witness.badgeNumber ? ` (${witness.badgeNumber})` : ''}`, left, doc.y);
+    doc.moveTo(left + width * 0.5, y).lineTo(left + width, y).stroke();
+    doc.fontSize(8).text('Signature', left + width * 0.5, y + 2);
+    doc.x = left;
+    doc.y = y + 16;
+  }
+
+  doc.end();
+  return await finished;
+}
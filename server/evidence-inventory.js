@@ -0,0 +1,211 @@
+// Evidence room inventory audits. A custodian (evidence 'approve') opens an audit for a
+// room, optionally narrowed to one shelf, which snapshots every item the system says is
+// held there. Items are then scanned or ticked off as they are found. Completing the audit
+// reports the items expected but not found (marked Missing with a custody entry), items
+// found on the wrong shelf or in the wrong room, and items that are not sealed. The
+// completed report is hashed and signed to the completing custodian's session, and prints
+// as a PDF carrying that hash and signature.
+import crypto from 'crypto';
+import PDFDocument from 'pdfkit';
+import { canonicalize, signEntryHash } from './custody-chain.js';
+
+export const INVENTORY_STATUSES = ['Open', 'Completed', 'Cancelled'];
+
+// Items in these states are no longer expected on the shelf
+export const NOT_HELD_STATUSES = ['Released', 'Disposed', 'Missing'];
+
+export class InventoryError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'InventoryError';
+    this.status = status;
+  }
+}
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Rooms and shelves are typed by hand, so they compare without case or outer spaces
+const sameLocation = (a, b) => String(a || '').trim().toLowerCase() === String(b || '').trim().toLowerCase();
+
+export function parseInventoryRequest(body = {}) {
+  const evidenceRoom = String(body.evidenceRoom || '').trim();
+  if (!evidenceRoom) {
+    throw new InventoryError('evidenceRoom is required');
+  }
+  return {
+    evidenceRoom,
+    storageLocation: String(body.storageLocation || '').trim() || null,
+    notes: body.notes || ''
+  };
+}
+
+// Evidence filter for the items an audit expects to find. A shelf matches every
+// storageLocation that starts with it, so "Shelf B" covers "Shelf B-3".
+export function inventoryScope({ evidenceRoom, storageLocation }) {
+  return {
+    evidenceRoom: { $regex: `^\\s*${escapeRegex(evidenceRoom)}\\s*$`, $options: 'i' },
+    status: { $nin: NOT_HELD_STATUSES },
+    ...(storageLocation ? { storageLocation: { $regex: `^\\s*${escapeRegex(storageLocation)}`, $options: 'i' } } : {})
+  };
+}
+
+// What the audit records about an item, as it stood when the audit saw it
+export const inventoryItem = (evidence) => ({
+  evidenceId: evidence._id.toString(),
+  evidenceNumber: evidence.evidenceNumber,
+  description: evidence.description,
+  evidenceRoom: evidence.evidenceRoom || null,
+  storageLocation: evidence.storageLocation || null,
+  custodyStatus: evidence.custodyStatus || 'in',
+  isSealed: Boolean(evidence.isSealed),
+  bagsSealed: Boolean(evidence.bagsSealed)
+});
+
+// { missing, checkedOut, misplaced, unsealed } for an audit's expected and found items.
+// Checked-out items are accounted for by their checkout rather than reported missing.
+export function reconcileInventory(audit) {
+  const found = audit.found || [];
+  const foundIds = new Set(found.map(item => item.evidenceId));
+  const notFound = (audit.expected || []).filter(item => !foundIds.has(item.evidenceId));
+
+  const misplaced = found
+    .map(item => {
+      if (!sameLocation(item.evidenceRoom, audit.evidenceRoom)) {
+        return { ...item, problem: `belongs in ${item.evidenceRoom || 'no recorded room'}` };
+      }
+      if (item.foundLocation && !sameLocation(item.foundLocation, item.storageLocation)) {
+        return { ...item, problem: `recorded at ${item.storageLocation || 'no recorded location'}` };
+      }
+      return null;
+    })
+    .filter(Boolean);
+
+  return {
+    missing: notFound.filter(item => item.custodyStatus !== 'checked_out'),
+    checkedOut: notFound.filter(item => item.custodyStatus === 'checked_out'),
+    misplaced,
+    unsealed: found.filter(item => !item.isSealed || !item.bagsSealed),
+    counts: { expected: (audit.expected || []).length, found: found.length }
+  };
+}
+
+// The parts of a completed audit its signature covers
+function reportContent(audit) {
+  return {
+    auditNumber: audit.auditNumber,
+    evidenceRoom: audit.evidenceRoom,
+    storageLocation: audit.storageLocation,
+    openedBy: audit.openedBy,
+    openedAt: new Date(audit.createdAt),
+    expected: audit.expected,
+    found: audit.found,
+    findings: audit.findings,
+    markedMissing: audit.markedMissing,
+    completedBy: audit.completedBy,
+    completedAt: new Date(audit.completedAt),
+    completionNotes: audit.completionNotes || ''
+  };
+}
+
+export const hashInventoryReport = (audit) =>
+  crypto.createHash('sha256').update(canonicalize(reportContent(audit))).digest('hex');
+
+export function signInventoryReport(audit, identity = {}) {
+  const hash = hashInventoryReport(audit);
+  return {
+    hash,
+    signature: signEntryHash(hash, identity.actor, identity.sessionFingerprint),
+    sessionFingerprint: identity.sessionFingerprint || null
+  };
+}
+
+export function verifyInventoryReport(audit) {
+  if (audit.status !== 'Completed' || !audit.signature) {
+    return { valid: false, reason: `${audit.auditNumber} is ${audit.status} and has no signed report` };
+  }
+  const hash = hashInventoryReport(audit);
+  if (hash !== audit.signature.hash) {
+    return { valid: false, hash, reason: 'Report contents have changed since it was signed' };
+  }
+  if (signEntryHash(hash, audit.completedBy, audit.signature.sessionFingerprint) !== audit.signature.signature) {
+    return { valid: false, hash, reason: 'Signature does not match the signing custodian' };
+  }
+  return { valid: true, hash };
+}
+
+const formatDateTime = (value) => (value ? new Date(value).toISOString().replace('T', ' ').slice(0, 16) : '-');
+const actorName = (actor) => actor?.name || actor?.username || 'Unknown';
+
+// Signed inventory report for a completed audit, as a PDF buffer
+export async function renderInventoryReport(audit, verification) {
+  const doc = new PDFDocument({
+    size: 'A4',
+    margin: 50,
+    info: { Title: `Evidence inventory audit ${audit.auditNumber}` }
+  });
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+  const finished = new Promise((resolve, reject) => {
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+  });
+
+  const left = doc.page.margins.left;
+  const width = doc.page.width - left - doc.page.margins.right;
+  const bottom = doc.page.height - doc.page.margins.bottom;
+  const ensureSpace = (height) => {
+    if (doc.y + height > bottom) doc.addPage();
+  };
+  const field = (label, value) => {
+    doc.font('Helvetica-Bold').fontSize(10).text(`${label}: `, { continued: true })
+      .font('Helvetica').text(value || '-');
+  };
+  const section = (title, items, describe) => {
+    ensureSpace(40);
+    doc.moveDown().font('Helvetica-Bold').fontSize(12).text(`${title} (${items.length})`, left).moveDown(0.3);
+    if (items.length === 0) {
+      doc.font('Helvetica').fontSize(9).text('None.');
+    }
+    for (const item of items) {
+      ensureSpace(24);
+      doc.font('Helvetica-Bold').fontSize(9).text(item.evidenceNumber || item.evidenceId, left, doc.y, { continued: true })
+        .font('Helvetica').text(`  ${describe(item)}`, { width });
+    }
+  };
+
+  const { findings } = audit;
+  doc.font('Helvetica-Bold').fontSize(16).text('EVIDENCE ROOM INVENTORY AUDIT', { align: 'center' });
+  doc.font('Helvetica').fontSize(10).text(audit.auditNumber, { align: 'center' }).moveDown(1.5);
+
+  field('Room', audit.evidenceRoom);
+  field('Shelf', audit.storageLocation || 'Whole room');
+  field('Opened', `${formatDateTime(audit.createdAt)} UTC by ${actorName(audit.openedBy)}`);
+  field('Completed', `${formatDateTime(audit.completedAt)} UTC by ${actorName(audit.completedBy)}`);
+  field('Result', `${findings.counts.found} found of ${findings.counts.expected} expected · ${findings.missing.length} missing · ${findings.misplaced.length} misplaced · ${findings.unsealed.length} unsealed`);
+  if (audit.completionNotes) field('Notes', audit.completionNotes);
+
+  const markedMissing = new Set((audit.markedMissing || []).map(item => item.evidenceId));
+  section('Expected but not found', findings.missing, item =>
+    `${item.description || ''} · ${item.storageLocation || 'no location'}${markedMissing.has(item.evidenceId) ? ' · marked Missing' : ''}`);
+  section('Found in the wrong place', findings.misplaced, item =>
+    `${item.description || ''} · found at ${item.foundLocation || audit.storageLocation || audit.evidenceRoom}, ${item.problem}`);
+  section('Not sealed', findings.unsealed, item =>
+    `${item.description || ''} · ${[!item.isSealed && 'item not sealed', !item.bagsSealed && 'bags not sealed'].filter(Boolean).join(', ')}`);
+  section('Checked out', findings.checkedOut, item => `${item.description || ''}`);
+
+  ensureSpace(90);
+  doc.moveDown().font('Helvetica-Bold').fontSize(12).text('Signature', left).moveDown(0.3);
+  doc.font('Helvetica').fontSize(9)
+    .text(`Signed by ${actorName(audit.completedBy)} (${audit.completedBy?.role || 'unknown role'}) on completion.`);
+  doc.font('Courier').fontSize(8)
+    .text(`Report SHA-256 ${audit.signature.hash}`)
+    .text(`Signature      ${audit.signature.signature}`);
+  if (verification) {
+    doc.font('Helvetica-Bold').fontSize(9).fillColor(verification.valid ? '#27ae60' : '#c0392b')
+      .text(verification.valid ? 'Signature verified when this report was printed.' : `SIGNATURE INVALID: ${verification.reason}`)
+      .fillColor('#000000');
+  }
+
+  doc.end();
+  return await finished;
+}
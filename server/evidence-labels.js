@@ -0,0 +1,158 @@
+// Printable evidence bag labels: evidence number, case number and collection date with
+// a QR or Code128 barcode of the evidence number, as a 4" x 2" PDF or 300 dpi PNG.
+// The barcode holds only the evidence number, which the scan endpoint resolves.
+import bwipjs from 'bwip-js';
+import PDFDocument from 'pdfkit';
+import sharp from 'sharp';
+
+export const LABEL_FORMATS = ['pdf', 'png'];
+
+// ?symbology= values and the bwip-js encoder behind each
+export const LABEL_SYMBOLOGIES = {
+  qr: 'qrcode',
+  code128: 'code128'
+};
+
+// Layout in points (1/72"); the PNG is rendered from the same layout at 300 dpi
+const LABEL_WIDTH = 288;
+const LABEL_HEIGHT = 144;
+const PNG_DPI = 300;
+const MARGIN = 10;
+
+export class LabelError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'LabelError';
+  }
+}
+
+const formatDate = (value) => (value ? new Date(value).toISOString().slice(0, 10) : 'Unknown');
+
+const truncate = (value, length) => {
+  const text = String(value || '');
+  return text.length > length ? `${text.slice(0, length - 1)}…` : text;
+};
+
+const escapeXml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// What goes on a label, from the evidence document and the case it belongs to
+export function labelFields(evidence, caseDoc) {
+  return {
+    evidenceNumber: evidence.evidenceNumber,
+    caseNumber: caseDoc?.caseNumber || 'No case',
+    collectedAt: formatDate(evidence.collectedAt || evidence.createdAt),
+    type: evidence.type || '',
+    description: evidence.description || '',
+    collectedBy: evidence.collectedBy || ''
+  };
+}
+
+// QR sits to the right of the text; Code128 runs along the bottom under it. Both keep
+// a quiet zone of 2 margins from the border so scanners do not read it as a bar.
+function labelLayout(symbology) {
+  if (symbology === 'qr') {
+    const size = 96;
+    const x = LABEL_WIDTH - 2 * MARGIN - size;
+    return {
+      textWidth: x - 2 * MARGIN,
+      textChars: 30,
+      barcode: { x, y: LABEL_HEIGHT - 2 * MARGIN - size, width: size, height: size }
+    };
+  }
+  return {
+    textWidth: LABEL_WIDTH - 2 * MARGIN,
+    textChars: 48,
+    barcode: { x: 2 * MARGIN, y: 96, width: LABEL_WIDTH - 4 * MARGIN, height: LABEL_HEIGHT - 96 - MARGIN }
+  };
+}
+
+function textLines(fields, layout) {
+  return [
+    { text: fields.evidenceNumber, size: 14, bold: true, y: 28 },
+    { text: `Case: ${fields.caseNumber}`, size: 9, y: 46 },
+    { text: `Collected: ${fields.collectedAt}`, size: 9, y: 58 },
+    { text: truncate(`${fields.type}${fields.type && fields.description ? ' - ' : ''}${fields.description}`, layout.textChars), size: 8, y: 70 },
+    { text: truncate(fields.collectedBy ? `By: ${fields.collectedBy}` : '', layout.textChars), size: 8, y: 82 }
+  ].filter(line => line.text);
+}
+
+function barcodeOptions(symbology, text) {
+  const bcid = LABEL_SYMBOLOGIES[symbology];
+  if (!bcid) {
+    throw new LabelError(`symbology must be one of: ${Object.keys(LABEL_SYMBOLOGIES).join(', ')}`);
+  }
+  if (!text) {
+    throw new LabelError('Evidence item has no evidence number to encode');
+  }
+  return symbology === 'qr'
+    ? { bcid, text, eclevel: 'M' }
+    : { bcid, text, height: 12, includetext: false };
+}
+
+export function renderLabelSvg(fields, symbology = 'qr') {
+  const layout = labelLayout(symbology);
+  const { x, y, width, height } = layout.barcode;
+  const barcode = bwipjs.toSVG(barcodeOptions(symbology, fields.evidenceNumber))
+    .replace('<svg ', `<svg x="${x}" y="${y}" width="${width}" height="${height}" preserveAspectRatio="${symbology === 'qr' ? 'xMidYMid meet' : 'none'}" `);
+
+  const lines = textLines(fields, layout).map(line =>
+    `<text x="${MARGIN}" y="${line.y}" font-size="${line.size}"${line.bold ? ' font-weight="bold"' : ''}>${escapeXml(line.text)}</text>`
+  );
+
+  return [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${LABEL_WIDTH * PNG_DPI / 72}" height="${LABEL_HEIGHT * PNG_DPI / 72}" viewBox="0 0 ${LABEL_WIDTH} ${LABEL_HEIGHT}">`,
+    `<rect width="${LABEL_WIDTH}" height="${LABEL_HEIGHT}" fill="#ffffff"/>`,
+    `<rect x="3" y="3" width="${LABEL_WIDTH - 6}" height="${LABEL_HEIGHT - 6}" fill="none" stroke="#000000" stroke-width="1"/>`,
+    `<g font-family="Helvetica, Arial, sans-serif" fill="#000000">`,
+    `<text x="${MARGIN}" y="14" font-size="7" font-weight="bold" letter-spacing="1">EVIDENCE - DO NOT TAMPER</text>`,
+    ...lines,
+    '</g>',
+    barcode,
+    '</svg>'
+  ].join('\n');
+}
+
+export async function renderLabelPng(fields, symbology = 'qr') {
+  return await sharp(Buffer.from(renderLabelSvg(fields, symbology))).png().toBuffer();
+}
+
+export async function renderLabelPdf(fields, symbology = 'qr') {
+  const layout = labelLayout(symbology);
+  const { x, y, width, height } = layout.barcode;
+  const barcode = await bwipjs.toBuffer({ ...barcodeOptions(symbology, fields.evidenceNumber), scale: 4 });
+
+  const doc = new PDFDocument({
+    size: [LABEL_WIDTH, LABEL_HEIGHT],
+    margin: 0,
+    info: { Title: `Evidence label ${fields.evidenceNumber}` }
+  });
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+  const finished = new Promise((resolve, reject) => {
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+  });
+
+  doc.rect(3, 3, LABEL_WIDTH - 6, LABEL_HEIGHT - 6).lineWidth(1).stroke('#000000');
+  doc.font('Helvetica-Bold').fontSize(7).fillColor('#000000')
+    .text('EVIDENCE - DO NOT TAMPER', MARGIN, 8, { characterSpacing: 1, lineBreak: false });
+
+  // PDFKit positions text by its top edge; the layout gives baselines
+  for (const line of textLines(fields, layout)) {
+    doc.font(line.bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(line.size)
+      .text(line.text, MARGIN, line.y - line.size * 0.8, { width: layout.textWidth, lineBreak: false, ellipsis: true });
+  }
+
+  if (symbology === 'qr') {
+    doc.image(barcode, x, y, { fit: [width, height], align: 'center', valign: 'center' });
+  } else {
+    doc.image(barcode, x, y, { width, height });
+  }
+
+  doc.end();
+  return await finished;
+}
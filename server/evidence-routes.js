@@ -1,14 +1,95 @@
-import { EvidenceCRUD } from './mongodb-crud.js';
+import { EvidenceCRUD, CasesCRUD, GeofilesCRUD } from './mongodb-crud.js';
 import { ObjectId } from 'mongodb';
+import multer from 'multer';
+import path from 'path';
+import { requirePermission, requireAdmin, hasPermission } from './permissions.js';
+import { parseListQuery, LIST_SPECS, ListQueryError } from './list-query.js';
+import { custodyActorFromRequest, verifyCustodyChain } from './custody-chain.js';
+import { LABEL_FORMATS, LabelError, labelFields, renderLabelPdf, renderLabelPng } from './evidence-labels.js';
+import { CheckoutError, parseCheckoutRequest, parseReturnRequest, checkoutSummary } from './evidence-checkout.js';
+import { DisposalError } from './evidence-disposal.js';
+import {
+  MediaIntegrityError,
+  EVIDENCE_UPLOAD_PREFIX,
+  THUMBNAIL_PREFIX,
+  storedMediaKey,
+  fingerprintUpload,
+  findOrphanMedia,
+  sweepOrphanMedia,
+  assertLinkedMedia,
+  verifyEvidenceMedia,
+  checkEvidenceMedia,
+  runIntegrityCheck,
+  findOpenAlerts,
+  resolveAlert
+} from './media-integrity.js';
+import { renderCustodyReport } from './custody-report.js';
+import {
+  StorageError,
+  getFileStorage,
+  stagedUploads,
+  storeUpload,
+  storeBuffer,
+  discardUploads,
+  sendStoredFile
+} from './file-storage.js';
+import { describeUpload } from './media-metadata.js';
+import { evidenceFileAccess, logDownload } from './file-access.js';
+
+const mediaTypeOf = (mimetype) =>
+  mimetype.startsWith('image/') ? 'photo' :
+  mimetype.startsWith('video/') ? 'video' :
+  mimetype.startsWith('audio/') ? 'audio' : 'document';
 
 export function registerEvidenceRoutes(app) {
   console.log('🔧 Registering Evidence Routes...');
 
+  const mediaUpload = multer({
+    storage: stagedUploads(EVIDENCE_UPLOAD_PREFIX),
+    limits: { fileSize: 10 * 1024 * 1024 }, // 10MB per file
+    fileFilter: (req, file, cb) => {
+      const allowedTypes = /jpeg|jpg|png|gif|mp4|avi|mov|pdf|doc|docx/;
+      if (allowedTypes.test(path.extname(file.originalname).toLowerCase()) && allowedTypes.test(file.mimetype)) {
+        return cb(null, true);
+      }
+      cb(new Error('Only images, videos, and documents are allowed'));
+    }
+  });
+
+  // Reject bad files with a JSON 400 instead of falling through to the default error page
+  const uploadMedia = (req, res, next) => {
+    mediaUpload.array('media', 10)(req, res, (error) => {
+      if (error) {
+        return res.status(400).json({ error: error.message });
+      }
+      next();
+    });
+  };
+
+  // Checked before multer runs so nothing is staged for a missing or locked item
+  const evidenceAcceptsMedia = async (req, res, next) => {
+    try {
+      if (!ObjectId.isValid(req.params.id)) {
+        return res.status(400).json({ error: 'Invalid evidence ID' });
+      }
+      const evidence = await EvidenceCRUD.findById(req.params.id);
+      if (!evidence) {
+        return res.status(404).json({ error: 'Evidence not found' });
+      }
+      if (evidence.disposal?.lockedAt) {
+        return res.status(409).json({ error: `${evidence.evidenceNumber} is disposed of and locked` });
+      }
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+
   // Get all evidence
-  app.get('/api/evidence', async (req, res) => {
+  app.get('/api/evidence', requirePermission('evidence', 'read'), async (req, res) => {
     try {
-      console.log('🔍 API: Fetching all evidence');
-      const evidence = await EvidenceCRUD.findAll();
+      console.log('🔍 API: Fetching evidence with query:', req.query);
+      const { items: evidence, pagination } = await EvidenceCRUD.findPage(parseListQuery(req.query, LIST_SPECS.evidence));
 
       // Transform data for frontend
       const transformedEvidence = evidence.map(item => ({
@@ -25,6 +106,7 @@ export function registerEvidenceRoutes(app) {
         obId: item.obId,
         media: item.media || [],
         custodyLog: item.custodyLog || [],
+        custodyHead: item.custodyHead || null,
         tags: item.tags || [],
         weight: item.weight,
         dimensions: item.dimensions,
@@ -32,6 +114,8 @@ export function registerEvidenceRoutes(app) {
         condition: item.condition,
         storageLocation: item.storageLocation,
         evidenceRoom: item.evidenceRoom,
+        custodyStatus: item.custodyStatus || 'in',
+        checkout: item.checkout || null,
         priority: item.priority,
         isSealed: item.isSealed,
         bagsSealed: item.bagsSealed,
@@ -43,16 +127,60 @@ export function registerEvidenceRoutes(app) {
         updatedAt: item.updatedAt
       }));
 
-      console.log('✅ API: Sending evidence data:', transformedEvidence.length, 'items');
-      res.json({ evidence: transformedEvidence });
+      console.log('✅ API: Sending evidence data:', transformedEvidence.length, 'of', pagination.total, 'items');
+      res.json({ evidence: transformedEvidence, pagination });
     } catch (error) {
+      if (error instanceof ListQueryError) {
+        return res.status(400).json({ error: error.message });
+      }
       console.error('❌ API: Error fetching evidence:', error);
       res.status(500).json({ error: 'Failed to fetch evidence' });
     }
   });
 
+  // Items currently checked out; ?overdue=true for those past their return date.
+  // Registered before /:id so "checkouts" is not taken for an evidence ID.
+  app.get('/api/evidence/checkouts', requirePermission('evidence', 'read'), async (req, res) => {
+    try {
+      const overdueOnly = req.query.overdue === 'true';
+      console.log('🔍 API: Fetching checked-out evidence', overdueOnly ? '(overdue only)' : '');
+      const now = new Date();
+      const items = await EvidenceCRUD.findCheckedOut({ overdueOnly, now });
+
+      res.json({ checkouts: items.map(item => checkoutSummary(item, now)) });
+    } catch (error) {
+      console.error('❌ API: Error fetching checked-out evidence:', error);
+      res.status(500).json({ error: 'Failed to fetch checked-out evidence' });
+    }
+  });
+
+  // Evidence statistics, optionally for one case (?caseId=) and a collection date range
+  // (?from=&to=, a bare YYYY-MM-DD `to` includes that whole day). Registered before /:id.
+  app.get('/api/evidence/stats', requirePermission('evidence', 'read'), async (req, res) => {
+    try {
+      console.log('🔍 API: Fetching evidence statistics');
+      const { caseId } = req.query;
+      const [from, to] = ['from', 'to'].map(param => (req.query[param] ? new Date(req.query[param]) : null));
+      if ([from, to].some(date => date && isNaN(date.getTime()))) {
+        return res.status(400).json({ error: 'from and to must be valid dates' });
+      }
+      if (to && /^\d{4}-\d{2}-\d{2}$/.test(req.query.to)) {
+        to.setUTCHours(23, 59, 59, 999);
+      }
+      if (from && to && from > to) {
+        return res.status(400).json({ error: 'from must be before to' });
+      }
+
+      const stats = await EvidenceCRUD.getEvidenceStats({ caseId: caseId || null, from, to });
+      res.json({ stats });
+    } catch (error) {
+      console.error('❌ API: Error fetching evidence statistics:', error);
+      res.status(500).json({ error: 'Failed to fetch evidence statistics' });
+    }
+  });
+
   // Get evidence by ID
-  app.get('/api/evidence/:id', async (req, res) => {
+  app.get('/api/evidence/:id', requirePermission('evidence', 'read'), async (req, res) => {
     try {
       console.log('🔍 API: Fetching evidence by ID:', req.params.id);
       const evidence = await EvidenceCRUD.findById(req.params.id);
@@ -74,7 +202,7 @@ export function registerEvidenceRoutes(app) {
   });
 
   // Create new evidence
-  app.post('/api/evidence', async (req, res) => {
+  app.post('/api/evidence', requirePermission('evidence', 'create'), async (req, res) => {
     try {
       console.log('🔍 API: Creating new evidence with data:', req.body);
 
@@ -91,8 +219,12 @@ export function registerEvidenceRoutes(app) {
           error: 'Missing required fields: type, description, location' 
         });
       }
+      if (evidenceData.status === 'Disposed') {
+        return res.status(400).json({ error: 'Evidence is disposed of through an approved disposal request' });
+      }
+      evidenceData.media = assertLinkedMedia(evidenceData.media);
 
-      const evidence = await EvidenceCRUD.create(evidenceData);
+      const evidence = await EvidenceCRUD.create(evidenceData, custodyActorFromRequest(req));
 
       const transformedEvidence = {
         id: evidence._id.toString(),
@@ -106,6 +238,9 @@ export function registerEvidenceRoutes(app) {
         message: 'Evidence created successfully'
       });
     } catch (error) {
+      if (error instanceof MediaIntegrityError) {
+        return res.status(error.status).json({ error: error.message });
+      }
       console.error('❌ API: Error creating evidence:', error);
       if (error.code === 11000) {
         res.status(409).json({ error: 'Evidence number already exists' });
@@ -116,9 +251,39 @@ export function registerEvidenceRoutes(app) {
   });
 
   // Update evidence
-  app.put('/api/evidence/:id', async (req, res) => {
+  app.put('/api/evidence/:id', requirePermission('evidence', 'update'), async (req, res) => {
     try {
       console.log('🔍 API: Updating evidence:', req.params.id);
+
+      if (Object.keys(req.body).some(key => key.startsWith('custodyLog') || key.startsWith('custodyHead'))) {
+        return res.status(400).json({ 
+          error: 'Custody log is append-only; use POST /api/evidence/:id/custody to record custody events' 
+        });
+      }
+      if (Object.keys(req.body).some(key => key.startsWith('media'))) {
+        return res.status(400).json({
+          error: 'Media changes only through POST /api/evidence/:id/media/upload and /media; their hashes are part of the custody record'
+        });
+      }
+      if (Object.keys(req.body).some(key => key.startsWith('checkout') || key === 'custodyStatus')) {
+        return res.status(400).json({
+          error: 'Checkout state changes only through POST /api/evidence/:id/checkout and /return'
+        });
+      }
+      if (req.body.status === 'Disposed' || Object.keys(req.body).some(key => key.startsWith('disposal'))) {
+        return res.status(400).json({
+          error: 'Disposal needs an approved disposal request; use POST /api/disposals'
+        });
+      }
+      // Both decide whether the item may be disposed of (see disposalBlockers), so only
+      // custodians move them
+      if (['caseId', 'retentionUntil'].some(key => key in req.body) &&
+          !(await hasPermission(req.session.user.role, 'evidence', 'approve'))) {
+        return res.status(403).json({
+          error: 'Changing the case or retention date of an evidence item needs evidence approve permission'
+        });
+      }
+
       const success = await EvidenceCRUD.update(req.params.id, req.body);
 
       if (!success) {
@@ -138,53 +303,586 @@ export function registerEvidenceRoutes(app) {
         message: 'Evidence updated successfully'
       });
     } catch (error) {
+      if (error instanceof DisposalError) {
+        return res.status(error.status).json({ error: error.message });
+      }
       console.error('❌ API: Error updating evidence:', error);
       res.status(500).json({ error: 'Failed to update evidence' });
     }
   });
 
   // Add custody log entry
-  app.post('/api/evidence/:id/custody', async (req, res) => {
+  app.post('/api/evidence/:id/custody', requirePermission('evidence', 'update'), async (req, res) => {
     try {
       console.log('🔍 API: Adding custody entry to evidence:', req.params.id);
       const { action, officer, notes, location } = req.body;
 
-      if (!action || !officer) {
+      if (!action) {
         return res.status(400).json({ 
-          error: 'Missing required fields: action, officer' 
+          error: 'Missing required field: action' 
         });
       }
 
-      const custodyEntry = {
-        action,
-        officer,
-        notes: notes || '',
-        location: location || '',
-        timestamp: new Date()
-      };
-
-      const success = await EvidenceCRUD.addCustodyEntry(req.params.id, custodyEntry);
+      // Who recorded the entry always comes from the session, never the request body
+      const custodyEntry = await EvidenceCRUD.addCustodyEntry(
+        req.params.id,
+        { action, officer, notes, location },
+        custodyActorFromRequest(req)
+      );
 
-      if (!success) {
+      if (!custodyEntry) {
         return res.status(404).json({ error: 'Evidence not found' });
       }
 
-      console.log('✅ API: Custody entry added successfully');
-      res.json({ 
+      console.log('✅ API: Custody entry added successfully:', custodyEntry.sequence);
+      res.status(201).json({ 
         success: true,
+        custodyEntry,
         message: 'Custody entry added successfully'
       });
     } catch (error) {
+      if (error instanceof DisposalError) {
+        return res.status(error.status).json({ error: error.message });
+      }
       console.error('❌ API: Error adding custody entry:', error);
       res.status(500).json({ error: 'Failed to add custody entry' });
     }
   });
 
-  // Add media to evidence
-  app.post('/api/evidence/:id/media', async (req, res) => {
+  // Check an item out to an officer for lab, court or review
+  app.post('/api/evidence/:id/checkout', requirePermission('evidence', 'update'), async (req, res) => {
+    try {
+      console.log('🔍 API: Checking out evidence:', req.params.id);
+      const checkout = parseCheckoutRequest(req.body);
+      const custodyEntry = await EvidenceCRUD.checkOut(req.params.id, checkout, custodyActorFromRequest(req));
+
+      if (!custodyEntry) {
+        return res.status(404).json({ error: 'Evidence not found' });
+      }
+
+      const evidence = await EvidenceCRUD.findById(req.params.id);
+      console.log('✅ API: Evidence checked out:', evidence.evidenceNumber, 'to', checkout.checkedOutTo.name);
+      res.status(201).json({
+        success: true,
+        evidence: { id: evidence._id.toString(), ...evidence },
+        custodyEntry,
+        message: `Checked out to ${checkout.checkedOutTo.name}`
+      });
+    } catch (error) {
+      if (error instanceof CheckoutError || error instanceof DisposalError) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      console.error('❌ API: Error checking out evidence:', error);
+      res.status(500).json({ error: 'Failed to check out evidence' });
+    }
+  });
+
+  // Return a checked-out item to the evidence room
+  app.post('/api/evidence/:id/return', requirePermission('evidence', 'update'), async (req, res) => {
+    try {
+      console.log('🔍 API: Returning evidence:', req.params.id);
+      const custodyEntry = await EvidenceCRUD.checkIn(
+        req.params.id,
+        parseReturnRequest(req.body),
+        custodyActorFromRequest(req)
+      );
+
+      if (!custodyEntry) {
+        return res.status(404).json({ error: 'Evidence not found' });
+      }
+
+      const evidence = await EvidenceCRUD.findById(req.params.id);
+      console.log('✅ API: Evidence returned:', evidence.evidenceNumber, custodyEntry.details.overdue ? '(overdue)' : '');
+      res.status(201).json({
+        success: true,
+        evidence: { id: evidence._id.toString(), ...evidence },
+        custodyEntry,
+        message: custodyEntry.details.overdue
+          ? `Returned ${custodyEntry.details.daysOverdue} day(s) late`
+          : 'Returned to evidence room'
+      });
+    } catch (error) {
+      if (error instanceof CheckoutError || error instanceof DisposalError) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      console.error('❌ API: Error returning evidence:', error);
+      res.status(500).json({ error: 'Failed to return evidence' });
+    }
+  });
+
+  // Verify the custody hash chain
+  app.get('/api/evidence/:id/custody/verify', requirePermission('evidence', 'read'), async (req, res) => {
+    try {
+      console.log('🔍 API: Verifying custody chain for evidence:', req.params.id);
+      const evidence = await EvidenceCRUD.findById(req.params.id);
+
+      if (!evidence) {
+        return res.status(404).json({ error: 'Evidence not found' });
+      }
+
+      const verification = verifyCustodyChain(evidence);
+      if (!verification.valid) {
+        console.warn('⚠️ API: Custody chain broken for evidence:', evidence.evidenceNumber, verification.brokenAt);
+      }
+      res.json({ verification });
+    } catch (error) {
+      console.error('❌ API: Error verifying custody chain:', error);
+      res.status(500).json({ error: 'Failed to verify custody chain' });
+    }
+  });
+
+  // Printable chain-of-custody report with media hashes, re-verified as it is built
+  app.get('/api/evidence/:id/custody/report', requirePermission('evidence', 'read'), async (req, res) => {
+    try {
+      if (!ObjectId.isValid(req.params.id)) {
+        return res.status(400).json({ error: 'Invalid evidence ID' });
+      }
+      const evidence = await EvidenceCRUD.findById(req.params.id);
+      if (!evidence) {
+        return res.status(404).json({ error: 'Evidence not found' });
+      }
+      const caseDoc = evidence.caseId && ObjectId.isValid(evidence.caseId)
+        ? await CasesCRUD.findById(evidence.caseId)
+        : null;
+
+      const { actor } = custodyActorFromRequest(req);
+      const pdf = await renderCustodyReport(evidence, {
+        caseDoc,
+        chain: verifyCustodyChain(evidence),
+        mediaChecks: await verifyEvidenceMedia(evidence),
+        generatedBy: actor?.name || actor?.username
+      });
+
+      console.log('📄 API: Generated custody report for evidence:', evidence.evidenceNumber);
+      res.set({
+        'Content-Type': 'application/pdf',
+        'Content-Disposition': `inline; filename="${evidence.evidenceNumber}-custody.pdf"`,
+        'Cache-Control': 'no-store'
+      });
+      res.send(pdf);
+    } catch (error) {
+      console.error('❌ API: Error generating custody report:', error);
+      res.status(500).json({ error: 'Failed to generate custody report' });
+    }
+  });
+
+  // Re-hash this item's media now; failures open integrity alerts
+  app.post('/api/evidence/:id/media/verify', requirePermission('evidence', 'read'), async (req, res) => {
+    try {
+      if (!ObjectId.isValid(req.params.id)) {
+        return res.status(400).json({ error: 'Invalid evidence ID' });
+      }
+      const evidence = await EvidenceCRUD.findById(req.params.id);
+      if (!evidence) {
+        return res.status(404).json({ error: 'Evidence not found' });
+      }
+
+      const verification = await checkEvidenceMedia(evidence);
+      res.json({ verification });
+    } catch (error) {
+      console.error('❌ API: Error verifying evidence media:', error);
+      res.status(500).json({ error: 'Failed to verify evidence media' });
+    }
+  });
+
+  // Open media integrity alerts, for evidence custodians
+  app.get('/api/evidence/integrity/alerts', requirePermission('evidence', 'approve'), async (req, res) => {
+    try {
+      const alerts = await findOpenAlerts();
+      res.json({ alerts: alerts.map(alert => ({ id: alert._id.toString(), ...alert })) });
+    } catch (error) {
+      console.error('❌ API: Error fetching integrity alerts:', error);
+      res.status(500).json({ error: 'Failed to fetch integrity alerts' });
+    }
+  });
+
+  app.post('/api/evidence/integrity/alerts/:alertId/resolve', requirePermission('evidence', 'approve'), async (req, res) => {
+    try {
+      if (!ObjectId.isValid(req.params.alertId)) {
+        return res.status(400).json({ error: 'Invalid alert ID' });
+      }
+      const resolution = String(req.body.resolution || '').trim();
+      if (!resolution) {
+        return res.status(400).json({ error: 'resolution is required: what was found and done' });
+      }
+
+      const alert = await resolveAlert(req.params.alertId, resolution, custodyActorFromRequest(req).actor);
+      if (!alert) {
+        return res.status(404).json({ error: 'Open alert not found' });
+      }
+      res.json({ success: true, alert: { id: alert._id.toString(), ...alert } });
+    } catch (error) {
+      console.error('❌ API: Error resolving integrity alert:', error);
+      res.status(500).json({ error: 'Failed to resolve integrity alert' });
+    }
+  });
+
+  // Full re-hash of every stored file, outside the schedule
+  app.post('/api/evidence/integrity/check', requireAdmin, async (req, res) => {
+    try {
+      const summary = await runIntegrityCheck();
+      res.json({ summary });
+    } catch (error) {
+      console.error('❌ API: Error running media integrity check:', error);
+      res.status(500).json({ error: 'Failed to run media integrity check' });
+    }
+  });
+
+  // Printable bag label: ?format=pdf|png&symbology=qr|code128
+  app.get('/api/evidence/:id/label', requirePermission('evidence', 'read'), async (req, res) => {
+    try {
+      const format = (req.query.format || 'pdf').toLowerCase();
+      const symbology = (req.query.symbology || 'qr').toLowerCase();
+      if (!LABEL_FORMATS.includes(format)) {
+        return res.status(400).json({ error: `format must be one of: ${LABEL_FORMATS.join(', ')}` });
+      }
+      if (!ObjectId.isValid(req.params.id)) {
+        return res.status(400).json({ error: 'Invalid evidence ID' });
+      }
+
+      const evidence = await EvidenceCRUD.findById(req.params.id);
+      if (!evidence) {
+        return res.status(404).json({ error: 'Evidence not found' });
+      }
+      const caseDoc = evidence.caseId && ObjectId.isValid(evidence.caseId)
+        ? await CasesCRUD.findById(evidence.caseId)
+        : null;
+
+      const fields = labelFields(evidence, caseDoc);
+      const label = format === 'png'
+        ? await renderLabelPng(fields, symbology)
+        : await renderLabelPdf(fields, symbology);
+
+      console.log('🏷️ API: Generated', format, 'label for evidence:', evidence.evidenceNumber);
+      res.set({
+        'Content-Type': format === 'png' ? 'image/png' : 'application/pdf',
+        'Content-Disposition': `inline; filename="${evidence.evidenceNumber}-label.${format}"`,
+        'Cache-Control': 'no-store'
+      });
+      res.send(label);
+    } catch (error) {
+      if (error instanceof LabelError) {
+        return res.status(400).json({ error: error.message });
+      }
+      console.error('❌ API: Error generating evidence label:', error);
+      res.status(500).json({ error: 'Failed to generate evidence label' });
+    }
+  });
+
+  // Scan-to-open: resolve a scanned label to its evidence item
+  app.get('/api/evidence/scan/:code', requirePermission('evidence', 'read'), async (req, res) => {
+    try {
+      console.log('🔍 API: Resolving scanned evidence code:', req.params.code);
+      const evidence = await EvidenceCRUD.findByScanCode(req.params.code);
+
+      if (!evidence) {
+        return res.status(404).json({ error: `No evidence item matches "${req.params.code}"` });
+      }
+
+      res.json({ evidence: { id: evidence._id.toString(), ...evidence } });
+    } catch (error) {
+      console.error('❌ API: Error resolving scanned evidence:', error);
+      res.status(500).json({ error: 'Failed to look up scanned evidence' });
+    }
+  });
+
+  // Scan a bag and record its custody transfer in one step
+  app.post('/api/evidence/scan/:code/custody', requirePermission('evidence', 'update'), async (req, res) => {
+    try {
+      console.log('🔍 API: Recording custody transfer for scanned code:', req.params.code);
+      const evidence = await EvidenceCRUD.findByScanCode(req.params.code);
+
+      if (!evidence) {
+        return res.status(404).json({ error: `No evidence item matches "${req.params.code}"` });
+      }
+
+      const { action, officer, notes, location } = req.body;
+      const custodyEntry = await EvidenceCRUD.addCustodyEntry(
+        evidence._id.toString(),
+        { action: action || 'Transferred', officer, notes, location },
+        custodyActorFromRequest(req)
+      );
+
+      const updatedEvidence = await EvidenceCRUD.findById(evidence._id.toString());
+      console.log('✅ API: Custody transfer recorded for', evidence.evidenceNumber, 'entry', custodyEntry.sequence);
+      res.status(201).json({
+        success: true,
+        evidence: { id: updatedEvidence._id.toString(), ...updatedEvidence },
+        custodyEntry,
+        message: 'Custody transfer recorded'
+      });
+    } catch (error) {
+      if (error instanceof DisposalError) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      console.error('❌ API: Error recording scanned custody transfer:', error);
+      res.status(500).json({ error: 'Failed to record custody transfer' });
+    }
+  });
+
+  // Upload files straight onto an evidence item. The files are hashed and stored, then
+  // attached with a custody entry in one update; if that fails they are deleted again.
+  // Hashes are taken from the staged copy, before the file reaches the storage backend.
+  app.post('/api/evidence/:id/media/upload', requirePermission('evidence', 'update'), evidenceAcceptsMedia, uploadMedia, async (req, res) => {
+    const stored = [];
+    try {
+      console.log('🔍 API: Uploading', req.files?.length || 0, 'media file(s) to evidence:', req.params.id);
+      if (!req.files || req.files.length === 0) {
+        return res.status(400).json({ error: 'No files uploaded' });
+      }
+
+      const identity = custodyActorFromRequest(req);
+      const uploadedBy = identity.actor?.name || identity.actor?.username || 'Unknown';
+      const mediaFiles = [];
+      for (const file of req.files) {
+        const type = mediaTypeOf(file.mimetype);
+        const mediaUrl = `/api/evidence/${req.params.id}/media/${file.filename}`;
+        const { metadata, thumbnail } = await describeUpload(file.path, type);
+        const mediaFile = {
+          name: file.originalname,
+          filename: file.filename,
+          url: mediaUrl,
+          type,
+          mimeType: file.mimetype,
+          size: file.size,
+          ...(await fingerprintUpload(file.path)),
+          metadata,
+          uploadedAt: new Date(),
+          uploadedBy,
+          uploadedById: identity.actor?.userId || null
+        };
+        if (thumbnail) {
+          const key = await storeBuffer(`${THUMBNAIL_PREFIX}${file.filename}.jpg`, thumbnail.data, 'image/jpeg');
+          stored.push(key);
+          mediaFile.thumbnail = { key, url: `${mediaUrl}/thumbnail`, width: thumbnail.width, height: thumbnail.height };
+        }
+        mediaFiles.push(mediaFile);
+      }
+      for (const file of req.files) {
+        await storeUpload(file, file.filename);
+        stored.push(file.filename);
+      }
+
+      const custodyEntry = await EvidenceCRUD.attachMedia(req.params.id, mediaFiles, identity);
+      if (!custodyEntry) {
+        await discardUploads(req.files, stored);
+        return res.status(404).json({ error: 'Evidence not found' });
+      }
+
+      const evidence = await EvidenceCRUD.findById(req.params.id);
+      console.log('✅ API: Attached', mediaFiles.length, 'file(s) to', evidence.evidenceNumber);
+      res.status(201).json({
+        success: true,
+        media: mediaFiles,
+        evidence: { id: evidence._id.toString(), ...evidence },
+        custodyEntry,
+        message: `${mediaFiles.length} file(s) uploaded`
+      });
+    } catch (error) {
+      await discardUploads(req.files, stored);
+      if (error instanceof DisposalError) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      console.error('❌ API: Error uploading evidence media:', error);
+      res.status(500).json({ error: 'Failed to upload media' });
+    }
+  });
+
+  // Streams one of the item's stored files to users with access to its case (see
+  // file-access.js); ?download=true saves it instead of opening it
+  app.get('/api/evidence/:id/media/:filename', requirePermission('evidence', 'read'), async (req, res) => {
+    try {
+      if (!ObjectId.isValid(req.params.id)) {
+        return res.status(400).json({ error: 'Invalid evidence ID' });
+      }
+      const evidence = await EvidenceCRUD.findById(req.params.id);
+      const media = evidence?.media?.find(item => storedMediaKey(item) === req.params.filename);
+      if (!media) {
+        return res.status(404).json({ error: 'Media not found' });
+      }
+
+      const storageKey = storedMediaKey(media);
+      const access = await evidenceFileAccess(req.session.user, evidence);
+      await logDownload({
+        resourceType: 'evidence',
+        resourceId: req.params.id,
+        resourceLabel: evidence.evidenceNumber,
+        filename: media.name,
+        storageKey
+      }, access);
+      if (!access.granted) {
+        return res.status(403).json({ error: `You do not have access to files on ${evidence.evidenceNumber}: ${access.reason}` });
+      }
+
+      await sendStoredFile(res, storageKey, {
+        filename: media.name,
+        contentType: media.mimeType,
+        download: req.query.download === 'true'
+      });
+      await EvidenceCRUD.countMediaDownload(req.params.id, storageKey);
+    } catch (error) {
+      if (error instanceof StorageError) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      console.error('❌ API: Error serving evidence media:', error);
+      res.status(500).json({ error: 'Failed to load media' });
+    }
+  });
+
+  // Thumbnails are previews of a file the user may open anyway, so they share its access
+  // check but are not logged or counted as downloads
+  app.get('/api/evidence/:id/media/:filename/thumbnail', requirePermission('evidence', 'read'), async (req, res) => {
+    try {
+      if (!ObjectId.isValid(req.params.id)) {
+        return res.status(400).json({ error: 'Invalid evidence ID' });
+      }
+      const evidence = await EvidenceCRUD.findById(req.params.id);
+      const media = evidence?.media?.find(item => storedMediaKey(item) === req.params.filename);
+      if (!media?.thumbnail?.key) {
+        return res.status(404).json({ error: 'Thumbnail not found' });
+      }
+      if (!(await evidenceFileAccess(req.session.user, evidence)).granted) {
+        return res.status(403).json({ error: `You do not have access to files on ${evidence.evidenceNumber}` });
+      }
+      await sendStoredFile(res, media.thumbnail.key, { filename: `${media.name}.jpg`, contentType: 'image/jpeg' });
+    } catch (error) {
+      if (error instanceof StorageError) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      console.error('❌ API: Error serving media thumbnail:', error);
+      res.status(500).json({ error: 'Failed to load thumbnail' });
+    }
+  });
+
+  // Turns the GPS position in a photo's EXIF into a point geofile linked to the item, so
+  // it shows on the map. The position is read from the file, so it takes the same access
+  // as opening the file.
+  app.post('/api/evidence/:id/media/:filename/geotag', requirePermission('geofiles', 'create'), async (req, res) => {
+    let storageKey = null;
+    try {
+      if (!ObjectId.isValid(req.params.id)) {
+        return res.status(400).json({ error: 'Invalid evidence ID' });
+      }
+      if (!(await hasPermission(req.session.user.role, 'evidence', 'read'))) {
+        return res.status(403).json({ error: 'Geotagging evidence media needs evidence read permission' });
+      }
+      const evidence = await EvidenceCRUD.findById(req.params.id);
+      const media = evidence?.media?.find(item => storedMediaKey(item) === req.params.filename);
+      if (!media) {
+        return res.status(404).json({ error: 'Media not found' });
+      }
+      if (!(await evidenceFileAccess(req.session.user, evidence)).granted) {
+        return res.status(403).json({ error: `You do not have access to files on ${evidence.evidenceNumber}` });
+      }
+      const gps = media.metadata?.gps;
+      if (!gps) {
+        return res.status(400).json({ error: `${media.name} has no GPS position` });
+      }
+      if (media.geofileId) {
+        return res.status(409).json({ error: `${media.name} is already on the map`, geofileId: media.geofileId });
+      }
+      if (evidence.disposal?.lockedAt) {
+        return res.status(409).json({ error: `${evidence.evidenceNumber} is disposed of and locked` });
+      }
+
+      const position = [gps.longitude, gps.latitude];
+      const marker = {
+        name: `${evidence.evidenceNumber} - ${media.name}`,
+        description: evidence.description,
+        coordinates: position,
+        properties: {
+          evidenceId: req.params.id,
+          evidenceNumber: evidence.evidenceNumber,
+          mediaFilename: media.filename,
+          capturedAt: media.metadata.capturedAt || null,
+          altitude: gps.altitude
+        }
+      };
+      const featureCollection = {
+        type: 'FeatureCollection',
+        features: [{ type: 'Feature', geometry: { type: 'Point', coordinates: position }, properties: marker.properties }]
+      };
+
+      const geofileId = new ObjectId();
+      const content = Buffer.from(JSON.stringify(featureCollection, null, 2));
+      storageKey = await storeBuffer(`geofiles/${media.filename}-location.geojson`, content, 'application/geo+json');
+      const { actor } = custodyActorFromRequest(req);
+      const geofile = await GeofilesCRUD.create({
+        _id: geofileId,
+        filename: `${evidence.evidenceNumber} ${media.name} location.geojson`,
+        storageKey,
+        filepath: storageKey,
+        fileUrl: `/api/geofiles/${geofileId}/file`,
+        fileType: 'GEOJSON',
+        fileSize: content.length,
+        description: `Photo location from EXIF GPS for ${evidence.evidenceNumber}`,
+        tags: ['evidence', 'exif-gps'],
+        coordinateSystem: 'WGS84',
+        accessLevel: 'internal',
+        caseId: evidence.caseId || null,
+        obId: evidence.obId || null,
+        evidenceId: req.params.id,
+        locationName: evidence.location || media.name,
+        coordinates: JSON.stringify(position),
+        boundingBox: null,
+        incidentMarkers: JSON.stringify([marker]),
+        features: JSON.stringify(featureCollection),
+        metadata: JSON.stringify({
+          parseStatus: 'parsed',
+          featureCount: 1,
+          source: 'exif',
+          mediaFilename: media.filename,
+          capturedAt: media.metadata.capturedAt || null,
+          uploadMethod: 'evidence_geotag'
+        }),
+        uploadedBy: actor?.userId || null,
+        downloadCount: 0
+      });
+
+      if (!(await EvidenceCRUD.linkMediaGeofile(req.params.id, media.filename, geofile.id))) {
+        await GeofilesCRUD.delete(geofile.id);
+        await getFileStorage().remove(storageKey).catch(() => {});
+        return res.status(409).json({ error: `${media.name} was placed on the map by someone else, or the item is locked` });
+      }
+
+      console.log('✅ API: Geotagged', evidence.evidenceNumber, media.filename, 'as geofile', geofile.id);
+      res.status(201).json({ success: true, geofile, message: `${media.name} added to the map` });
+    } catch (error) {
+      if (storageKey) await getFileStorage().remove(storageKey).catch(() => {});
+      console.error('❌ API: Error geotagging evidence media:', error);
+      res.status(500).json({ error: 'Failed to add photo location to the map' });
+    }
+  });
+
+  // Evidence uploads no item refers to; ?minAgeHours= to include recent files
+  app.get('/api/evidence/media/orphans', requireAdmin, async (req, res) => {
+    try {
+      const minAgeHours = req.query.minAgeHours !== undefined ? Number(req.query.minAgeHours) : undefined;
+      const orphans = await findOrphanMedia({ minAgeHours });
+      res.json({ orphans });
+    } catch (error) {
+      console.error('❌ API: Error listing orphaned media:', error);
+      res.status(500).json({ error: 'Failed to list orphaned media' });
+    }
+  });
+
+  // ?dryRun=true lists what would be removed without deleting it
+  app.post('/api/evidence/media/orphans/sweep', requireAdmin, async (req, res) => {
+    try {
+      const result = await sweepOrphanMedia({ dryRun: req.query.dryRun === 'true' });
+      console.log('🧹 API: Orphaned media sweep removed', result.removed, 'file(s)');
+      res.json(result);
+    } catch (error) {
+      console.error('❌ API: Error sweeping orphaned media:', error);
+      res.status(500).json({ error: 'Failed to sweep orphaned media' });
+    }
+  });
+
+  // Link externally held media to evidence; files are sent to /media/upload instead
+  app.post('/api/evidence/:id/media', requirePermission('evidence', 'update'), async (req, res) => {
     try {
       console.log('🔍 API: Adding media to evidence:', req.params.id);
-      const { name, url, type, uploadedBy } = req.body;
+      const { name, url, type } = req.body;
 
       if (!name || !url || !type) {
         return res.status(400).json({ 
@@ -192,13 +890,16 @@ export function registerEvidenceRoutes(app) {
         });
       }
 
-      const mediaFile = {
+      const { actor } = custodyActorFromRequest(req);
+      const [mediaFile] = assertLinkedMedia([{
+        ...req.body,
         name,
         url,
         type,
-        uploadedBy: uploadedBy || 'Unknown',
+        uploadedBy: actor?.name || actor?.username || 'Unknown',
+        uploadedById: actor?.userId || null,
         uploadedAt: new Date()
-      };
+      }]);
 
       const success = await EvidenceCRUD.addMedia(req.params.id, mediaFile);
 
@@ -209,16 +910,23 @@ export function registerEvidenceRoutes(app) {
       console.log('✅ API: Media added successfully');
       res.json({ 
         success: true,
+        media: mediaFile,
         message: 'Media added successfully'
       });
     } catch (error) {
+      if (error instanceof MediaIntegrityError) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      if (error instanceof DisposalError) {
+        return res.status(error.status).json({ error: error.message });
+      }
       console.error('❌ API: Error adding media:', error);
       res.status(500).json({ error: 'Failed to add media' });
     }
   });
 
   // Get evidence by case ID
-  app.get('/api/evidence/case/:caseId', async (req, res) => {
+  app.get('/api/evidence/case/:caseId', requirePermission('evidence', 'read'), async (req, res) => {
     try {
       console.log('🔍 API: Fetching evidence by case ID:', req.params.caseId);
       const evidence = await EvidenceCRUD.findByCaseId(req.params.caseId);
@@ -236,7 +944,7 @@ export function registerEvidenceRoutes(app) {
   });
 
   // Get evidence by OB ID
-  app.get('/api/evidence/ob/:obId', async (req, res) => {
+  app.get('/api/evidence/ob/:obId', requirePermission('evidence', 'read'), async (req, res) => {
     try {
       console.log('🔍 API: Fetching evidence by OB ID:', req.params.obId);
       const evidence = await EvidenceCRUD.findByOBId(req.params.obId);
@@ -253,20 +961,8 @@ export function registerEvidenceRoutes(app) {
     }
   });
 
-  // Get evidence statistics
-  app.get('/api/evidence/stats', async (req, res) => {
-    try {
-      console.log('🔍 API: Fetching evidence statistics');
-      const stats = await EvidenceCRUD.getEvidenceStats();
-      res.json({ stats });
-    } catch (error) {
-      console.error('❌ API: Error fetching evidence statistics:', error);
-      res.status(500).json({ error: 'Failed to fetch evidence statistics' });
-    }
-  });
-
   // Delete evidence
-  app.delete('/api/evidence/:id', async (req, res) => {
+  app.delete('/api/evidence/:id', requirePermission('evidence', 'delete'), async (req, res) => {
     try {
       console.log('🔍 API: Deleting evidence:', req.params.id);
       const success = await EvidenceCRUD.delete(req.params.id);
@@ -281,6 +977,9 @@ export function registerEvidenceRoutes(app) {
         message: 'Evidence deleted successfully'
       });
     } catch (error) {
+      if (error instanceof DisposalError) {
+        return res.status(error.status).json({ error: error.message });
+      }
       console.error('❌ API: Error deleting evidence:', error);
       res.status(500).json({ error: 'Failed to delete evidence' });
     }
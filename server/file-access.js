@@ -0,0 +1,111 @@
+// Who may download a stored file, and the record of every attempt.
+// Evidence files follow the case: evidence custodians (evidence 'approve') may fetch any of
+// them, everyone else only files on items whose case is assigned to them, items they
+// collected or items checked out to them. Case note attachments follow the same case
+// assignment, with any case supervisor (cases 'approve') allowed as well. Geofiles follow their accessLevel: public files
+// are open to any signed-in user, internal ones need geofiles 'read', and department
+// files are limited to the uploader's department. Each attempt, granted or refused, is
+// written to `file_downloads`.
+import { ObjectId } from 'mongodb';
+import { getDatabase } from './mongodb-connection.js';
+import { UsersCRUD, CasesCRUD, FileDownloadsCRUD } from './mongodb-crud.js';
+import { hasPermission } from './permissions.js';
+import { currentAuditSource } from './audit-log.js';
+
+const granted = (reason) => ({ granted: true, reason });
+const refused = (reason) => ({ granted: false, reason });
+
+// Forms accept an officer's full name, username or badge number interchangeably
+function officerNames(user) {
+  return new Set([
+    [user?.firstName, user?.lastName].filter(Boolean).join(' '),
+    user?.username,
+    user?.badgeNumber
+  ].filter(Boolean).map(name => name.trim().toLowerCase()));
+}
+
+const namesMatch = (names, value) => Boolean(value) && names.has(String(value).trim().toLowerCase());
+
+async function loadUser(sessionUser) {
+  const user = ObjectId.isValid(sessionUser.id) ? await UsersCRUD.findById(sessionUser.id) : null;
+  return { ...sessionUser, badgeNumber: user?.badgeNumber, department: user?.department };
+}
+
+export async function evidenceFileAccess(sessionUser, evidence) {
+  if (await hasPermission(sessionUser.role, 'evidence', 'approve')) {
+    return granted('evidence custodian');
+  }
+
+  const user = await loadUser(sessionUser);
+  const names = officerNames(user);
+  if (evidence.checkout?.checkedOutTo?.userId === user.id || namesMatch(names, evidence.checkout?.checkedOutTo?.name)) {
+    return granted('item checked out to user');
+  }
+  if (namesMatch(names, evidence.collectedBy)) {
+    return granted('collected the item');
+  }
+
+  const caseDoc = evidence.caseId && ObjectId.isValid(evidence.caseId) ? await CasesCRUD.findById(evidence.caseId) : null;
+  if (!caseDoc) {
+    return refused('item has no case assigned to user');
+  }
+  return caseAssignment(user, names, caseDoc);
+}
+
+function caseAssignment(user, names, caseDoc) {
+  if (namesMatch(names, caseDoc.assignedOfficer) || namesMatch(names, caseDoc.officer)
+    || caseDoc.createdById?.toString() === user.id) {
+    return granted(`assigned to case ${caseDoc.caseNumber}`);
+  }
+  return refused(`not assigned to case ${caseDoc.caseNumber}`);
+}
+
+export async function caseFileAccess(sessionUser, caseDoc) {
+  if (await hasPermission(sessionUser.role, 'cases', 'approve')) {
+    return granted('case supervisor');
+  }
+  const user = await loadUser(sessionUser);
+  return caseAssignment(user, officerNames(user), caseDoc);
+}
+
+export async function geofileAccess(sessionUser, geofile) {
+  if (geofile.isPublic || geofile.accessLevel === 'public') {
+    return granted('public geofile');
+  }
+  if (!(await hasPermission(sessionUser.role, 'geofiles', 'read'))) {
+    return refused('no geofiles read permission');
+  }
+  if (geofile.accessLevel !== 'department' || sessionUser.role === 'admin') {
+    return granted(`${geofile.accessLevel || 'internal'} geofile`);
+  }
+
+  const user = await loadUser(sessionUser);
+  const uploader = ObjectId.isValid(String(geofile.uploadedBy)) ? await UsersCRUD.findById(String(geofile.uploadedBy)) : null;
+  if (uploader?.department && uploader.department === user.department) {
+    return granted(`${user.department} department geofile`);
+  }
+  return refused(uploader?.department ? `restricted to ${uploader.department} department` : 'department geofile with no known department');
+}
+
+export async function ensureDownloadIndexes() {
+  const downloads = getDatabase().collection('file_downloads');
+  await downloads.createIndex({ createdAt: -1 });
+  await downloads.createIndex({ resourceType: 1, resourceId: 1, createdAt: -1 });
+}
+
+// { resourceType, resourceId, resourceLabel, filename, storageKey } plus the access decision
+export async function logDownload(target, access) {
+  const { actor, sessionFingerprint, ip, userAgent } = currentAuditSource();
+  await FileDownloadsCRUD.record({
+    ...target,
+    granted: access.granted,
+    reason: access.reason,
+    actor,
+    sessionFingerprint,
+    ip,
+    userAgent
+  });
+  if (!access.granted) {
+    console.log(`⛔ ${actor?.username || 'unknown'} refused ${target.resourceType} file ${target.filename}: ${access.reason}`);
+  }
+}
@@ -0,0 +1,389 @@
+// Where uploaded files live. Evidence media, person photos and geofiles are stored under
+// a key (e.g. `media-1700000000000-123.jpg`, `persons/person-….png`, `geofiles/…`) in one
+// of three backends, picked with FILE_STORAGE_DRIVER:
+//
+//   disk    files under FILE_STORAGE_DIR (default ./uploads)
+//   gridfs  the `uploads` GridFS bucket in the application database
+//   s3      an S3-compatible bucket (AWS, MinIO, ...): S3_BUCKET, S3_ENDPOINT, S3_REGION,
+//           S3_ACCESS_KEY_ID, S3_SECRET_ACCESS_KEY, optional S3_PREFIX
+//
+// Uploads are staged on local disk by multer, then streamed into the backend. Nothing is
+// served statically: files are streamed back through the owning record's download route.
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { Readable } from 'stream';
+import multer from 'multer';
+import { GridFSBucket } from 'mongodb';
+import {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  HeadObjectCommand,
+  DeleteObjectCommand,
+  ListObjectsV2Command
+} from '@aws-sdk/client-s3';
+import { getDatabase } from './mongodb-connection.js';
+import { auditedWrite } from './audit-log.js';
+
+export const STORAGE_DRIVERS = ['disk', 'gridfs', 's3'];
+export const DISK_STORAGE_DIR = path.resolve(process.env.FILE_STORAGE_DIR || 'uploads');
+
+// Multer writes incoming files here before they are handed to the storage backend
+export const STAGING_DIR = path.join(os.tmpdir(), 'police-uploads');
+
+export class StorageError extends Error {
+  constructor(message, status = 500) {
+    super(message);
+    this.name = 'StorageError';
+    this.status = status;
+  }
+}
+
+const notFound = (key) => new StorageError(`Stored file ${key} was not found`, 404);
+
+// Keys are relative paths; anything that could climb out of the storage root is refused
+export function assertStorageKey(key) {
+  const normalized = path.posix.normalize(String(key || ''));
+  if (!key || normalized !== key || key.startsWith('/') || key.startsWith('..') || key.includes('\\')) {
+    throw new StorageError(`Invalid storage key: ${key}`, 400);
+  }
+  return key;
+}
+
+function createDiskStorage(root = DISK_STORAGE_DIR) {
+  const resolve = (key) => path.join(root, assertStorageKey(key));
+
+  return {
+    driver: 'disk',
+
+    async put(key, body) {
+      const target = resolve(key);
+      await fs.promises.mkdir(path.dirname(target), { recursive: true });
+      await new Promise((done, fail) => {
+        body.on('error', fail)
+          .pipe(fs.createWriteStream(target))
+          .on('error', fail)
+          .on('finish', done);
+      });
+    },
+
+    async stat(key) {
+      try {
+        const stat = await fs.promises.stat(resolve(key));
+        return stat.isFile() ? { key, size: stat.size, modifiedAt: stat.mtime } : null;
+      } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+      }
+    },
+
+    async get(key) {
+      const stat = await this.stat(key);
+      if (!stat) throw notFound(key);
+      return { ...stat, stream: fs.createReadStream(resolve(key)) };
+    },
+
+    async remove(key) {
+      try {
+        await fs.promises.unlink(resolve(key));
+        return true;
+      } catch (error) {
+        if (error.code === 'ENOENT') return false;
+        throw error;
+      }
+    },
+
+    // Files directly under the prefix's directory whose names start with the prefix
+    async list(prefix = '') {
+      const directory = prefix.slice(0, prefix.lastIndexOf('/') + 1);
+      const namePrefix = prefix.slice(directory.length);
+      let entries;
+      try {
+        entries = await fs.promises.readdir(directory ? resolve(directory.slice(0, -1)) : root, { withFileTypes: true });
+      } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+      }
+
+      const files = [];
+      for (const entry of entries) {
+        if (!entry.isFile() || !entry.name.startsWith(namePrefix)) continue;
+        files.push(await this.stat(directory + entry.name));
+      }
+      return files.filter(Boolean);
+    }
+  };
+}
+
+function createGridFSStorage(bucketName = process.env.GRIDFS_BUCKET || 'uploads') {
+  const bucket = () => new GridFSBucket(getDatabase(), { bucketName });
+  const latest = async (key) =>
+    (await bucket().find({ filename: assertStorageKey(key) }).sort({ uploadDate: -1 }).limit(1).toArray())[0];
+
+  return {
+    driver: 'gridfs',
+
+    async put(key, body, { contentType } = {}) {
+      const store = bucket();
+      const previous = await store.find({ filename: assertStorageKey(key) }).toArray();
+      const upload = store.openUploadStream(key, { metadata: { contentType } });
+      await new Promise((done, fail) => {
+        body.on('error', fail).pipe(upload).on('error', fail).on('finish', done);
+      });
+      // A key holds one file; an overwrite replaces the earlier revision
+      for (const file of previous) {
+        await store.delete(file._id);
+      }
+    },
+
+    async stat(key) {
+      const file = await latest(key);
+      return file ? { key, size: file.length, modifiedAt: file.uploadDate, contentType: file.metadata?.contentType } : null;
+    },
+
+    async get(key) {
+      const file = await latest(key);
+      if (!file) throw notFound(key);
+      return {
+        key,
+        size: file.length,
+        modifiedAt: file.uploadDate,
+        contentType: file.metadata?.contentType,
+        stream: bucket().openDownloadStream(file._id)
+      };
+    },
+
+    async remove(key) {
+      const store = bucket();
+      const files = await store.find({ filename: assertStorageKey(key) }).toArray();
+      for (const file of files) {
+        await store.delete(file._id);
+      }
+      return files.length > 0;
+    },
+
+    async list(prefix = '') {
+      const escaped = prefix.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      const files = await bucket().find({ filename: { $regex: `^${escaped}` } }).toArray();
+      const seen = new Map();
+      for (const file of files) {
+        const current = seen.get(file.filename);
+        if (!current || current.modifiedAt < file.uploadDate) {
+          seen.set(file.filename, { key: file.filename, size: file.length, modifiedAt: file.uploadDate });
+        }
+      }
+      return [...seen.values()];
+    }
+  };
+}
+
+function createS3Storage({
+  bucket = process.env.S3_BUCKET,
+  endpoint = process.env.S3_ENDPOINT,
+  region = process.env.S3_REGION || 'us-east-1',
+  accessKeyId = process.env.S3_ACCESS_KEY_ID,
+  secretAccessKey = process.env.S3_SECRET_ACCESS_KEY,
+  prefix = process.env.S3_PREFIX || ''
+} = {}) {
+  if (!bucket) {
+    throw new StorageError('S3_BUCKET must be set to use the s3 storage driver');
+  }
+
+  const client = new S3Client({
+    region,
+    endpoint: endpoint || undefined,
+    // MinIO and most self-hosted stand-ins only understand path-style bucket addressing
+    forcePathStyle: endpoint ? process.env.S3_FORCE_PATH_STYLE !== 'false' : false,
+    credentials: accessKeyId ? { accessKeyId, secretAccessKey } : undefined
+  });
+  const objectKey = (key) => `${prefix}${assertStorageKey(key)}`;
+  const isMissing = (error) => error.name === 'NoSuchKey' || error.name === 'NotFound' || error.$metadata?.httpStatusCode === 404;
+
+  return {
+    driver: 's3',
+
+    async put(key, body, { contentType, size } = {}) {
+      await client.send(new PutObjectCommand({
+        Bucket: bucket,
+        Key: objectKey(key),
+        Body: body,
+        ContentLength: size,
+        ContentType: contentType
+      }));
+    },
+
+    async stat(key) {
+      try {
+        const head = await client.send(new HeadObjectCommand({ Bucket: bucket, Key: objectKey(key) }));
+        return { key, size: head.ContentLength, modifiedAt: head.LastModified, contentType: head.ContentType };
+      } catch (error) {
+        if (isMissing(error)) return null;
+        throw error;
+      }
+    },
+
+    async get(key) {
+      try {
+        const object = await client.send(new GetObjectCommand({ Bucket: bucket, Key: objectKey(key) }));
+        return {
+          key,
+          size: object.ContentLength,
+          modifiedAt: object.LastModified,
+          contentType: object.ContentType,
+          stream: object.Body
+        };
+      } catch (error) {
+        if (isMissing(error)) throw notFound(key);
+        throw error;
+      }
+    },
+
+    // S3 deletes succeed whether or not the object existed
+    async remove(key) {
+      const existed = Boolean(await this.stat(key));
+      await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: objectKey(key) }));
+      return existed;
+    },
+
+    async list(keyPrefix = '') {
+      const files = [];
+      let ContinuationToken;
+      do {
+        const page = await client.send(new ListObjectsV2Command({
+          Bucket: bucket,
+          Prefix: `${prefix}${keyPrefix}`,
+          ContinuationToken
+        }));
+        for (const object of page.Contents || []) {
+          files.push({ key: object.Key.slice(prefix.length), size: object.Size, modifiedAt: object.LastModified });
+        }
+        ContinuationToken = page.IsTruncated ? page.NextContinuationToken : undefined;
+      } while (ContinuationToken);
+      return files;
+    }
+  };
+}
+
+export function createFileStorage(driver = process.env.FILE_STORAGE_DRIVER || 'disk', options) {
+  switch (driver) {
+    case 'disk': return createDiskStorage(options?.root);
+    case 'gridfs': return createGridFSStorage(options?.bucketName);
+    case 's3': return createS3Storage(options);
+    default:
+      throw new StorageError(`FILE_STORAGE_DRIVER must be one of: ${STORAGE_DRIVERS.join(', ')}`);
+  }
+}
+
+let fileStorage = null;
+
+export function getFileStorage() {
+  if (!fileStorage) {
+    fileStorage = createFileStorage();
+    console.log(`🗄️ File storage: ${fileStorage.driver}`);
+  }
+  return fileStorage;
+}
+
+// Multer storage that stages uploads as <prefix><timestamp>-<random><ext>; the staged
+// name doubles as the file's name in the backend
+export function stagedUploads(prefix) {
+  return multer.diskStorage({
+    destination: (req, file, cb) => {
+      fs.mkdir(STAGING_DIR, { recursive: true }, (error) => cb(error, STAGING_DIR));
+    },
+    filename: (req, file, cb) => {
+      const uniqueSuffix = Date.now() + '-' + crypto.randomInt(1E9);
+      cb(null, prefix + uniqueSuffix + path.extname(file.originalname).toLowerCase());
+    }
+  });
+}
+
+// Moves a staged multer file into the storage backend under `key`
+export async function storeUpload(file, key) {
+  try {
+    await getFileStorage().put(key, fs.createReadStream(file.path), { contentType: file.mimetype, size: file.size });
+  } finally {
+    await fs.promises.unlink(file.path).catch(() => {});
+  }
+  return key;
+}
+
+// Stores generated content (thumbnails, exports) under `key`
+export async function storeBuffer(key, data, contentType) {
+  await getFileStorage().put(key, Readable.from([data]), { contentType, size: data.length });
+  return key;
+}
+
+// Cleans up after a failed upload: staged copies and anything already stored
+export async function discardUploads(files = [], keys = []) {
+  await Promise.all(files.map(file => fs.promises.unlink(file.path).catch(() => {})));
+  await Promise.all(keys.map(key => getFileStorage().remove(key).catch(() => {})));
+}
+
+// Streams a stored file to the response. `filename` is what the browser saves it as.
+export async function sendStoredFile(res, key, { filename, contentType, download = false } = {}) {
+  const file = await getFileStorage().get(key);
+  const name = (filename || path.posix.basename(key)).replace(/["\r\n]/g, '');
+
+  res.type(contentType || file.contentType || path.extname(name) || 'bin');
+  res.set({
+    'Content-Disposition': `${download ? 'attachment' : 'inline'}; filename="${name}"`,
+    'Cache-Control': 'private, no-store',
+    'X-Content-Type-Options': 'nosniff'
+  });
+  if (Number.isFinite(file.size)) res.set('Content-Length', String(file.size));
+
+  await new Promise((done, fail) => {
+    file.stream.on('error', fail);
+    res.on('close', done);
+    file.stream.pipe(res);
+  }).catch(error => {
+    console.error('❌ Failed streaming stored file:', key, error);
+    res.destroy(error);
+  });
+}
+
+// Records created while files were served from /uploads point at the static folder; they
+// are rewritten to their download routes and given storage keys
+export async function backfillDownloadUrls() {
+  const db = getDatabase();
+  let updated = 0;
+
+  const evidenceCursor = db.collection('evidence').find({ 'media.url': { $regex: '^/uploads/' } });
+  for await (const evidence of evidenceCursor) {
+    const media = evidence.media.map(item => {
+      if (!item.url?.startsWith('/uploads/')) return item;
+      const filename = item.filename || path.posix.basename(item.url);
+      return { ...item, filename, url: `/api/evidence/${evidence._id}/media/${filename}` };
+    });
+    await auditedWrite('evidence', 'backfillDownloadUrls', { _id: evidence._id },
+      () => db.collection('evidence').updateOne({ _id: evidence._id }, { $set: { media } }));
+    updated += 1;
+  }
+
+  const personsCursor = db.collection('persons').find({ 'photos.url': { $regex: '^/uploads/' } });
+  for await (const person of personsCursor) {
+    const photos = person.photos.map(photo => (photo.url?.startsWith('/uploads/')
+      ? { ...photo, url: `/api/persons/${person._id}/photos/${photo.filename}` }
+      : photo));
+    await auditedWrite('persons', 'backfillDownloadUrls', { _id: person._id },
+      () => db.collection('persons').updateOne({ _id: person._id }, { $set: { photos } }));
+    updated += 1;
+  }
+
+  const geofilesCursor = db.collection('geofiles').find({ fileUrl: { $regex: '^/uploads/' } });
+  for await (const geofile of geofilesCursor) {
+    await auditedWrite('geofiles', 'backfillDownloadUrls', { _id: geofile._id }, () => db.collection('geofiles').updateOne(
+      { _id: geofile._id },
+      { $set: { storageKey: geofile.fileUrl.slice('/uploads/'.length), fileUrl: `/api/geofiles/${geofile._id}/file` } }
+    ));
+    updated += 1;
+  }
+
+  if (updated > 0) {
+    console.log(`🗄️ Pointed ${updated} record(s) at download routes instead of /uploads`);
+  }
+  return updated;
+}
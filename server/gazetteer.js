@@ -0,0 +1,337 @@
+// Offline geocoding against a locally imported gazetteer, so map searches never leave
+// the station network. Places live in the `gazetteer` collection with a 2dsphere index
+// for reverse lookups and normalised names for exact and prefix matching.
+//
+// Two import formats are understood:
+//  - GeoNames dumps (allCountries.txt, cities500.txt, KE.txt, ...), optionally with
+//    admin1CodesASCII.txt and countryInfo.txt so results carry region and country names
+//  - GeoJSON FeatureCollections for local streets, estates and landmarks, with
+//    properties name, type, street, suburb, city, county, state, country, country_code,
+//    alternate_names and population
+import fs from 'fs';
+import readline from 'readline';
+import { getDatabase } from './mongodb-connection.js';
+import { GeoQueryError } from './geo-search.js';
+
+export const GAZETTEER_COLLECTION = 'gazetteer';
+export const REVERSE_RADIUS_METERS = Number(process.env.GEOCODER_REVERSE_RADIUS) || 10000;
+
+const MAX_RESULTS = 20;
+const CANDIDATE_LIMIT = 100;
+const IMPORT_BATCH_SIZE = 1000;
+
+// GeoNames feature classes, named the way the map already labels nominatim results
+const GEONAMES_CLASSES = {
+  A: 'boundary',
+  H: 'water',
+  L: 'area',
+  P: 'place',
+  R: 'highway',
+  S: 'building',
+  T: 'natural',
+  U: 'undersea',
+  V: 'vegetation'
+};
+
+// Lowercase, accent-free, punctuation-free form used for every name lookup
+export const normalizePlaceName = (value) => String(value || '')
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, ' ')
+  .trim();
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const uniqueNames = (names) => [...new Set(names.map(normalizePlaceName).filter(Boolean))];
+
+// Most specific first, as in "Moi Avenue, Central, Nairobi, Nairobi County, Kenya"
+const ADDRESS_ORDER = ['house_number', 'road', 'suburb', 'city', 'county', 'state', 'country'];
+
+const buildDisplayName = (name, address) => {
+  const parts = [name, ...ADDRESS_ORDER.map(key => address[key])].filter(Boolean);
+  return parts.filter((part, index) => parts.indexOf(part) === index).join(', ');
+};
+
+export async function ensureGazetteerIndexes() {
+  const collection = getDatabase().collection(GAZETTEER_COLLECTION);
+  await collection.createIndex({ placeId: 1 }, { unique: true });
+  await collection.createIndex({ searchNames: 1, population: -1 });
+  await collection.createIndex({ location: '2dsphere' });
+}
+
+// Result shape the map components use (the same fields nominatim returned)
+function toResult(place, extra = {}) {
+  const [lon, lat] = place.location.coordinates;
+  return {
+    place_id: place.placeId,
+    lat,
+    lon,
+    name: place.name,
+    display_name: place.displayName,
+    address: place.address || {},
+    class: place.class,
+    type: place.type,
+    importance: place.importance,
+    ...extra
+  };
+}
+
+// Forward geocoding. The first comma-separated part is the place; the rest narrow it
+// down ("Westlands, Nairobi"). A leading house number is kept on the result but not
+// searched, since the gazetteer is street-level at best.
+export async function searchPlaces(query, { limit = 10 } = {}) {
+  const [primaryPart, ...qualifierParts] = String(query || '').split(',');
+  let primary = normalizePlaceName(primaryPart);
+  const qualifiers = qualifierParts.map(normalizePlaceName).filter(Boolean);
+  if (!primary) {
+    throw new GeoQueryError('q is required');
+  }
+
+  let houseNumber = null;
+  const numbered = primary.match(/^(\d+[a-z]?) (.+)$/);
+  if (numbered) {
+    [, houseNumber, primary] = numbered;
+  }
+
+  const collection = getDatabase().collection(GAZETTEER_COLLECTION);
+  const [exact, prefixed] = await Promise.all([
+    collection.find({ searchNames: primary }).sort({ population: -1 }).limit(CANDIDATE_LIMIT).toArray(),
+    collection.find({ searchNames: { $regex: `^${escapeRegex(primary)}` } }).sort({ population: -1 }).limit(CANDIDATE_LIMIT).toArray()
+  ]);
+
+  const seen = new Set();
+  let candidates = [...exact, ...prefixed].filter(place => {
+    if (seen.has(place.placeId)) return false;
+    seen.add(place.placeId);
+    return true;
+  });
+
+  if (qualifiers.length > 0) {
+    const narrowed = candidates.filter(place => {
+      const context = normalizePlaceName(place.displayName);
+      return qualifiers.every(qualifier => context.includes(qualifier));
+    });
+    if (narrowed.length > 0) candidates = narrowed;
+  }
+
+  return candidates.slice(0, Math.min(limit, MAX_RESULTS)).map(place => {
+    if (!houseNumber) return toResult(place);
+    const address = { ...place.address, house_number: houseNumber };
+    return toResult(place, { address, display_name: buildDisplayName(place.name, address) });
+  });
+}
+
+// Type-ahead suggestions: prefix matches on any name, biggest places first
+export async function autocompletePlaces(prefix, { limit = 8 } = {}) {
+  const normalized = normalizePlaceName(prefix);
+  if (normalized.length < 2) return [];
+
+  const places = await getDatabase().collection(GAZETTEER_COLLECTION)
+    .find({ searchNames: { $regex: `^${escapeRegex(normalized)}` } })
+    .sort({ population: -1 })
+    .limit(Math.min(limit, MAX_RESULTS))
+    .toArray();
+
+  return places.map(place => toResult(place));
+}
+
+// Reverse geocoding: the nearest named feature, filled in with the nearest settlement
+// for the city/state/country parts when the feature itself is a street or landmark
+export async function reverseGeocode(point, radius = REVERSE_RADIUS_METERS) {
+  const nearby = await getDatabase().collection(GAZETTEER_COLLECTION).aggregate([
+    {
+      $geoNear: {
+        near: point,
+        key: 'location',
+        distanceField: 'distance',
+        maxDistance: radius,
+        spherical: true
+      }
+    },
+    { $limit: 25 }
+  ]).toArray();
+
+  if (nearby.length === 0) return null;
+
+  const [nearest] = nearby;
+  const settlement = nearby.find(place => place.class === 'place');
+  const address = { ...(settlement?.address || {}), ...nearest.address };
+  return toResult(nearest, {
+    address,
+    display_name: buildDisplayName(nearest.name, address),
+    distance: Math.round(nearest.distance)
+  });
+}
+
+export async function gazetteerStatus() {
+  const collection = getDatabase().collection(GAZETTEER_COLLECTION);
+  const [total, sources] = await Promise.all([
+    collection.estimatedDocumentCount(),
+    collection.aggregate([{ $group: { _id: '$source', count: { $sum: 1 } } }]).toArray()
+  ]);
+  return {
+    total,
+    sources: sources.map(source => ({ source: source._id, count: source.count }))
+  };
+}
+
+const importanceFor = (population) => Math.min(1, Math.log10((population || 0) + 1) / 7);
+
+function placeDocument({ source, sourceId, name, alternateNames = [], placeClass, type, address, population, lng, lat }) {
+  return {
+    placeId: `${source}:${sourceId}`,
+    source,
+    name,
+    alternateNames,
+    searchNames: uniqueNames([name, ...alternateNames]),
+    class: placeClass,
+    type,
+    address,
+    displayName: buildDisplayName(name, address),
+    population: population || 0,
+    importance: importanceFor(population),
+    location: { type: 'Point', coordinates: [lng, lat] },
+    importedAt: new Date()
+  };
+}
+
+async function* readLines(filePath) {
+  const lines = readline.createInterface({ input: fs.createReadStream(filePath, 'utf8'), crlfDelay: Infinity });
+  for await (const line of lines) {
+    if (line && !line.startsWith('#')) yield line;
+  }
+}
+
+// admin1CodesASCII.txt: "KE.30<TAB>Nairobi Area<TAB>Nairobi Area<TAB>184742"
+export async function readGeoNamesAdmin1(filePath) {
+  const names = new Map();
+  for await (const line of readLines(filePath)) {
+    const [code, name] = line.split('\t');
+    names.set(code, name);
+  }
+  return names;
+}
+
+// countryInfo.txt: ISO code in column 0, country name in column 4
+export async function readGeoNamesCountries(filePath) {
+  const names = new Map();
+  for await (const line of readLines(filePath)) {
+    const columns = line.split('\t');
+    names.set(columns[0], columns[4]);
+  }
+  return names;
+}
+
+async function* geoNamesPlaces(filePath, { admin1Names = new Map(), countryNames = new Map() }) {
+  for await (const line of readLines(filePath)) {
+    const columns = line.split('\t');
+    if (columns.length < 15) continue;
+
+    const [geonameId, name, asciiName, alternates, lat, lng, featureClass, featureCode, countryCode, , admin1] = columns;
+    const population = Number(columns[14]) || 0;
+    const placeClass = GEONAMES_CLASSES[featureClass] || 'place';
+    const address = {
+      state: admin1Names.get(`${countryCode}.${admin1}`),
+      country: countryNames.get(countryCode) || countryCode,
+      country_code: countryCode.toLowerCase()
+    };
+    if (placeClass === 'place') address.city = name;
+
+    yield placeDocument({
+      source: 'geonames',
+      sourceId: geonameId,
+      name,
+      alternateNames: [asciiName, ...(alternates ? alternates.split(',') : [])].filter(alt => alt && alt !== name),
+      placeClass,
+      type: featureCode.toLowerCase(),
+      address: Object.fromEntries(Object.entries(address).filter(([, value]) => value)),
+      population,
+      lng: Number(lng),
+      lat: Number(lat)
+    });
+  }
+}
+
+// Representative point of any GeoJSON geometry: the centre of its bounding box
+function geometryCentre(geometry) {
+  const positions = [];
+  const collect = (coordinates) => {
+    if (typeof coordinates[0] === 'number') positions.push(coordinates);
+    else coordinates.forEach(collect);
+  };
+  collect(geometry?.coordinates || []);
+  if (positions.length === 0) return null;
+
+  const lngs = positions.map(([lng]) => lng);
+  const lats = positions.map(([, lat]) => lat);
+  return [(Math.min(...lngs) + Math.max(...lngs)) / 2, (Math.min(...lats) + Math.max(...lats)) / 2];
+}
+
+function* geoJsonPlaces(filePath, source) {
+  const collection = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  const features = collection.type === 'FeatureCollection' ? collection.features : [collection];
+
+  for (const [index, feature] of features.entries()) {
+    const properties = feature.properties || {};
+    const centre = geometryCentre(feature.geometry);
+    if (!properties.name || !centre) continue;
+
+    const alternates = properties.alternate_names || properties.alternateNames || [];
+    const placeClass = properties.class || (properties.street || properties.type === 'street' ? 'highway' : 'place');
+    const address = Object.fromEntries(Object.entries({
+      road: placeClass === 'highway' ? properties.name : properties.street,
+      suburb: properties.suburb,
+      city: properties.city || (placeClass === 'place' ? properties.name : undefined),
+      county: properties.county,
+      state: properties.state,
+      country: properties.country,
+      country_code: properties.country_code?.toLowerCase()
+    }).filter(([, value]) => value));
+
+    yield placeDocument({
+      source,
+      sourceId: properties.id ?? feature.id ?? index,
+      name: properties.name,
+      alternateNames: Array.isArray(alternates) ? alternates : String(alternates).split(','),
+      placeClass,
+      type: properties.type || placeClass,
+      address,
+      population: Number(properties.population) || 0,
+      lng: centre[0],
+      lat: centre[1]
+    });
+  }
+}
+
+// Loads a gazetteer file, replacing earlier imports of the same places. Re-importing
+// an updated dump is safe; places removed from the dump are left alone.
+export async function importGazetteerFile(filePath, { format, source, admin1Names, countryNames } = {}) {
+  const detected = format || (/\.(geo)?json$/i.test(filePath) ? 'geojson' : 'geonames');
+  const places = detected === 'geojson'
+    ? geoJsonPlaces(filePath, source || 'local')
+    : geoNamesPlaces(filePath, { admin1Names, countryNames });
+
+  await ensureGazetteerIndexes();
+  const collection = getDatabase().collection(GAZETTEER_COLLECTION);
+
+  let batch = [];
+  let imported = 0;
+  const flush = async () => {
+    if (batch.length === 0) return;
+    await collection.bulkWrite(batch.map(place => ({
+      replaceOne: { filter: { placeId: place.placeId }, replacement: place, upsert: true }
+    })), { ordered: false });
+    imported += batch.length;
+    batch = [];
+    console.log(`📥 Imported ${imported} places...`);
+  };
+
+  for await (const place of places) {
+    batch.push(place);
+    if (batch.length >= IMPORT_BATCH_SIZE) await flush();
+  }
+  await flush();
+
+  return { format: detected, imported };
+}
@@ -0,0 +1,130 @@
+// Spatial search over geofiles. Each geofile stores a GeoJSON `footprint` (the bounding
+// box of everything parsed from the file) under a 2dsphere index, so near-point,
+// within-polygon and bounding-box queries run in MongoDB instead of scanning JSON strings.
+
+export const DEFAULT_RADIUS_METERS = 1000;
+export const MAX_RADIUS_METERS = 100000;
+
+// Query shapes use strict counter-clockwise winding so a box wider than a hemisphere
+// still means "inside this box" rather than its complement
+const STRICT_WINDING_CRS = { type: 'name', properties: { name: 'urn:x-mongodb:crs:strictwinding:EPSG:4326' } };
+
+export class GeoQueryError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'GeoQueryError';
+  }
+}
+
+const parseJson = (value) => {
+  if (typeof value !== 'string') return value;
+  try {
+    return JSON.parse(value);
+  } catch {
+    return null;
+  }
+};
+
+const isPosition = (value) =>
+  Array.isArray(value) && value.length >= 2 &&
+  Number.isFinite(value[0]) && Number.isFinite(value[1]) &&
+  Math.abs(value[0]) <= 180 && Math.abs(value[1]) <= 90;
+
+// GeoJSON geometry for a geofile's [[minLng, minLat], [maxLng, maxLat]] bounding box,
+// falling back to its centre point. Degenerate boxes become a Point or LineString.
+export function geofileFootprint({ boundingBox, coordinates }) {
+  const box = parseJson(boundingBox);
+  if (Array.isArray(box) && isPosition(box[0]) && isPosition(box[1])) {
+    const [[minLng, minLat], [maxLng, maxLat]] = box;
+    if (minLng === maxLng && minLat === maxLat) {
+      return { type: 'Point', coordinates: [minLng, minLat] };
+    }
+    if (minLng === maxLng || minLat === maxLat) {
+      return { type: 'LineString', coordinates: [[minLng, minLat], [maxLng, maxLat]] };
+    }
+    return {
+      type: 'Polygon',
+      coordinates: [[[minLng, minLat], [maxLng, minLat], [maxLng, maxLat], [minLng, maxLat], [minLng, minLat]]]
+    };
+  }
+
+  const point = parseJson(coordinates);
+  return isPosition(point) ? { type: 'Point', coordinates: [point[0], point[1]] } : null;
+}
+
+function parseNumber(value, name) {
+  const number = Number(value);
+  if (value === undefined || value === '' || !Number.isFinite(number)) {
+    throw new GeoQueryError(`${name} must be a number`);
+  }
+  return number;
+}
+
+// ?lng=&lat=&radius= (metres) for near-point queries
+export function parseNearQuery(query) {
+  const lng = parseNumber(query.lng, 'lng');
+  const lat = parseNumber(query.lat, 'lat');
+  if (!isPosition([lng, lat])) {
+    throw new GeoQueryError('lng must be between -180 and 180 and lat between -90 and 90');
+  }
+
+  const radius = query.radius === undefined || query.radius === ''
+    ? DEFAULT_RADIUS_METERS
+    : parseNumber(query.radius, 'radius');
+  if (radius <= 0 || radius > MAX_RADIUS_METERS) {
+    throw new GeoQueryError(`radius must be between 1 and ${MAX_RADIUS_METERS} metres`);
+  }
+
+  return { point: { type: 'Point', coordinates: [lng, lat] }, radius };
+}
+
+// ?bbox=minLng,minLat,maxLng,maxLat, as Leaflet's LatLngBounds.toBBoxString() produces
+export function parseBoundingBoxQuery(bbox) {
+  const parts = String(bbox || '').split(',').map(part => part.trim());
+  if (parts.length !== 4) {
+    throw new GeoQueryError('bbox must be minLng,minLat,maxLng,maxLat');
+  }
+
+  const [minLng, minLat, maxLng, maxLat] = parts.map((part, index) =>
+    parseNumber(part, ['minLng', 'minLat', 'maxLng', 'maxLat'][index]));
+  const clampLng = (value) => Math.max(-180, Math.min(180, value));
+  const clampLat = (value) => Math.max(-90, Math.min(90, value));
+  const [west, south, east, north] = [clampLng(minLng), clampLat(minLat), clampLng(maxLng), clampLat(maxLat)];
+
+  if (west >= east || south >= north) {
+    throw new GeoQueryError('bbox must have minLng < maxLng and minLat < maxLat');
+  }
+
+  return {
+    type: 'Polygon',
+    coordinates: [[[west, south], [east, south], [east, north], [west, north], [west, south]]],
+    crs: STRICT_WINDING_CRS
+  };
+}
+
+// A GeoJSON Polygon, or a bare ring of [lng, lat] positions, from a request body
+export function parsePolygon(input) {
+  const ring = input?.type === 'Polygon' ? input.coordinates?.[0] : input;
+  if (!Array.isArray(ring) || ring.length < 3 || !ring.every(isPosition)) {
+    throw new GeoQueryError('polygon must be a GeoJSON Polygon or an array of at least three [lng, lat] positions');
+  }
+
+  const positions = ring.map(([lng, lat]) => [lng, lat]);
+  const [first] = positions;
+  const last = positions[positions.length - 1];
+  if (first[0] !== last[0] || first[1] !== last[1]) {
+    positions.push([...first]);
+  }
+  if (positions.length < 4) {
+    throw new GeoQueryError('polygon needs at least three distinct positions');
+  }
+
+  // Strict winding needs counter-clockwise rings; flip clockwise input (shoelace sign)
+  let area = 0;
+  for (let i = 0; i < positions.length - 1; i++) {
+    area += positions[i][0] * positions[i + 1][1] - positions[i + 1][0] * positions[i][1];
+  }
+  if (area < 0) positions.reverse();
+
+  return { type: 'Polygon', coordinates: [positions], crs: STRICT_WINDING_CRS };
+}
@@ -0,0 +1,75 @@
+// Forward, reverse and type-ahead geocoding served from the local gazetteer (see
+// gazetteer.js), replacing direct browser calls to nominatim.openstreetmap.org
+import { requireAuth, requireAdmin } from './permissions.js';
+import { parseNearQuery, GeoQueryError } from './geo-search.js';
+import {
+  searchPlaces,
+  autocompletePlaces,
+  reverseGeocode,
+  gazetteerStatus,
+  REVERSE_RADIUS_METERS
+} from './gazetteer.js';
+
+const parseLimit = (value, fallback) => {
+  const limit = Number.parseInt(value, 10);
+  return Number.isFinite(limit) && limit > 0 ? limit : fallback;
+};
+
+export function registerGeocodingRoutes(app) {
+  console.log('🔧 Registering Geocoding Routes...');
+
+  // ?q=Moi Avenue, Nairobi&limit=10
+  app.get('/api/geocode/search', requireAuth, async (req, res) => {
+    try {
+      const results = await searchPlaces(req.query.q, { limit: parseLimit(req.query.limit, 10) });
+      res.json({ results });
+    } catch (error) {
+      if (error instanceof GeoQueryError) {
+        return res.status(400).json({ message: error.message });
+      }
+      console.error('❌ Geocoding search failed:', error);
+      res.status(500).json({ message: 'Failed to search places', error: error.message });
+    }
+  });
+
+  // ?q=westl&limit=8; short prefixes return no suggestions rather than an error
+  app.get('/api/geocode/autocomplete', requireAuth, async (req, res) => {
+    try {
+      const suggestions = await autocompletePlaces(req.query.q, { limit: parseLimit(req.query.limit, 8) });
+      res.json({ suggestions });
+    } catch (error) {
+      console.error('❌ Geocoding autocomplete failed:', error);
+      res.status(500).json({ message: 'Failed to suggest places', error: error.message });
+    }
+  });
+
+  // ?lat=-1.28&lng=36.82&radius=10000 (metres)
+  app.get('/api/geocode/reverse', requireAuth, async (req, res) => {
+    try {
+      const { point, radius } = parseNearQuery({ ...req.query, radius: req.query.radius || REVERSE_RADIUS_METERS });
+      const result = await reverseGeocode(point, radius);
+      if (!result) {
+        return res.status(404).json({ message: 'No known place near this location' });
+      }
+      res.json({ result });
+    } catch (error) {
+      if (error instanceof GeoQueryError) {
+        return res.status(400).json({ message: error.message });
+      }
+      console.error('❌ Reverse geocoding failed:', error);
+      res.status(500).json({ message: 'Failed to look up location', error: error.message });
+    }
+  });
+
+  // How many places are loaded, per import source
+  app.get('/api/geocode/status', requireAdmin, async (req, res) => {
+    try {
+      res.json(await gazetteerStatus());
+    } catch (error) {
+      console.error('❌ Failed to read gazetteer status:', error);
+      res.status(500).json({ message: 'Failed to read gazetteer status', error: error.message });
+    }
+  });
+
+  console.log('✅ Geocoding Routes registered successfully');
+}
@@ -0,0 +1,400 @@
+// Server-side parsing of uploaded geofiles (KML, KMZ, GPX, GeoJSON, GML, CSV)
+import fs from 'fs';
+import path from 'path';
+import AdmZip from 'adm-zip';
+import { DOMParser } from '@xmldom/xmldom';
+import { kml, gpx } from '@tmcw/togeojson';
+
+export const PARSEABLE_TYPES = ['kml', 'kmz', 'gpx', 'geojson', 'gml', 'csv'];
+
+const LAT_COLUMNS = ['lat', 'latitude', 'y', 'lat_dd'];
+const LNG_COLUMNS = ['lng', 'lon', 'long', 'longitude', 'x', 'lon_dd'];
+
+// Thrown for files that cannot be turned into WGS84 features; routes map it to a 400
+export class GeofileParseError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'GeofileParseError';
+  }
+}
+
+export function detectFileType(originalName) {
+  const ext = path.extname(originalName || '').toLowerCase().replace('.', '');
+  if (ext === 'json') return 'geojson';
+  return ext || 'other';
+}
+
+function parseXml(text) {
+  let doc;
+  try {
+    doc = new DOMParser().parseFromString(text, 'text/xml');
+  } catch (error) {
+    // xmldom throws a ParseError on fatal errors such as a missing root element
+    throw new GeofileParseError(`Malformed XML: ${error.message}`);
+  }
+
+  if (!doc || !doc.documentElement) {
+    throw new GeofileParseError('File does not contain an XML document');
+  }
+  return doc;
+}
+
+// KMZ is a zip archive; the first .kml entry (normally doc.kml) holds the features
+function readKmz(buffer) {
+  let zip;
+  try {
+    zip = new AdmZip(buffer);
+  } catch (error) {
+    throw new GeofileParseError('KMZ archive could not be opened');
+  }
+
+  const entries = zip.getEntries().filter(entry => !entry.isDirectory && entry.entryName.toLowerCase().endsWith('.kml'));
+  const docEntry = entries.find(entry => path.basename(entry.entryName).toLowerCase() === 'doc.kml') || entries[0];
+  if (!docEntry) {
+    throw new GeofileParseError('KMZ archive does not contain a KML document');
+  }
+  return docEntry.getData().toString('utf8');
+}
+
+function parseGeoJSON(text) {
+  let json;
+  try {
+    json = JSON.parse(text);
+  } catch (error) {
+    throw new GeofileParseError('GeoJSON is not valid JSON');
+  }
+  if (typeof json !== 'object' || json === null) {
+    throw new GeofileParseError('GeoJSON must be a FeatureCollection, Feature or Geometry');
+  }
+
+  if (json.type === 'FeatureCollection') {
+    if (json.features !== undefined && !Array.isArray(json.features)) {
+      throw new GeofileParseError('GeoJSON FeatureCollection features must be an array');
+    }
+    return json.features || [];
+  }
+  if (json.type === 'Feature') return [json];
+  if (json.type && json.coordinates) return [{ type: 'Feature', properties: {}, geometry: json }];
+  if (json.type === 'GeometryCollection') return [{ type: 'Feature', properties: {}, geometry: json }];
+
+  throw new GeofileParseError('GeoJSON must be a FeatureCollection, Feature or Geometry');
+}
+
+// Splits one CSV line, honouring double-quoted fields
+function splitCsvLine(line, delimiter) {
+  const fields = [];
+  let current = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (inQuotes) {
+      if (char === '"' && line[i + 1] === '"') {
+        current += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        current += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      fields.push(current.trim());
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  fields.push(current.trim());
+  return fields;
+}
+
+function parseCSV(text) {
+  const lines = text.replace(/^\uFEFF/, '').split(/\r?\n/).filter(line => line.trim() !== '');
+  if (lines.length < 2) {
+    throw new GeofileParseError('CSV must have a header row and at least one data row');
+  }
+
+  const delimiter = lines[0].includes(';') && !lines[0].includes(',') ? ';' : ',';
+  const header = splitCsvLine(lines[0], delimiter);
+  const normalized = header.map(column => column.toLowerCase().replace(/\s+/g, '_'));
+  const latIndex = normalized.findIndex(column => LAT_COLUMNS.includes(column));
+  const lngIndex = normalized.findIndex(column => LNG_COLUMNS.includes(column));
+
+  if (latIndex === -1 || lngIndex === -1) {
+    throw new GeofileParseError(`CSV needs latitude and longitude columns (e.g. ${LAT_COLUMNS[0]}/${LNG_COLUMNS[0]})`);
+  }
+
+  const features = [];
+  let skippedRows = 0;
+
+  for (const line of lines.slice(1)) {
+    const values = splitCsvLine(line, delimiter);
+    const lat = parseFloat(values[latIndex]);
+    const lng = parseFloat(values[lngIndex]);
+
+    if (Number.isNaN(lat) || Number.isNaN(lng)) {
+      skippedRows++;
+      continue;
+    }
+
+    const properties = {};
+    header.forEach((column, index) => {
+      if (index !== latIndex && index !== lngIndex && values[index] !== undefined && values[index] !== '') {
+        properties[column] = values[index];
+      }
+    });
+
+    features.push({
+      type: 'Feature',
+      properties,
+      geometry: { type: 'Point', coordinates: [lng, lat] }
+    });
+  }
+
+  return { features, skippedRows };
+}
+
+function localName(node) {
+  return node.localName || (node.nodeName || '').split(':').pop();
+}
+
+function elementChildren(node) {
+  const children = [];
+  for (let child = node.firstChild; child; child = child.nextSibling) {
+    if (child.nodeType === 1) children.push(child);
+  }
+  return children;
+}
+
+function findDescendants(node, name) {
+  const found = [];
+  const walk = current => {
+    for (const child of elementChildren(current)) {
+      if (localName(child) === name) found.push(child);
+      walk(child);
+    }
+  };
+  walk(node);
+  return found;
+}
+
+// GML 3 with a URN/URI EPSG:4326 srsName uses latitude-first axis order
+function isLatFirst(srsName) {
+  return /EPSG::4326|EPSG\/0\/4326/i.test(srsName || '');
+}
+
+function readGmlPositions(node, latFirst) {
+  const dimension = parseInt(node.getAttribute && node.getAttribute('srsDimension'), 10) || 2;
+  const posList = findDescendants(node, 'posList')[0];
+  const pos = findDescendants(node, 'pos');
+  const legacy = findDescendants(node, 'coordinates')[0];
+
+  let pairs = [];
+  if (posList) {
+    const numbers = posList.textContent.trim().split(/\s+/).map(Number);
+    for (let i = 0; i + 1 < numbers.length; i += dimension) pairs.push([numbers[i], numbers[i + 1]]);
+  } else if (pos.length > 0) {
+    pairs = pos.map(p => p.textContent.trim().split(/\s+/).map(Number).slice(0, 2));
+  } else if (legacy) {
+    // GML 2 <coordinates> is always "x,y x,y"
+    return legacy.textContent.trim().split(/\s+/).map(tuple => tuple.split(',').map(Number).slice(0, 2));
+  }
+
+  return latFirst ? pairs.map(([a, b]) => [b, a]) : pairs;
+}
+
+function readGmlGeometry(node, inheritedSrs) {
+  const srsName = node.getAttribute('srsName') || inheritedSrs;
+  const latFirst = isLatFirst(srsName);
+
+  switch (localName(node)) {
+    case 'Point':
+      return { type: 'Point', coordinates: readGmlPositions(node, latFirst)[0] };
+    case 'LineString':
+      return { type: 'LineString', coordinates: readGmlPositions(node, latFirst) };
+    case 'Polygon': {
+      const rings = findDescendants(node, 'LinearRing').map(ring => readGmlPositions(ring, latFirst));
+      return { type: 'Polygon', coordinates: rings };
+    }
+    case 'MultiPoint':
+      return { type: 'MultiPoint', coordinates: findDescendants(node, 'Point').map(p => readGmlPositions(p, latFirst)[0]) };
+    case 'MultiLineString':
+    case 'MultiCurve':
+      return { type: 'MultiLineString', coordinates: findDescendants(node, 'LineString').map(l => readGmlPositions(l, latFirst)) };
+    case 'MultiPolygon':
+    case 'MultiSurface':
+      return {
+        type: 'MultiPolygon',
+        coordinates: findDescendants(node, 'Polygon').map(p => findDescendants(p, 'LinearRing').map(r => readGmlPositions(r, latFirst)))
+      };
+    default:
+      return null;
+  }
+}
+
+const GML_GEOMETRIES = ['Point', 'LineString', 'Polygon', 'MultiPoint', 'MultiLineString', 'MultiCurve', 'MultiPolygon', 'MultiSurface'];
+
+// Returns the outermost geometry elements under a node (members of a Multi* are read by their parent)
+function findTopGeometries(node) {
+  const found = [];
+  for (const child of elementChildren(node)) {
+    if (GML_GEOMETRIES.includes(localName(child))) {
+      found.push(child);
+    } else {
+      found.push(...findTopGeometries(child));
+    }
+  }
+  return found;
+}
+
+function parseGML(text) {
+  const doc = parseXml(text);
+  const root = doc.documentElement;
+  const rootSrs = findDescendants(root, 'Envelope')[0]?.getAttribute('srsName') || '';
+
+  const members = [
+    ...findDescendants(root, 'featureMember').flatMap(elementChildren),
+    ...findDescendants(root, 'featureMembers').flatMap(elementChildren)
+  ];
+  const featureNodes = members.length > 0 ? members : [root];
+
+  const features = [];
+  for (const featureNode of featureNodes) {
+    const properties = {};
+    for (const child of elementChildren(featureNode)) {
+      const grandChildren = elementChildren(child);
+      if (grandChildren.length === 0 && child.textContent.trim() !== '') {
+        properties[localName(child)] = child.textContent.trim();
+      }
+    }
+
+    for (const geometryNode of findTopGeometries(featureNode)) {
+      const geometry = readGmlGeometry(geometryNode, rootSrs);
+      if (geometry) features.push({ type: 'Feature', properties, geometry });
+    }
+  }
+  return features;
+}
+
+// Flattens any geometry into its [lng, lat] positions
+function collectPositions(geometry, out = []) {
+  if (!geometry) return out;
+  if (geometry.type === 'GeometryCollection') {
+    if (Array.isArray(geometry.geometries)) geometry.geometries.forEach(g => collectPositions(g, out));
+    return out;
+  }
+
+  const walk = coords => {
+    if (!Array.isArray(coords)) return;
+    if (typeof coords[0] === 'number') {
+      out.push(coords);
+    } else {
+      coords.forEach(walk);
+    }
+  };
+  walk(geometry.coordinates);
+  return out;
+}
+
+function computeBoundingBox(positions) {
+  let minLng = Infinity, minLat = Infinity, maxLng = -Infinity, maxLat = -Infinity;
+  for (const [lng, lat] of positions) {
+    if (lng < minLng) minLng = lng;
+    if (lng > maxLng) maxLng = lng;
+    if (lat < minLat) minLat = lat;
+    if (lat > maxLat) maxLat = lat;
+  }
+  return [[minLng, minLat], [maxLng, maxLat]];
+}
+
+// properties may be null on a valid GeoJSON Feature (RFC 7946)
+function featureName(properties) {
+  if (!properties) return null;
+  return properties.name || properties.title || properties.Name || properties.label || null;
+}
+
+function extractIncidentMarkers(features) {
+  const markers = [];
+  for (const feature of features) {
+    const geometry = feature.geometry;
+    if (!geometry) continue;
+    const points = geometry.type === 'Point' ? [geometry.coordinates] : geometry.type === 'MultiPoint' ? geometry.coordinates : [];
+
+    for (const [lng, lat] of points) {
+      markers.push({
+        name: featureName(feature.properties),
+        description: feature.properties?.description || null,
+        coordinates: [lng, lat],
+        properties: feature.properties || {}
+      });
+    }
+  }
+  return markers;
+}
+
+async function readFeatures(filePath, fileType) {
+  const buffer = await fs.promises.readFile(filePath);
+
+  switch (fileType) {
+    case 'geojson':
+      return { features: parseGeoJSON(buffer.toString('utf8')) };
+    case 'kml':
+      return { features: kml(parseXml(buffer.toString('utf8'))).features };
+    case 'kmz':
+      return { features: kml(parseXml(readKmz(buffer))).features };
+    case 'gpx':
+      return { features: gpx(parseXml(buffer.toString('utf8'))).features };
+    case 'gml':
+      return { features: parseGML(buffer.toString('utf8')) };
+    case 'csv':
+      return parseCSV(buffer.toString('utf8'));
+    default:
+      throw new GeofileParseError(`Parsing is not supported for .${fileType} files`);
+  }
+}
+
+// Parses a stored upload into the coordinates/boundingBox/incidentMarkers/metadata
+// fields of a geofile record. All values are plain objects; the caller serialises them.
+export async function parseGeofile(filePath, fileType) {
+  const { features: rawFeatures, skippedRows = 0 } = await readFeatures(filePath, fileType);
+  const features = rawFeatures.filter(feature => feature && feature.geometry);
+
+  const positions = features.flatMap(feature => collectPositions(feature.geometry))
+    .filter(([lng, lat]) => Number.isFinite(lng) && Number.isFinite(lat));
+
+  if (positions.length === 0) {
+    throw new GeofileParseError('No geographic features with coordinates were found in the file');
+  }
+
+  const outOfRange = positions.find(([lng, lat]) => Math.abs(lng) > 180 || Math.abs(lat) > 90);
+  if (outOfRange) {
+    throw new GeofileParseError(`Coordinates [${outOfRange.join(', ')}] are not WGS84 longitude/latitude; reproject the file to EPSG:4326`);
+  }
+
+  const boundingBox = computeBoundingBox(positions);
+  const coordinates = [
+    (boundingBox[0][0] + boundingBox[1][0]) / 2,
+    (boundingBox[0][1] + boundingBox[1][1]) / 2
+  ];
+
+  const geometryTypes = {};
+  for (const feature of features) {
+    geometryTypes[feature.geometry.type] = (geometryTypes[feature.geometry.type] || 0) + 1;
+  }
+
+  return {
+    features,
+    coordinates,
+    boundingBox,
+    incidentMarkers: extractIncidentMarkers(features),
+    metadata: {
+      featureCount: features.length,
+      pointCount: positions.length,
+      geometryTypes,
+      featureNames: features.map(f => featureName(f.properties)).filter(Boolean).slice(0, 50),
+      ...(skippedRows > 0 ? { skippedRows } : {})
+    }
+  };
+}
@@ -0,0 +1,58 @@
+// Loads a gazetteer file into MongoDB for offline geocoding.
+//
+//   npm run gazetteer:import -- data/KE.txt --admin1 data/admin1CodesASCII.txt --countries data/countryInfo.txt
+//   npm run gazetteer:import -- data/nairobi-streets.geojson --source nairobi-streets
+//
+// GeoNames files come from https://download.geonames.org/export/dump/ and can be copied
+// onto an air-gapped network; GeoJSON files carry local streets and landmarks.
+import { connectToMongoDB, closeConnection } from './mongodb-connection.js';
+import {
+  importGazetteerFile,
+  readGeoNamesAdmin1,
+  readGeoNamesCountries
+} from './gazetteer.js';
+
+function parseArgs(argv) {
+  const options = { files: [] };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--admin1' || arg === '--countries' || arg === '--source' || arg === '--format') {
+      options[arg.slice(2)] = argv[++i];
+    } else {
+      options.files.push(arg);
+    }
+  }
+  return options;
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  if (options.files.length === 0) {
+    console.error('Usage: node server/import-gazetteer.js <file>... [--admin1 file] [--countries file] [--source name] [--format geonames|geojson]');
+    process.exit(1);
+  }
+
+  await connectToMongoDB();
+  try {
+    const admin1Names = options.admin1 ? await readGeoNamesAdmin1(options.admin1) : undefined;
+    const countryNames = options.countries ? await readGeoNamesCountries(options.countries) : undefined;
+
+    for (const file of options.files) {
+      console.log('📂 Importing gazetteer file:', file);
+      const { format, imported } = await importGazetteerFile(file, {
+        format: options.format,
+        source: options.source,
+        admin1Names,
+        countryNames
+      });
+      console.log(`✅ Imported ${imported} places from ${file} (${format})`);
+    }
+  } finally {
+    await closeConnection();
+  }
+}
+
+main().catch((error) => {
+  console.error('❌ Gazetteer import failed:', error);
+  process.exit(1);
+});
@@ -4,10 +4,25 @@ import cors from 'cors';
 import { connectToMongoDB } from './mongodb-connection.js';
 import { registerMongoDBRoutes } from './mongodb-routes.js';
 import { registerEvidenceRoutes } from './evidence-routes.js';
+import { registerPersonsRoutes } from './persons-routes.js';
+import { registerAuditRoutes } from './audit-routes.js';
+import { registerDashboardRoutes } from './dashboard-routes.js';
+import { registerGeocodingRoutes } from './geocoding-routes.js';
+import { registerDisposalRoutes } from './disposal-routes.js';
+import { registerInventoryRoutes } from './inventory-routes.js';
+import { registerCaseTimelineRoutes } from './case-timeline-routes.js';
+import { auditContext } from './audit-log.js';
 import { setupVite, serveStatic, log } from './vite.js';
 import { createServer } from 'http';
 import dotenv from 'dotenv';
 import { seedGeofiles } from './seed-geofiles.js';
+import { ensureNumberIndexes, backfillMissingNumbers } from './counters.js';
+import { GeofilesCRUD, CaseNotesCRUD, OBEntriesCRUD } from './mongodb-crud.js';
+import { ensureGazetteerIndexes } from './gazetteer.js';
+import { ensureIntegrityIndexes, scheduleIntegrityChecks, scheduleOrphanSweeps } from './media-integrity.js';
+import { STAGING_DIR, getFileStorage, backfillDownloadUrls } from './file-storage.js';
+import { ensureDownloadIndexes } from './file-access.js';
+import { normalizeStoredCaseStatuses } from './case-lifecycle.js';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { dirname } from 'path';
@@ -28,7 +43,7 @@ const server = createServer(app);
 
 // Configure multer for file uploads
 const upload = multer({
-  dest: 'uploads/',
+  dest: STAGING_DIR,
   limits: {
     fileSize: 50 * 1024 * 1024, // 50MB limit
   },
@@ -63,6 +78,9 @@ app.use(session({
   }
 }));
 
+// Attribute every database write made while handling a request to its user/session
+app.use(auditContext);
+
 async function startServer() {
   try {
     // Connect to MongoDB
@@ -70,9 +88,39 @@ async function startServer() {
     await connectToMongoDB();
     console.log('✅ MongoDB connected successfully!');
 
+    // Sequential record numbers: enforce uniqueness and number any legacy records
+    await ensureNumberIndexes();
+    await backfillMissingNumbers();
+
+    // Case statuses from before the lifecycle are mapped onto its states
+    await normalizeStoredCaseStatuses();
+    await CaseNotesCRUD.ensureIndexes();
+    await OBEntriesCRUD.ensureIndexes();
+
+    // Geofile footprints back the near/within/intersects searches
+    await GeofilesCRUD.ensureSpatialIndex();
+    await ensureGazetteerIndexes();
+
+    // Uploaded files are served through download routes from the configured storage backend
+    getFileStorage();
+    await backfillDownloadUrls();
+    await ensureDownloadIndexes();
+
+    // Evidence media is re-hashed on a schedule; mismatches open integrity alerts
+    await ensureIntegrityIndexes();
+    scheduleIntegrityChecks();
+    scheduleOrphanSweeps();
+
     // Register routes
     registerMongoDBRoutes(app, upload);
+    registerCaseTimelineRoutes(app);
     registerEvidenceRoutes(app);
+    registerDisposalRoutes(app);
+    registerInventoryRoutes(app);
+    registerPersonsRoutes(app);
+    registerAuditRoutes(app);
+    registerDashboardRoutes(app);
+    registerGeocodingRoutes(app);
 
     // Import and register additional routes
     const { registerAdditionalRoutes } = await import('./api-routes.js');
@@ -83,9 +131,6 @@ async function startServer() {
       res.json({ message: 'Reports test endpoint working', timestamp: new Date() });
     });
 
-    // Serve uploaded files statically
-    app.use('/uploads', express.static('uploads'));
-
     // Health check endpoint
     app.get('/api/health', (req, res) => {
       res.json({ 
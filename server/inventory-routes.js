@@ -0,0 +1,223 @@
+// Evidence room inventory audits: open one for a room or shelf, tick off items as they are
+// found, then complete it for a signed report. Only custodians (evidence 'approve') run
+// audits; see evidence-inventory.js for how findings are worked out.
+import { ObjectId } from 'mongodb';
+import { EvidenceCRUD, InventoryAuditsCRUD } from './mongodb-crud.js';
+import { requirePermission } from './permissions.js';
+import { custodyActorFromRequest } from './custody-chain.js';
+import { DisposalError } from './evidence-disposal.js';
+import {
+  INVENTORY_STATUSES,
+  InventoryError,
+  parseInventoryRequest,
+  reconcileInventory,
+  verifyInventoryReport,
+  renderInventoryReport
+} from './evidence-inventory.js';
+
+// Open audits carry their running findings so the room can see what is still outstanding
+const toClientAudit = (audit) => ({
+  id: audit._id.toString(),
+  ...audit,
+  ...(audit.status === 'Open' && audit.expected ? { findings: reconcileInventory(audit) } : {})
+});
+
+function sendInventoryError(res, error, fallback) {
+  if (error instanceof InventoryError || error instanceof DisposalError) {
+    return res.status(error.status).json({ error: error.message });
+  }
+  console.error(`❌ API: ${fallback}:`, error);
+  res.status(500).json({ error: fallback });
+}
+
+export function registerInventoryRoutes(app) {
+  console.log('🔧 Registering Inventory Audit Routes...');
+
+  // ?status=Open|Completed|Cancelled
+  app.get('/api/inventory-audits', requirePermission('evidence', 'read'), async (req, res) => {
+    try {
+      const { status } = req.query;
+      if (status && !INVENTORY_STATUSES.includes(status)) {
+        return res.status(400).json({ error: `status must be one of: ${INVENTORY_STATUSES.join(', ')}` });
+      }
+      const audits = await InventoryAuditsCRUD.findAll({ status });
+      res.json({ audits: audits.map(toClientAudit) });
+    } catch (error) {
+      sendInventoryError(res, error, 'Failed to fetch inventory audits');
+    }
+  });
+
+  app.get('/api/inventory-audits/:id', requirePermission('evidence', 'read'), async (req, res) => {
+    try {
+      if (!ObjectId.isValid(req.params.id)) {
+        return res.status(400).json({ error: 'Invalid inventory audit ID' });
+      }
+      const audit = await InventoryAuditsCRUD.findById(req.params.id);
+      if (!audit) {
+        return res.status(404).json({ error: 'Inventory audit not found' });
+      }
+      res.json({ audit: toClientAudit(audit) });
+    } catch (error) {
+      sendInventoryError(res, error, 'Failed to fetch inventory audit');
+    }
+  });
+
+  app.post('/api/inventory-audits', requirePermission('evidence', 'approve'), async (req, res) => {
+    try {
+      console.log('🔍 API: Opening inventory audit:', req.body);
+      const audit = await InventoryAuditsCRUD.create(parseInventoryRequest(req.body), custodyActorFromRequest(req));
+
+      res.status(201).json({
+        success: true,
+        audit: toClientAudit(audit),
+        message: `${audit.auditNumber} opened with ${audit.expected.length} item(s) expected`
+      });
+    } catch (error) {
+      sendInventoryError(res, error, 'Failed to open inventory audit');
+    }
+  });
+
+  // Tick an item off by scanned code ({ code }) or by ID from the checklist ({ evidenceId }).
+  // foundLocation is the shelf it was actually found on, when that differs from the audit's.
+  app.post('/api/inventory-audits/:id/found', requirePermission('evidence', 'approve'), async (req, res) => {
+    try {
+      if (!ObjectId.isValid(req.params.id)) {
+        return res.status(400).json({ error: 'Invalid inventory audit ID' });
+      }
+      const { code, evidenceId, foundLocation } = req.body;
+      if (!code && !evidenceId) {
+        return res.status(400).json({ error: 'A scanned code or evidenceId is required' });
+      }
+
+      const evidence = await EvidenceCRUD.findByScanCode(code || evidenceId);
+      if (!evidence) {
+        return res.status(404).json({ error: `No evidence item matches "${code || evidenceId}"` });
+      }
+
+      const audit = await InventoryAuditsCRUD.recordFound(
+        req.params.id,
+        evidence,
+        { foundLocation: String(foundLocation || '').trim() || null, method: code ? 'scan' : 'tick' },
+        custodyActorFromRequest(req)
+      );
+      if (!audit) {
+        return res.status(404).json({ error: 'Inventory audit not found' });
+      }
+
+      const found = audit.found.find(item => item.evidenceId === evidence._id.toString());
+      res.status(201).json({
+        success: true,
+        audit: toClientAudit(audit),
+        found,
+        message: found.expected
+          ? `${evidence.evidenceNumber} found`
+          : `${evidence.evidenceNumber} found, but it is not expected in this audit`
+      });
+    } catch (error) {
+      sendInventoryError(res, error, 'Failed to record found item');
+    }
+  });
+
+  app.delete('/api/inventory-audits/:id/found/:evidenceId', requirePermission('evidence', 'approve'), async (req, res) => {
+    try {
+      if (!ObjectId.isValid(req.params.id)) {
+        return res.status(400).json({ error: 'Invalid inventory audit ID' });
+      }
+      const audit = await InventoryAuditsCRUD.removeFound(req.params.id, req.params.evidenceId);
+      if (!audit) {
+        return res.status(404).json({ error: 'Inventory audit not found' });
+      }
+      res.json({ success: true, audit: toClientAudit(audit) });
+    } catch (error) {
+      sendInventoryError(res, error, 'Failed to untick item');
+    }
+  });
+
+  // { markMissing = true, notes }: completes and signs the audit
+  app.post('/api/inventory-audits/:id/complete', requirePermission('evidence', 'approve'), async (req, res) => {
+    try {
+      console.log('🔍 API: Completing inventory audit:', req.params.id);
+      if (!ObjectId.isValid(req.params.id)) {
+        return res.status(400).json({ error: 'Invalid inventory audit ID' });
+      }
+      const completion = { markMissing: req.body.markMissing !== false, notes: req.body.notes || '' };
+      const audit = await InventoryAuditsCRUD.complete(req.params.id, completion, custodyActorFromRequest(req));
+      if (!audit) {
+        return res.status(404).json({ error: 'Inventory audit not found' });
+      }
+
+      console.log('✅ API: Inventory audit completed:', audit.auditNumber, audit.markedMissing.length, 'item(s) marked missing');
+      res.json({
+        success: true,
+        audit: toClientAudit(audit),
+        message: `${audit.auditNumber} completed: ${audit.findings.missing.length} missing, ${audit.findings.misplaced.length} misplaced, ${audit.findings.unsealed.length} unsealed`
+      });
+    } catch (error) {
+      sendInventoryError(res, error, 'Failed to complete inventory audit');
+    }
+  });
+
+  app.post('/api/inventory-audits/:id/cancel', requirePermission('evidence', 'approve'), async (req, res) => {
+    try {
+      if (!ObjectId.isValid(req.params.id)) {
+        return res.status(400).json({ error: 'Invalid inventory audit ID' });
+      }
+      const reason = String(req.body.reason || '').trim();
+      if (!reason) {
+        return res.status(400).json({ error: 'A reason is required to cancel an inventory audit' });
+      }
+
+      const audit = await InventoryAuditsCRUD.cancel(req.params.id, reason, custodyActorFromRequest(req));
+      if (!audit) {
+        return res.status(404).json({ error: 'Inventory audit not found' });
+      }
+      res.json({ success: true, audit: toClientAudit(audit), message: `${audit.auditNumber} cancelled` });
+    } catch (error) {
+      sendInventoryError(res, error, 'Failed to cancel inventory audit');
+    }
+  });
+
+  app.get('/api/inventory-audits/:id/verify', requirePermission('evidence', 'read'), async (req, res) => {
+    try {
+      if (!ObjectId.isValid(req.params.id)) {
+        return res.status(400).json({ error: 'Invalid inventory audit ID' });
+      }
+      const audit = await InventoryAuditsCRUD.findById(req.params.id);
+      if (!audit) {
+        return res.status(404).json({ error: 'Inventory audit not found' });
+      }
+      res.json({ verification: verifyInventoryReport(audit) });
+    } catch (error) {
+      sendInventoryError(res, error, 'Failed to verify inventory report');
+    }
+  });
+
+  // Signed report PDF, available once the audit is completed
+  app.get('/api/inventory-audits/:id/report', requirePermission('evidence', 'read'), async (req, res) => {
+    try {
+      if (!ObjectId.isValid(req.params.id)) {
+        return res.status(400).json({ error: 'Invalid inventory audit ID' });
+      }
+      const audit = await InventoryAuditsCRUD.findById(req.params.id);
+      if (!audit) {
+        return res.status(404).json({ error: 'Inventory audit not found' });
+      }
+      if (audit.status !== 'Completed') {
+        return res.status(409).json({ error: `${audit.auditNumber} is ${audit.status}; reports are signed on completion` });
+      }
+
+      const pdf = await renderInventoryReport(audit, verifyInventoryReport(audit));
+      res.set({
+        'Content-Type': 'application/pdf',
+        'Content-Disposition': `inline; filename="${audit.auditNumber}-inventory.pdf"`,
+        'X-Report-SHA256': audit.signature.hash,
+        'Cache-Control': 'no-store'
+      });
+      res.send(pdf);
+    } catch (error) {
+      sendInventoryError(res, error, 'Failed to generate inventory report');
+    }
+  });
+
+  console.log('✅ Inventory Audit Routes registered successfully');
+}
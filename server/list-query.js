@@ -0,0 +1,285 @@
+// Shared query contract for every collection list endpoint.
+//
+//   ?page=2&limit=25              offset pagination (page is 1-based)
+//   ?cursor=<nextCursor>&limit=25 keyset pagination, continuing from a previous page
+//   ?sort=-createdAt              any sortable field; '-' prefix sorts descending
+//   ?search=smith                 case-insensitive match across the endpoint's search fields
+//   ?status=Open,Pending          exact-match field filters; commas match any of the values
+//   ?createdAtFrom=2024-01-01&createdAtTo=2024-12-31
+//                                 date ranges on the endpoint's date fields
+//                                 (dateFrom/dateTo apply to its default date field)
+//
+// Responses keep their existing collection key and add a `pagination` object:
+//   { page, limit, total, totalPages, hasNextPage, hasPrevPage, nextCursor }
+import { ObjectId } from 'mongodb';
+
+export const DEFAULT_LIMIT = 25;
+export const MAX_LIMIT = 200;
+
+export class ListQueryError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ListQueryError';
+  }
+}
+
+// Per-collection whitelist of what a list request may sort, filter and search on.
+// dateFields: 'date' for BSON dates, 'string' for ISO date strings (YYYY-MM-DD...).
+export const LIST_SPECS = {
+  users: {
+    sortable: ['createdAt', 'username', 'lastName', 'role', 'lastLogin'],
+    filters: ['role', 'department', 'isActive'],
+    search: ['username', 'email', 'firstName', 'lastName', 'badgeNumber'],
+    dateFields: { createdAt: 'date', lastLogin: 'date' }
+  },
+  cases: {
+    sortable: ['createdAt', 'updatedAt', 'caseNumber', 'title', 'priority', 'status', 'incidentDate'],
+    filters: ['status', 'priority', 'type', 'assignedOfficer'],
+    search: ['caseNumber', 'title', 'description', 'location', 'assignedOfficer'],
+    dateFields: { createdAt: 'date', updatedAt: 'date', incidentDate: 'string' }
+  },
+  ob_entries: {
+    sortable: ['createdAt', 'dateTime', 'obNumber', 'type', 'status'],
+    filters: ['type', 'status', 'officer', 'date', 'station'],
+    search: ['obNumber', 'description', 'reportedBy', 'location', 'officer'],
+    dateFields: { createdAt: 'date', dateTime: 'string', date: 'string' }
+  },
+  license_plates: {
+    sortable: ['createdAt', 'plateNumber', 'ownerName', 'status', 'expiryDate'],
+    filters: ['status', 'vehicleType', 'vehicleColor'],
+    search: ['plateNumber', 'ownerName', 'idNumber', 'passportNumber', 'vehicleModel'],
+    dateFields: { createdAt: 'date', registrationDate: 'string', expiryDate: 'string' }
+  },
+  evidence: {
+    sortable: ['createdAt', 'updatedAt', 'collectedAt', 'evidenceNumber', 'type', 'status', 'priority'],
+    filters: ['type', 'status', 'priority', 'caseId', 'obId', 'collectedBy', 'evidenceRoom', 'custodyStatus'],
+    search: ['evidenceNumber', 'description', 'location', 'serialNumber', 'storageLocation', 'tags'],
+    dateFields: { createdAt: 'date', collectedAt: 'date' }
+  },
+  police_vehicles: {
+    sortable: ['createdAt', 'vehicleId', 'status'],
+    filters: ['status', 'type'],
+    search: ['vehicleId', 'make', 'model', 'licensePlate'],
+    dateFields: { createdAt: 'date' }
+  },
+  profiles: {
+    sortable: ['createdAt', 'username', 'lastName', 'department', 'role'],
+    filters: ['role', 'department', 'isActive'],
+    search: ['username', 'firstName', 'lastName', 'email', 'badgeNumber'],
+    dateFields: { createdAt: 'date' }
+  },
+  officers: {
+    sortable: ['createdAt', 'badgeNumber', 'lastName', 'department', 'rank', 'status'],
+    filters: ['status', 'department', 'rank'],
+    search: ['badgeNumber', 'firstName', 'lastName', 'email', 'department'],
+    dateFields: { createdAt: 'date', hireDate: 'string' }
+  },
+  reports: {
+    sortable: ['createdAt', 'updatedAt', 'reportNumber', 'title', 'status', 'priority', 'type'],
+    filters: ['status', 'priority', 'type', 'caseId', 'obId', 'requestedBy'],
+    search: ['reportNumber', 'title', 'content'],
+    dateFields: { createdAt: 'date' }
+  },
+  persons: {
+    sortable: ['createdAt', 'updatedAt', 'lastName', 'firstName', 'idNumber'],
+    filters: ['gender', 'nationality'],
+    search: ['fullName', 'firstName', 'lastName', 'aliases', 'idNumber', 'passportNumber', 'phone'],
+    dateFields: { createdAt: 'date' }
+  },
+  audit_log: {
+    sortable: ['createdAt'],
+    filters: ['entity', 'entityId', 'action', 'source', 'actor.username'],
+    search: ['entityId', 'entityLabel', 'actor.username', 'actor.name', 'ip', 'request.path'],
+    dateFields: { createdAt: 'date' }
+  },
+  file_downloads: {
+    sortable: ['createdAt'],
+    filters: ['resourceType', 'resourceId', 'granted', 'actor.username'],
+    search: ['filename', 'actor.username', 'actor.name', 'ip'],
+    dateFields: { createdAt: 'date' }
+  },
+  geofiles: {
+    sortable: ['createdAt', 'filename', 'fileType', 'fileSize', 'lastAccessedAt'],
+    filters: ['fileType', 'accessLevel', 'caseId', 'obId', 'evidenceId', 'tags'],
+    search: ['filename', 'description', 'address', 'locationName'],
+    dateFields: { createdAt: 'date' }
+  }
+};
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+function parsePositiveInt(value, name, fallback) {
+  if (value === undefined || value === '') return fallback;
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1) {
+    throw new ListQueryError(`${name} must be a positive integer`);
+  }
+  return number;
+}
+
+function parseSort(sortParam, spec) {
+  // A repeated ?sort= arrives as an array
+  if (sortParam !== undefined && typeof sortParam !== 'string') {
+    throw new ListQueryError('sort must be given once, as field or -field');
+  }
+  const raw = sortParam || '-createdAt';
+  const direction = raw.startsWith('-') ? -1 : 1;
+  const field = raw.replace(/^[-+]/, '');
+  if (!spec.sortable.includes(field)) {
+    throw new ListQueryError(`Cannot sort by '${field}'. Sortable fields: ${spec.sortable.join(', ')}`);
+  }
+  return { field, direction };
+}
+
+function filterValue(value) {
+  if (value === 'true') return true;
+  if (value === 'false') return false;
+  return value;
+}
+
+function parseDateBound(value, type, param, endOfDay) {
+  const date = new Date(value);
+  if (typeof value !== 'string' || isNaN(date.getTime())) {
+    throw new ListQueryError(`${param} must be a valid date`);
+  }
+  const isDay = /^\d{4}-\d{2}-\d{2}$/.test(value);
+  if (type === 'string') {
+    // ISO strings compare lexicographically; a bare day matches every time on that day
+    if (isDay) return endOfDay ? `${value}\uffff` : value;
+    return date.toISOString();
+  }
+  // A bare YYYY-MM-DD upper bound includes the whole of that day
+  if (endOfDay && isDay) {
+    date.setUTCHours(23, 59, 59, 999);
+  }
+  return date;
+}
+
+function buildFilter(query, spec) {
+  const conditions = [];
+
+  if (query.search && spec.search.length > 0) {
+    const searchRegex = { $regex: escapeRegex(String(query.search)), $options: 'i' };
+    conditions.push({ $or: spec.search.map(field => ({ [field]: searchRegex })) });
+  }
+
+  for (const field of spec.filters) {
+    const raw = query[field];
+    if (raw === undefined || raw === '' || raw === 'all') continue;
+    const values = String(raw).split(',').map(value => filterValue(value.trim())).filter(value => value !== '');
+    // Reference fields may be stored either as strings or ObjectIds
+    const expanded = field.endsWith('Id')
+      ? values.flatMap(value => (ObjectId.isValid(value) ? [value, new ObjectId(value)] : [value]))
+      : values;
+    conditions.push({ [field]: expanded.length === 1 ? expanded[0] : { $in: expanded } });
+  }
+
+  const [defaultDateField] = Object.keys(spec.dateFields);
+  for (const [field, type] of Object.entries(spec.dateFields)) {
+    const from = query[`${field}From`] ?? (field === defaultDateField ? query.dateFrom : undefined);
+    const to = query[`${field}To`] ?? (field === defaultDateField ? query.dateTo : undefined);
+    if (!from && !to) continue;
+    const range = {};
+    if (from) range.$gte = parseDateBound(from, type, `${field}From`, false);
+    if (to) range.$lte = parseDateBound(to, type, `${field}To`, true);
+    conditions.push({ [field]: range });
+  }
+
+  if (conditions.length === 0) return {};
+  return conditions.length === 1 ? conditions[0] : { $and: conditions };
+}
+
+function encodeCursor(doc, sort) {
+  const value = doc[sort.field];
+  const payload = {
+    f: sort.field,
+    d: sort.direction,
+    v: value instanceof Date ? value.toISOString() : value instanceof ObjectId ? value.toHexString() : (value ?? null),
+    t: value instanceof Date ? 'date' : value instanceof ObjectId ? 'objectId' : 'value',
+    id: doc._id.toString()
+  };
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+}
+
+function decodeCursor(cursor, sort) {
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch {
+    throw new ListQueryError('cursor is malformed');
+  }
+  if (!payload || payload.f !== sort.field || payload.d !== sort.direction || !ObjectId.isValid(payload.id)) {
+    throw new ListQueryError('cursor does not match the requested sort; start again without a cursor');
+  }
+  return { value: cursorValue(payload), id: new ObjectId(payload.id) };
+}
+
+// The cursor goes straight into a $lt/$gt, so only plain scalars come back out of it;
+// anything else (an object smuggling query operators) is refused
+function cursorValue({ t, v }) {
+  if (v === null) return null;
+  if (t === 'date' && typeof v === 'string' && !Number.isNaN(Date.parse(v))) return new Date(v);
+  if (t === 'objectId' && typeof v === 'string' && /^[0-9a-f]{24}$/i.test(v)) return new ObjectId(v);
+  if (t === 'value' && (typeof v === 'string' || typeof v === 'boolean' || Number.isFinite(v))) return v;
+  throw new ListQueryError('cursor is malformed');
+}
+
+// Documents strictly after the cursor in (sort field, _id) order.
+// Missing/null values sort first ascending and last descending, as MongoDB orders them.
+function cursorCondition({ value, id }, { field, direction }) {
+  const after = direction === 1 ? '$gt' : '$lt';
+  if (value === null) {
+    return direction === 1
+      ? { $or: [{ [field]: null, _id: { $gt: id } }, { [field]: { $ne: null } }] }
+      : { [field]: null, _id: { $lt: id } };
+  }
+  const branches = [
+    { [field]: { [after]: value } },
+    { [field]: value, _id: { [after]: id } }
+  ];
+  if (direction === -1) branches.push({ [field]: null });
+  return { $or: branches };
+}
+
+// Turns req.query into a validated { filter, sort, page, limit, cursor } for a collection
+export function parseListQuery(query = {}, spec) {
+  const limit = Math.min(parsePositiveInt(query.limit, 'limit', DEFAULT_LIMIT), MAX_LIMIT);
+  const sort = parseSort(query.sort, spec);
+  const cursor = query.cursor ? decodeCursor(query.cursor, sort) : null;
+  const page = cursor ? null : parsePositiveInt(query.page, 'page', 1);
+
+  return { filter: buildFilter(query, spec), sort, page, limit, cursor };
+}
+
+// Runs a parsed list query against a collection and returns the page plus totals
+export async function paginateCollection(collection, listQuery, baseFilter = {}) {
+  const { sort, page, limit, cursor } = listQuery;
+  const parts = [baseFilter, listQuery.filter].filter(part => Object.keys(part).length > 0);
+  const filter = parts.length > 1 ? { $and: parts } : (parts[0] || {});
+  const pageFilter = cursor
+    ? (parts.length > 0 ? { $and: [filter, cursorCondition(cursor, sort)] } : cursorCondition(cursor, sort))
+    : filter;
+
+  let find = collection
+    .find(pageFilter)
+    .sort({ [sort.field]: sort.direction, _id: sort.direction })
+    .limit(limit + 1);
+  if (!cursor) find = find.skip((page - 1) * limit);
+
+  const [docs, total] = await Promise.all([find.toArray(), collection.countDocuments(filter)]);
+  const hasNextPage = docs.length > limit;
+  const items = hasNextPage ? docs.slice(0, limit) : docs;
+
+  return {
+    items,
+    pagination: {
+      page,
+      limit,
+      total,
+      totalPages: Math.max(1, Math.ceil(total / limit)),
+      hasNextPage,
+      hasPrevPage: cursor ? true : page > 1,
+      nextCursor: hasNextPage ? encodeCursor(items[items.length - 1], sort) : null
+    }
+  };
+}
@@ -0,0 +1,254 @@
+// SHA-256 fingerprints for evidence media. Each upload is hashed as it is staged and the
+// hash is stored on the media record. The integrity check re-reads stored files from the
+// storage backend and opens an alert in `media_integrity_alerts` for every file that is
+// missing or no longer matches. The orphan sweeper removes evidence uploads that never
+// made it onto an item.
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { ObjectId } from 'mongodb';
+import { getDatabase } from './mongodb-connection.js';
+import { getFileStorage, StorageError } from './file-storage.js';
+
+export const HASH_ALGORITHM = 'sha256';
+export const ALERTS_COLLECTION = 'media_integrity_alerts';
+
+// Hours between scheduled checks and sweeps; 0 turns a schedule off
+export const INTEGRITY_CHECK_INTERVAL_HOURS = Number(process.env.MEDIA_INTEGRITY_INTERVAL_HOURS ?? 24);
+export const ORPHAN_SWEEP_INTERVAL_HOURS = Number(process.env.MEDIA_ORPHAN_SWEEP_INTERVAL_HOURS ?? 24);
+
+// Evidence uploads are stored as media-<timestamp>-<random>.<ext>; geofiles and person
+// photos share the storage backend under other keys and are never swept
+export const EVIDENCE_UPLOAD_PREFIX = 'media-';
+// Their thumbnails (see media-metadata.js) are stored as thumbnails/<filename>.jpg
+export const THUMBNAIL_PREFIX = 'thumbnails/';
+
+// An unreferenced upload younger than this may still be mid-request
+const ORPHAN_MIN_AGE_HOURS = Number(process.env.MEDIA_ORPHAN_MIN_AGE_HOURS) || 24;
+const HOUR_MS = 60 * 60 * 1000;
+
+export class MediaIntegrityError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'MediaIntegrityError';
+    this.status = status;
+  }
+}
+
+function hashStream(stream) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash(HASH_ALGORITHM);
+    stream
+      .on('error', reject)
+      .on('data', chunk => hash.update(chunk))
+      .on('end', () => resolve(hash.digest('hex')));
+  });
+}
+
+export const hashFile = (filePath) => hashStream(fs.createReadStream(filePath));
+
+export async function hashStoredFile(key) {
+  const { stream } = await getFileStorage().get(key);
+  return await hashStream(stream);
+}
+
+// Storage key of an uploaded file. Only the basename is used so a crafted record cannot
+// point the check (or a download) at another record's file.
+export function storedMediaKey(media) {
+  const stored = media?.filename || (media?.url?.startsWith('/uploads/') ? media.url.slice('/uploads/'.length) : null);
+  return stored ? path.basename(stored) : null;
+}
+
+// Hash fields for a freshly staged upload
+export async function fingerprintUpload(filePath) {
+  return {
+    sha256: await hashFile(filePath),
+    hashAlgorithm: HASH_ALGORITHM,
+    hashedAt: new Date()
+  };
+}
+
+// Media records sent as JSON may only link to files held elsewhere. Stored files arrive
+// through the evidence upload endpoint, which hashes them and records the uploader.
+export function assertLinkedMedia(mediaList = []) {
+  const stored = mediaList.find(media => storedMediaKey(media));
+  if (stored) {
+    throw new MediaIntegrityError(`${stored.name || stored.filename} must be uploaded to the evidence item, not linked`);
+  }
+  return mediaList;
+}
+
+// { status: 'ok' | 'mismatch' | 'missing' | 'unhashed' } for each media record
+export async function verifyEvidenceMedia(evidence) {
+  const results = [];
+  for (const [index, media] of (evidence.media || []).entries()) {
+    const key = storedMediaKey(media);
+    const result = {
+      index,
+      name: media.name,
+      filename: media.filename || null,
+      expected: media.sha256 || null,
+      actual: null,
+      status: 'unhashed'
+    };
+
+    if (key && media.sha256) {
+      try {
+        result.actual = await hashStoredFile(key);
+        result.status = result.actual === media.sha256 ? 'ok' : 'mismatch';
+      } catch (error) {
+        if (!(error instanceof StorageError && error.status === 404)) throw error;
+        result.status = 'missing';
+      }
+    }
+    results.push(result);
+  }
+  return results;
+}
+
+// Opens (or refreshes) one alert per failing file; files that verify again close theirs
+async function recordResults(evidence, results, checkedAt) {
+  const alerts = getDatabase().collection(ALERTS_COLLECTION);
+  const evidenceId = evidence._id.toString();
+
+  for (const result of results) {
+    if (result.status === 'unhashed') continue;
+    const key = { evidenceId, filename: result.filename, resolvedAt: null };
+
+    if (result.status === 'ok') {
+      await alerts.updateMany(key, { $set: { resolvedAt: checkedAt, resolution: 'Verified on re-check' } });
+      continue;
+    }
+
+    console.error(`🚨 Media integrity ${result.status}: ${evidence.evidenceNumber} ${result.filename}`);
+    await alerts.updateOne(
+      key,
+      {
+        $set: {
+          status: result.status,
+          expected: result.expected,
+          actual: result.actual,
+          lastDetectedAt: checkedAt
+        },
+        $setOnInsert: {
+          evidenceNumber: evidence.evidenceNumber,
+          name: result.name,
+          firstDetectedAt: checkedAt
+        }
+      },
+      { upsert: true }
+    );
+  }
+}
+
+export async function checkEvidenceMedia(evidence) {
+  const checkedAt = new Date();
+  const results = await verifyEvidenceMedia(evidence);
+  await recordResults(evidence, results, checkedAt);
+  return { evidenceId: evidence._id.toString(), evidenceNumber: evidence.evidenceNumber, checkedAt, results };
+}
+
+// Re-hashes every hashed file on every evidence item
+export async function runIntegrityCheck() {
+  const startedAt = new Date();
+  const summary = { startedAt, items: 0, files: 0, ok: 0, mismatch: 0, missing: 0 };
+
+  const cursor = getDatabase().collection('evidence')
+    .find({ 'media.sha256': { $exists: true } })
+    .project({ evidenceNumber: 1, media: 1 });
+
+  for await (const evidence of cursor) {
+    const { results } = await checkEvidenceMedia(evidence);
+    summary.items += 1;
+    for (const result of results) {
+      if (result.status === 'unhashed') continue;
+      summary.files += 1;
+      summary[result.status] += 1;
+    }
+  }
+
+  summary.finishedAt = new Date();
+  console.log(`🔐 Media integrity check: ${summary.files} file(s) on ${summary.items} item(s), ${summary.mismatch} mismatched, ${summary.missing} missing`);
+  return summary;
+}
+
+export function scheduleIntegrityChecks() {
+  if (!(INTEGRITY_CHECK_INTERVAL_HOURS > 0)) {
+    console.log('🔐 Scheduled media integrity checks are off (MEDIA_INTEGRITY_INTERVAL_HOURS=0)');
+    return null;
+  }
+
+  const timer = setInterval(() => {
+    runIntegrityCheck().catch(error => console.error('❌ Scheduled media integrity check failed:', error));
+  }, INTEGRITY_CHECK_INTERVAL_HOURS * HOUR_MS);
+  timer.unref();
+  return timer;
+}
+
+// Stored evidence uploads and thumbnails that no evidence item refers to
+export async function findOrphanMedia({ minAgeHours = ORPHAN_MIN_AGE_HOURS, now = new Date() } = {}) {
+  const candidates = [
+    ...await getFileStorage().list(EVIDENCE_UPLOAD_PREFIX),
+    ...await getFileStorage().list(THUMBNAIL_PREFIX + EVIDENCE_UPLOAD_PREFIX)
+  ];
+  if (candidates.length === 0) return [];
+
+  const referenced = new Set();
+  const cursor = getDatabase().collection('evidence')
+    .find({ 'media.0': { $exists: true } })
+    .project({ 'media.filename': 1, 'media.url': 1, 'media.thumbnail.key': 1 });
+  for await (const evidence of cursor) {
+    for (const media of evidence.media || []) {
+      const key = storedMediaKey(media);
+      if (key) referenced.add(key);
+      if (media.thumbnail?.key) referenced.add(media.thumbnail.key);
+    }
+  }
+
+  return candidates
+    .filter(file => !referenced.has(file.key))
+    .filter(file => now - new Date(file.modifiedAt) >= minAgeHours * HOUR_MS)
+    .map(file => ({ filename: file.key, size: file.size, modifiedAt: file.modifiedAt }));
+}
+
+export async function sweepOrphanMedia({ dryRun = false, ...options } = {}) {
+  const orphans = await findOrphanMedia(options);
+  if (!dryRun) {
+    for (const orphan of orphans) {
+      await getFileStorage().remove(orphan.filename);
+      console.log('🧹 Removed orphaned evidence upload:', orphan.filename);
+    }
+  }
+  return { dryRun, removed: dryRun ? 0 : orphans.length, orphans };
+}
+
+export function scheduleOrphanSweeps() {
+  if (!(ORPHAN_SWEEP_INTERVAL_HOURS > 0)) return null;
+
+  const timer = setInterval(() => {
+    sweepOrphanMedia().catch(error => console.error('❌ Scheduled orphan media sweep failed:', error));
+  }, ORPHAN_SWEEP_INTERVAL_HOURS * HOUR_MS);
+  timer.unref();
+  return timer;
+}
+
+export async function findOpenAlerts() {
+  return await getDatabase().collection(ALERTS_COLLECTION)
+    .find({ resolvedAt: null })
+    .sort({ lastDetectedAt: -1 })
+    .toArray();
+}
+
+// A custodian closes an alert once it has been investigated
+export async function resolveAlert(id, resolution, actor) {
+  const result = await getDatabase().collection(ALERTS_COLLECTION).findOneAndUpdate(
+    { _id: new ObjectId(id), resolvedAt: null },
+    { $set: { resolvedAt: new Date(), resolution, resolvedBy: actor || null } },
+    { returnDocument: 'after' }
+  );
+  return result;
+}
+
+export async function ensureIntegrityIndexes() {
+  await getDatabase().collection(ALERTS_COLLECTION).createIndex({ evidenceId: 1, filename: 1, resolvedAt: 1 });
+}
@@ -0,0 +1,179 @@
+// Metadata and thumbnails for evidence photos and videos, read from the staged upload.
+// Photos give their EXIF capture time, camera and GPS position; MP4/MOV and AVI videos
+// give their duration and frame size from the container headers. Thumbnails are JPEGs
+// stored beside the original under thumbnails/; the original itself is never rewritten,
+// so its SHA-256 still matches the file as it was received.
+import fs from 'fs';
+import { execFile } from 'child_process';
+import exifr from 'exifr';
+import sharp from 'sharp';
+
+export const THUMBNAIL_SIZE = 320;
+
+// Video posters need a frame decoder; without ffmpeg on the PATH videos get no thumbnail
+const FFMPEG_PATH = process.env.FFMPEG_PATH || 'ffmpeg';
+
+// Seconds between 1904-01-01 (QuickTime epoch) and 1970-01-01
+const QUICKTIME_EPOCH_OFFSET = 2082844800;
+
+const round = (value, places = 6) => (Number.isFinite(value) ? Number(value.toFixed(places)) : null);
+
+export async function extractPhotoMetadata(filePath) {
+  const image = await sharp(filePath).metadata();
+  const exif = await exifr.parse(filePath, { gps: true, translateValues: true, reviveValues: true }).catch(() => null);
+
+  const latitude = round(exif?.latitude);
+  const longitude = round(exif?.longitude);
+  return {
+    width: image.width,
+    height: image.height,
+    orientation: image.orientation || null,
+    format: image.format,
+    capturedAt: exif?.DateTimeOriginal || exif?.CreateDate || null,
+    camera: exif?.Make || exif?.Model
+      ? { make: exif.Make?.trim() || null, model: exif.Model?.trim() || null, lens: exif.LensModel?.trim() || null }
+      : null,
+    gps: latitude !== null && longitude !== null
+      ? { latitude, longitude, altitude: round(exif.GPSAltitude, 1) }
+      : null
+  };
+}
+
+async function readAt(handle, position, length) {
+  const buffer = Buffer.alloc(length);
+  const { bytesRead } = await handle.read(buffer, 0, length, position);
+  return buffer.subarray(0, bytesRead);
+}
+
+// ISO base media (MP4, MOV, 3GP) boxes: [size:4][type:4], size 1 = 64-bit size follows,
+// size 0 = runs to the end of the enclosing box
+async function* boxes(handle, start, end) {
+  let offset = start;
+  while (offset + 8 <= end) {
+    const header = await readAt(handle, offset, 16);
+    if (header.length < 8) return;
+    let size = header.readUInt32BE(0);
+    const type = header.toString('latin1', 4, 8);
+    let headerSize = 8;
+    if (size === 1) {
+      size = Number(header.readBigUInt64BE(8));
+      headerSize = 16;
+    } else if (size === 0) {
+      size = end - offset;
+    }
+    if (size < headerSize) return;
+    yield { type, start: offset + headerSize, end: Math.min(offset + size, end) };
+    offset += size;
+  }
+}
+
+async function findBox(handle, parent, type) {
+  for await (const box of boxes(handle, parent.start, parent.end)) {
+    if (box.type === type) return box;
+  }
+  return null;
+}
+
+async function isoVideoMetadata(handle, fileSize) {
+  const moov = await findBox(handle, { start: 0, end: fileSize }, 'moov');
+  if (!moov) return null;
+
+  const metadata = { container: 'mp4' };
+  const mvhd = await findBox(handle, moov, 'mvhd');
+  if (mvhd) {
+    const data = await readAt(handle, mvhd.start, 32);
+    const version = data[0];
+    const created = version === 1 ? Number(data.readBigUInt64BE(4)) : data.readUInt32BE(4);
+    const timescale = version === 1 ? data.readUInt32BE(20) : data.readUInt32BE(12);
+    const duration = version === 1 ? Number(data.readBigUInt64BE(24)) : data.readUInt32BE(16);
+    metadata.durationSeconds = timescale ? round(duration / timescale, 2) : null;
+    metadata.capturedAt = created > QUICKTIME_EPOCH_OFFSET ? new Date((created - QUICKTIME_EPOCH_OFFSET) * 1000) : null;
+  }
+
+  for await (const trak of boxes(handle, moov.start, moov.end)) {
+    if (trak.type !== 'trak') continue;
+    const mdia = await findBox(handle, trak, 'mdia');
+    const hdlr = mdia && await findBox(handle, mdia, 'hdlr');
+    const handler = hdlr && (await readAt(handle, hdlr.start + 8, 4)).toString('latin1');
+    if (handler !== 'vide') continue;
+
+    // Track width and height are 16.16 fixed point in the last 8 bytes of tkhd
+    const tkhd = await findBox(handle, trak, 'tkhd');
+    if (tkhd) {
+      const size = await readAt(handle, tkhd.end - 8, 8);
+      metadata.width = size.readUInt32BE(0) >>> 16;
+      metadata.height = size.readUInt32BE(4) >>> 16;
+    }
+    break;
+  }
+  return metadata;
+}
+
+// RIFF AVI: the main 'avih' header sits in the first 'hdrl' list
+async function aviMetadata(handle) {
+  const header = await readAt(handle, 0, 88);
+  if (header.toString('latin1', 0, 4) !== 'RIFF' || header.toString('latin1', 8, 12) !== 'AVI ') return null;
+  if (header.toString('latin1', 12, 16) !== 'LIST' || header.toString('latin1', 20, 24) !== 'hdrl' ||
+    header.toString('latin1', 24, 28) !== 'avih') return null;
+
+  const avih = header.subarray(32);
+  const microSecondsPerFrame = avih.readUInt32LE(0);
+  const totalFrames = avih.readUInt32LE(16);
+  return {
+    container: 'avi',
+    durationSeconds: round((microSecondsPerFrame * totalFrames) / 1e6, 2),
+    width: avih.readUInt32LE(32),
+    height: avih.readUInt32LE(36),
+    capturedAt: null
+  };
+}
+
+export async function extractVideoMetadata(filePath) {
+  const handle = await fs.promises.open(filePath, 'r');
+  try {
+    const { size } = await handle.stat();
+    return await aviMetadata(handle) || await isoVideoMetadata(handle, size) || { container: null };
+  } finally {
+    await handle.close();
+  }
+}
+
+function videoFrame(filePath) {
+  return new Promise((resolve) => {
+    execFile(
+      FFMPEG_PATH,
+      ['-loglevel', 'error', '-ss', '1', '-i', filePath, '-frames:v', '1', '-f', 'image2pipe', '-vcodec', 'png', '-'],
+      { encoding: 'buffer', maxBuffer: 32 * 1024 * 1024, timeout: 30000 },
+      (error, stdout) => resolve(error || stdout.length === 0 ? null : stdout)
+    );
+  });
+}
+
+// JPEG thumbnail, turned upright from the EXIF orientation; null when none can be made
+export async function createThumbnail(filePath, type) {
+  const source = type === 'photo' ? filePath : type === 'video' ? await videoFrame(filePath) : null;
+  if (!source) return null;
+
+  const { data, info } = await sharp(source)
+    .rotate()
+    .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'inside', withoutEnlargement: true })
+    .jpeg({ quality: 80 })
+    .toBuffer({ resolveWithObject: true });
+  return { data, width: info.width, height: info.height };
+}
+
+// Metadata and thumbnail for a staged upload. Extraction failures are recorded on the
+// metadata rather than failing the upload.
+export async function describeUpload(filePath, type) {
+  let metadata = null;
+  let thumbnail = null;
+  try {
+    if (type === 'photo') metadata = await extractPhotoMetadata(filePath);
+    if (type === 'video') metadata = await extractVideoMetadata(filePath);
+    thumbnail = await createThumbnail(filePath, type);
+  } catch (error) {
+    console.error('⚠️ Could not read media metadata:', error.message);
+    metadata = { ...metadata, error: error.message };
+  }
+  return { metadata: metadata && { ...metadata, extractedAt: new Date() }, thumbnail };
+}
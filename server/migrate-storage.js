@@ -0,0 +1,63 @@
+// Copies files from the local uploads folder into the configured storage backend, for
+// moving an existing install onto GridFS or S3.
+//
+//   FILE_STORAGE_DRIVER=s3 S3_BUCKET=evidence npm run storage:migrate
+//   FILE_STORAGE_DRIVER=gridfs npm run storage:migrate -- --from ./uploads
+//
+// Files already present in the target with the same size are skipped, so the copy can
+// be re-run after an interruption. Nothing is deleted from the source folder.
+import fs from 'fs';
+import path from 'path';
+import { connectToMongoDB, closeConnection } from './mongodb-connection.js';
+import { DISK_STORAGE_DIR, createFileStorage, getFileStorage } from './file-storage.js';
+
+async function listFiles(root, directory = '') {
+  const entries = await fs.promises.readdir(path.join(root, directory), { withFileTypes: true });
+  const files = [];
+  for (const entry of entries) {
+    const key = directory ? `${directory}/${entry.name}` : entry.name;
+    if (entry.isDirectory()) {
+      files.push(...await listFiles(root, key));
+    } else if (entry.isFile()) {
+      files.push(key);
+    }
+  }
+  return files;
+}
+
+async function main() {
+  const fromIndex = process.argv.indexOf('--from');
+  const root = fromIndex === -1 ? DISK_STORAGE_DIR : path.resolve(process.argv[fromIndex + 1]);
+
+  await connectToMongoDB();
+  try {
+    const source = createFileStorage('disk', { root });
+    const target = getFileStorage();
+    if (target.driver === 'disk' && root === DISK_STORAGE_DIR) {
+      console.error('FILE_STORAGE_DRIVER is disk; set it to gridfs or s3 to migrate');
+      process.exit(1);
+    }
+
+    const keys = await listFiles(root);
+    let copied = 0;
+    for (const key of keys) {
+      const { size, stream } = await source.get(key);
+      const existing = await target.stat(key);
+      if (existing && existing.size === size) {
+        stream.destroy();
+        continue;
+      }
+      await target.put(key, stream, { size });
+      copied += 1;
+      console.log(`📦 ${key} (${size} bytes)`);
+    }
+    console.log(`✅ Copied ${copied} of ${keys.length} file(s) from ${root} to ${target.driver}`);
+  } finally {
+    await closeConnection();
+  }
+}
+
+main().catch(error => {
+  console.error('❌ Storage migration failed:', error.message);
+  process.exit(1);
+});
@@ -2,6 +2,23 @@
 // MongoDB CRUD operations for Police Management System
 import { getDatabase } from './mongodb-connection.js';
 import { ObjectId } from 'mongodb';
+import { buildCustodyEntry } from './custody-chain.js';
+import { paginateCollection } from './list-query.js';
+import { insertNumbered, inTransaction } from './counters.js';
+import { geofileFootprint } from './geo-search.js';
+import { CheckoutError, UNAVAILABLE_STATUSES, isOverdue, daysOverdue, overdueFilter } from './evidence-checkout.js';
+import { DisposalError, assertDisposable, assertEvidenceUnlocked, UNLOCKED_FILTER } from './evidence-disposal.js';
+import {
+  InventoryError,
+  NOT_HELD_STATUSES,
+  inventoryScope,
+  inventoryItem,
+  reconcileInventory,
+  signInventoryReport
+} from './evidence-inventory.js';
+import { extractMentions } from './case-timeline.js';
+import { AMENDMENT_TYPE, OccurrenceBookError, STRUCK_OUT_STATUS, sealOBEntry, signStrikeOut } from './occurrence-book.js';
+import { writeAuditEntry, auditSnapshots } from './audit-log.js';
 
 // Users Collection CRUD
 export const UsersCRUD = {
@@ -35,6 +52,13 @@ export const UsersCRUD = {
     return await db.collection('users').find({}).toArray();
   },
 
+  // One page of a list request; listQuery comes from parseListQuery() in list-query.js
+  async findPage(listQuery) {
+    console.log('🔍 Fetching page of users from MongoDB:', listQuery.page ?? 'cursor', listQuery.sort);
+    const db = getDatabase();
+    return await paginateCollection(db.collection('users'), listQuery);
+  },
+
   async update(id, updateData) {
     const db = getDatabase();
     const result = await db.collection('users').updateOne(
@@ -52,22 +76,36 @@ export const UsersCRUD = {
 };
 
 // Cases Collection CRUD
+// Fields a case edit may set. Numbers and the OB link are permanent once assigned; status
+// only changes through transition(). Dotted paths ("statusHistory.0.to") and operators
+// would reach into those fields from inside $set, so only plain top-level keys get through.
+function editableCaseFields(updateData) {
+  const {
+    caseNumber, _id, createdAt, obId, obNumber,
+    status, statusHistory, disposition, closedAt, closedBy, reopenedAt, archivedAt,
+    ...fields
+  } = updateData;
+  return Object.fromEntries(Object.entries(fields).filter(([key]) => !key.includes('.') && !key.startsWith('$')));
+}
+
 export const CasesCRUD = {
   async create(caseData) {
     console.log('🔍 Creating case in MongoDB with data:', caseData);
     const db = getDatabase();
+    // Case numbers are always drawn from the counter; a caller-supplied one is ignored
+    const { caseNumber, ...fields } = caseData;
     const docToInsert = {
-      ...caseData,
+      ...fields,
       createdAt: new Date(),
       updatedAt: new Date()
     };
     console.log('📝 Document to insert:', docToInsert);
 
-    const result = await db.collection('cases').insertOne(docToInsert);
-    console.log('✅ Insert result:', { insertedId: result.insertedId, acknowledged: result.acknowledged });
+    const result = await insertNumbered('case', () => docToInsert);
+    console.log('✅ Insert result:', { insertedId: result._id, caseNumber: result.caseNumber });
 
     // Return the actual document from database
-    const insertedDoc = await db.collection('cases').findOne({ _id: result.insertedId });
+    const insertedDoc = await db.collection('cases').findOne({ _id: result._id });
     console.log('📄 Retrieved inserted case document:', insertedDoc);
 
     return insertedDoc;
@@ -86,6 +124,12 @@ export const CasesCRUD = {
     return cases;
   },
 
+  async findPage(listQuery) {
+    console.log('🔍 Fetching page of cases from MongoDB:', listQuery.page ?? 'cursor', listQuery.sort);
+    const db = getDatabase();
+    return await paginateCollection(db.collection('cases'), listQuery);
+  },
+
   async findByStatus(status) {
     const db = getDatabase();
     return await db.collection('cases').find({ status }).toArray();
@@ -96,11 +140,117 @@ export const CasesCRUD = {
     return await db.collection('cases').find({ assignedOfficer: officerId }).toArray();
   },
 
+  // Everything the case timeline is built from (see case-timeline.js). Records link to a
+  // case by caseId, held as a string or an ObjectId; the case's own obId links its OB entry.
+  async findTimelineSources(caseDoc) {
+    const db = getDatabase();
+    const id = caseDoc._id.toString();
+    const linked = { caseId: { $in: [id, caseDoc._id] } };
+
+    const [notes, evidence, obEntries, reports] = await Promise.all([
+      CaseNotesCRUD.findByCase(id),
+      db.collection('evidence')
+        .find(linked, { projection: { evidenceNumber: 1, type: 1, description: 1, location: 1, collectedAt: 1, collectedBy: 1, createdAt: 1, custodyLog: 1 } })
+        .toArray(),
+      db.collection('ob_entries')
+        .find(caseDoc.obId && ObjectId.isValid(caseDoc.obId) ? { $or: [linked, { _id: new ObjectId(caseDoc.obId.toString()) }] } : linked)
+        .toArray(),
+      db.collection('reports').find(linked).toArray()
+    ]);
+    return { notes, evidence, obEntries, reports };
+  },
+
   async update(id, updateData) {
     const db = getDatabase();
     const result = await db.collection('cases').updateOne(
       { _id: new ObjectId(id) },
-      { $set: { ...updateData, updatedAt: new Date() } }
+      { $set: { ...editableCaseFields(updateData), updatedAt: new Date() } }
+    );
+    return result.modifiedCount > 0;
+  },
+
+  // Opens a case from an OB entry and links the two both ways: the case carries obId and
+  // obNumber, the entry caseId and caseNumber. Evidence recorded against the entry with no
+  // case of its own moves onto the new case. Returns null if the entry already has a case.
+  async openFromOBEntry(obEntry, caseData) {
+    console.log('🔍 Opening case from OB entry', obEntry.obNumber);
+    const db = getDatabase();
+    const caseId = new ObjectId();
+    const obId = obEntry._id.toString();
+    const now = new Date();
+
+    return await inTransaction(async (session) => {
+      const claimed = await db.collection('ob_entries').updateOne(
+        { _id: obEntry._id, caseId: null },
+        { $set: { caseId: caseId.toString(), updatedAt: now } },
+        { session }
+      );
+      if (claimed.matchedCount === 0) return null;
+
+      const { caseNumber, ...fields } = caseData;
+      const created = await insertNumbered('case', () => ({
+        _id: caseId,
+        ...fields,
+        obId,
+        obNumber: obEntry.obNumber,
+        createdAt: now,
+        updatedAt: now
+      }), { session });
+
+      await db.collection('ob_entries').updateOne(
+        { _id: obEntry._id },
+        { $set: { caseNumber: created.caseNumber } },
+        { session }
+      );
+      await db.collection('evidence').updateMany(
+        { obId: { $in: [obId, obEntry._id] }, caseId: { $in: [null, ''] } },
+        { $set: { caseId: caseId.toString(), updatedAt: now } },
+        { session }
+      );
+
+      console.log('✅ Case', created.caseNumber, 'opened from OB entry', obEntry.obNumber);
+      return created;
+    });
+  },
+
+  // Applies a transition from parseTransition (case-lifecycle.js), together with any field
+  // edits made alongside it. Nothing lands unless the case is still in the state the
+  // transition was checked against.
+  async transition(id, transition, identity = {}, updateData = {}) {
+    console.log('🔍 Moving case', id, 'from', transition.from, 'to', transition.to);
+    const db = getDatabase();
+    const at = new Date();
+    const actor = identity.actor || null;
+
+    const $set = { ...editableCaseFields(updateData), status: transition.to, updatedAt: at };
+    const $unset = {};
+    if (transition.to === 'Closed') {
+      Object.assign($set, { disposition: transition.disposition, closedAt: at, closedBy: actor });
+    } else if (transition.from === 'Closed' && transition.to !== 'Archived') {
+      Object.assign($unset, { disposition: '', closedAt: '', closedBy: '' });
+      $set.reopenedAt = at;
+    }
+    if (transition.to === 'Archived') {
+      $set.archivedAt = at;
+    }
+
+    const result = await db.collection('cases').updateOne(
+      { _id: new ObjectId(id), status: transition.from },
+      {
+        $set,
+        ...(Object.keys($unset).length > 0 ? { $unset } : {}),
+        $push: {
+          statusHistory: {
+            from: transition.from,
+            to: transition.to,
+            reason: transition.reason,
+            disposition: transition.disposition,
+            at,
+            by: actor,
+            signedOffBy: transition.signedOff ? actor : null
+          }
+        }
+      }
     );
     return result.modifiedCount > 0;
   },
@@ -112,23 +262,97 @@ export const CasesCRUD = {
   }
 };
 
+// Investigators' notes on a case; they are added to the case record, not edited
+export const CaseNotesCRUD = {
+  async create(caseId, note, attachments = [], identity = {}) {
+    console.log('🔍 Adding', note.noteType, 'note to case', caseId);
+    const db = getDatabase();
+
+    const usernames = extractMentions(note.text);
+    const mentioned = usernames.length === 0 ? [] : await db.collection('users')
+      .find({ username: { $in: usernames } }, { projection: { username: 1, firstName: 1, lastName: 1 } })
+      .collation({ locale: 'en', strength: 2 })
+      .toArray();
+
+    const doc = {
+      caseId,
+      ...note,
+      mentions: mentioned.map(user => ({
+        userId: user._id.toString(),
+        username: user.username,
+        name: [user.firstName, user.lastName].filter(Boolean).join(' ') || user.username
+      })),
+      attachments,
+      author: identity.actor || null,
+      createdAt: new Date()
+    };
+    const result = await db.collection('case_notes').insertOne(doc);
+    return { _id: result.insertedId, ...doc };
+  },
+
+  async findById(id) {
+    const db = getDatabase();
+    return await db.collection('case_notes').findOne({ _id: new ObjectId(id) });
+  },
+
+  async findByCase(caseId) {
+    const db = getDatabase();
+    return await db.collection('case_notes').find({ caseId }).sort({ occurredAt: 1 }).toArray();
+  },
+
+  async findByAttachment(caseId, filename) {
+    const db = getDatabase();
+    return await db.collection('case_notes').findOne({ caseId, 'attachments.filename': filename });
+  },
+
+  async ensureIndexes() {
+    const notes = getDatabase().collection('case_notes');
+    await notes.createIndex({ caseId: 1, occurredAt: 1 });
+    await notes.createIndex({ 'mentions.userId': 1, createdAt: -1 });
+  }
+};
+
 // Occurrence Book (OB) Entries CRUD
+// Numbers an OB entry and seals it to the recording officer (see occurrence-book.js).
+// OB numbers run strictly in sequence per station and year; never taken from the caller,
+// and nor are the seal, the case link or the amendment trail.
+// The amendment linkage (amends, corrections, reason) only ever comes from `amendment`,
+// which OBEntriesCRUD.amend builds from the original entry
+async function recordOBEntry(fields, identity = {}, { station, session, amendment = {} } = {}) {
+  const {
+    obNumber, seal, caseId, caseNumber, amendments, struckOut, recordedBy, recordedAt,
+    amends, corrections, reason, ...entry
+  } = fields;
+  const now = new Date();
+
+  return await insertNumbered('ob', (allocation) => {
+    const doc = {
+      ...entry,
+      ...amendment,
+      station: allocation.station,
+      obNumber: allocation.number,
+      recordedBy: identity.actor || null,
+      recordedAt: now,
+      createdAt: now,
+      updatedAt: now
+    };
+    return { ...doc, seal: sealOBEntry(doc, identity) };
+  }, { station, session });
+}
+
 export const OBEntriesCRUD = {
-  async create(obData) {
+  async create(obData, identity = {}) {
     console.log('🔍 Creating OB entry in MongoDB with data:', obData);
     const db = getDatabase();
-    const docToInsert = {
-      ...obData,
-      createdAt: new Date(),
-      updatedAt: new Date()
-    };
-    console.log('📝 Document to insert:', docToInsert);
+    if (obData.type === AMENDMENT_TYPE) {
+      throw new OccurrenceBookError('Amendments are recorded against the entry they correct, not created directly');
+    }
 
-    const result = await db.collection('ob_entries').insertOne(docToInsert);
-    console.log('✅ Insert result:', { insertedId: result.insertedId, acknowledged: result.acknowledged });
+    const result = await recordOBEntry(obData, identity, { station: obData.station });
+    console.log('✅ Insert result:', { insertedId: result._id, obNumber: result.obNumber });
 
     // Return the actual document from database
-    const insertedDoc = await db.collection('ob_entries').findOne({ _id: result.insertedId });
+    const insertedDoc = await db.collection('ob_entries').findOne({ _id: result._id });
     console.log('📄 Retrieved inserted OB document:', insertedDoc);
 
     return insertedDoc;
@@ -147,6 +371,12 @@ export const OBEntriesCRUD = {
     return obEntries;
   },
 
+  async findPage(listQuery) {
+    console.log('🔍 Fetching page of ob entries from MongoDB:', listQuery.page ?? 'cursor', listQuery.sort);
+    const db = getDatabase();
+    return await paginateCollection(db.collection('ob_entries'), listQuery);
+  },
+
   async findByDateRange(startDate, endDate) {
     const db = getDatabase();
     return await db.collection('ob_entries').find({
@@ -154,19 +384,95 @@ export const OBEntriesCRUD = {
     }).toArray();
   },
 
-  async update(id, updateData) {
+  // Review status is the only thing that changes in place on an entry
+  async setStatus(id, status) {
     const db = getDatabase();
     const result = await db.collection('ob_entries').updateOne(
-      { _id: new ObjectId(id) },
-      { $set: { ...updateData, updatedAt: new Date() } }
+      { _id: new ObjectId(id), status: { $ne: STRUCK_OUT_STATUS } },
+      { $set: { status, updatedAt: new Date() } }
     );
-    return result.modifiedCount > 0;
+    return result.matchedCount > 0;
   },
 
-  async delete(id) {
+  // Records a correction to `original` as a new, sealed OB entry and links it from the
+  // original. `fields` is the amendment entry as the route built it.
+  // `corrections` and `reason` come from parseAmendment against this original
+  async amend(original, { corrections, reason }, fields, identity = {}) {
+    console.log('🔍 Recording amendment to OB entry', original.obNumber);
     const db = getDatabase();
-    const result = await db.collection('ob_entries').deleteOne({ _id: new ObjectId(id) });
-    return result.deletedCount > 0;
+    const linkage = {
+      type: AMENDMENT_TYPE,
+      amends: { obId: original._id.toString(), obNumber: original.obNumber },
+      corrections,
+      reason
+    };
+
+    return await inTransaction(async (session) => {
+      const amendment = await recordOBEntry(fields, identity, { station: original.station, session, amendment: linkage });
+      const linked = await db.collection('ob_entries').updateOne(
+        { _id: original._id, status: { $ne: STRUCK_OUT_STATUS } },
+        {
+          $push: { amendments: { obId: amendment._id.toString(), obNumber: amendment.obNumber, at: amendment.recordedAt } },
+          $set: { updatedAt: new Date() }
+        },
+        { session }
+      );
+      if (linked.matchedCount === 0) {
+        throw new OccurrenceBookError(`${original.obNumber} was struck out before the amendment was recorded`, 409);
+      }
+      console.log('✅ Amendment', amendment.obNumber, 'recorded against', original.obNumber);
+      return amendment;
+    });
+  },
+
+  // Everything recorded at a station in [from, to), struck-out entries included;
+  // registerRows puts them in OB number order
+  async findRegister({ station, from, to }) {
+    const db = getDatabase();
+    return await db.collection('ob_entries').find({
+      station,
+      createdAt: { $gte: from, $lt: to }
+    }).toArray();
+  },
+
+  async findStations() {
+    const db = getDatabase();
+    // An aggregation rather than distinct, which strict Stable API v1 does not allow
+    const stations = await db.collection('ob_entries').aggregate([
+      { $match: { station: { $nin: [null, ''] } } },
+      { $group: { _id: '$station' } },
+      { $sort: { _id: 1 } }
+    ]).toArray();
+    return stations.map(station => station._id);
+  },
+
+  async findAmendments(id) {
+    const db = getDatabase();
+    return await db.collection('ob_entries').find({ 'amends.obId': id }).sort({ recordedAt: 1 }).toArray();
+  },
+
+  // Replaces deletion: the entry stays in the book marked Struck Out with a signed reason
+  async strikeOut(entry, reason, identity = {}) {
+    console.log('🔍 Striking out OB entry', entry.obNumber);
+    const db = getDatabase();
+    const result = await db.collection('ob_entries').updateOne(
+      { _id: entry._id, status: { $ne: STRUCK_OUT_STATUS } },
+      {
+        $set: {
+          status: STRUCK_OUT_STATUS,
+          statusBeforeStrikeOut: entry.status || null,
+          struckOut: signStrikeOut(entry, reason, identity),
+          updatedAt: new Date()
+        }
+      }
+    );
+    return result.matchedCount > 0;
+  },
+
+  async ensureIndexes() {
+    const entries = getDatabase().collection('ob_entries');
+    await entries.createIndex({ station: 1, createdAt: 1 });
+    await entries.createIndex({ 'amends.obId': 1 });
   }
 };
 
@@ -221,6 +527,12 @@ export const LicensePlatesCRUD = {
     return mappedPlates;
   },
 
+  async findPage(listQuery) {
+    console.log('🔍 Fetching page of license plates from MongoDB:', listQuery.page ?? 'cursor', listQuery.sort);
+    const db = getDatabase();
+    return await paginateCollection(db.collection('license_plates'), listQuery);
+  },
+
   async findByStatus(status) {
     const db = getDatabase();
     return await db.collection('license_plates').find({ status }).toArray();
@@ -242,28 +554,108 @@ export const LicensePlatesCRUD = {
   }
 };
 
+// Appends a chained custody entry to an evidence item, retrying when another entry lands
+// first. buildInput(evidence) gives the custody input; check(evidence) throws when the
+// transition is not allowed; guard(evidence) is extra filter the document must still
+// match at write time; changes(evidence, entry) are applied in the same update.
+// Disposed items are locked and refuse new entries.
+async function appendCustodyEntry(id, buildInput, identity, { check, guard, changes, session } = {}) {
+  const db = getDatabase();
+
+  for (let attempt = 0; attempt < 5; attempt++) {
+    const evidence = await db.collection('evidence').findOne({ _id: new ObjectId(id) }, { session });
+    if (!evidence) return null;
+    assertEvidenceUnlocked(evidence);
+    check?.(evidence);
+
+    const entry = buildCustodyEntry(evidence._id, evidence.custodyLog, buildInput(evidence), identity);
+    const headFilter = evidence.custodyHead
+      ? { 'custodyHead.hash': evidence.custodyHead.hash }
+      : { custodyHead: { $exists: false } };
+    const { $set: extraSet, $push: extraPush, ...extraUpdate } = changes ? changes(evidence, entry) : {};
+
+    const result = await db.collection('evidence').updateOne(
+      { _id: evidence._id, ...headFilter, ...UNLOCKED_FILTER, ...(guard ? guard(evidence) : {}) },
+      {
+        ...extraUpdate,
+        $push: { ...extraPush, custodyLog: entry },
+        $set: { ...extraSet, custodyHead: { hash: entry.hash, sequence: entry.sequence }, updatedAt: new Date() }
+      },
+      { session }
+    );
+    console.log('📝 Custody entry add result:', { modifiedCount: result.modifiedCount, sequence: entry.sequence });
+
+    if (result.modifiedCount > 0) return entry;
+  }
+
+  throw new Error('Custody log is busy; could not append entry after several attempts');
+}
+
+// Cases linked to a set of evidence items, keyed by the caseId the items carry
+async function casesForEvidence(items, session) {
+  const caseIds = [...new Set(items.map(item => item.caseId).filter(id => id && ObjectId.isValid(id)))];
+  const cases = await getDatabase().collection('cases')
+    .find({ _id: { $in: caseIds.map(id => new ObjectId(id)) } }, { session })
+    .toArray();
+  return new Map(cases.map(caseDoc => [caseDoc._id.toString(), caseDoc]));
+}
+
+const disposalItem = (evidence, casesById) => ({
+  evidenceId: evidence._id.toString(),
+  evidenceNumber: evidence.evidenceNumber,
+  type: evidence.type,
+  description: evidence.description,
+  caseId: evidence.caseId || null,
+  caseNumber: casesById.get(evidence.caseId)?.caseNumber || null
+});
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEK_MS = 7 * DAY_MS;
+
+// Days since collection; the last bucket has no upper bound
+const EVIDENCE_AGEING_BUCKETS = [
+  { label: '0-30 days', minDays: 0, maxDays: 30 },
+  { label: '31-90 days', minDays: 31, maxDays: 90 },
+  { label: '91-180 days', minDays: 91, maxDays: 180 },
+  { label: '181-365 days', minDays: 181, maxDays: 365 },
+  { label: 'Over a year', minDays: 366, maxDays: null }
+];
+
+// Weekly counts from the first to the last week seen, with empty weeks as zero
+function fillWeeks(weeks) {
+  if (weeks.length === 0) return [];
+  const counts = new Map(weeks.map(week => [week._id.getTime(), week.count]));
+  const filled = [];
+  for (let time = weeks[0]._id.getTime(); time <= weeks[weeks.length - 1]._id.getTime(); time += WEEK_MS) {
+    filled.push({ weekStart: new Date(time), count: counts.get(time) || 0 });
+  }
+  return filled;
+}
+
 // Evidence CRUD
 export const EvidenceCRUD = {
-  async create(evidenceData) {
+  async create(evidenceData, identity = {}) {
     console.log('🔍 Creating evidence in MongoDB with data:', evidenceData);
     const db = getDatabase();
     
-    // Generate evidence number if not provided
-    const evidenceNumber = evidenceData.evidenceNumber || `EVD-${new Date().getFullYear()}-${Math.random().toString(36).substr(2, 8).toUpperCase()}`;
-    
-    // Initialize chain of custody log
-    const initialCustodyEntry = {
+    // The id is needed up front: it anchors the custody hash chain
+    const _id = new ObjectId();
+    const initialCustodyEntry = buildCustodyEntry(_id, [], {
       action: 'collected',
       officer: evidenceData.collectedBy || 'Unknown Officer',
-      timestamp: new Date(),
       notes: 'Initial evidence collection',
       location: evidenceData.location || 'Unknown Location'
-    };
+    }, identity);
     
+    // The evidence number is assigned by the counter when the document is inserted;
+    // disposal fields are only ever set by an approved disposal request
+    const { custodyLog, custodyHead, custodyStatus, checkout, evidenceNumber, disposal, disposalDate, disposalMethod, ...fields } = evidenceData;
     const docToInsert = {
-      ...evidenceData,
-      evidenceNumber,
+      ...fields,
+      _id,
       custodyLog: [initialCustodyEntry],
+      custodyHead: { hash: initialCustodyEntry.hash, sequence: initialCustodyEntry.sequence },
+      custodyStatus: 'in',
       media: evidenceData.media || [],
       tags: evidenceData.tags || [],
       priority: evidenceData.priority || 'Medium',
@@ -279,11 +671,11 @@ export const EvidenceCRUD = {
     
     console.log('📝 Evidence document to insert:', docToInsert);
     
-    const result = await db.collection('evidence').insertOne(docToInsert);
-    console.log('✅ Evidence insert result:', { insertedId: result.insertedId, acknowledged: result.acknowledged });
+    const result = await insertNumbered('evidence', () => docToInsert);
+    console.log('✅ Evidence insert result:', { insertedId: result._id, evidenceNumber: result.evidenceNumber });
     
     // Return the actual document from database
-    const insertedDoc = await db.collection('evidence').findOne({ _id: result.insertedId });
+    const insertedDoc = await db.collection('evidence').findOne({ _id: result._id });
     console.log('📄 Retrieved inserted evidence document:', insertedDoc);
     
     return insertedDoc;
@@ -303,6 +695,18 @@ export const EvidenceCRUD = {
     return await db.collection('evidence').findOne({ evidenceNumber });
   },
 
+  // A scanned label carries the evidence number; typed codes may also be an ID
+  async findByScanCode(code) {
+    const scanned = String(code || '').trim();
+    if (!scanned) return null;
+
+    const byNumber = await this.findByEvidenceNumber(scanned)
+      || await this.findByEvidenceNumber(scanned.toUpperCase());
+    if (byNumber) return byNumber;
+
+    return ObjectId.isValid(scanned) ? await this.findById(scanned) : null;
+  },
+
   async findByCaseId(caseId) {
     console.log('🔍 Finding evidence by case ID:', caseId);
     const db = getDatabase();
@@ -323,6 +727,12 @@ export const EvidenceCRUD = {
     return evidence;
   },
 
+  async findPage(listQuery) {
+    console.log('🔍 Fetching page of evidence from MongoDB:', listQuery.page ?? 'cursor', listQuery.sort);
+    const db = getDatabase();
+    return await paginateCollection(db.collection('evidence'), listQuery);
+  },
+
   async findByStatus(status) {
     console.log('🔍 Finding evidence by status:', status);
     const db = getDatabase();
@@ -335,29 +745,131 @@ export const EvidenceCRUD = {
     return await db.collection('evidence').find({ type }).toArray();
   },
 
-  async addCustodyEntry(id, custodyEntry) {
-    console.log('🔍 Adding custody entry to evidence:', id, custodyEntry);
-    const db = getDatabase();
-    const result = await db.collection('evidence').updateOne(
-      { _id: new ObjectId(id) },
-      { 
-        $push: { custodyLog: { ...custodyEntry, timestamp: new Date() } },
-        $set: { updatedAt: new Date() }
+  // Appends a hash-chained custody entry. The update only applies if the chain head is
+  // still the one the entry was built on, so concurrent writers cannot fork the chain.
+  async addCustodyEntry(id, custodyInput, identity = {}) {
+    console.log('🔍 Adding custody entry to evidence:', id, custodyInput);
+    return await appendCustodyEntry(id, () => custodyInput, identity);
+  },
+
+  // Books an item out of the evidence room; `checkout` comes from parseCheckoutRequest.
+  // Throws CheckoutError if the item is already out or no longer held.
+  async checkOut(id, checkout, identity = {}) {
+    console.log('🔍 Checking out evidence:', id, 'to', checkout.checkedOutTo.name);
+    let fromLocation = null;
+
+    return await appendCustodyEntry(id, (evidence) => {
+      fromLocation = evidence.storageLocation || evidence.evidenceRoom || null;
+      return {
+        action: 'Checked Out',
+        officer: checkout.checkedOutTo.name,
+        notes: checkout.notes,
+        location: checkout.destination || fromLocation || '',
+        details: {
+          type: 'checkout',
+          checkoutId: checkout.checkoutId,
+          checkedOutTo: checkout.checkedOutTo,
+          purpose: checkout.purpose,
+          destination: checkout.destination,
+          expectedReturnAt: checkout.expectedReturnAt,
+          fromLocation
+        }
+      };
+    }, identity, {
+      check: (evidence) => {
+        if (evidence.custodyStatus === 'checked_out') {
+          throw new CheckoutError(`${evidence.evidenceNumber} is already checked out to ${evidence.checkout?.checkedOutTo?.name}`, 409);
+        }
+        if (UNAVAILABLE_STATUSES.includes(evidence.status)) {
+          throw new CheckoutError(`${evidence.evidenceNumber} is ${evidence.status} and cannot be checked out`, 409);
+        }
+      },
+      guard: () => ({ custodyStatus: { $ne: 'checked_out' }, status: { $nin: UNAVAILABLE_STATUSES } }),
+      changes: (evidence, entry) => ({
+        $set: {
+          custodyStatus: 'checked_out',
+          checkout: {
+            ...checkout,
+            fromLocation,
+            checkedOutAt: entry.timestamp,
+            checkedOutBy: identity.actor || null,
+            custodySequence: entry.sequence
+          }
+        }
+      })
+    });
+  },
+
+  // Returns a checked-out item to the evidence room; `returned` comes from parseReturnRequest
+  async checkIn(id, returned, identity = {}) {
+    console.log('🔍 Returning evidence:', id);
+
+    return await appendCustodyEntry(id, (evidence) => {
+      const { checkout } = evidence;
+      const now = new Date();
+      return {
+        action: 'Returned',
+        officer: returned.returnedBy || checkout.checkedOutTo.name,
+        notes: returned.notes,
+        location: returned.storageLocation || checkout.fromLocation || '',
+        details: {
+          type: 'return',
+          checkoutId: checkout.checkoutId,
+          checkedOutTo: checkout.checkedOutTo,
+          purpose: checkout.purpose,
+          checkedOutAt: checkout.checkedOutAt,
+          expectedReturnAt: checkout.expectedReturnAt,
+          overdue: isOverdue(checkout, now),
+          daysOverdue: daysOverdue(checkout, now),
+          condition: returned.condition,
+          sealIntact: returned.sealIntact
+        }
+      };
+    }, identity, {
+      check: (evidence) => {
+        if (evidence.custodyStatus !== 'checked_out' || !evidence.checkout) {
+          throw new CheckoutError(`${evidence.evidenceNumber} is not checked out`, 409);
+        }
+      },
+      guard: (evidence) => ({ custodyStatus: 'checked_out', 'checkout.checkoutId': evidence.checkout.checkoutId }),
+      changes: (evidence) => {
+        const $set = { custodyStatus: 'in', lastReturnedAt: new Date() };
+        if (returned.storageLocation) $set.storageLocation = returned.storageLocation;
+        if (returned.condition) $set.condition = returned.condition;
+        return { $set, $unset: { checkout: '' } };
       }
-    );
-    console.log('📝 Custody entry add result:', { modifiedCount: result.modifiedCount });
-    return result.modifiedCount > 0;
+    });
+  },
+
+  // Items currently out of the evidence room, soonest due first
+  async findCheckedOut({ overdueOnly = false, now = new Date() } = {}) {
+    console.log('🔍 Finding checked-out evidence', overdueOnly ? '(overdue only)' : '');
+    const db = getDatabase();
+    return await db.collection('evidence')
+      .find(overdueOnly ? overdueFilter(now) : { custodyStatus: 'checked_out' })
+      .sort({ 'checkout.expectedReturnAt': 1 })
+      .toArray();
   },
 
   async update(id, updateData) {
     console.log('🔍 Updating evidence:', id, 'with data:', updateData);
     const db = getDatabase();
+
+    const existing = await db.collection('evidence').findOne({ _id: new ObjectId(id) });
+    if (!existing) return false;
+    assertEvidenceUnlocked(existing);
     
-    // Remove fields that shouldn't be directly updated
-    const { custodyLog, evidenceNumber, createdAt, ...safeUpdateData } = updateData;
+    // Remove fields that shouldn't be directly updated; the custody log is append-only,
+    // checkout state only changes through checkOut/checkIn, disposal through dispose and
+    // media through attachMedia/addMedia
+    const { custodyLog, custodyHead, custodyStatus, checkout, disposal, disposalDate, disposalMethod, media, evidenceNumber, createdAt, _id, ...rest } = updateData;
+    const safeUpdateData = Object.fromEntries(
+      Object.entries(rest).filter(([key]) => !['custodyLog', 'custodyHead', 'media'].some(prefix => key.startsWith(prefix)))
+    );
+    if (safeUpdateData.status === 'Disposed') delete safeUpdateData.status;
     
     const result = await db.collection('evidence').updateOne(
-      { _id: new ObjectId(id) },
+      { _id: new ObjectId(id), ...UNLOCKED_FILTER },
       { $set: { ...safeUpdateData, updatedAt: new Date() } }
     );
     console.log('📝 Evidence update result:', { modifiedCount: result.modifiedCount });
@@ -367,8 +879,9 @@ export const EvidenceCRUD = {
   async addMedia(id, mediaFile) {
     console.log('🔍 Adding media to evidence:', id, mediaFile);
     const db = getDatabase();
+    assertEvidenceUnlocked(await db.collection('evidence').findOne({ _id: new ObjectId(id) }));
     const result = await db.collection('evidence').updateOne(
-      { _id: new ObjectId(id) },
+      { _id: new ObjectId(id), ...UNLOCKED_FILTER },
       { 
         $push: { media: { ...mediaFile, uploadedAt: new Date() } },
         $set: { updatedAt: new Date() }
@@ -377,39 +890,513 @@ export const EvidenceCRUD = {
     return result.modifiedCount > 0;
   },
 
+  // Appends uploaded files to `media` together with a 'Media Attached' custody entry that
+  // carries their hashes, in one update, so a file is never attached without its record
+  async attachMedia(id, mediaFiles, identity = {}) {
+    console.log('🔍 Attaching', mediaFiles.length, 'media file(s) to evidence:', id);
+
+    return await appendCustodyEntry(id, () => ({
+      action: 'Media Attached',
+      officer: identity.actor?.name || identity.actor?.username,
+      notes: mediaFiles.map(file => file.name).join(', '),
+      details: {
+        type: 'media',
+        files: mediaFiles.map(file => ({ name: file.name, filename: file.filename, size: file.size, sha256: file.sha256 }))
+      }
+    }), identity, {
+      changes: () => ({ $push: { media: { $each: mediaFiles } } })
+    });
+  },
+
+  // Records the geofile made from a media file's GPS position; false if the file already
+  // has one, is gone, or the item is locked
+  async linkMediaGeofile(id, filename, geofileId) {
+    const db = getDatabase();
+    const result = await db.collection('evidence').updateOne(
+      { _id: new ObjectId(id), ...UNLOCKED_FILTER, media: { $elemMatch: { filename, geofileId: { $exists: false } } } },
+      { $set: { 'media.$.geofileId': geofileId, updatedAt: new Date() } }
+    );
+    return result.modifiedCount > 0;
+  },
+
+  // Download counter on one media file; deliberately outside the custody log and audit trail
+  async countMediaDownload(id, filename) {
+    const db = getDatabase();
+    await db.collection('evidence').updateOne(
+      { _id: new ObjectId(id) },
+      { $inc: { 'media.$[file].downloadCount': 1 }, $set: { 'media.$[file].lastDownloadedAt': new Date() } },
+      { arrayFilters: [{ 'file.filename': filename }] }
+    );
+  },
+
   async delete(id) {
     console.log('🔍 Deleting evidence:', id);
     const db = getDatabase();
-    const result = await db.collection('evidence').deleteOne({ _id: new ObjectId(id) });
+    // A disposed item's record is what the disposal certificate refers to; keep it
+    assertEvidenceUnlocked(await db.collection('evidence').findOne({ _id: new ObjectId(id) }));
+    const result = await db.collection('evidence').deleteOne({ _id: new ObjectId(id), ...UNLOCKED_FILTER });
     console.log('📝 Evidence delete result:', { deletedCount: result.deletedCount });
     return result.deletedCount > 0;
   },
 
-  async getEvidenceStats() {
-    console.log('🔍 Getting evidence statistics');
+  // Carries out an approved disposal request: every item gets a 'Disposed' custody entry,
+  // is marked Disposed and locked, and the request is marked Approved, all in one
+  // transaction so a blocked item leaves nothing half-disposed.
+  async dispose(request, approval, identity = {}) {
+    console.log('🔍 Disposing evidence under', request.disposalNumber, ':', request.evidenceIds.length, 'item(s)');
     const db = getDatabase();
-    const stats = await db.collection('evidence').aggregate([
-      {
-        $group: {
-          _id: null,
-          total: { $sum: 1 },
-          byStatus: {
-            $push: {
-              status: '$status',
-              count: 1
+
+    return await inTransaction(async (session) => {
+      const items = await db.collection('evidence')
+        .find({ _id: { $in: request.evidenceIds.map(id => new ObjectId(id)) } }, { session })
+        .toArray();
+      if (items.length !== request.evidenceIds.length) {
+        throw new DisposalError('Some items on this request no longer exist', 409);
+      }
+      const casesById = await casesForEvidence(items, session);
+      assertDisposable(items, casesById);
+
+      const lockedAt = new Date();
+      const disposedItems = [];
+      for (const item of items) {
+        const entry = await appendCustodyEntry(item._id, () => ({
+          action: 'Disposed',
+          officer: identity.actor?.name || identity.actor?.username,
+          notes: approval.notes || request.reason,
+          location: item.storageLocation || item.evidenceRoom || '',
+          details: {
+            type: 'disposal',
+            disposalId: request._id.toString(),
+            disposalNumber: request.disposalNumber,
+            method: request.method,
+            witnesses: approval.witnesses,
+            disposedAt: approval.disposedAt
+          }
+        }), identity, {
+          session,
+          guard: () => ({ status: { $ne: 'Disposed' }, custodyStatus: { $ne: 'checked_out' } }),
+          changes: () => ({
+            $set: {
+              status: 'Disposed',
+              disposalDate: approval.disposedAt,
+              disposalMethod: request.method,
+              disposal: {
+                disposalId: request._id.toString(),
+                disposalNumber: request.disposalNumber,
+                approvedBy: identity.actor || null,
+                lockedAt
+              }
             }
-          },
-          byType: {
-            $push: {
-              type: '$type',
-              count: 1
+          })
+        });
+        disposedItems.push({ ...disposalItem(item, casesById), custodySequence: entry.sequence });
+      }
+
+      const result = await db.collection('disposal_requests').updateOne(
+        { _id: request._id, status: 'Pending' },
+        {
+          $set: {
+            status: 'Approved',
+            items: disposedItems,
+            witnesses: approval.witnesses,
+            disposedAt: approval.disposedAt,
+            approvalNotes: approval.notes,
+            approvedBy: identity.actor || null,
+            approvedAt: lockedAt,
+            updatedAt: lockedAt
+          }
+        },
+        { session }
+      );
+      if (result.modifiedCount === 0) {
+        throw new DisposalError(`${request.disposalNumber} is no longer pending`, 409);
+      }
+      return disposedItems;
+    });
+  },
+
+  // Closes an inventory audit: items it expected but did not find are marked Missing with
+  // a custody entry (when completion.markMissing), then the audit is completed and signed.
+  // Items that left the room, were checked out or were locked since are left alone.
+  async reportMissing(audit, completion, identity = {}) {
+    console.log('🔍 Completing inventory audit', audit.auditNumber, completion.markMissing ? '(marking missing items)' : '');
+    const db = getDatabase();
+
+    return await inTransaction(async (session) => {
+      const findings = reconcileInventory(audit);
+      const markedMissing = [];
+
+      if (completion.markMissing && findings.missing.length > 0) {
+        const current = await db.collection('evidence')
+          .find({ _id: { $in: findings.missing.map(item => new ObjectId(item.evidenceId)) } }, { session })
+          .toArray();
+        const stillHeld = current.filter(item =>
+          !NOT_HELD_STATUSES.includes(item.status) && item.custodyStatus !== 'checked_out' && !item.disposal?.lockedAt);
+
+        for (const item of stillHeld) {
+          const entry = await appendCustodyEntry(item._id, () => ({
+            action: 'Reported Missing',
+            officer: identity.actor?.name || identity.actor?.username,
+            notes: `Not found during inventory audit ${audit.auditNumber}`,
+            location: [item.evidenceRoom, item.storageLocation].filter(Boolean).join(', '),
+            details: {
+              type: 'inventory',
+              auditId: audit._id.toString(),
+              auditNumber: audit.auditNumber,
+              previousStatus: item.status
             }
+          }), identity, {
+            session,
+            guard: () => ({ status: { $nin: NOT_HELD_STATUSES }, custodyStatus: { $ne: 'checked_out' } }),
+            changes: () => ({ $set: { status: 'Missing' } })
+          });
+          markedMissing.push({ evidenceId: item._id.toString(), evidenceNumber: item.evidenceNumber, custodySequence: entry.sequence });
+        }
+      }
+
+      const completedAt = new Date();
+      const completed = {
+        ...audit,
+        status: 'Completed',
+        findings,
+        markedMissing,
+        completedBy: identity.actor || null,
+        completedAt,
+        completionNotes: completion.notes
+      };
+      const signature = signInventoryReport(completed, identity);
+
+      const result = await db.collection('inventory_audits').updateOne(
+        { _id: audit._id, status: 'Open', updatedAt: audit.updatedAt },
+        {
+          $set: {
+            status: 'Completed',
+            findings,
+            markedMissing,
+            completedBy: completed.completedBy,
+            completedAt,
+            completionNotes: completion.notes,
+            signature,
+            updatedAt: completedAt
+          }
+        },
+        { session }
+      );
+      if (result.modifiedCount === 0) {
+        throw new InventoryError(`${audit.auditNumber} changed while it was being completed; reload it and try again`, 409);
+      }
+      return markedMissing;
+    });
+  },
+
+  // Grouped counts, items collected per ISO week and the age of items still held.
+  // collectedAt arrives from the form as a date string, so it is read as a date here and
+  // falls back to createdAt when missing or unreadable; the date range applies to it.
+  async getEvidenceStats({ caseId, from, to } = {}, now = new Date()) {
+    console.log('🔍 Getting evidence statistics', { caseId, from, to });
+    const db = getDatabase();
+
+    const range = {};
+    if (from) range.$gte = from;
+    if (to) range.$lte = to;
+
+    const countBy = (field) => [
+      { $group: { _id: { $ifNull: [field, 'Unspecified'] }, count: { $sum: 1 } } },
+      { $sort: { count: -1, _id: 1 } },
+      { $project: { _id: 0, value: '$_id', count: 1 } }
+    ];
+
+    const [stats] = await db.collection('evidence').aggregate([
+      ...(caseId ? [{ $match: { caseId: ObjectId.isValid(caseId) ? { $in: [caseId, new ObjectId(caseId)] } : caseId } }] : []),
+      {
+        $addFields: {
+          collectedDate: {
+            $ifNull: [{ $convert: { input: '$collectedAt', to: 'date', onError: null, onNull: null } }, '$createdAt']
           }
         }
+      },
+      ...(from || to ? [{ $match: { collectedDate: range } }] : []),
+      {
+        $facet: {
+          total: [{ $count: 'count' }],
+          byStatus: countBy('$status'),
+          byType: countBy('$type'),
+          byCondition: countBy('$condition'),
+          byEvidenceRoom: countBy('$evidenceRoom'),
+          byPriority: countBy('$priority'),
+          collectedPerWeek: [
+            { $match: { collectedDate: { $type: 'date' } } },
+            {
+              $group: {
+                _id: {
+                  $dateFromParts: {
+                    isoWeekYear: { $isoWeekYear: '$collectedDate' },
+                    isoWeek: { $isoWeek: '$collectedDate' },
+                    isoDayOfWeek: 1
+                  }
+                },
+                count: { $sum: 1 }
+              }
+            },
+            { $sort: { _id: 1 } }
+          ],
+          ageing: [
+            { $match: { status: { $nin: NOT_HELD_STATUSES }, collectedDate: { $type: 'date' } } },
+            {
+              $bucket: {
+                // Dates in the future (typos, clock skew) count as collected today
+                groupBy: { $max: [0, { $floor: { $divide: [{ $subtract: [now, '$collectedDate'] }, DAY_MS] } }] },
+                boundaries: EVIDENCE_AGEING_BUCKETS.map(bucket => bucket.minDays),
+                default: 'older',
+                output: { count: { $sum: 1 } }
+              }
+            }
+          ]
+        }
       }
     ]).toArray();
-    
-    return stats[0] || { total: 0, byStatus: [], byType: [] };
+
+    const ageingCounts = new Map(stats.ageing.map(bucket => [bucket._id, bucket.count]));
+    const lastBucket = EVIDENCE_AGEING_BUCKETS.length - 1;
+    return {
+      total: stats.total[0]?.count || 0,
+      byStatus: stats.byStatus,
+      byType: stats.byType,
+      byCondition: stats.byCondition,
+      byEvidenceRoom: stats.byEvidenceRoom,
+      byPriority: stats.byPriority,
+      collectedPerWeek: fillWeeks(stats.collectedPerWeek),
+      ageing: EVIDENCE_AGEING_BUCKETS.map((bucket, index) => ({
+        ...bucket,
+        count: ageingCounts.get(index === lastBucket ? 'older' : bucket.minDays) || 0
+      })),
+      generatedAt: now
+    };
+  }
+};
+
+// Disposal Requests CRUD. A request names the items, method and reason; a supervisor
+// approves it (EvidenceCRUD.dispose does the work) or rejects it.
+export const DisposalRequestsCRUD = {
+  async create(request, identity = {}) {
+    console.log('🔍 Creating disposal request for', request.evidenceIds.length, 'item(s)');
+    const db = getDatabase();
+
+    const invalid = request.evidenceIds.filter(id => !ObjectId.isValid(id));
+    if (invalid.length > 0) {
+      throw new DisposalError(`Invalid evidence ID(s): ${invalid.join(', ')}`);
+    }
+    const items = await db.collection('evidence')
+      .find({ _id: { $in: request.evidenceIds.map(id => new ObjectId(id)) } })
+      .toArray();
+    if (items.length !== request.evidenceIds.length) {
+      const found = new Set(items.map(item => item._id.toString()));
+      throw new DisposalError(`Evidence not found: ${request.evidenceIds.filter(id => !found.has(id)).join(', ')}`, 404);
+    }
+
+    const casesById = await casesForEvidence(items);
+    assertDisposable(items, casesById);
+
+    const pending = await db.collection('disposal_requests')
+      .find({ status: 'Pending', evidenceIds: { $in: request.evidenceIds } })
+      .toArray();
+    if (pending.length > 0) {
+      throw new DisposalError(`Items are already on pending request(s): ${pending.map(p => p.disposalNumber).join(', ')}`, 409);
+    }
+
+    const now = new Date();
+    const result = await insertNumbered('disposal', () => ({
+      ...request,
+      status: 'Pending',
+      items: items.map(item => disposalItem(item, casesById)),
+      requestedBy: identity.actor || null,
+      createdAt: now,
+      updatedAt: now
+    }));
+    console.log('✅ Disposal request created:', result.disposalNumber);
+    return result;
+  },
+
+  async findById(id) {
+    const db = getDatabase();
+    return await db.collection('disposal_requests').findOne({ _id: new ObjectId(id) });
+  },
+
+  async findAll({ status } = {}) {
+    console.log('🔍 Fetching disposal requests', status || '');
+    const db = getDatabase();
+    return await db.collection('disposal_requests')
+      .find(status ? { status } : {})
+      .sort({ createdAt: -1 })
+      .toArray();
+  },
+
+  // `approval` comes from parseApproval. The requesting officer cannot approve their own request.
+  async approve(id, approval, identity = {}) {
+    console.log('🔍 Approving disposal request:', id);
+    const request = await this.findById(id);
+    if (!request) return null;
+    if (request.status !== 'Pending') {
+      throw new DisposalError(`${request.disposalNumber} is ${request.status}, not Pending`, 409);
+    }
+    if (request.requestedBy?.userId && request.requestedBy.userId === identity.actor?.userId) {
+      throw new DisposalError('A disposal request must be approved by someone other than the officer who raised it', 403);
+    }
+
+    await EvidenceCRUD.dispose(request, approval, identity);
+    return await this.findById(id);
+  },
+
+  async reject(id, reason, identity = {}) {
+    console.log('🔍 Rejecting disposal request:', id);
+    const db = getDatabase();
+    const request = await this.findById(id);
+    if (!request) return null;
+
+    const result = await db.collection('disposal_requests').updateOne(
+      { _id: request._id, status: 'Pending' },
+      {
+        $set: {
+          status: 'Rejected',
+          rejectionReason: reason,
+          rejectedBy: identity.actor || null,
+          rejectedAt: new Date(),
+          updatedAt: new Date()
+        }
+      }
+    );
+    if (result.modifiedCount === 0) {
+      throw new DisposalError(`${request.disposalNumber} is ${request.status}, not Pending`, 409);
+    }
+    return await this.findById(id);
+  }
+};
+
+// Inventory Audits CRUD. An audit snapshots the items expected in a room or on a shelf,
+// records each one found, and is completed (EvidenceCRUD.reportMissing) or cancelled.
+export const InventoryAuditsCRUD = {
+  async create(request, identity = {}) {
+    console.log('🔍 Opening inventory audit for', request.evidenceRoom, request.storageLocation || '(whole room)');
+    const db = getDatabase();
+
+    const open = await db.collection('inventory_audits').findOne({
+      status: 'Open',
+      evidenceRoom: inventoryScope(request).evidenceRoom
+    });
+    if (open) {
+      throw new InventoryError(`${open.auditNumber} is already open for ${open.evidenceRoom}; complete or cancel it first`, 409);
+    }
+
+    const expected = await db.collection('evidence')
+      .find(inventoryScope(request))
+      .sort({ storageLocation: 1, evidenceNumber: 1 })
+      .toArray();
+
+    const now = new Date();
+    const result = await insertNumbered('inventory', () => ({
+      ...request,
+      status: 'Open',
+      expected: expected.map(inventoryItem),
+      found: [],
+      openedBy: identity.actor || null,
+      createdAt: now,
+      updatedAt: now
+    }));
+    console.log('✅ Inventory audit opened:', result.auditNumber, 'expecting', expected.length, 'item(s)');
+    return result;
+  },
+
+  async findById(id) {
+    const db = getDatabase();
+    return await db.collection('inventory_audits').findOne({ _id: new ObjectId(id) });
+  },
+
+  async findAll({ status } = {}) {
+    console.log('🔍 Fetching inventory audits', status || '');
+    const db = getDatabase();
+    return await db.collection('inventory_audits')
+      .find(status ? { status } : {}, { projection: { expected: 0, found: 0 } })
+      .sort({ createdAt: -1 })
+      .toArray();
+  },
+
+  // Ticks an evidence item off as found; `foundLocation` is the shelf it was found on
+  async recordFound(id, evidence, { foundLocation, method }, identity = {}) {
+    const db = getDatabase();
+    const audit = await this.findById(id);
+    if (!audit) return null;
+    if (audit.status !== 'Open') {
+      throw new InventoryError(`${audit.auditNumber} is ${audit.status}`, 409);
+    }
+
+    const evidenceId = evidence._id.toString();
+    const entry = {
+      ...inventoryItem(evidence),
+      expected: audit.expected.some(item => item.evidenceId === evidenceId),
+      foundLocation: foundLocation || null,
+      method,
+      foundBy: identity.actor || null,
+      foundAt: new Date()
+    };
+    const result = await db.collection('inventory_audits').updateOne(
+      { _id: audit._id, status: 'Open', 'found.evidenceId': { $ne: evidenceId } },
+      { $push: { found: entry }, $set: { updatedAt: new Date() } }
+    );
+    if (result.modifiedCount === 0) {
+      throw new InventoryError(`${evidence.evidenceNumber} is already ticked off on ${audit.auditNumber}`, 409);
+    }
+    return await this.findById(id);
+  },
+
+  async removeFound(id, evidenceId) {
+    const db = getDatabase();
+    const audit = await this.findById(id);
+    if (!audit) return null;
+    if (audit.status !== 'Open') {
+      throw new InventoryError(`${audit.auditNumber} is ${audit.status}`, 409);
+    }
+    await db.collection('inventory_audits').updateOne(
+      { _id: audit._id, status: 'Open' },
+      { $pull: { found: { evidenceId } }, $set: { updatedAt: new Date() } }
+    );
+    return await this.findById(id);
+  },
+
+  // `completion` is { markMissing, notes }
+  async complete(id, completion, identity = {}) {
+    console.log('🔍 Completing inventory audit:', id);
+    const audit = await this.findById(id);
+    if (!audit) return null;
+    if (audit.status !== 'Open') {
+      throw new InventoryError(`${audit.auditNumber} is ${audit.status}, not Open`, 409);
+    }
+
+    await EvidenceCRUD.reportMissing(audit, completion, identity);
+    return await this.findById(id);
+  },
+
+  async cancel(id, reason, identity = {}) {
+    console.log('🔍 Cancelling inventory audit:', id);
+    const db = getDatabase();
+    const audit = await this.findById(id);
+    if (!audit) return null;
+
+    const result = await db.collection('inventory_audits').updateOne(
+      { _id: audit._id, status: 'Open' },
+      {
+        $set: {
+          status: 'Cancelled',
+          cancellationReason: reason,
+          cancelledBy: identity.actor || null,
+          cancelledAt: new Date(),
+          updatedAt: new Date()
+        }
+      }
+    );
+    if (result.modifiedCount === 0) {
+      throw new InventoryError(`${audit.auditNumber} is ${audit.status}, not Open`, 409);
+    }
+    return await this.findById(id);
   }
 };
 
@@ -440,6 +1427,12 @@ export const PoliceVehiclesCRUD = {
     return await db.collection('police_vehicles').find({}).toArray();
   },
 
+  async findPage(listQuery) {
+    console.log('🔍 Fetching page of police vehicles from MongoDB:', listQuery.page ?? 'cursor', listQuery.sort);
+    const db = getDatabase();
+    return await paginateCollection(db.collection('police_vehicles'), listQuery);
+  },
+
   async findByStatus(status) {
     const db = getDatabase();
     return await db.collection('police_vehicles').find({ status }).toArray();
@@ -506,6 +1499,12 @@ export const ProfilesCRUD = {
     return profiles;
   },
 
+  async findPage(listQuery) {
+    console.log('🔍 Fetching page of profiles from MongoDB:', listQuery.page ?? 'cursor', listQuery.sort);
+    const db = getDatabase();
+    return await paginateCollection(db.collection('profiles'), listQuery);
+  },
+
   async update(id, updateData) {
     console.log('🔍 Updating profile:', id, 'with data:', updateData);
     const db = getDatabase();
@@ -575,6 +1574,12 @@ export const OfficersCRUD = {
     return officers;
   },
 
+  async findPage(listQuery) {
+    console.log('🔍 Fetching page of officers from MongoDB:', listQuery.page ?? 'cursor', listQuery.sort);
+    const db = getDatabase();
+    return await paginateCollection(db.collection('officers'), listQuery);
+  },
+
   async update(id, updateData) {
     console.log('🔍 Updating officer:', id, 'with data:', updateData);
     const db = getDatabase();
@@ -599,12 +1604,10 @@ export const ReportsCRUD = {
     console.log('🔍 Creating report in MongoDB with data:', reportData);
     const db = getDatabase();
     
-    // Generate report number if not provided
-    const reportNumber = reportData.reportNumber || `RPT-${new Date().getFullYear()}-${Math.random().toString(36).substr(2, 8).toUpperCase()}`;
-    
+    // The report number is assigned by the counter when the document is inserted
+    const { reportNumber, ...fields } = reportData;
     const docToInsert = {
-      ...reportData,
-      reportNumber,
+      ...fields,
       status: reportData.status || 'Pending',
       priority: reportData.priority || 'Medium',
       createdAt: new Date(),
@@ -613,11 +1616,11 @@ export const ReportsCRUD = {
     
     console.log('📝 Report document to insert:', docToInsert);
     
-    const result = await db.collection('reports').insertOne(docToInsert);
-    console.log('✅ Report insert result:', { insertedId: result.insertedId, acknowledged: result.acknowledged });
+    const result = await insertNumbered('report', () => docToInsert);
+    console.log('✅ Report insert result:', { insertedId: result._id, reportNumber: result.reportNumber });
     
     // Return the actual document from database
-    const insertedDoc = await db.collection('reports').findOne({ _id: result.insertedId });
+    const insertedDoc = await db.collection('reports').findOne({ _id: result._id });
     console.log('📄 Retrieved inserted report document:', insertedDoc);
     
     return insertedDoc;
@@ -657,6 +1660,12 @@ export const ReportsCRUD = {
     return reports;
   },
 
+  async findPage(listQuery) {
+    console.log('🔍 Fetching page of reports from MongoDB:', listQuery.page ?? 'cursor', listQuery.sort);
+    const db = getDatabase();
+    return await paginateCollection(db.collection('reports'), listQuery);
+  },
+
   async findByStatus(status) {
     console.log('🔍 Finding reports by status:', status);
     const db = getDatabase();
@@ -732,14 +1741,22 @@ export const ReportsCRUD = {
   }
 };
 
+const toClientGeofile = (geofile) => ({
+  ...geofile,
+  id: geofile._id.toString(),
+  tags: Array.isArray(geofile.tags) ? geofile.tags : JSON.parse(geofile.tags || '[]'),
+  metadata: typeof geofile.metadata === 'object' ? geofile.metadata : JSON.parse(geofile.metadata || '{}')
+});
+
 // Geofiles CRUD
 export const GeofilesCRUD = {
   async create(geofileData) {
     console.log('🔍 Creating geofile in MongoDB with data:', geofileData);
     const db = getDatabase();
     
+    const { footprint, ...fields } = geofileData;
     const docToInsert = {
-      ...geofileData,
+      ...fields,
       downloadCount: geofileData.downloadCount || 0,
       lastAccessedAt: geofileData.lastAccessedAt || new Date(),
       isPublic: geofileData.isPublic || false,
@@ -749,6 +1766,10 @@ export const GeofilesCRUD = {
       createdAt: new Date(),
       updatedAt: new Date()
     };
+
+    // GeoJSON shape for the 2dsphere index; files without coordinates stay out of spatial search
+    const geometry = geofileFootprint(geofileData);
+    if (geometry) docToInsert.footprint = geometry;
     
     console.log('📝 Geofile document to insert:', docToInsert);
     
@@ -826,6 +1847,96 @@ export const GeofilesCRUD = {
     return transformedGeofiles;
   },
 
+  async findPage(listQuery) {
+    console.log('🔍 Fetching page of geofiles from MongoDB:', listQuery.page ?? 'cursor', listQuery.sort);
+    const db = getDatabase();
+    const { items, pagination } = await paginateCollection(db.collection('geofiles'), listQuery);
+    return { items: items.map(toClientGeofile), pagination };
+  },
+
+  // Files whose footprint comes within `radius` metres of a point, nearest first.
+  // listQuery supplies the usual list filters plus page/limit (no cursors: order is by distance).
+  async findNear(point, radius, listQuery) {
+    console.log('🔍 Finding geofiles near', point.coordinates, 'within', radius, 'm');
+    const db = getDatabase();
+    const { page, limit } = listQuery;
+
+    const [result] = await db.collection('geofiles').aggregate([
+      {
+        $geoNear: {
+          near: point,
+          key: 'footprint',
+          distanceField: 'distance',
+          maxDistance: radius,
+          spherical: true,
+          query: listQuery.filter
+        }
+      },
+      {
+        $facet: {
+          items: [{ $skip: (page - 1) * limit }, { $limit: limit }],
+          total: [{ $count: 'count' }]
+        }
+      }
+    ]).toArray();
+
+    const total = result.total[0]?.count || 0;
+    return {
+      items: result.items.map(geofile => ({ ...toClientGeofile(geofile), distance: Math.round(geofile.distance) })),
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.max(1, Math.ceil(total / limit)),
+        hasNextPage: page * limit < total,
+        hasPrevPage: page > 1,
+        nextCursor: null
+      }
+    };
+  },
+
+  // Files lying entirely inside a polygon
+  async findWithin(polygon, listQuery) {
+    console.log('🔍 Finding geofiles within polygon');
+    const db = getDatabase();
+    const { items, pagination } = await paginateCollection(db.collection('geofiles'), listQuery, {
+      footprint: { $geoWithin: { $geometry: polygon } }
+    });
+    return { items: items.map(toClientGeofile), pagination };
+  },
+
+  // Files touching an area at all: inside it, overlapping it or containing it
+  async findIntersecting(geometry, listQuery) {
+    console.log('🔍 Finding geofiles intersecting area');
+    const db = getDatabase();
+    const { items, pagination } = await paginateCollection(db.collection('geofiles'), listQuery, {
+      footprint: { $geoIntersects: { $geometry: geometry } }
+    });
+    return { items: items.map(toClientGeofile), pagination };
+  },
+
+  // 2dsphere index on footprint, plus footprints for files stored before it existed
+  async ensureSpatialIndex() {
+    const db = getDatabase();
+    await db.collection('geofiles').createIndex({ footprint: '2dsphere' });
+
+    const missing = await db.collection('geofiles')
+      .find({ footprint: { $exists: false }, $or: [{ boundingBox: { $nin: [null, ''] } }, { coordinates: { $nin: [null, ''] } }] })
+      .project({ boundingBox: 1, coordinates: 1 })
+      .toArray();
+
+    let added = 0;
+    for (const geofile of missing) {
+      const geometry = geofileFootprint(geofile);
+      if (!geometry) continue;
+      await db.collection('geofiles').updateOne({ _id: geofile._id }, { $set: { footprint: geometry } });
+      added++;
+    }
+    if (added > 0) {
+      console.log('🗺️ Added spatial footprints to', added, 'geofiles');
+    }
+  },
+
   async findByType(fileType) {
     console.log('🔍 Finding geofiles by type:', fileType);
     const db = getDatabase();
@@ -860,10 +1971,30 @@ export const GeofilesCRUD = {
     if (processedData.metadata && typeof processedData.metadata === 'string') {
       processedData.metadata = JSON.parse(processedData.metadata);
     }
+
+    // The footprint is derived from the stored coordinates, never set directly; where the
+    // file is stored is fixed when it is uploaded
+    delete processedData.footprint;
+    delete processedData.storageKey;
+    delete processedData.filepath;
+    delete processedData.fileUrl;
+    const update = { $set: { ...processedData, updatedAt: new Date() } };
+    if ('boundingBox' in processedData || 'coordinates' in processedData) {
+      const existing = await db.collection('geofiles').findOne(
+        { _id: new ObjectId(id) },
+        { projection: { boundingBox: 1, coordinates: 1 } }
+      );
+      const geometry = geofileFootprint({ ...existing, ...processedData });
+      if (geometry) {
+        update.$set.footprint = geometry;
+      } else {
+        update.$unset = { footprint: '' };
+      }
+    }
     
     const result = await db.collection('geofiles').updateOne(
       { _id: new ObjectId(id) },
-      { $set: { ...processedData, updatedAt: new Date() } }
+      update
     );
     console.log('📝 Geofile update result:', { modifiedCount: result.modifiedCount });
     return result.modifiedCount > 0;
@@ -928,3 +2059,318 @@ export const GeofilesCRUD = {
     return stats[0] || { total: 0, byFileType: [], byAccessLevel: [], totalDownloads: 0 };
   }
 };
+
+// Persons Registry CRUD
+export const PersonsCRUD = {
+  async create(personData) {
+    console.log('🔍 Creating person in MongoDB:', personData.firstName, personData.lastName);
+    const db = getDatabase();
+    const result = await db.collection('persons').insertOne({
+      ...personData,
+      createdAt: new Date(),
+      updatedAt: new Date()
+    });
+    return await db.collection('persons').findOne({ _id: result.insertedId });
+  },
+
+  async findById(id) {
+    const db = getDatabase();
+    return await db.collection('persons').findOne({ _id: new ObjectId(id) });
+  },
+
+  // Any other person already holding this ID or passport number
+  async findByIdentifiers({ idNumber, passportNumber }, excludeId = null) {
+    const identifiers = [];
+    if (idNumber) identifiers.push({ idNumber });
+    if (passportNumber) identifiers.push({ passportNumber });
+    if (identifiers.length === 0) return null;
+
+    const db = getDatabase();
+    const query = { $or: identifiers };
+    if (excludeId) query._id = { $ne: new ObjectId(excludeId) };
+    return await db.collection('persons').findOne(query);
+  },
+
+  async findPage(listQuery) {
+    console.log('🔍 Fetching page of persons from MongoDB:', listQuery.page ?? 'cursor', listQuery.sort);
+    const db = getDatabase();
+    return await paginateCollection(db.collection('persons'), listQuery);
+  },
+
+  async update(id, updateData) {
+    console.log('🔍 Updating person:', id);
+    const db = getDatabase();
+    const result = await db.collection('persons').updateOne(
+      { _id: new ObjectId(id) },
+      { $set: { ...updateData, updatedAt: new Date() } }
+    );
+    return result.matchedCount > 0;
+  },
+
+  async addPhotos(id, photos) {
+    const db = getDatabase();
+    const result = await db.collection('persons').updateOne(
+      { _id: new ObjectId(id) },
+      { $push: { photos: { $each: photos } }, $set: { updatedAt: new Date() } }
+    );
+    return result.matchedCount > 0;
+  },
+
+  async countPhotoDownload(id, filename) {
+    const db = getDatabase();
+    await db.collection('persons').updateOne(
+      { _id: new ObjectId(id) },
+      { $inc: { 'photos.$[photo].downloadCount': 1 }, $set: { 'photos.$[photo].lastDownloadedAt': new Date() } },
+      { arrayFilters: [{ 'photo.filename': filename }] }
+    );
+  },
+
+  async removePhoto(id, filename) {
+    const db = getDatabase();
+    const result = await db.collection('persons').updateOne(
+      { _id: new ObjectId(id) },
+      { $pull: { photos: { filename } }, $set: { updatedAt: new Date() } }
+    );
+    return result.modifiedCount > 0;
+  },
+
+  async delete(id) {
+    console.log('🗑️ Deleting person:', id);
+    const db = getDatabase();
+    const result = await db.collection('persons').deleteOne({ _id: new ObjectId(id) });
+    return result.deletedCount > 0;
+  }
+};
+
+// Person <-> record links (case, OB entry, evidence, license plate)
+export const PersonLinksCRUD = {
+  async create(linkData) {
+    console.log('🔍 Linking person', linkData.personId, 'to', linkData.recordType, linkData.recordId, 'as', linkData.role);
+    const db = getDatabase();
+    const doc = {
+      ...linkData,
+      personId: new ObjectId(linkData.personId),
+      createdAt: new Date()
+    };
+    const result = await db.collection('person_links').insertOne(doc);
+    return { ...doc, _id: result.insertedId };
+  },
+
+  async findById(id) {
+    const db = getDatabase();
+    return await db.collection('person_links').findOne({ _id: new ObjectId(id) });
+  },
+
+  async findExisting(personId, recordType, recordId, role) {
+    const db = getDatabase();
+    return await db.collection('person_links').findOne({
+      personId: new ObjectId(personId),
+      recordType,
+      recordId,
+      role
+    });
+  },
+
+  async findByPerson(personId) {
+    const db = getDatabase();
+    return await db.collection('person_links')
+      .find({ personId: new ObjectId(personId) })
+      .sort({ createdAt: -1 })
+      .toArray();
+  },
+
+  async findByRecord(recordType, recordId) {
+    const db = getDatabase();
+    return await db.collection('person_links').find({ recordType, recordId }).toArray();
+  },
+
+  async delete(id) {
+    const db = getDatabase();
+    const result = await db.collection('person_links').deleteOne({ _id: new ObjectId(id) });
+    return result.deletedCount > 0;
+  },
+
+  async deleteByPerson(personId) {
+    const db = getDatabase();
+    const result = await db.collection('person_links').deleteMany({ personId: new ObjectId(personId) });
+    return result.deletedCount;
+  }
+};
+
+// Role Permissions CRUD (admin overrides of the default permission matrix)
+export const RolePermissionsCRUD = {
+  async findAll() {
+    const db = getDatabase();
+    return await db.collection('role_permissions').find({}).toArray();
+  },
+
+  async findByRole(role) {
+    const db = getDatabase();
+    return await db.collection('role_permissions').findOne({ role });
+  },
+
+  async upsert(role, permissions, updatedBy) {
+    console.log('🔍 Saving permissions for role:', role);
+    const db = getDatabase();
+    const result = await db.collection('role_permissions').updateOne(
+      { role },
+      {
+        $set: { permissions, updatedBy, updatedAt: new Date() },
+        $setOnInsert: { createdAt: new Date() }
+      },
+      { upsert: true }
+    );
+    return result.acknowledged;
+  },
+
+  async delete(role) {
+    const db = getDatabase();
+    const result = await db.collection('role_permissions').deleteOne({ role });
+    return result.deletedCount > 0;
+  }
+};
+
+// Audit Log CRUD. Entries are written only by writeAuditEntry (audit-log.js); nothing in the
+// application updates or deletes them.
+export const AuditLogCRUD = {
+  async findById(id) {
+    const db = getDatabase();
+    return await db.collection('audit_log').findOne({ _id: new ObjectId(id) });
+  },
+
+  async findPage(listQuery) {
+    console.log('🔍 Fetching page of audit log entries:', listQuery.page ?? 'cursor', listQuery.sort);
+    const db = getDatabase();
+    return await paginateCollection(db.collection('audit_log'), listQuery);
+  }
+};
+
+// File download log: one entry per download attempt, including refused ones (see file-access.js)
+export const FileDownloadsCRUD = {
+  async record(entry) {
+    const db = getDatabase();
+    await db.collection('file_downloads').insertOne({ ...entry, createdAt: new Date() });
+  },
+
+  async findPage(listQuery) {
+    console.log('🔍 Fetching page of file downloads:', listQuery.page ?? 'cursor', listQuery.sort);
+    const db = getDatabase();
+    return await paginateCollection(db.collection('file_downloads'), listQuery);
+  }
+};
+
+const INSERT = null;
+const byId = (id) => ({ _id: new ObjectId(id) });
+
+// Wraps a CRUD object's mutating methods so every change lands in audit_log with a
+// before/after diff. `mutations` maps method name -> filter built from the method's
+// arguments (INSERT for methods that return the new document).
+function auditMutations(entity, crud, mutations) {
+  for (const [method, toFilter] of Object.entries(mutations)) {
+    const original = crud[method];
+
+    crud[method] = async function (...args) {
+      const collection = getDatabase().collection(entity);
+
+      if (toFilter === INSERT) {
+        const result = await original.apply(this, args);
+        if (result?._id) {
+          const after = await collection.findOne({ _id: new ObjectId(result._id.toString()) });
+          await writeAuditEntry(entity, method, null, after || result);
+        }
+        return result;
+      }
+
+      let filter;
+      try {
+        filter = toFilter(...args);
+      } catch {
+        // Malformed id: let the original method report it
+        return original.apply(this, args);
+      }
+
+      const before = await collection.find(filter).toArray();
+      const result = await original.apply(this, args);
+      const after = await collection.find(filter).toArray();
+      await auditSnapshots(entity, method, before, after);
+
+      return result;
+    };
+  }
+}
+
+// Writes a method makes beyond the records auditMutations covers for it: other documents,
+// often in other collections. `effects` maps collection -> filter built from the method's
+// arguments; each changed document gets its own entry under the method's name.
+function auditSideEffects(crud, method, effects) {
+  const original = crud[method];
+
+  crud[method] = async function (...args) {
+    const db = getDatabase();
+    const targets = Object.entries(effects).map(([entity, toFilter]) => ({ entity, filter: toFilter(...args) }));
+    const before = [];
+    for (const { entity, filter } of targets) {
+      before.push(await db.collection(entity).find(filter).toArray());
+    }
+
+    const result = await original.apply(this, args);
+
+    for (const [index, { entity }] of targets.entries()) {
+      const ids = before[index].map(doc => doc._id);
+      const after = ids.length > 0 ? await db.collection(entity).find({ _id: { $in: ids } }).toArray() : [];
+      await auditSnapshots(entity, method, before[index], after);
+    }
+    return result;
+  };
+}
+
+auditMutations('users', UsersCRUD, { create: INSERT, update: byId, delete: byId });
+auditMutations('cases', CasesCRUD, { create: INSERT, openFromOBEntry: INSERT, update: byId, transition: byId, delete: byId });
+auditMutations('case_notes', CaseNotesCRUD, { create: INSERT });
+auditMutations('ob_entries', OBEntriesCRUD, {
+  create: INSERT,
+  setStatus: byId,
+  amend: INSERT,
+  strikeOut: (entry) => ({ _id: entry._id })
+});
+// Opening a case claims the OB entry and takes over its unassigned evidence; an amendment
+// is linked from the entry it corrects
+auditSideEffects(CasesCRUD, 'openFromOBEntry', {
+  ob_entries: (obEntry) => ({ _id: obEntry._id }),
+  evidence: (obEntry) => ({ obId: { $in: [obEntry._id.toString(), obEntry._id] }, caseId: { $in: [null, ''] } })
+});
+auditSideEffects(OBEntriesCRUD, 'amend', { ob_entries: (original) => ({ _id: original._id }) });
+auditMutations('license_plates', LicensePlatesCRUD, { create: INSERT, update: byId, delete: byId });
+auditMutations('evidence', EvidenceCRUD, {
+  create: INSERT,
+  update: byId,
+  addCustodyEntry: byId,
+  checkOut: byId,
+  checkIn: byId,
+  addMedia: byId,
+  attachMedia: byId,
+  linkMediaGeofile: byId,
+  delete: byId,
+  dispose: (request) => ({ _id: { $in: request.evidenceIds.map(id => new ObjectId(id)) } }),
+  reportMissing: (audit) => ({ _id: { $in: reconcileInventory(audit).missing.map(item => new ObjectId(item.evidenceId)) } })
+});
+auditMutations('disposal_requests', DisposalRequestsCRUD, { create: INSERT, approve: byId, reject: byId });
+auditMutations('inventory_audits', InventoryAuditsCRUD, {
+  create: INSERT,
+  recordFound: byId,
+  removeFound: byId,
+  complete: byId,
+  cancel: byId
+});
+auditMutations('police_vehicles', PoliceVehiclesCRUD, { create: INSERT, update: byId, delete: byId });
+auditMutations('profiles', ProfilesCRUD, { create: INSERT, update: byId, delete: byId });
+auditMutations('officers', OfficersCRUD, { create: INSERT, update: byId, delete: byId });
+auditMutations('reports', ReportsCRUD, { create: INSERT, update: byId, delete: byId });
+auditMutations('geofiles', GeofilesCRUD, { create: INSERT, update: byId, delete: byId });
+auditMutations('persons', PersonsCRUD, { create: INSERT, update: byId, addPhotos: byId, removePhoto: byId, delete: byId });
+auditMutations('person_links', PersonLinksCRUD, {
+  create: INSERT,
+  delete: byId,
+  deleteByPerson: (personId) => ({ personId: new ObjectId(personId) })
+});
+auditMutations('role_permissions', RolePermissionsCRUD, { upsert: (role) => ({ role }), delete: (role) => ({ role }) });
@@ -26,18 +26,58 @@ const caseSchema = new mongoose.Schema({
   description: String,
   type: { type: String, required: true },
   priority: { type: String, enum: ['Low', 'Medium', 'High', 'Critical'], default: 'Medium' },
-  status: { type: String, enum: ['Open', 'In Progress', 'Closed', 'Suspended'], default: 'Open' },
+  status: { type: String, enum: ['Open', 'In Progress', 'Suspended', 'Closed', 'Archived'], default: 'Open' }, // Changed only through the transitions in case-lifecycle.js
+  disposition: String, // Set on closing, e.g. 'Charged', 'Unfounded'
+  closedAt: Date,
+  closedBy: mongoose.Schema.Types.Mixed, // Supervisor who signed the closure off
+  reopenedAt: Date,
+  archivedAt: Date,
+  statusHistory: [{
+    from: String,
+    to: String,
+    reason: String,
+    disposition: String,
+    at: Date,
+    by: mongoose.Schema.Types.Mixed,
+    signedOffBy: mongoose.Schema.Types.Mixed
+  }],
   incidentDate: Date,
   location: String,
   assignedOfficer: String,
+  involvedPersons: String,
+  reportedBy: String,
+  obId: { type: mongoose.Schema.Types.ObjectId, ref: 'OBEntry' }, // OB entry the case was opened from
+  obNumber: String,
   createdById: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
   createdAt: { type: Date, default: Date.now },
   updatedAt: { type: Date, default: Date.now }
 });
 
+// Case Note Schema - investigators' notes on the case timeline (see case-timeline.js)
+const caseNoteSchema = new mongoose.Schema({
+  caseId: { type: String, required: true },
+  noteType: { type: String, enum: ['Interview', 'Canvass', 'Surveillance', 'Phone Call', 'General'], default: 'General' },
+  text: { type: String, required: true },
+  occurredAt: { type: Date, required: true }, // When the interview, call etc. took place
+  mentions: [{ userId: String, username: String, name: String }], // Resolved from @username in the text
+  attachments: [{
+    name: String,
+    filename: String, // Storage key, prefixed case-note-
+    url: String,
+    mimeType: String,
+    size: Number,
+    sha256: String,
+    hashAlgorithm: String,
+    hashedAt: Date
+  }],
+  author: mongoose.Schema.Types.Mixed,
+  createdAt: { type: Date, default: Date.now }
+});
+
 // OB Entry Schema
 const obEntrySchema = new mongoose.Schema({
-  obNumber: { type: String, required: true, unique: true },
+  obNumber: { type: String, required: true, unique: true }, // Assigned from the counters collection
+  station: String, // Station code the OB number was drawn for
   type: { type: String, required: true },
   description: { type: String, required: true },
   time: { type: Date, required: true },
@@ -45,6 +85,43 @@ const obEntrySchema = new mongoose.Schema({
   involvedPersons: String,
   actionTaken: String,
   reportingOfficer: String,
+  status: { type: String, enum: ['Pending', 'Under Review', 'Completed', 'Struck Out'], default: 'Pending' }, // Review status; the only field changed in place
+  caseId: { type: mongoose.Schema.Types.ObjectId, ref: 'Case' }, // Set when a case is opened from the entry
+  caseNumber: String,
+  // Locked once recorded; see occurrence-book.js
+  recordedBy: mongoose.Schema.Types.Mixed,
+  recordedAt: Date,
+  seal: {
+    hash: String,
+    signature: String,
+    sessionFingerprint: String
+  },
+  // Set on amendment entries: the entry corrected and what changed
+  amends: {
+    obId: { type: mongoose.Schema.Types.ObjectId, ref: 'OBEntry' },
+    obNumber: String
+  },
+  corrections: [{
+    field: String,
+    from: mongoose.Schema.Types.Mixed,
+    to: mongoose.Schema.Types.Mixed
+  }],
+  reason: String,
+  // Set on the original: amendment entries recorded against it
+  amendments: [{
+    obId: { type: mongoose.Schema.Types.ObjectId, ref: 'OBEntry' },
+    obNumber: String,
+    at: Date
+  }],
+  struckOut: {
+    reason: String,
+    by: mongoose.Schema.Types.Mixed,
+    at: Date,
+    hash: String,
+    signature: String,
+    sessionFingerprint: String
+  },
+  statusBeforeStrikeOut: String,
   createdById: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
   createdAt: { type: Date, default: Date.now },
   updatedAt: { type: Date, default: Date.now }
@@ -75,26 +152,107 @@ const evidenceSchema = new mongoose.Schema({
   fingerprinted: { type: Boolean, default: false },
   dnaCollected: { type: Boolean, default: false },
   // Chain of custody tracking
+  // Append-only and hash-chained; see custody-chain.js
   custodyLog: [{
+    chainVersion: Number,
+    sequence: Number,
     action: { type: String, required: true }, // 'collected', 'transferred', 'analyzed', etc.
     officer: { type: String, required: true },
     timestamp: { type: Date, default: Date.now },
     notes: String,
-    location: String
+    location: String,
+    actor: {
+      userId: String,
+      username: String,
+      role: String,
+      name: String
+    },
+    sessionFingerprint: String,
+    details: mongoose.Schema.Types.Mixed,
+    previousHash: String,
+    hash: String,
+    signature: String
   }],
+  custodyHead: {
+    hash: String,
+    sequence: Number
+  },
+  // Checkout/return state; changed only by checkOut/checkIn (see evidence-checkout.js)
+  custodyStatus: { type: String, enum: ['in', 'checked_out'], default: 'in' },
+  checkout: {
+    checkoutId: String,
+    checkedOutTo: {
+      name: String,
+      badgeNumber: String,
+      userId: String
+    },
+    purpose: { type: String, enum: ['lab', 'court', 'review'] },
+    destination: String,
+    expectedReturnAt: Date,
+    notes: String,
+    fromLocation: String,
+    checkedOutAt: Date,
+    checkedOutBy: {
+      userId: String,
+      username: String,
+      role: String,
+      name: String
+    },
+    custodySequence: Number
+  },
+  lastReturnedAt: Date,
   // Media attachments
   media: [{
     name: String,
+    filename: String, // Storage key of the uploaded file
     url: String,
     type: { type: String, enum: ['photo', 'video', 'audio', 'document'] },
+    mimeType: String,
+    size: Number,
+    // Fingerprint taken at ingest; re-checked by the media integrity job
+    sha256: String,
+    hashAlgorithm: { type: String, default: 'sha256' },
+    hashedAt: Date,
+    // Read from the upload by media-metadata.js; the original file is never rewritten
+    metadata: {
+      width: Number,
+      height: Number,
+      orientation: Number,
+      format: String,
+      capturedAt: Date,
+      camera: { make: String, model: String, lens: String },
+      gps: { latitude: Number, longitude: Number, altitude: Number },
+      container: String, // Videos: mp4 or avi
+      durationSeconds: Number,
+      error: String, // Set when the file could not be read
+      extractedAt: Date
+    },
+    thumbnail: { key: String, url: String, width: Number, height: Number },
+    geofileId: String, // Map point made from the photo's GPS position
     uploadedAt: { type: Date, default: Date.now },
-    uploadedBy: String
+    uploadedBy: String, // Display name of the session user
+    uploadedById: String,
+    downloadCount: { type: Number, default: 0 },
+    lastDownloadedAt: Date
   }],
   // Administrative fields
   priority: { type: String, enum: ['Low', 'Medium', 'High', 'Critical'], default: 'Medium' },
   isSealed: { type: Boolean, default: false },
+  retentionUntil: Date, // Overrides the default retention period (see evidence-disposal.js)
+  // Set only by an approved disposal request; a disposed item is locked against edits
   disposalDate: Date,
   disposalMethod: String,
+  disposal: {
+    disposalId: String,
+    disposalNumber: String,
+    approvedBy: {
+      userId: String,
+      username: String,
+      role: String,
+      name: String
+    },
+    lockedAt: Date
+  },
   notes: String,
   createdAt: { type: Date, default: Date.now },
   updatedAt: { type: Date, default: Date.now }
@@ -139,11 +297,17 @@ const licensePlateSchema = new mongoose.Schema({
 const geofileSchema = new mongoose.Schema({
   filename: { type: String, required: true },
   filepath: { type: String, required: true },
+  storageKey: String, // Key of the uploaded file in the storage backend (see file-storage.js)
   fileUrl: String,
-  fileType: { type: String, required: true, enum: ['kml', 'gpx', 'shp', 'geojson', 'kmz', 'gml', 'other'] },
+  fileType: { type: String, required: true, enum: ['kml', 'gpx', 'shp', 'geojson', 'kmz', 'gml', 'csv', 'other'] },
   fileSize: Number,
   coordinates: String, // JSON string
   boundingBox: String, // JSON string
+  // GeoJSON Polygon/LineString/Point derived from boundingBox (or coordinates); 2dsphere indexed
+  footprint: {
+    type: { type: String, enum: ['Point', 'LineString', 'Polygon'] },
+    coordinates: []
+  },
   address: String,
   locationName: String,
   description: String,
@@ -153,6 +317,7 @@ const geofileSchema = new mongoose.Schema({
   accessLevel: { type: String, enum: ['internal', 'department', 'public'], default: 'internal' },
   patrolArea: String, // JSON string
   incidentMarkers: String, // JSON string
+  features: String, // JSON string (GeoJSON FeatureCollection parsed from the file)
   uploadedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
   lastAccessedAt: Date,
   downloadCount: { type: Number, default: 0 },
@@ -163,6 +328,8 @@ const geofileSchema = new mongoose.Schema({
   updatedAt: { type: Date, default: Date.now }
 });
 
+geofileSchema.index({ footprint: '2dsphere' });
+
 // Profiles Schema
 const profileSchema = new mongoose.Schema({
   userId: { type: String, required: true },
@@ -201,13 +368,245 @@ const officerSchema = new mongoose.Schema({
   updatedAt: { type: Date, default: Date.now }
 });
 
+// Person Schema (suspects, victims, witnesses, complainants, owners)
+const personSchema = new mongoose.Schema({
+  firstName: { type: String, required: true },
+  middleName: String,
+  lastName: { type: String, required: true },
+  fullName: String, // Denormalised for search
+  aliases: [String],
+  idNumber: { type: String, unique: true, sparse: true },
+  passportNumber: { type: String, unique: true, sparse: true },
+  dateOfBirth: String,
+  gender: { type: String, enum: ['Male', 'Female', 'Other', 'Unknown'], default: 'Unknown' },
+  nationality: String,
+  occupation: String,
+  phone: String,
+  email: String,
+  address: String,
+  photos: [{
+    name: String,
+    filename: String, // Stored under persons/<filename>
+    url: String,
+    mimeType: String,
+    size: Number,
+    uploadedAt: { type: Date, default: Date.now },
+    uploadedBy: String,
+    downloadCount: { type: Number, default: 0 },
+    lastDownloadedAt: Date
+  }],
+  notes: String,
+  createdBy: String,
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+// Person Link Schema - ties a person to a case, OB entry, evidence item or plate with a role
+const personLinkSchema = new mongoose.Schema({
+  personId: { type: mongoose.Schema.Types.ObjectId, ref: 'Person', required: true },
+  recordType: { type: String, required: true, enum: ['case', 'ob_entry', 'evidence', 'license_plate'] },
+  recordId: { type: String, required: true },
+  role: { type: String, required: true, enum: ['suspect', 'victim', 'witness', 'complainant', 'owner', 'other'] },
+  notes: String,
+  linkedBy: String,
+  createdAt: { type: Date, default: Date.now }
+});
+
+// Counter Schema - one document per numbering scope, e.g. 'ob:HQ:2025' (see counters.js)
+const counterSchema = new mongoose.Schema({
+  _id: String, // Scope key: type plus the station/year parts used by its number format
+  type: { type: String, required: true, enum: ['case', 'ob', 'evidence', 'report'] },
+  sequence: { type: Number, default: 0 }, // Last number issued in this scope
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+// Gazetteer Schema - locally imported places for offline geocoding (see gazetteer.js)
+const gazetteerPlaceSchema = new mongoose.Schema({
+  placeId: { type: String, required: true, unique: true }, // '<source>:<id in source>', e.g. 'geonames:184745'
+  source: { type: String, required: true }, // 'geonames' or the name given to a GeoJSON import
+  name: { type: String, required: true },
+  alternateNames: [String],
+  searchNames: { type: [String], index: true }, // Normalised (lowercase, accent-free) name and alternates
+  class: String, // place, highway, building, boundary, water, ...
+  type: String, // GeoNames feature code or GeoJSON type, e.g. 'ppla', 'street'
+  address: {
+    house_number: String,
+    road: String,
+    suburb: String,
+    city: String,
+    county: String,
+    state: String,
+    country: String,
+    country_code: String
+  },
+  displayName: String,
+  population: { type: Number, default: 0 },
+  importance: Number, // 0-1, from population
+  location: {
+    type: { type: String, enum: ['Point'], default: 'Point' },
+    coordinates: [Number] // [lng, lat]
+  },
+  importedAt: { type: Date, default: Date.now }
+});
+
+gazetteerPlaceSchema.index({ location: '2dsphere' });
+
+// Disposal Request Schema - supervisor-approved disposal of evidence items
+const disposalRequestSchema = new mongoose.Schema({
+  disposalNumber: { type: String, required: true, unique: true }, // Also the certificate number
+  evidenceIds: [String],
+  items: [{
+    evidenceId: String,
+    evidenceNumber: String,
+    type: String,
+    description: String,
+    caseId: String,
+    caseNumber: String,
+    custodySequence: Number // The 'Disposed' custody entry, once approved
+  }],
+  method: { type: String, enum: ['Destroyed', 'Returned to Owner', 'Auctioned', 'Donated', 'Transferred to Agency'] },
+  reason: { type: String, required: true },
+  notes: String,
+  witnesses: [{ name: String, badgeNumber: String }],
+  status: { type: String, enum: ['Pending', 'Approved', 'Rejected'], default: 'Pending' },
+  requestedBy: { userId: String, username: String, role: String, name: String },
+  approvedBy: { userId: String, username: String, role: String, name: String },
+  approvedAt: Date,
+  approvalNotes: String,
+  disposedAt: Date,
+  rejectedBy: { userId: String, username: String, role: String, name: String },
+  rejectedAt: Date,
+  rejectionReason: String,
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+// Inventory Audit Schema - a custodian's check of one evidence room or shelf
+const inventoryItemFields = {
+  evidenceId: String,
+  evidenceNumber: String,
+  description: String,
+  evidenceRoom: String,
+  storageLocation: String,
+  custodyStatus: String,
+  isSealed: Boolean,
+  bagsSealed: Boolean
+};
+const inventoryAuditSchema = new mongoose.Schema({
+  auditNumber: { type: String, required: true, unique: true },
+  evidenceRoom: { type: String, required: true },
+  storageLocation: String, // Shelf prefix; null audits the whole room
+  notes: String,
+  status: { type: String, enum: ['Open', 'Completed', 'Cancelled'], default: 'Open' },
+  expected: [inventoryItemFields], // Snapshot taken when the audit was opened
+  found: [{
+    ...inventoryItemFields,
+    expected: Boolean, // false when the item was not in the snapshot (wrong room)
+    foundLocation: String,
+    method: { type: String, enum: ['scan', 'tick'] },
+    foundBy: { userId: String, username: String, role: String, name: String },
+    foundAt: Date
+  }],
+  findings: mongoose.Schema.Types.Mixed, // { missing, checkedOut, misplaced, unsealed, counts }
+  markedMissing: [{ evidenceId: String, evidenceNumber: String, custodySequence: Number }],
+  openedBy: { userId: String, username: String, role: String, name: String },
+  completedBy: { userId: String, username: String, role: String, name: String },
+  completedAt: Date,
+  completionNotes: String,
+  signature: {
+    hash: String, // SHA-256 of the completed report
+    signature: String, // HMAC binding the hash to the completing custodian's session
+    sessionFingerprint: String
+  },
+  cancelledBy: { userId: String, username: String, role: String, name: String },
+  cancelledAt: Date,
+  cancellationReason: String,
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+// Media Integrity Alert Schema - one open alert per evidence file that failed re-hashing
+const mediaIntegrityAlertSchema = new mongoose.Schema({
+  evidenceId: { type: String, required: true },
+  evidenceNumber: String,
+  filename: String,
+  name: String,
+  status: { type: String, enum: ['mismatch', 'missing'] },
+  expected: String, // SHA-256 recorded at ingest
+  actual: String, // SHA-256 found on re-check (null when missing)
+  firstDetectedAt: Date,
+  lastDetectedAt: Date,
+  resolvedAt: { type: Date, default: null },
+  resolution: String,
+  resolvedBy: { userId: String, username: String, role: String, name: String }
+});
+
+mediaIntegrityAlertSchema.index({ evidenceId: 1, filename: 1, resolvedAt: 1 });
+
+// Audit Log Schema - one insert-only entry per create, update or delete
+const auditLogSchema = new mongoose.Schema({
+  entity: { type: String, required: true }, // Collection name
+  entityId: { type: String, required: true },
+  entityLabel: String, // e.g. case number or username at the time of the change
+  action: { type: String, required: true, enum: ['create', 'update', 'delete'] },
+  operation: String, // CRUD method that made the change
+  changes: mongoose.Schema.Types.Mixed, // { field: { from, to } }
+  source: { type: String, enum: ['request', 'system'], default: 'request' },
+  actor: {
+    userId: String,
+    username: String,
+    role: String,
+    name: String
+  },
+  sessionFingerprint: String,
+  ip: String,
+  userAgent: String,
+  request: {
+    method: String,
+    path: String
+  },
+  createdAt: { type: Date, default: Date.now }
+});
+
+// File Download Schema - one entry per download attempt, refused ones included
+const fileDownloadSchema = new mongoose.Schema({
+  resourceType: { type: String, required: true, enum: ['evidence', 'geofiles', 'persons'] },
+  resourceId: { type: String, required: true },
+  resourceLabel: String, // e.g. evidence number at the time of the download
+  filename: String,
+  storageKey: String,
+  granted: { type: Boolean, required: true },
+  reason: String, // Why access was granted or refused
+  actor: {
+    userId: String,
+    username: String,
+    role: String,
+    name: String
+  },
+  sessionFingerprint: String,
+  ip: String,
+  userAgent: String,
+  createdAt: { type: Date, default: Date.now }
+});
+
 // Create and export models
 export const User = mongoose.model('User', userSchema);
 export const Case = mongoose.model('Case', caseSchema);
+export const CaseNote = mongoose.model('CaseNote', caseNoteSchema, 'case_notes');
 export const OBEntry = mongoose.model('OBEntry', obEntrySchema);
 export const Evidence = mongoose.model('Evidence', evidenceSchema);
 export const Report = mongoose.model('Report', reportSchema);
+export const DisposalRequest = mongoose.model('DisposalRequest', disposalRequestSchema, 'disposal_requests');
+export const InventoryAudit = mongoose.model('InventoryAudit', inventoryAuditSchema, 'inventory_audits');
 export const LicensePlate = mongoose.model('LicensePlate', licensePlateSchema);
 export const Geofile = mongoose.model('Geofile', geofileSchema);
 export const Profile = mongoose.model('Profile', profileSchema);
 export const Officer = mongoose.model('Officer', officerSchema);
+export const Person = mongoose.model('Person', personSchema);
+export const PersonLink = mongoose.model('PersonLink', personLinkSchema);
+export const Counter = mongoose.model('Counter', counterSchema);
+export const GazetteerPlace = mongoose.model('GazetteerPlace', gazetteerPlaceSchema, 'gazetteer');
+export const MediaIntegrityAlert = mongoose.model('MediaIntegrityAlert', mediaIntegrityAlertSchema, 'media_integrity_alerts');
+export const AuditLog = mongoose.model('AuditLog', auditLogSchema);
+export const FileDownload = mongoose.model('FileDownload', fileDownloadSchema, 'file_downloads');
@@ -12,22 +12,109 @@ import {
   ReportsCRUD
 } from './mongodb-crud.js';
 import bcrypt from 'bcryptjs';
-
-// Authentication middleware
-const requireAuth = (req, res, next) => {
-  if (!req.session.userId) {
-    return res.status(401).json({ message: "Authentication required" });
-  }
-  next();
+import fs from 'fs';
+import { ObjectId } from 'mongodb';
+import { parseGeofile, detectFileType, PARSEABLE_TYPES, GeofileParseError } from './geofile-parser.js';
+import { parseListQuery, LIST_SPECS, ListQueryError } from './list-query.js';
+import { parseNearQuery, parseBoundingBoxQuery, parsePolygon, GeoQueryError } from './geo-search.js';
+import { StorageError, getFileStorage, storeUpload, sendStoredFile } from './file-storage.js';
+import { geofileAccess, logDownload } from './file-access.js';
+import { currentAuditSource } from './audit-log.js';
+import {
+  CASE_STATES,
+  CASE_DISPOSITIONS,
+  CaseLifecycleError,
+  initialCaseStatus,
+  normalizeCaseStatus,
+  parseTransition,
+  availableTransitions
+} from './case-lifecycle.js';
+import {
+  OB_REVIEW_STATUSES,
+  OccurrenceBookError,
+  parseReviewStatus,
+  parseAmendment,
+  parseStrikeOut,
+  applyAmendments,
+  describeAmendment,
+  verifyOBEntry,
+  parseRegisterRequest,
+  registerRows,
+  renderOBRegister
+} from './occurrence-book.js';
+import {
+  requireAuth,
+  requireAdmin,
+  requirePermission,
+  hasPermission,
+  getRolePermissions,
+  getPermissionMatrix,
+  setRolePermissions,
+  resetRolePermissions,
+  ROLES,
+  RESOURCES,
+  ACTIONS
+} from './permissions.js';
+
+// OB entry types that correspond to a case type; the rest open as 'Other'
+const OB_CASE_TYPES = { Accident: 'Traffic' };
+
+// Case fields a user may adjust before opening a case from an OB entry
+const OB_CASE_FIELDS = ['title', 'type', 'description', 'priority', 'location', 'involvedPersons', 'reportedBy', 'assignedOfficer', 'incidentDate'];
+
+// A new case pre-filled from an OB entry, for the user to review before opening it
+const caseDraftFromOBEntry = (entry) => ({
+  title: `${entry.type || 'Incident'}: ${String(entry.description || '').split('\n')[0].slice(0, 80)}`,
+  type: OB_CASE_TYPES[entry.type] || 'Other',
+  description: [entry.description, entry.details].filter(Boolean).join('\n\n'),
+  priority: 'Medium',
+  location: entry.location || '',
+  involvedPersons: entry.involvedPersons || '',
+  reportedBy: entry.reportedBy || '',
+  assignedOfficer: entry.officer || '',
+  incidentDate: entry.dateTime || entry.createdAt
+});
+
+// Strip credentials before a user record leaves the server
+const toPublicUser = (user) => {
+  const { password, ...rest } = user;
+  return { ...rest, id: user._id.toString() };
 };
 
-// Admin middleware
-const requireAdmin = (req, res, next) => {
-  if (!req.session.user || req.session.user.role !== 'admin') {
-    return res.status(403).json({ message: "Admin access required" });
-  }
-  next();
-};
+// Where a geofile's stored file lives. Set only where the file itself is stored (/upload
+// and the evidence geotag route), never from a request body: a record pointed at an
+// evidence or case note key would serve that file, and deleting the record would remove it.
+const GEOFILE_STORAGE_FIELDS = ['storageKey', 'filepath', 'fileUrl'];
+
+const withoutGeofileStorage = (body) =>
+  Object.fromEntries(Object.entries(body).filter(([key]) => !GEOFILE_STORAGE_FIELDS.includes(key)));
+
+const isPublicValue = (value) => value === true || value === 'true';
+
+// Who can open a geofile (see geofileAccess). Changing it from what is stored, or from
+// the internal default on a new record, needs geofiles 'approve'.
+async function geofileAccessChangeAllowed(req, current = {}) {
+  const changed =
+    ('isPublic' in req.body && isPublicValue(req.body.isPublic) !== Boolean(current.isPublic)) ||
+    ('accessLevel' in req.body && (req.body.accessLevel || 'internal') !== (current.accessLevel || 'internal'));
+  return !changed || await hasPermission(req.session.user.role, 'geofiles', 'approve');
+}
+
+const GEOFILE_ACCESS_DENIED = 'Changing who can open a geofile (isPublic, accessLevel) needs geofiles approve permission';
+
+// What a geofile holds, as opposed to what describes it. Withheld from anyone geofileAccess
+// would refuse the file to, so reading the record cannot stand in for downloading it.
+const GEOFILE_CONTENT_FIELDS = ['features', 'incidentMarkers', 'coordinates', 'patrolArea'];
+
+async function geofileForUser(sessionUser, geofile) {
+  const access = await geofileAccess(sessionUser, geofile);
+  if (access.granted) return geofile;
+  const withheld = Object.fromEntries(Object.entries(geofile).filter(([key]) => !GEOFILE_CONTENT_FIELDS.includes(key)));
+  return { ...withheld, contentWithheld: access.reason };
+}
+
+const geofilesForUser = (sessionUser, geofiles) =>
+  Promise.all(geofiles.map(geofile => geofileForUser(sessionUser, geofile)));
 
 export function registerMongoDBRoutes(app, upload) {
   // Authentication routes
@@ -63,7 +150,8 @@ export function registerMongoDBRoutes(app, upload) {
           lastName: user.lastName,
           email: user.email,
           badgeNumber: user.badgeNumber
-        }
+        },
+        permissions: await getRolePermissions(user.role)
       });
     } catch (error) {
       res.status(500).json({ message: 'Login failed', error: error.message });
@@ -76,49 +164,101 @@ export function registerMongoDBRoutes(app, upload) {
     });
   });
 
-  app.get('/api/auth/me', (req, res) => {
+  app.get('/api/auth/me', async (req, res) => {
     if (!req.session.user) {
       return res.status(401).json({ message: 'Not authenticated' });
     }
-    res.json({ user: req.session.user });
+    try {
+      const permissions = await getRolePermissions(req.session.user.role);
+      res.json({ user: req.session.user, permissions });
+    } catch (error) {
+      res.status(500).json({ message: 'Failed to load permissions', error: error.message });
+    }
+  });
+
+  // Permission matrix (admin-configurable)
+  app.get('/api/permissions', requireAdmin, async (req, res) => {
+    try {
+      const matrix = await getPermissionMatrix();
+      res.json({ permissions: matrix, roles: ROLES, resources: RESOURCES, actions: ACTIONS });
+    } catch (error) {
+      console.error('❌ Failed to fetch permissions:', error);
+      res.status(500).json({ message: 'Failed to fetch permissions', error: error.message });
+    }
+  });
+
+  app.put('/api/permissions/:role', requireAdmin, async (req, res) => {
+    try {
+      console.log('🔐 Updating permissions for role:', req.params.role);
+      if (!ROLES.includes(req.params.role)) {
+        return res.status(404).json({ message: 'Unknown role' });
+      }
+      if (req.params.role === 'admin') {
+        return res.status(400).json({ message: 'Administrator permissions cannot be changed' });
+      }
+
+      const permissions = await setRolePermissions(req.params.role, req.body.permissions, req.session.userId);
+      res.json({ role: req.params.role, permissions });
+    } catch (error) {
+      console.error('❌ Failed to update permissions:', error);
+      res.status(500).json({ message: 'Failed to update permissions', error: error.message });
+    }
+  });
+
+  app.delete('/api/permissions/:role', requireAdmin, async (req, res) => {
+    try {
+      console.log('🔐 Resetting permissions for role:', req.params.role);
+      if (!ROLES.includes(req.params.role) || req.params.role === 'admin') {
+        return res.status(400).json({ message: 'Only non-admin roles can be reset' });
+      }
+
+      const permissions = await resetRolePermissions(req.params.role);
+      res.json({ role: req.params.role, permissions });
+    } catch (error) {
+      console.error('❌ Failed to reset permissions:', error);
+      res.status(500).json({ message: 'Failed to reset permissions', error: error.message });
+    }
   });
 
   // Users API Routes
-  app.get('/api/users', async (req, res) => {
+  app.get('/api/users', requirePermission('users', 'read'), async (req, res) => {
     try {
-      const users = await UsersCRUD.findAll();
-      res.json(users);
+      const { items, pagination } = await UsersCRUD.findPage(parseListQuery(req.query, LIST_SPECS.users));
+      res.json({ users: items.map(toPublicUser), pagination });
     } catch (error) {
+      if (error instanceof ListQueryError) {
+        return res.status(400).json({ message: error.message });
+      }
       res.status(500).json({ message: 'Failed to fetch users', error: error.message });
     }
   });
 
-  app.get('/api/users/:id', async (req, res) => {
+  app.get('/api/users/:id', requirePermission('users', 'read'), async (req, res) => {
     try {
       const user = await UsersCRUD.findById(req.params.id);
       if (!user) {
         return res.status(404).json({ message: 'User not found' });
       }
-      res.json(user);
+      res.json(toPublicUser(user));
     } catch (error) {
       res.status(500).json({ message: 'Failed to fetch user', error: error.message });
     }
   });
 
-  app.post('/api/users', async (req, res) => {
+  app.post('/api/users', requirePermission('users', 'create'), async (req, res) => {
     try {
       const userData = { ...req.body };
       if (userData.password) {
         userData.password = await bcrypt.hash(userData.password, 10);
       }
       const user = await UsersCRUD.create(userData);
-      res.status(201).json(user);
+      res.status(201).json(toPublicUser(user));
     } catch (error) {
       res.status(500).json({ message: 'Failed to create user', error: error.message });
     }
   });
 
-  app.put('/api/users/:id', async (req, res) => {
+  app.put('/api/users/:id', requirePermission('users', 'update'), async (req, res) => {
     try {
       const updateData = { ...req.body };
       if (updateData.password) {
@@ -134,7 +274,7 @@ export function registerMongoDBRoutes(app, upload) {
     }
   });
 
-  app.delete('/api/users/:id', async (req, res) => {
+  app.delete('/api/users/:id', requirePermission('users', 'delete'), async (req, res) => {
     try {
       const deleted = await UsersCRUD.delete(req.params.id);
       if (!deleted) {
@@ -147,36 +287,56 @@ export function registerMongoDBRoutes(app, upload) {
   });
 
   // Cases API Routes
-  app.get('/api/cases', async (req, res) => {
+  app.get('/api/cases', requirePermission('cases', 'read'), async (req, res) => {
     try {
-      console.log('🔍 Fetching all cases from MongoDB...');
-      const cases = await CasesCRUD.findAll();
-      console.log('📊 Found cases in MongoDB:', cases.length, 'records');
+      console.log('🔍 Fetching cases from MongoDB with query:', req.query);
+      const { items: cases, pagination } = await CasesCRUD.findPage(parseListQuery(req.query, LIST_SPECS.cases));
+      console.log('📊 Found cases in MongoDB:', cases.length, 'of', pagination.total, 'records');
 
-      // Add case numbers and map to expected format
+      // Map to expected format
       const mappedCases = cases.map(caseItem => ({
         ...caseItem,
-        id: caseItem._id.toString(),
-        caseNumber: caseItem.caseNumber || `CASE-${new Date().getFullYear()}-${caseItem._id.toString().slice(-3).toUpperCase()}`
+        id: caseItem._id.toString()
       }));
 
-      res.json({ cases: mappedCases });
+      res.json({ cases: mappedCases, pagination });
     } catch (error) {
+      if (error instanceof ListQueryError) {
+        return res.status(400).json({ message: error.message });
+      }
       console.error('❌ Failed to fetch cases:', error);
       res.status(500).json({ message: 'Failed to fetch cases', error: error.message });
     }
   });
 
-  app.post('/api/cases', async (req, res) => {
+  // The case states, the transitions between them and which of them this user may make
+  app.get('/api/cases/lifecycle', requirePermission('cases', 'read'), async (req, res) => {
     try {
-      console.log('🔍 Creating new case with data:', req.body);
+      const canSignOff = await hasPermission(req.session.user.role, 'cases', 'approve');
+      res.json({
+        states: CASE_STATES,
+        dispositions: CASE_DISPOSITIONS,
+        transitions: Object.fromEntries(CASE_STATES.map(state => [state, availableTransitions(state, canSignOff)])),
+        canSignOff
+      });
+    } catch (error) {
+      console.error('❌ Failed to fetch case lifecycle:', error);
+      res.status(500).json({ message: 'Failed to fetch case lifecycle', error: error.message });
+    }
+  });
 
-      // Generate case number
-      const caseNumber = `CASE-${new Date().getFullYear()}-${Math.random().toString(36).substr(2, 6).toUpperCase()}`;
+  app.post('/api/cases', requirePermission('cases', 'create'), async (req, res) => {
+    try {
+      console.log('🔍 Creating new case with data:', req.body);
 
+      // The case number is assigned by CasesCRUD.create from the case counter
+      const { actor } = currentAuditSource();
+      const status = initialCaseStatus(req.body.status);
+      const { statusHistory, disposition, obId, obNumber, ...fields } = req.body;
       const caseData = {
-        ...req.body,
-        caseNumber,
+        ...fields,
+        status,
+        statusHistory: [{ from: null, to: status, reason: 'Case opened', disposition: null, at: new Date(), by: actor, signedOffBy: null }],
         reportedDate: new Date(),
         createdById: 1 // Default admin user
       };
@@ -191,19 +351,40 @@ export function registerMongoDBRoutes(app, upload) {
 
       res.status(201).json({ case: responseCase });
     } catch (error) {
+      if (error instanceof CaseLifecycleError) {
+        return res.status(error.status).json({ message: error.message });
+      }
       console.error('❌ Failed to create case:', error);
       res.status(500).json({ message: 'Failed to create case', error: error.message });
     }
   });
 
-  app.put('/api/cases/:id', async (req, res) => {
+  // A changed status must be a lifecycle transition; statusReason and disposition go with it
+  app.put('/api/cases/:id', requirePermission('cases', 'update'), async (req, res) => {
     try {
       console.log('🔍 Updating case:', req.params.id, 'with data:', req.body);
-      const updated = await CasesCRUD.update(req.params.id, req.body);
-      if (!updated) {
+      if (!ObjectId.isValid(req.params.id)) {
+        return res.status(400).json({ message: 'Invalid case ID' });
+      }
+      const existing = await CasesCRUD.findById(req.params.id);
+      if (!existing) {
         return res.status(404).json({ message: 'Case not found' });
       }
 
+      const { status, statusReason, disposition, ...fields } = req.body;
+      let transition = null;
+      if (status !== undefined && normalizeCaseStatus(status) !== normalizeCaseStatus(existing.status)) {
+        const canSignOff = await hasPermission(req.session.user.role, 'cases', 'approve');
+        transition = parseTransition(existing, { status, reason: statusReason, disposition }, canSignOff);
+      }
+
+      // Field edits are written with the transition, so a refused transition saves nothing
+      if (!transition) {
+        await CasesCRUD.update(req.params.id, fields);
+      } else if (!(await CasesCRUD.transition(req.params.id, transition, currentAuditSource(), fields))) {
+        return res.status(409).json({ message: 'The case status changed while you were editing; reload it and try again' });
+      }
+
       // Fetch the updated case
       const updatedCase = await CasesCRUD.findById(req.params.id);
       const responseCase = {
@@ -213,52 +394,55 @@ export function registerMongoDBRoutes(app, upload) {
 
       res.json({ case: responseCase });
     } catch (error) {
+      if (error instanceof CaseLifecycleError) {
+        return res.status(error.status).json({ message: error.message });
+      }
       console.error('❌ Failed to update case:', error);
       res.status(500).json({ message: 'Failed to update case', error: error.message });
     }
   });
 
   // OB Entries API Routes
-  app.get('/api/ob-entries', async (req, res) => {
+  app.get('/api/ob-entries', requirePermission('ob_entries', 'read'), async (req, res) => {
     try {
-      console.log('🔍 Fetching all OB entries from MongoDB...');
-      const obEntries = await OBEntriesCRUD.findAll();
-      console.log('📊 Found OB entries in MongoDB:', obEntries.length, 'records');
+      console.log('🔍 Fetching OB entries from MongoDB with query:', req.query);
+      const { items: obEntries, pagination } = await OBEntriesCRUD.findPage(parseListQuery(req.query, LIST_SPECS.ob_entries));
+      console.log('📊 Found OB entries in MongoDB:', obEntries.length, 'of', pagination.total, 'records');
 
       // Transform MongoDB data to match frontend expectations
       const transformedEntries = obEntries.map(entry => ({
         ...entry,
         id: entry._id.toString(),
-        obNumber: entry.obNumber || `OB-${new Date().getFullYear()}-${entry._id.toString().slice(-3).toUpperCase()}`,
         officer: entry.officer || 'Officer Smith'
       }));
 
-      res.json({ obEntries: transformedEntries });
+      res.json({ obEntries: transformedEntries, pagination });
     } catch (error) {
+      if (error instanceof ListQueryError) {
+        return res.status(400).json({ message: error.message });
+      }
       console.error('❌ Failed to fetch OB entries:', error);
       res.status(500).json({ message: 'Failed to fetch OB entries', error: error.message });
     }
   });
 
-  app.post('/api/ob-entries', async (req, res) => {
+  app.post('/api/ob-entries', requirePermission('ob_entries', 'create'), async (req, res) => {
     try {
       console.log('🔍 Creating new OB entry with data:', req.body);
 
-      // Generate OB number if not provided
-      const obNumber = req.body.obNumber || `OB-${new Date().getFullYear()}-${Math.random().toString(36).substr(2, 6).toUpperCase()}`;
-
+      // The OB number is assigned by OBEntriesCRUD.create from the station's counter
       const obData = {
         ...req.body,
-        obNumber,
         dateTime: req.body.dateTime || new Date().toISOString(),
         date: req.body.date || new Date().toISOString().split('T')[0],
         time: req.body.time || new Date().toTimeString().split(' ')[0],
-        status: req.body.status || 'Pending',
+        status: OB_REVIEW_STATUSES.includes(req.body.status) ? req.body.status : 'Pending',
         officer: req.body.officer || 'Officer Smith',
         recordingOfficerId: 1 // Default admin user
       };
 
-      const createdEntry = await OBEntriesCRUD.create(obData);
+      // Sealed to the recording officer; from here on it only changes by amendment
+      const createdEntry = await OBEntriesCRUD.create(obData, currentAuditSource());
       console.log('✅ OB entry created successfully:', createdEntry);
 
       const responseEntry = {
@@ -268,19 +452,92 @@ export function registerMongoDBRoutes(app, upload) {
 
       res.status(201).json({ obEntry: responseEntry });
     } catch (error) {
+      if (error instanceof OccurrenceBookError) {
+        return res.status(error.status).json({ message: error.message });
+      }
       console.error('❌ Failed to create OB entry:', error);
       res.status(500).json({ message: 'Failed to create OB entry', error: error.message });
     }
   });
 
-  app.put('/api/ob-entries/:id', async (req, res) => {
+  // Daily or shift register for the officer in charge to sign:
+  // ?station=&from=&to=&format=json|pdf (default json). Registered before /:id.
+  app.get('/api/ob-entries/register', requirePermission('ob_entries', 'read'), async (req, res) => {
     try {
-      console.log('🔍 Updating OB entry:', req.params.id, 'with data:', req.body);
-      const updated = await OBEntriesCRUD.update(req.params.id, req.body);
-      if (!updated) {
+      const format = req.query.format || 'json';
+      if (!['json', 'pdf'].includes(format)) {
+        return res.status(400).json({ message: 'format must be json or pdf' });
+      }
+      const range = parseRegisterRequest(req.query);
+      console.log('🔍 Building OB register for', range.station, range.from.toISOString(), 'to', range.to.toISOString());
+      const rows = registerRows(await OBEntriesCRUD.findRegister(range));
+
+      if (format === 'pdf') {
+        const pdf = await renderOBRegister(rows, { ...range, printedBy: currentAuditSource().actor });
+        const day = range.from.toISOString().split('T')[0];
+        res.set({
+          'Content-Type': 'application/pdf',
+          'Content-Disposition': `inline; filename="ob-register-${range.station}-${day}.pdf"`,
+          'Cache-Control': 'no-store'
+        });
+        return res.send(pdf);
+      }
+
+      res.json({
+        station: range.station,
+        from: range.from,
+        to: range.to,
+        stations: await OBEntriesCRUD.findStations(),
+        entries: rows
+      });
+    } catch (error) {
+      if (error instanceof OccurrenceBookError) {
+        return res.status(error.status).json({ message: error.message });
+      }
+      console.error('❌ Failed to build OB register:', error);
+      res.status(500).json({ message: 'Failed to build OB register', error: error.message });
+    }
+  });
+
+  // An entry with its amendment trail, the text as amended, and whether its seal holds
+  app.get('/api/ob-entries/:id', requirePermission('ob_entries', 'read'), async (req, res) => {
+    try {
+      if (!ObjectId.isValid(req.params.id)) {
+        return res.status(400).json({ message: 'Invalid OB entry ID' });
+      }
+      const entry = await OBEntriesCRUD.findById(req.params.id);
+      if (!entry) {
         return res.status(404).json({ message: 'OB entry not found' });
       }
 
+      const amendments = await OBEntriesCRUD.findAmendments(req.params.id);
+      const toClient = (doc) => ({ ...doc, id: doc._id.toString(), verification: verifyOBEntry(doc) });
+      res.json({
+        obEntry: toClient(entry),
+        amended: applyAmendments(entry, amendments),
+        amendments: amendments.map(toClient)
+      });
+    } catch (error) {
+      console.error('❌ Failed to fetch OB entry:', error);
+      res.status(500).json({ message: 'Failed to fetch OB entry', error: error.message });
+    }
+  });
+
+  // Entries are locked once recorded: only the review status changes here
+  app.put('/api/ob-entries/:id', requirePermission('ob_entries', 'update'), async (req, res) => {
+    try {
+      console.log('🔍 Updating OB entry status:', req.params.id, req.body.status);
+      if (!ObjectId.isValid(req.params.id)) {
+        return res.status(400).json({ message: 'Invalid OB entry ID' });
+      }
+      const entry = await OBEntriesCRUD.findById(req.params.id);
+      if (!entry) {
+        return res.status(404).json({ message: 'OB entry not found' });
+      }
+      if (!(await OBEntriesCRUD.setStatus(req.params.id, parseReviewStatus(entry, req.body)))) {
+        return res.status(409).json({ message: `${entry.obNumber} was struck out` });
+      }
+
       // Fetch the updated entry
       const updatedEntry = await OBEntriesCRUD.findById(req.params.id);
       const responseEntry = {
@@ -290,55 +547,190 @@ export function registerMongoDBRoutes(app, upload) {
 
       res.json({ obEntry: responseEntry });
     } catch (error) {
+      if (error instanceof OccurrenceBookError) {
+        return res.status(error.status).json({ message: error.message });
+      }
       console.error('❌ Failed to update OB entry:', error);
       res.status(500).json({ message: 'Failed to update OB entry', error: error.message });
     }
   });
 
-  app.delete('/api/ob-entries/:id', async (req, res) => {
+  // The case an OB entry would open, plus how much evidence would move onto it
+  app.get('/api/ob-entries/:id/case-draft', requirePermission('cases', 'create'), async (req, res) => {
     try {
-      console.log('🗑️ Deleting OB entry:', req.params.id);
-      const deleted = await OBEntriesCRUD.delete(req.params.id);
-      if (!deleted) {
+      if (!ObjectId.isValid(req.params.id)) {
+        return res.status(400).json({ message: 'Invalid OB entry ID' });
+      }
+      const entry = await OBEntriesCRUD.findById(req.params.id);
+      if (!entry) {
+        return res.status(404).json({ message: 'OB entry not found' });
+      }
+
+      const evidence = await EvidenceCRUD.findByOBId(req.params.id);
+      res.json({
+        draft: caseDraftFromOBEntry(entry),
+        obEntry: { id: entry._id.toString(), obNumber: entry.obNumber, caseId: entry.caseId || null, caseNumber: entry.caseNumber || null },
+        evidenceCount: evidence.filter(item => !item.caseId).length
+      });
+    } catch (error) {
+      console.error('❌ Failed to build case draft from OB entry:', error);
+      res.status(500).json({ message: 'Failed to build case from OB entry', error: error.message });
+    }
+  });
+
+  // Opens a case from an OB entry; the body may override any of the draft's fields
+  app.post('/api/ob-entries/:id/case', requirePermission('cases', 'create'), async (req, res) => {
+    try {
+      console.log('🔍 Opening case from OB entry:', req.params.id);
+      if (!ObjectId.isValid(req.params.id)) {
+        return res.status(400).json({ message: 'Invalid OB entry ID' });
+      }
+      const entry = await OBEntriesCRUD.findById(req.params.id);
+      if (!entry) {
+        return res.status(404).json({ message: 'OB entry not found' });
+      }
+      if (entry.caseId) {
+        return res.status(409).json({ message: `${entry.obNumber} already has case ${entry.caseNumber || entry.caseId}` });
+      }
+
+      const overrides = Object.fromEntries(OB_CASE_FIELDS.filter(field => req.body[field] !== undefined).map(field => [field, req.body[field]]));
+      const { actor } = currentAuditSource();
+      const status = initialCaseStatus(req.body.status);
+      const created = await CasesCRUD.openFromOBEntry(entry, {
+        ...caseDraftFromOBEntry(entry),
+        ...overrides,
+        status,
+        statusHistory: [{ from: null, to: status, reason: `Opened from ${entry.obNumber}`, disposition: null, at: new Date(), by: actor, signedOffBy: null }],
+        reportedDate: new Date(),
+        createdById: 1 // Default admin user
+      });
+      if (!created) {
+        return res.status(409).json({ message: `${entry.obNumber} already has a case` });
+      }
+
+      const evidence = await EvidenceCRUD.findByCaseId(created._id.toString());
+      res.status(201).json({
+        case: { ...created, id: created._id.toString() },
+        evidenceCount: evidence.length,
+        message: `${created.caseNumber} opened from ${entry.obNumber}${evidence.length > 0 ? ` with ${evidence.length} evidence item(s)` : ''}`
+      });
+    } catch (error) {
+      if (error instanceof CaseLifecycleError) {
+        return res.status(error.status).json({ message: error.message });
+      }
+      console.error('❌ Failed to open case from OB entry:', error);
+      res.status(500).json({ message: 'Failed to open case from OB entry', error: error.message });
+    }
+  });
+
+  // { changes: { field: corrected value }, reason }: recorded as a new, signed OB entry
+  // that references the original
+  app.post('/api/ob-entries/:id/amendments', requirePermission('ob_entries', 'update'), async (req, res) => {
+    try {
+      console.log('🔍 Amending OB entry:', req.params.id, req.body);
+      if (!ObjectId.isValid(req.params.id)) {
+        return res.status(400).json({ message: 'Invalid OB entry ID' });
+      }
+      const original = await OBEntriesCRUD.findById(req.params.id);
+      if (!original) {
+        return res.status(404).json({ message: 'OB entry not found' });
+      }
+
+      const amendment = parseAmendment(original, await OBEntriesCRUD.findAmendments(req.params.id), req.body);
+      const { actor } = currentAuditSource();
+      const now = new Date();
+      const created = await OBEntriesCRUD.amend(original, amendment, {
+        description: describeAmendment(original, amendment),
+        dateTime: now.toISOString(),
+        date: now.toISOString().split('T')[0],
+        time: now.toTimeString().split(' ')[0],
+        status: 'Completed',
+        officer: actor?.name || actor?.username || 'Unknown'
+      }, currentAuditSource());
+
+      res.status(201).json({
+        obEntry: { ...created, id: created._id.toString() },
+        message: `${created.obNumber} recorded as an amendment to ${original.obNumber}`
+      });
+    } catch (error) {
+      if (error instanceof OccurrenceBookError) {
+        return res.status(error.status).json({ message: error.message });
+      }
+      console.error('❌ Failed to amend OB entry:', error);
+      res.status(500).json({ message: 'Failed to amend OB entry', error: error.message });
+    }
+  });
+
+  // Replaces deletion: { reason }
+  app.post('/api/ob-entries/:id/strike-out', requirePermission('ob_entries', 'delete'), async (req, res) => {
+    try {
+      console.log('🔍 Striking out OB entry:', req.params.id);
+      if (!ObjectId.isValid(req.params.id)) {
+        return res.status(400).json({ message: 'Invalid OB entry ID' });
+      }
+      const entry = await OBEntriesCRUD.findById(req.params.id);
+      if (!entry) {
         return res.status(404).json({ message: 'OB entry not found' });
       }
-      console.log('✅ OB entry deleted successfully');
-      res.json({ message: 'OB entry deleted successfully' });
+
+      const reason = parseStrikeOut(entry, req.body);
+      if (!(await OBEntriesCRUD.strikeOut(entry, reason, currentAuditSource()))) {
+        return res.status(409).json({ message: `${entry.obNumber} is already struck out` });
+      }
+      const updatedEntry = await OBEntriesCRUD.findById(req.params.id);
+      res.json({
+        obEntry: { ...updatedEntry, id: updatedEntry._id.toString() },
+        message: `${entry.obNumber} struck out`
+      });
     } catch (error) {
-      console.error('❌ Failed to delete OB entry:', error);
-      res.status(500).json({ message: 'Failed to delete OB entry', error: error.message });
+      if (error instanceof OccurrenceBookError) {
+        return res.status(error.status).json({ message: error.message });
+      }
+      console.error('❌ Failed to strike out OB entry:', error);
+      res.status(500).json({ message: 'Failed to strike out OB entry', error: error.message });
     }
   });
 
+  // A legal OB never loses an entry
+  app.delete('/api/ob-entries/:id', requirePermission('ob_entries', 'delete'), (req, res) => {
+    res.status(405).json({ message: 'OB entries cannot be deleted; strike the entry out with a reason instead' });
+  });
+
   // License Plates API Routes
-  app.get('/api/license-plates', async (req, res) => {
+  app.get('/api/license-plates', requirePermission('license_plates', 'read'), async (req, res) => {
     try {
-      console.log('🔍 Fetching all license plates from MongoDB...');
-      const plates = await LicensePlatesCRUD.findAll();
-      console.log('📊 Found license plates in MongoDB:', plates.length, 'records');
+      console.log('🔍 Fetching license plates from MongoDB with query:', req.query);
+      const { items, pagination } = await LicensePlatesCRUD.findPage(parseListQuery(req.query, LIST_SPECS.license_plates));
+      console.log('📊 Found license plates in MongoDB:', items.length, 'of', pagination.total, 'records');
 
-      res.json({ licensePlates: plates });
+      res.json({ licensePlates: items.map(plate => ({ ...plate, id: plate._id.toString() })), pagination });
     } catch (error) {
+      if (error instanceof ListQueryError) {
+        return res.status(400).json({ message: error.message });
+      }
       console.error('❌ Failed to fetch license plates:', error);
       res.status(500).json({ message: 'Failed to fetch license plates', error: error.message });
     }
   });
 
   // Add mongo prefix route for compatibility
-  app.get('/api/mongo/license-plates', async (req, res) => {
+  app.get('/api/mongo/license-plates', requirePermission('license_plates', 'read'), async (req, res) => {
     try {
-      console.log('🔍 Fetching all license plates from MongoDB via /mongo endpoint...');
-      const plates = await LicensePlatesCRUD.findAll();
-      console.log('📊 Found license plates in MongoDB:', plates.length, 'records');
+      console.log('🔍 Fetching license plates from MongoDB via /mongo endpoint with query:', req.query);
+      const { items, pagination } = await LicensePlatesCRUD.findPage(parseListQuery(req.query, LIST_SPECS.license_plates));
+      console.log('📊 Found license plates in MongoDB:', items.length, 'of', pagination.total, 'records');
 
-      res.json({ licensePlates: plates });
+      res.json({ licensePlates: items.map(plate => ({ ...plate, id: plate._id.toString() })), pagination });
     } catch (error) {
+      if (error instanceof ListQueryError) {
+        return res.status(400).json({ message: error.message });
+      }
       console.error('❌ Failed to fetch license plates:', error);
       res.status(500).json({ message: 'Failed to fetch license plates', error: error.message });
     }
   });
 
-  app.get('/api/license-plates/search/:plateNumber', async (req, res) => {
+  app.get('/api/license-plates/search/:plateNumber', requirePermission('license_plates', 'read'), async (req, res) => {
     try {
       console.log('🔍 Searching for license plate:', req.params.plateNumber);
       const plate = await LicensePlatesCRUD.findByPlateNumber(req.params.plateNumber);
@@ -359,7 +751,7 @@ export function registerMongoDBRoutes(app, upload) {
     }
   });
 
-  app.post('/api/license-plates', async (req, res) => {
+  app.post('/api/license-plates', requirePermission('license_plates', 'create'), async (req, res) => {
     try {
       console.log('🔍 Creating new license plate with data:', req.body);
 
@@ -379,7 +771,7 @@ export function registerMongoDBRoutes(app, upload) {
     }
   });
 
-  app.put('/api/license-plates/:id', async (req, res) => {
+  app.put('/api/license-plates/:id', requirePermission('license_plates', 'update'), async (req, res) => {
     try {
       console.log('🔍 Updating license plate:', req.params.id, 'with data:', req.body);
       const updated = await LicensePlatesCRUD.update(req.params.id, req.body);
@@ -401,7 +793,7 @@ export function registerMongoDBRoutes(app, upload) {
     }
   });
 
-  app.delete('/api/license-plates/:id', async (req, res) => {
+  app.delete('/api/license-plates/:id', requirePermission('license_plates', 'delete'), async (req, res) => {
     try {
       console.log('🗑️ Deleting license plate:', req.params.id);
       const deleted = await LicensePlatesCRUD.delete(req.params.id);
@@ -419,16 +811,19 @@ export function registerMongoDBRoutes(app, upload) {
   // Evidence routes are handled in evidence-routes.js
 
   // Police Vehicles API Routes
-  app.get('/api/police-vehicles', async (req, res) => {
+  app.get('/api/police-vehicles', requirePermission('vehicles', 'read'), async (req, res) => {
     try {
-      const vehicles = await PoliceVehiclesCRUD.findAll();
-      res.json(vehicles);
+      const { items, pagination } = await PoliceVehiclesCRUD.findPage(parseListQuery(req.query, LIST_SPECS.police_vehicles));
+      res.json({ vehicles: items.map(vehicle => ({ ...vehicle, id: vehicle._id.toString() })), pagination });
     } catch (error) {
+      if (error instanceof ListQueryError) {
+        return res.status(400).json({ message: error.message });
+      }
       res.status(500).json({ message: 'Failed to fetch police vehicles', error: error.message });
     }
   });
 
-  app.post('/api/police-vehicles', async (req, res) => {
+  app.post('/api/police-vehicles', requirePermission('vehicles', 'create'), async (req, res) => {
     try {
       const vehicle = await PoliceVehiclesCRUD.create(req.body);
       res.status(201).json(vehicle);
@@ -438,25 +833,28 @@ export function registerMongoDBRoutes(app, upload) {
   });
 
   // Profiles API Routes
-  app.get('/api/profiles', async (req, res) => {
+  app.get('/api/profiles', requirePermission('profiles', 'read'), async (req, res) => {
     try {
-      console.log('🔍 Fetching all profiles from MongoDB...');
-      const profiles = await ProfilesCRUD.findAll();
-      console.log('📊 Found profiles in MongoDB:', profiles.length, 'records');
+      console.log('🔍 Fetching profiles from MongoDB with query:', req.query);
+      const { items: profiles, pagination } = await ProfilesCRUD.findPage(parseListQuery(req.query, LIST_SPECS.profiles));
+      console.log('📊 Found profiles in MongoDB:', profiles.length, 'of', pagination.total, 'records');
 
       const mappedProfiles = profiles.map(profile => ({
         ...profile,
         id: profile._id.toString()
       }));
 
-      res.json({ profiles: mappedProfiles });
+      res.json({ profiles: mappedProfiles, pagination });
     } catch (error) {
+      if (error instanceof ListQueryError) {
+        return res.status(400).json({ message: error.message });
+      }
       console.error('❌ Failed to fetch profiles:', error);
       res.status(500).json({ message: 'Failed to fetch profiles', error: error.message });
     }
   });
 
-  app.post('/api/profiles', async (req, res) => {
+  app.post('/api/profiles', requirePermission('profiles', 'create'), async (req, res) => {
     try {
       console.log('🔍 Creating new profile with data:', req.body);
       const profile = await ProfilesCRUD.create(req.body);
@@ -472,25 +870,28 @@ export function registerMongoDBRoutes(app, upload) {
   });
 
   // Officers API Routes
-  app.get('/api/officers', async (req, res) => {
+  app.get('/api/officers', requirePermission('officers', 'read'), async (req, res) => {
     try {
-      console.log('🔍 Fetching all officers from MongoDB...');
-      const officers = await OfficersCRUD.findAll();
-      console.log('📊 Found officers in MongoDB:', officers.length, 'records');
+      console.log('🔍 Fetching officers from MongoDB with query:', req.query);
+      const { items: officers, pagination } = await OfficersCRUD.findPage(parseListQuery(req.query, LIST_SPECS.officers));
+      console.log('📊 Found officers in MongoDB:', officers.length, 'of', pagination.total, 'records');
 
       const mappedOfficers = officers.map(officer => ({
         ...officer,
         id: officer._id.toString()
       }));
 
-      res.json({ officers: mappedOfficers });
+      res.json({ officers: mappedOfficers, pagination });
     } catch (error) {
+      if (error instanceof ListQueryError) {
+        return res.status(400).json({ message: error.message });
+      }
       console.error('❌ Failed to fetch officers:', error);
       res.status(500).json({ message: 'Failed to fetch officers', error: error.message });
     }
   });
 
-  app.post('/api/officers', async (req, res) => {
+  app.post('/api/officers', requirePermission('officers', 'create'), async (req, res) => {
     try {
       console.log('🔍 Creating new officer with data:', req.body);
       const officer = await OfficersCRUD.create(req.body);
@@ -505,7 +906,7 @@ export function registerMongoDBRoutes(app, upload) {
     }
   });
 
-  app.put('/api/officers/:id', async (req, res) => {
+  app.put('/api/officers/:id', requirePermission('officers', 'update'), async (req, res) => {
     try {
       console.log('🔍 Updating officer:', req.params.id, 'with data:', req.body);
       const updated = await OfficersCRUD.update(req.params.id, req.body);
@@ -527,7 +928,7 @@ export function registerMongoDBRoutes(app, upload) {
     }
   });
 
-  app.delete('/api/officers/:id', async (req, res) => {
+  app.delete('/api/officers/:id', requirePermission('officers', 'delete'), async (req, res) => {
     try {
       console.log('🗑️ Deleting officer:', req.params.id);
       const deleted = await OfficersCRUD.delete(req.params.id);
@@ -543,31 +944,84 @@ export function registerMongoDBRoutes(app, upload) {
   });
 
   // Geofiles API Routes
-  app.get('/api/geofiles', async (req, res) => {
+  app.get('/api/geofiles', requirePermission('geofiles', 'read'), async (req, res) => {
     try {
       console.log('🔍 Fetching geofiles with query params:', req.query);
 
-      // Extract filter parameters
-      const filters = {
-        search: req.query.search,
-        fileType: req.query.fileType,
-        accessLevel: req.query.accessLevel,
-        tags: req.query.tags ? req.query.tags.split(',') : [],
-        dateFrom: req.query.dateFrom,
-        dateTo: req.query.dateTo
-      };
-
-      const geofiles = await GeofilesCRUD.findAll(filters);
-      console.log('📊 Found geofiles:', geofiles.length, 'records');
+      // search, fileType, accessLevel, tags and dateFrom/dateTo are part of the shared list contract
+      const { items: geofiles, pagination } = await GeofilesCRUD.findPage(parseListQuery(req.query, LIST_SPECS.geofiles));
+      console.log('📊 Found geofiles:', geofiles.length, 'of', pagination.total, 'records');
 
-      res.json({ geofiles });
+      res.json({ geofiles: await geofilesForUser(req.session.user, geofiles), pagination });
     } catch (error) {
+      if (error instanceof ListQueryError) {
+        return res.status(400).json({ message: error.message });
+      }
       console.error('❌ Failed to fetch geofiles:', error);
       res.status(500).json({ message: 'Failed to fetch geofiles', error: error.message });
     }
   });
 
-  app.get('/api/geofiles/:id', async (req, res) => {
+  // Spatial search. Each also accepts the regular list filters (search, fileType, tags, ...).
+  // Nearest-first results are paged by page number only.
+  app.get('/api/geofiles/spatial/near', requirePermission('geofiles', 'read'), async (req, res) => {
+    try {
+      if (req.query.cursor) {
+        return res.status(400).json({ message: 'cursor is not supported for near searches; use page' });
+      }
+      const { point, radius } = parseNearQuery(req.query);
+      const listQuery = parseListQuery(req.query, LIST_SPECS.geofiles);
+
+      const { items: geofiles, pagination } = await GeofilesCRUD.findNear(point, radius, listQuery);
+      console.log('📊 Found geofiles near point:', geofiles.length, 'of', pagination.total, 'records');
+
+      res.json({ geofiles: await geofilesForUser(req.session.user, geofiles), pagination, near: { point, radius } });
+    } catch (error) {
+      if (error instanceof GeoQueryError || error instanceof ListQueryError) {
+        return res.status(400).json({ message: error.message });
+      }
+      console.error('❌ Failed to search geofiles near point:', error);
+      res.status(500).json({ message: 'Failed to search geofiles', error: error.message });
+    }
+  });
+
+  app.post('/api/geofiles/spatial/within', requirePermission('geofiles', 'read'), async (req, res) => {
+    try {
+      const polygon = parsePolygon(req.body.polygon);
+      const listQuery = parseListQuery(req.query, LIST_SPECS.geofiles);
+
+      const { items: geofiles, pagination } = await GeofilesCRUD.findWithin(polygon, listQuery);
+      console.log('📊 Found geofiles within polygon:', geofiles.length, 'of', pagination.total, 'records');
+
+      res.json({ geofiles: await geofilesForUser(req.session.user, geofiles), pagination });
+    } catch (error) {
+      if (error instanceof GeoQueryError || error instanceof ListQueryError) {
+        return res.status(400).json({ message: error.message });
+      }
+      console.error('❌ Failed to search geofiles within polygon:', error);
+      res.status(500).json({ message: 'Failed to search geofiles', error: error.message });
+    }
+  });
+
+  app.get('/api/geofiles/spatial/intersects', requirePermission('geofiles', 'read'), async (req, res) => {
+    try {
+      const area = parseBoundingBoxQuery(req.query.bbox);
+      const listQuery = parseListQuery(req.query, LIST_SPECS.geofiles);
+
+      const { items: geofiles, pagination } = await GeofilesCRUD.findIntersecting(area, listQuery);
+      console.log('📊 Found geofiles intersecting bbox:', geofiles.length, 'of', pagination.total, 'records');
+
+      res.json({ geofiles: await geofilesForUser(req.session.user, geofiles), pagination });
+    } catch (error) {
+      if (error instanceof GeoQueryError || error instanceof ListQueryError) {
+        return res.status(400).json({ message: error.message });
+      }
+      console.error('❌ Failed to search geofiles in area:', error);
+      res.status(500).json({ message: 'Failed to search geofiles', error: error.message });
+    }
+  });
+
+  app.get('/api/geofiles/:id', requirePermission('geofiles', 'read'), async (req, res) => {
     try {
       console.log('🔍 Fetching geofile by ID:', req.params.id);
       const geofile = await GeofilesCRUD.findById(req.params.id);
@@ -576,11 +1030,14 @@ export function registerMongoDBRoutes(app, upload) {
         return res.status(404).json({ message: 'Geofile not found' });
       }
 
-      // Update access timestamp
-      await GeofilesCRUD.updateAccess(req.params.id);
+      const visible = await geofileForUser(req.session.user, geofile);
+      if (!visible.contentWithheld) {
+        // Update access timestamp
+        await GeofilesCRUD.updateAccess(req.params.id);
+      }
 
       const responseGeofile = {
-        ...geofile,
+        ...visible,
         id: geofile._id.toString()
       };
 
@@ -591,12 +1048,18 @@ export function registerMongoDBRoutes(app, upload) {
     }
   });
 
-  app.post('/api/geofiles', async (req, res) => {
+  app.post('/api/geofiles', requirePermission('geofiles', 'create'), async (req, res) => {
     try {
       console.log('🔍 Creating new geofile with data:', req.body);
 
+      if (!(await geofileAccessChangeAllowed(req))) {
+        return res.status(403).json({ message: GEOFILE_ACCESS_DENIED });
+      }
+
+      // A record created here has no stored file; see GEOFILE_STORAGE_FIELDS
       const geofileData = {
-        ...req.body,
+        ...withoutGeofileStorage(req.body),
+        isPublic: isPublicValue(req.body.isPublic),
         uploadedBy: req.session?.userId || 1, // Use session user or default to admin
         lastAccessedAt: new Date(),
         downloadCount: 0
@@ -623,10 +1086,23 @@ export function registerMongoDBRoutes(app, upload) {
     }
   });
 
-  app.put('/api/geofiles/:id', async (req, res) => {
+  app.put('/api/geofiles/:id', requirePermission('geofiles', 'update'), async (req, res) => {
     try {
       console.log('🔍 Updating geofile:', req.params.id, 'with data:', req.body);
-      const updated = await GeofilesCRUD.update(req.params.id, req.body);
+      if (!ObjectId.isValid(req.params.id)) {
+        return res.status(400).json({ message: 'Invalid geofile id' });
+      }
+      const existing = await GeofilesCRUD.findById(req.params.id);
+      if (!existing) {
+        return res.status(404).json({ message: 'Geofile not found' });
+      }
+      if (!(await geofileAccessChangeAllowed(req, existing))) {
+        return res.status(403).json({ message: GEOFILE_ACCESS_DENIED });
+      }
+
+      const changes = withoutGeofileStorage(req.body);
+      if ('isPublic' in changes) changes.isPublic = isPublicValue(changes.isPublic);
+      const updated = await GeofilesCRUD.update(req.params.id, changes);
 
       if (!updated) {
         return res.status(404).json({ message: 'Geofile not found' });
@@ -635,7 +1111,7 @@ export function registerMongoDBRoutes(app, upload) {
       // Fetch the updated geofile
       const updatedGeofile = await GeofilesCRUD.findById(req.params.id);
       const responseGeofile = {
-        ...updatedGeofile,
+        ...(await geofileForUser(req.session.user, updatedGeofile)),
         id: updatedGeofile._id.toString()
       };
 
@@ -647,14 +1123,18 @@ export function registerMongoDBRoutes(app, upload) {
     }
   });
 
-  app.delete('/api/geofiles/:id', async (req, res) => {
+  app.delete('/api/geofiles/:id', requirePermission('geofiles', 'delete'), async (req, res) => {
     try {
       console.log('🗑️ Deleting geofile:', req.params.id);
+      const geofile = await GeofilesCRUD.findById(req.params.id);
       const deleted = await GeofilesCRUD.delete(req.params.id);
 
       if (!deleted) {
         return res.status(404).json({ message: 'Geofile not found' });
       }
+      if (geofile?.storageKey) {
+        getFileStorage().remove(geofile.storageKey).catch(() => {});
+      }
 
       console.log('✅ Geofile deleted successfully');
       res.json({ message: 'Geofile deleted successfully' });
@@ -664,7 +1144,8 @@ export function registerMongoDBRoutes(app, upload) {
     }
   });
 
-  app.post('/api/geofiles/upload', upload.single('file'), async (req, res) => {
+  app.post('/api/geofiles/upload', requirePermission('geofiles', 'create'), upload.single('file'), async (req, res) => {
+    let storageKey = null;
     try {
       console.log('🔍 Uploading geofile with form data:', req.body);
       console.log('🔍 Uploaded file:', req.file);
@@ -677,31 +1158,70 @@ export function registerMongoDBRoutes(app, upload) {
         return res.status(400).json({ message: 'Name/Label is required' });
       }
 
-      // Set default file type if not provided
-      const fileType = req.body.fileType || 'GEOJSON';
-      const fileName = req.body.filename;
+      if (!req.file) {
+        console.log('❌ Validation failed: no file attached');
+        return res.status(400).json({ message: 'A geofile must be attached' });
+      }
+      if (!(await geofileAccessChangeAllowed(req))) {
+        await fs.promises.unlink(req.file.path).catch(() => {});
+        return res.status(403).json({ message: GEOFILE_ACCESS_DENIED });
+      }
+
+      // The extension of the uploaded file decides the parser, not the form field
+      const fileType = detectFileType(req.file.originalname);
+      const fileName = req.body.filename.trim();
+      const coordinateSystem = req.body.coordinateSystem || 'WGS84';
+
+      let parsed = null;
+      if (PARSEABLE_TYPES.includes(fileType)) {
+        try {
+          parsed = await parseGeofile(req.file.path, fileType);
+          console.log('🗺️ Parsed geofile:', parsed.metadata.featureCount, 'features,', parsed.incidentMarkers.length, 'markers');
+        } catch (error) {
+          await fs.promises.unlink(req.file.path).catch(() => {});
+          if (error instanceof GeofileParseError) {
+            console.log('❌ Geofile could not be parsed:', error.message);
+            return res.status(400).json({ message: `Could not read ${fileType.toUpperCase()} file: ${error.message}` });
+          }
+          throw error;
+        }
+      } else {
+        console.log('⚠️ No parser for file type, storing without geometry:', fileType);
+      }
+
+      // Parsed from the staged copy above; the original goes to the storage backend
+      const geofileId = new ObjectId();
+      storageKey = await storeUpload(req.file, `geofiles/${req.file.filename}`);
 
-      // For now, simulate file upload without actual file storage
       const geofileData = {
-        filename: fileName + '.' + fileType.toLowerCase(),
-        filepath: `/geofiles/${fileName}.${fileType.toLowerCase()}`,
+        filename: `${fileName}.${fileType}`,
+        _id: geofileId,
+        storageKey,
+        filepath: storageKey,
+        fileUrl: `/api/geofiles/${geofileId}/file`,
         fileType: fileType.toUpperCase(),
-        fileSize: Math.floor(Math.random() * 100000) + 10000, // Random size for demo
+        fileSize: req.file.size,
         description: req.body.description || '',
-        tags: req.body.tags ? req.body.tags.split(',').map(tag => tag.trim()) : [],
-        coordinateSystem: req.body.coordinateSystem || 'WGS84',
+        tags: req.body.tags ? req.body.tags.split(',').map(tag => tag.trim()).filter(Boolean) : [],
+        coordinateSystem,
         accessLevel: req.body.accessLevel || 'internal',
         isPublic: req.body.isPublic === 'true',
         caseId: req.body.caseId || null,
         obId: req.body.obId || null,
         evidenceId: req.body.evidenceId || null,
-        address: `${fileName} Location`,
+        address: req.body.address || '',
         locationName: fileName,
-        coordinates: JSON.stringify([-122.4194, 37.7749]), // Default SF coordinates
-        boundingBox: JSON.stringify([[-122.45, 37.75], [-122.38, 37.80]]),
+        coordinates: parsed ? JSON.stringify(parsed.coordinates) : null,
+        boundingBox: parsed ? JSON.stringify(parsed.boundingBox) : null,
+        incidentMarkers: parsed ? JSON.stringify(parsed.incidentMarkers) : JSON.stringify([]),
+        features: parsed ? JSON.stringify({ type: 'FeatureCollection', features: parsed.features }) : null,
         metadata: JSON.stringify({
+          ...(parsed ? parsed.metadata : {}),
+          parseStatus: parsed ? 'parsed' : 'unsupported',
+          originalName: req.file.originalname,
+          mimeType: req.file.mimetype,
           creator: 'Police Department',
-          coordinateSystem: req.body.coordinateSystem || 'WGS84',
+          coordinateSystem,
           uploadMethod: 'web_interface'
         }),
         uploadedBy: req.session?.userId || 1,
@@ -716,23 +1236,54 @@ export function registerMongoDBRoutes(app, upload) {
         message: 'Geofile uploaded successfully' 
       });
     } catch (error) {
+      if (req.file) await fs.promises.unlink(req.file.path).catch(() => {});
+      if (storageKey) await getFileStorage().remove(storageKey).catch(() => {});
       console.error('❌ Failed to upload geofile:', error);
       res.status(500).json({ message: 'Failed to upload geofile', error: error.message });
     }
   });
 
-  app.post('/api/geofiles/:id/download', async (req, res) => {
+  // Streams the uploaded file back, subject to the geofile's access level (see
+  // file-access.js); seeded geofiles have no stored file
+  app.get('/api/geofiles/:id/file', requireAuth, async (req, res) => {
     try {
-      console.log('📥 Recording download for geofile:', req.params.id);
+      if (!ObjectId.isValid(req.params.id)) {
+        return res.status(400).json({ message: 'Invalid geofile id' });
+      }
+      const geofile = await GeofilesCRUD.findById(req.params.id);
+      if (!geofile?.storageKey) {
+        return res.status(404).json({ message: 'Geofile not found' });
+      }
+
+      const metadata = typeof geofile.metadata === 'object' ? geofile.metadata : {};
+      const access = await geofileAccess(req.session.user, geofile);
+      await logDownload({
+        resourceType: 'geofiles',
+        resourceId: req.params.id,
+        resourceLabel: geofile.filename,
+        filename: metadata?.originalName || geofile.filename,
+        storageKey: geofile.storageKey
+      }, access);
+      if (!access.granted) {
+        return res.status(403).json({ message: `You do not have access to this geofile: ${access.reason}` });
+      }
+
+      await sendStoredFile(res, geofile.storageKey, {
+        filename: metadata?.originalName || geofile.filename,
+        contentType: metadata?.mimeType,
+        download: true
+      });
       await GeofilesCRUD.incrementDownload(req.params.id);
-      res.json({ message: 'Download recorded successfully' });
     } catch (error) {
-      console.error('❌ Failed to record download:', error);
-      res.status(500).json({ message: 'Failed to record download', error: error.message });
+      if (error instanceof StorageError) {
+        return res.status(error.status).json({ message: error.message });
+      }
+      console.error('❌ Failed to send geofile:', error);
+      res.status(500).json({ message: 'Failed to send geofile', error: error.message });
     }
   });
 
-  app.get('/api/geofiles/stats/summary', async (req, res) => {
+  app.get('/api/geofiles/stats/summary', requirePermission('geofiles', 'read'), async (req, res) => {
     try {
       console.log('📊 Fetching geofiles statistics');
       const stats = await GeofilesCRUD.getStats();
@@ -744,7 +1295,7 @@ export function registerMongoDBRoutes(app, upload) {
   });
 
   // Profile API Routes
-  app.get('/api/profile', async (req, res) => {
+  app.get('/api/profile', requireAuth, async (req, res) => {
     try {
       console.log('🔍 Fetching user profile...');
       console.log('📍 Session data:', { userId: req.session?.userId, user: req.session?.user });
@@ -835,7 +1386,7 @@ export function registerMongoDBRoutes(app, upload) {
     }
   });
 
-  app.put('/api/profile', async (req, res) => {
+  app.put('/api/profile', requireAuth, async (req, res) => {
     try {
       console.log('🔍 Updating user profile with data:', req.body);
 
@@ -929,12 +1480,11 @@ export function registerMongoDBRoutes(app, upload) {
 
 
   // Reports API Routes
-  app.get('/api/reports', async (req, res) => {
+  app.get('/api/reports', requirePermission('reports', 'read'), async (req, res) => {
     try {
-      console.log('🔍 API: Fetching all reports from MongoDB...');
-      console.log('🔍 API: Request headers:', req.headers);
-      const reports = await ReportsCRUD.findAll();
-      console.log('📊 API: Found reports in MongoDB:', reports.length, 'records');
+      console.log('🔍 API: Fetching reports from MongoDB with query:', req.query);
+      const { items: reports, pagination } = await ReportsCRUD.findPage(parseListQuery(req.query, LIST_SPECS.reports));
+      console.log('📊 API: Found reports in MongoDB:', reports.length, 'of', pagination.total, 'records');
 
       const mappedReports = reports.map(report => ({
         ...report,
@@ -942,15 +1492,18 @@ export function registerMongoDBRoutes(app, upload) {
       }));
 
       console.log('✅ API: Sending reports response with', mappedReports.length, 'items');
-      res.json({ reports: mappedReports });
+      res.json({ reports: mappedReports, pagination });
     } catch (error) {
+      if (error instanceof ListQueryError) {
+        return res.status(400).json({ message: error.message });
+      }
       console.error('❌ API: Failed to fetch reports:', error);
       console.error('❌ API: Error stack:', error.stack);
       res.status(500).json({ message: 'Failed to fetch reports', error: error.message });
     }
   });
 
-  app.get('/api/reports/:id', async (req, res) => {
+  app.get('/api/reports/:id', requirePermission('reports', 'read'), async (req, res) => {
     try {
       console.log('🔍 Fetching report by ID:', req.params.id);
       const report = await ReportsCRUD.findById(req.params.id);
@@ -971,7 +1524,7 @@ export function registerMongoDBRoutes(app, upload) {
     }
   });
 
-  app.post('/api/reports', async (req, res) => {
+  app.post('/api/reports', requirePermission('reports', 'create'), async (req, res) => {
     try {
       console.log('🔍 Creating new report with data:', req.body);
 
@@ -987,6 +1540,11 @@ export function registerMongoDBRoutes(app, upload) {
         return res.status(400).json({ message: 'Type, title, and content are required' });
       }
 
+      if (reportData.status && reportData.status !== 'Pending' &&
+          !(await hasPermission(req.session.user.role, 'reports', 'approve'))) {
+        return res.status(403).json({ message: 'You do not have permission to approve reports' });
+      }
+
       const createdReport = await ReportsCRUD.create(reportData);
       console.log('✅ Report created successfully:', createdReport._id.toString());
 
@@ -1002,9 +1560,22 @@ export function registerMongoDBRoutes(app, upload) {
     }
   });
 
-  app.put('/api/reports/:id', async (req, res) => {
+  app.put('/api/reports/:id', requirePermission('reports', 'update'), async (req, res) => {
     try {
       console.log('🔍 Updating report:', req.params.id, 'with data:', req.body);
+
+      // Changing a report's status is a sign-off, not an edit
+      if (req.body.status) {
+        const existingReport = await ReportsCRUD.findById(req.params.id);
+        if (!existingReport) {
+          return res.status(404).json({ message: 'Report not found' });
+        }
+        if (req.body.status !== existingReport.status &&
+            !(await hasPermission(req.session.user.role, 'reports', 'approve'))) {
+          return res.status(403).json({ message: 'You do not have permission to approve reports' });
+        }
+      }
+
       const updated = await ReportsCRUD.update(req.params.id, req.body);
 
       if (!updated) {
@@ -1026,7 +1597,7 @@ export function registerMongoDBRoutes(app, upload) {
     }
   });
 
-  app.delete('/api/reports/:id', async (req, res) => {
+  app.delete('/api/reports/:id', requirePermission('reports', 'delete'), async (req, res) => {
     try {
       console.log('🗑️ Deleting report:', req.params.id);
       const deleted = await ReportsCRUD.delete(req.params.id);
@@ -1043,7 +1614,7 @@ export function registerMongoDBRoutes(app, upload) {
     }
   });
 
-  app.get('/api/reports/stats/summary', async (req, res) => {
+  app.get('/api/reports/stats/summary', requirePermission('reports', 'read'), async (req, res) => {
     try {
       console.log('📊 Fetching reports statistics');
       const stats = await ReportsCRUD.getReportStats();
@@ -1054,7 +1625,7 @@ export function registerMongoDBRoutes(app, upload) {
     }
   });
 
-  app.get('/api/reports/search/by-case/:caseId', async (req, res) => {
+  app.get('/api/reports/search/by-case/:caseId', requirePermission('reports', 'read'), async (req, res) => {
     try {
       console.log('🔍 Searching reports by case ID:', req.params.caseId);
       const reports = await ReportsCRUD.findByCaseId(req.params.caseId);
@@ -1071,7 +1642,7 @@ export function registerMongoDBRoutes(app, upload) {
     }
   });
 
-  app.get('/api/reports/search/by-ob/:obId', async (req, res) => {
+  app.get('/api/reports/search/by-ob/:obId', requirePermission('reports', 'read'), async (req, res) => {
     try {
       console.log('🔍 Searching reports by OB ID:', req.params.obId);
       const reports = await ReportsCRUD.findByOBId(req.params.obId);
@@ -0,0 +1,379 @@
+// The occurrence book is append-only. An entry is locked once recorded: it is sealed with
+// a hash of what was recorded, signed to the recording officer's session. Corrections are
+// recorded as amendment entries, OB entries with their own number, that list the fields
+// they correct and reference the original. Striking an entry out replaces deleting it; the
+// entry stays in the book with the reason, signed by whoever struck it out.
+// The register prints a station's entries for a day or shift in OB number order for the
+// officer in charge to sign.
+import crypto from 'crypto';
+import PDFDocument from 'pdfkit';
+import { canonicalize, signEntryHash } from './custody-chain.js';
+import { normalizeStation, parseNumber } from './counters.js';
+
+// Review states an entry moves through; they are not part of the sealed record
+export const OB_REVIEW_STATUSES = ['Pending', 'Under Review', 'Completed'];
+export const STRUCK_OUT_STATUS = 'Struck Out';
+export const AMENDMENT_TYPE = 'Amendment';
+
+// Fields an amendment may correct
+export const AMENDABLE_FIELDS = ['type', 'description', 'reportedBy', 'officer', 'location', 'details', 'involvedPersons', 'actionTaken'];
+
+// What the seal covers: the record as written, including an amendment's corrections
+const SEALED_FIELDS = [
+  'obNumber', 'station', 'type', 'description', 'reportedBy', 'officer', 'location', 'details',
+  'involvedPersons', 'actionTaken', 'dateTime', 'date', 'time', 'amends', 'corrections', 'reason'
+];
+
+export class OccurrenceBookError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'OccurrenceBookError';
+    this.status = status;
+  }
+}
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+function sealedContent(entry) {
+  const content = Object.fromEntries(SEALED_FIELDS.map(field => [field, entry[field] ?? null]));
+  return { ...content, recordedBy: entry.recordedBy || null, recordedAt: new Date(entry.recordedAt) };
+}
+
+export const hashOBEntry = (entry) => sha256(canonicalize(sealedContent(entry)));
+
+export function sealOBEntry(entry, identity = {}) {
+  const hash = hashOBEntry(entry);
+  return {
+    hash,
+    signature: signEntryHash(hash, identity.actor, identity.sessionFingerprint),
+    sessionFingerprint: identity.sessionFingerprint || null
+  };
+}
+
+const strikeOutHash = (entry, struckOut) => sha256(canonicalize({
+  obNumber: entry.obNumber,
+  sealHash: entry.seal?.hash || null,
+  reason: struckOut.reason,
+  by: struckOut.by || null,
+  at: new Date(struckOut.at)
+}));
+
+export function signStrikeOut(entry, reason, identity = {}) {
+  const struckOut = { reason, by: identity.actor || null, at: new Date() };
+  const hash = strikeOutHash(entry, struckOut);
+  return {
+    ...struckOut,
+    hash,
+    signature: signEntryHash(hash, identity.actor, identity.sessionFingerprint),
+    sessionFingerprint: identity.sessionFingerprint || null
+  };
+}
+
+// { valid, sealed, reason } for an entry's seal and, if struck out, the strike-out signature
+export function verifyOBEntry(entry) {
+  if (!entry.seal) {
+    return { valid: false, sealed: false, reason: 'Recorded before OB entries were sealed' };
+  }
+  const hash = hashOBEntry(entry);
+  if (hash !== entry.seal.hash) {
+    return { valid: false, sealed: true, hash, reason: 'Entry has changed since it was recorded' };
+  }
+  if (signEntryHash(hash, entry.recordedBy, entry.seal.sessionFingerprint) !== entry.seal.signature) {
+    return { valid: false, sealed: true, hash, reason: 'Seal does not match the recording officer' };
+  }
+  if (entry.struckOut) {
+    const struckHash = strikeOutHash(entry, entry.struckOut);
+    if (struckHash !== entry.struckOut.hash
+      || signEntryHash(struckHash, entry.struckOut.by, entry.struckOut.sessionFingerprint) !== entry.struckOut.signature) {
+      return { valid: false, sealed: true, hash, reason: 'Strike-out record has been altered' };
+    }
+  }
+  return { valid: true, sealed: true, hash };
+}
+
+// Only the review status changes in place; anything else needs an amendment
+export function parseReviewStatus(entry, body = {}) {
+  const extra = AMENDABLE_FIELDS.filter(field => body[field] !== undefined && String(body[field] ?? '') !== String(entry[field] ?? ''));
+  if (extra.length > 0) {
+    throw new OccurrenceBookError(`OB entries are locked once recorded; record an amendment to correct ${extra.join(', ')}`, 409);
+  }
+  if (entry.status === STRUCK_OUT_STATUS) {
+    throw new OccurrenceBookError(`${entry.obNumber} is struck out`, 409);
+  }
+  if (!OB_REVIEW_STATUSES.includes(body.status)) {
+    throw new OccurrenceBookError(`status must be one of: ${OB_REVIEW_STATUSES.join(', ')}`);
+  }
+  return body.status;
+}
+
+// The entry as it now reads: the original with each standing amendment's corrections
+// applied in the order they were recorded
+export function applyAmendments(entry, amendments = []) {
+  const effective = { ...entry };
+  const standing = amendments
+    .filter(amendment => amendment.status !== STRUCK_OUT_STATUS)
+    .sort((a, b) => new Date(a.recordedAt) - new Date(b.recordedAt));
+  for (const amendment of standing) {
+    for (const correction of amendment.corrections || []) {
+      effective[correction.field] = correction.to;
+    }
+  }
+  return effective;
+}
+
+// { changes: { field: corrected value }, reason } against the entry as it now reads
+export function parseAmendment(entry, amendments, body = {}) {
+  if (entry.type === AMENDMENT_TYPE) {
+    throw new OccurrenceBookError(`${entry.obNumber} is itself an amendment; amend ${entry.amends?.obNumber || 'the original entry'} instead`, 409);
+  }
+  if (entry.status === STRUCK_OUT_STATUS) {
+    throw new OccurrenceBookError(`${entry.obNumber} is struck out and cannot be amended`, 409);
+  }
+
+  const reason = String(body.reason || '').trim();
+  if (!reason) {
+    throw new OccurrenceBookError('A reason is required for an amendment');
+  }
+  const changes = body.changes && typeof body.changes === 'object' ? body.changes : {};
+  const unknown = Object.keys(changes).filter(field => !AMENDABLE_FIELDS.includes(field));
+  if (unknown.length > 0) {
+    throw new OccurrenceBookError(`${unknown.join(', ')} cannot be amended; amendable fields are ${AMENDABLE_FIELDS.join(', ')}`);
+  }
+
+  const current = applyAmendments(entry, amendments);
+  const corrections = Object.entries(changes)
+    .map(([field, value]) => ({ field, from: current[field] ?? null, to: String(value ?? '').trim() }))
+    .filter(correction => String(correction.from ?? '') !== correction.to);
+  if (corrections.length === 0) {
+    throw new OccurrenceBookError('The amendment does not change anything');
+  }
+  if (corrections.some(correction => ['type', 'description'].includes(correction.field) && !correction.to)) {
+    throw new OccurrenceBookError('type and description cannot be amended to nothing');
+  }
+  if (corrections.some(correction => correction.field === 'type' && correction.to === AMENDMENT_TYPE)) {
+    throw new OccurrenceBookError(`type cannot be amended to ${AMENDMENT_TYPE}`);
+  }
+  return { corrections, reason };
+}
+
+export function parseStrikeOut(entry, body = {}) {
+  if (entry.status === STRUCK_OUT_STATUS) {
+    throw new OccurrenceBookError(`${entry.obNumber} is already struck out`, 409);
+  }
+  const reason = String(body.reason || '').trim();
+  if (!reason) {
+    throw new OccurrenceBookError('A reason is required to strike out an OB entry');
+  }
+  return reason;
+}
+
+// The text an amendment entry carries in the book
+export function describeAmendment(original, { corrections, reason }) {
+  const changes = corrections.map(({ field, from, to }) => `${field} from "${from ?? ''}" to "${to}"`).join('; ');
+  return `Amends ${original.obNumber}: ${changes}. Reason: ${reason}`;
+}
+
+// A register covers at most a month of entries
+export const OB_REGISTER_MAX_DAYS = 31;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// A date-only `to` covers the whole of that day
+function parseRegisterTime(value, name, { endOfDay = false } = {}) {
+  const date = new Date(value);
+  if (!value || Number.isNaN(date.getTime())) {
+    throw new OccurrenceBookError(`${name} must be a date or a date and time`);
+  }
+  if (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return new Date(date.getTime() + DAY_MS);
+  }
+  return date;
+}
+
+// ?station=&from=&to= for a register; `to` defaults to a day after `from`. Entries
+// recorded at or after `from` and before `to` are included.
+export function parseRegisterRequest(query = {}) {
+  const from = parseRegisterTime(query.from, 'from');
+  const to = query.to ? parseRegisterTime(query.to, 'to', { endOfDay: true }) : new Date(from.getTime() + DAY_MS);
+  if (to <= from) {
+    throw new OccurrenceBookError('to must be after from');
+  }
+  if (to - from > OB_REGISTER_MAX_DAYS * DAY_MS) {
+    throw new OccurrenceBookError(`A register covers at most ${OB_REGISTER_MAX_DAYS} days`);
+  }
+  return { station: normalizeStation(query.station), from, to };
+}
+
+const actorName = (actor) => (typeof actor === 'string' ? actor : actor?.name || actor?.username) || null;
+
+// OB number order: year, then sequence; numbers in an older format fall back to when
+// they were recorded
+const numberOrder = (entry) => {
+  const parsed = parseNumber('ob', entry.obNumber);
+  return [parsed?.year ?? new Date(entry.createdAt).getUTCFullYear(), parsed?.sequence ?? Infinity, new Date(entry.createdAt).getTime()];
+};
+
+// The register's rows, in OB number order
+export function registerRows(entries) {
+  return entries
+    .map(entry => ({ entry, order: numberOrder(entry) }))
+    .sort((a, b) => a.order[0] - b.order[0] || a.order[1] - b.order[1] || a.order[2] - b.order[2])
+    .map(({ entry }) => {
+      const verification = verifyOBEntry(entry);
+      return {
+        id: entry._id.toString(),
+        obNumber: entry.obNumber,
+        recordedAt: entry.recordedAt || entry.createdAt,
+        occurredAt: entry.dateTime || null,
+        type: entry.type,
+        location: entry.location || null,
+        description: entry.description || null,
+        actionTaken: entry.actionTaken || null,
+        recordingOfficer: actorName(entry.recordedBy) || entry.officer || null,
+        status: entry.status,
+        amends: entry.amends?.obNumber || null,
+        amendedBy: (entry.amendments || []).map(amendment => amendment.obNumber),
+        struckOut: entry.struckOut
+          ? { reason: entry.struckOut.reason, by: actorName(entry.struckOut.by), at: entry.struckOut.at }
+          : null,
+        sealBroken: verification.sealed && !verification.valid
+      };
+    });
+}
+
+const formatDateTime = (value) => (value ? new Date(value).toISOString().replace('T', ' ').slice(0, 16) : '-');
+
+const REGISTER_COLUMNS = [
+  { label: 'OB No.', width: 95 },
+  { label: 'Time (UTC)', width: 70 },
+  { label: 'Type', width: 70 },
+  { label: 'Location', width: 110 },
+  { label: 'Particulars and action taken', width: 297 },
+  { label: 'Recording officer', width: 120 }
+];
+
+function registerCells(row) {
+  const particulars = [
+    row.description,
+    row.occurredAt && `Occurred: ${row.occurredAt}`,
+    row.actionTaken && `Action taken: ${row.actionTaken}`,
+    row.amendedBy.length > 0 && `Amended by ${row.amendedBy.join(', ')}`,
+    row.struckOut && `STRUCK OUT ${formatDateTime(row.struckOut.at)} by ${row.struckOut.by || 'unknown'}: ${row.struckOut.reason}`,
+    row.sealBroken && 'SEAL BROKEN: entry has changed since it was recorded'
+  ].filter(Boolean).join('\n');
+  return [
+    row.obNumber,
+    formatDateTime(row.recordedAt),
+    row.amends ? `${row.type} of ${row.amends}` : row.type,
+    row.location || '-',
+    particulars || '-',
+    row.recordingOfficer || '-'
+  ];
+}
+
+// The register as a PDF buffer: a table of entries, then a block for the officer in
+// charge to sign, with every page numbered
+export async function renderOBRegister(rows, { station, from, to, printedBy } = {}) {
+  const doc = new PDFDocument({
+    size: 'A4',
+    layout: 'landscape',
+    margin: 40,
+    bufferPages: true,
+    info: { Title: `Occurrence book register ${station} ${formatDateTime(from)} to ${formatDateTime(to)}` }
+  });
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+  const finished = new Promise((resolve, reject) => {
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+  });
+
+  const left = doc.page.margins.left;
+  const bottom = doc.page.height - doc.page.margins.bottom - 20; // room for the page number
+  const padding = 4;
+
+  const rowHeight = (cells, bold = false) => {
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(8);
+    return Math.max(...cells.map((cell, index) =>
+      doc.heightOfString(cell, { width: REGISTER_COLUMNS[index].width - padding * 2 }))) + padding * 2;
+  };
+  const drawRow = (cells, { bold = false, fill = null, color = '#000000' } = {}) => {
+    const height = rowHeight(cells, bold);
+    const top = doc.y;
+    let x = left;
+    if (fill) {
+      doc.rect(left, top, REGISTER_COLUMNS.reduce((sum, column) => sum + column.width, 0), height).fill(fill);
+    }
+    doc.fillColor(color);
+    cells.forEach((cell, index) => {
+      const { width } = REGISTER_COLUMNS[index];
+      doc.rect(x, top, width, height).lineWidth(0.5).stroke('#7f8c8d');
+      doc.text(cell, x + padding, top + padding, { width: width - padding * 2 });
+      x += width;
+    });
+    doc.fillColor('#000000');
+    doc.x = left;
+    doc.y = top + height;
+  };
+  const headerRow = () => drawRow(REGISTER_COLUMNS.map(column => column.label), { bold: true, fill: '#ecf0f1' });
+
+  const struckOut = rows.filter(row => row.struckOut).length;
+  const amendments = rows.filter(row => row.amends).length;
+  doc.font('Helvetica-Bold').fontSize(16).text('OCCURRENCE BOOK REGISTER', { align: 'center' });
+  doc.font('Helvetica').fontSize(10)
+    .text(`Station ${station} · ${formatDateTime(from)} to ${formatDateTime(to)} UTC`, { align: 'center' })
+    .moveDown(0.5);
+  doc.fontSize(9)
+    .text(`${rows.length} entr${rows.length === 1 ? 'y' : 'ies'} · ${amendments} amendment(s) · ${struckOut} struck out`)
+    .text(`Printed ${formatDateTime(new Date())} UTC${printedBy ? ` by ${actorName(printedBy)}` : ''}`)
+    .moveDown(0.5);
+
+  headerRow();
+  if (rows.length === 0) {
+    doc.font('Helvetica').fontSize(9).text('No entries were recorded in this period.', left, doc.y + padding);
+  }
+  for (const row of rows) {
+    const cells = registerCells(row);
+    if (doc.y + rowHeight(cells) > bottom) {
+      doc.addPage();
+      headerRow();
+    }
+    drawRow(cells, { color: row.struckOut ? '#7f8c8d' : '#000000' });
+  }
+
+  // Signature block for the officer in charge
+  if (doc.y + 130 > bottom) doc.addPage();
+  doc.moveDown(2).font('Helvetica-Bold').fontSize(11).text('Certified by the officer in charge', left);
+  doc.font('Helvetica').fontSize(9)
+    .text(`I have examined entries ${rows[0]?.obNumber || '-'} to ${rows[rows.length - 1]?.obNumber || '-'} recorded at station ${station} in this period.`)
+    .moveDown(1.5);
+  const line = (label, x) => {
+    const y = doc.y;
+    doc.text(label, x, y);
+    doc.moveTo(x + 95, y + 9).lineTo(x + 330, y + 9).lineWidth(0.5).stroke('#000000');
+  };
+  for (const [labelLeft, labelRight] of [['Name', 'Rank / service no.'], ['Signature', 'Date and time']]) {
+    const y = doc.y;
+    line(labelLeft, left);
+    doc.y = y;
+    line(labelRight, left + 380);
+    doc.x = left;
+    doc.moveDown(2);
+  }
+
+  // Page numbers go in the bottom margin, so lift it while writing them
+  const pages = doc.bufferedPageRange();
+  for (let index = 0; index < pages.count; index++) {
+    doc.switchToPage(pages.start + index);
+    const { margins } = doc.page;
+    const footerBottom = margins.bottom;
+    margins.bottom = 0;
+    doc.font('Helvetica').fontSize(8).fillColor('#000000')
+      .text(`OB register · Station ${station} · ${formatDateTime(from)} to ${formatDateTime(to)} UTC`, left, doc.page.height - 30, { lineBreak: false })
+      .text(`Page ${index + 1} of ${pages.count}`, doc.page.width - margins.right - 100, doc.page.height - 30, { width: 100, align: 'right', lineBreak: false });
+    margins.bottom = footerBottom;
+  }
+
+  doc.end();
+  return await finished;
+}
@@ -0,0 +1,158 @@
+// Role-based access control for the API routes
+import { RolePermissionsCRUD } from './mongodb-crud.js';
+
+export const ROLES = ['admin', 'supervisor', 'detective', 'officer'];
+export const ACTIONS = ['read', 'create', 'update', 'delete', 'approve'];
+export const RESOURCES = [
+  'cases',
+  'ob_entries',
+  'evidence',
+  'reports',
+  'license_plates',
+  'geofiles',
+  'officers',
+  'profiles',
+  'vehicles',
+  'persons',
+  'users'
+];
+
+const ALL = ACTIONS;
+const NONE = [];
+
+// Built-in matrix; admins can override any role except 'admin' from the Admin section
+export const DEFAULT_PERMISSIONS = {
+  admin: Object.fromEntries(RESOURCES.map(resource => [resource, ALL])),
+  supervisor: {
+    cases: ['read', 'create', 'update', 'delete', 'approve'],
+    ob_entries: ['read', 'create', 'update', 'approve'],
+    evidence: ['read', 'create', 'update', 'approve'],
+    reports: ['read', 'create', 'update', 'delete', 'approve'],
+    license_plates: ['read', 'create', 'update', 'delete'],
+    geofiles: ['read', 'create', 'update', 'delete', 'approve'],
+    officers: ['read', 'create', 'update'],
+    profiles: ['read'],
+    vehicles: ['read', 'create', 'update'],
+    persons: ['read', 'create', 'update', 'delete'],
+    users: ['read']
+  },
+  detective: {
+    cases: ['read', 'create', 'update'],
+    ob_entries: ['read', 'create', 'update'],
+    evidence: ['read', 'create', 'update'],
+    reports: ['read', 'create', 'update'],
+    license_plates: ['read', 'create', 'update'],
+    geofiles: ['read', 'create', 'update'],
+    officers: ['read'],
+    profiles: ['read'],
+    vehicles: ['read'],
+    persons: ['read', 'create', 'update'],
+    users: NONE
+  },
+  officer: {
+    cases: ['read', 'create'],
+    ob_entries: ['read', 'create'],
+    evidence: ['read', 'create'],
+    reports: ['read', 'create'],
+    license_plates: ['read', 'create', 'update'],
+    geofiles: ['read', 'create'],
+    officers: ['read'],
+    profiles: ['read'],
+    vehicles: ['read'],
+    persons: ['read', 'create'],
+    users: NONE
+  }
+};
+
+let cachedMatrix = null;
+
+// Keeps only known resources/actions so a bad admin payload cannot widen the matrix
+function sanitizeRolePermissions(permissions = {}) {
+  return Object.fromEntries(RESOURCES.map(resource => {
+    const actions = Array.isArray(permissions[resource]) ? permissions[resource] : [];
+    return [resource, ACTIONS.filter(action => actions.includes(action))];
+  }));
+}
+
+export async function getPermissionMatrix() {
+  if (cachedMatrix) return cachedMatrix;
+
+  const matrix = {};
+  for (const role of ROLES) {
+    matrix[role] = sanitizeRolePermissions(DEFAULT_PERMISSIONS[role]);
+  }
+
+  const overrides = await RolePermissionsCRUD.findAll();
+  for (const override of overrides) {
+    if (override.role !== 'admin' && ROLES.includes(override.role)) {
+      matrix[override.role] = sanitizeRolePermissions(override.permissions);
+    }
+  }
+
+  cachedMatrix = matrix;
+  return matrix;
+}
+
+export async function getRolePermissions(role) {
+  const matrix = await getPermissionMatrix();
+  return matrix[role] || sanitizeRolePermissions({});
+}
+
+export async function hasPermission(role, resource, action) {
+  const permissions = await getRolePermissions(role);
+  return (permissions[resource] || []).includes(action);
+}
+
+export async function setRolePermissions(role, permissions, updatedBy) {
+  if (!ROLES.includes(role)) {
+    throw new Error(`Unknown role: ${role}`);
+  }
+  if (role === 'admin') {
+    throw new Error('Administrator permissions cannot be changed');
+  }
+
+  const sanitized = sanitizeRolePermissions(permissions);
+  await RolePermissionsCRUD.upsert(role, sanitized, updatedBy);
+  cachedMatrix = null;
+  return sanitized;
+}
+
+export async function resetRolePermissions(role) {
+  await RolePermissionsCRUD.delete(role);
+  cachedMatrix = null;
+  return sanitizeRolePermissions(DEFAULT_PERMISSIONS[role]);
+}
+
+// Authentication middleware
+export const requireAuth = (req, res, next) => {
+  if (!req.session?.userId) {
+    return res.status(401).json({ message: "Authentication required" });
+  }
+  next();
+};
+
+// Admin middleware
+export const requireAdmin = (req, res, next) => {
+  if (!req.session?.user || req.session.user.role !== 'admin') {
+    return res.status(403).json({ message: "Admin access required" });
+  }
+  next();
+};
+
+// Permission middleware: requirePermission('cases', 'update')
+export const requirePermission = (resource, action) => async (req, res, next) => {
+  if (!req.session?.userId || !req.session.user) {
+    return res.status(401).json({ message: "Authentication required" });
+  }
+
+  try {
+    if (!(await hasPermission(req.session.user.role, resource, action))) {
+      console.log(`⛔ ${req.session.user.username} (${req.session.user.role}) denied ${action} on ${resource}`);
+      return res.status(403).json({ message: `You do not have permission to ${action} ${resource.replace(/_/g, ' ')}` });
+    }
+    next();
+  } catch (error) {
+    console.error('❌ Permission check failed:', error);
+    res.status(500).json({ message: 'Permission check failed', error: error.message });
+  }
+};
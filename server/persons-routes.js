@@ -0,0 +1,475 @@
+// Persons registry: people as first-class records, linked to cases, OB entries,
+// evidence and license plates with a role
+import multer from 'multer';
+import path from 'path';
+import { ObjectId } from 'mongodb';
+import {
+  PersonsCRUD,
+  PersonLinksCRUD,
+  CasesCRUD,
+  OBEntriesCRUD,
+  EvidenceCRUD,
+  LicensePlatesCRUD
+} from './mongodb-crud.js';
+import { getDatabase } from './mongodb-connection.js';
+import { requirePermission, hasPermission } from './permissions.js';
+import { parseListQuery, LIST_SPECS, ListQueryError } from './list-query.js';
+import { StorageError, getFileStorage, stagedUploads, storeUpload, discardUploads, sendStoredFile } from './file-storage.js';
+import { logDownload } from './file-access.js';
+
+export const PERSON_ROLES = ['suspect', 'victim', 'witness', 'complainant', 'owner', 'other'];
+
+// Record types a person can be linked to, with the CRUD and permission resource behind each
+const LINKABLE_RECORDS = {
+  case: {
+    crud: CasesCRUD,
+    resource: 'cases',
+    summarize: (record) => ({
+      number: record.caseNumber,
+      title: record.title,
+      status: record.status,
+      date: record.incidentDate || record.createdAt
+    })
+  },
+  ob_entry: {
+    crud: OBEntriesCRUD,
+    resource: 'ob_entries',
+    summarize: (record) => ({
+      number: record.obNumber,
+      title: `${record.type || 'Entry'}: ${(record.description || '').slice(0, 80)}`,
+      status: record.status,
+      date: record.dateTime || record.createdAt
+    })
+  },
+  evidence: {
+    crud: EvidenceCRUD,
+    resource: 'evidence',
+    summarize: (record) => ({
+      number: record.evidenceNumber,
+      title: (record.description || '').slice(0, 80),
+      status: record.status,
+      date: record.collectedAt || record.createdAt
+    })
+  },
+  license_plate: {
+    crud: LicensePlatesCRUD,
+    resource: 'license_plates',
+    summarize: (record) => ({
+      number: record.plateNumber,
+      title: [record.vehicleColor, record.vehicleModel, record.ownerName].filter(Boolean).join(' · '),
+      status: record.status,
+      date: record.createdAt
+    })
+  }
+};
+
+const PERSON_FIELDS = [
+  'firstName', 'middleName', 'lastName', 'aliases', 'idNumber', 'passportNumber',
+  'dateOfBirth', 'gender', 'nationality', 'occupation', 'phone', 'email', 'address', 'notes'
+];
+
+// Keeps only known fields, trims strings and normalises aliases to an array
+function sanitizePerson(body) {
+  const person = {};
+  for (const field of PERSON_FIELDS) {
+    if (body[field] === undefined) continue;
+    if (field === 'aliases') {
+      const aliases = Array.isArray(body.aliases) ? body.aliases : String(body.aliases).split(',');
+      person.aliases = aliases.map(alias => String(alias).trim()).filter(Boolean);
+    } else {
+      person[field] = typeof body[field] === 'string' ? body[field].trim() : body[field];
+    }
+  }
+  return person;
+}
+
+const fullNameOf = (person) => [person.firstName, person.middleName, person.lastName].filter(Boolean).join(' ');
+
+const toResponsePerson = (person) => ({
+  ...person,
+  id: person._id.toString(),
+  fullName: person.fullName || fullNameOf(person)
+});
+
+const sessionName = (req) => {
+  const user = req.session?.user;
+  return user ? [user.firstName, user.lastName].filter(Boolean).join(' ') || user.username : 'Unknown';
+};
+
+export function registerPersonsRoutes(app) {
+  console.log('🔧 Registering Persons Routes...');
+
+  // Photos are stored under persons/<filename>
+  const photoKey = (filename) => `persons/${filename}`;
+
+  const photoUpload = multer({
+    storage: stagedUploads('person-'),
+    limits: { fileSize: 5 * 1024 * 1024 }, // 5MB per photo
+    fileFilter: (req, file, cb) => {
+      const allowedTypes = /jpeg|jpg|png|gif|webp/;
+      if (allowedTypes.test(path.extname(file.originalname).toLowerCase()) && file.mimetype.startsWith('image/')) {
+        return cb(null, true);
+      }
+      cb(new Error('Only image files are allowed for person photos'));
+    }
+  });
+
+  // Reject bad files with a JSON 400 instead of falling through to the default error page
+  const uploadPhotos = (req, res, next) => {
+    photoUpload.array('photos', 10)(req, res, (error) => {
+      if (error) {
+        return res.status(400).json({ message: error.message });
+      }
+      next();
+    });
+  };
+
+  const validId = (req, res, next) => {
+    if (!ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid person id' });
+    }
+    next();
+  };
+
+  app.get('/api/persons', requirePermission('persons', 'read'), async (req, res) => {
+    try {
+      console.log('🔍 Fetching persons with query:', req.query);
+      const { items, pagination } = await PersonsCRUD.findPage(parseListQuery(req.query, LIST_SPECS.persons));
+      res.json({ persons: items.map(toResponsePerson), pagination });
+    } catch (error) {
+      if (error instanceof ListQueryError) {
+        return res.status(400).json({ message: error.message });
+      }
+      console.error('❌ Failed to fetch persons:', error);
+      res.status(500).json({ message: 'Failed to fetch persons', error: error.message });
+    }
+  });
+
+  app.get('/api/persons/:id', requirePermission('persons', 'read'), validId, async (req, res) => {
+    try {
+      const person = await PersonsCRUD.findById(req.params.id);
+      if (!person) {
+        return res.status(404).json({ message: 'Person not found' });
+      }
+      res.json({ person: toResponsePerson(person) });
+    } catch (error) {
+      console.error('❌ Failed to fetch person:', error);
+      res.status(500).json({ message: 'Failed to fetch person', error: error.message });
+    }
+  });
+
+  app.post('/api/persons', requirePermission('persons', 'create'), async (req, res) => {
+    try {
+      const personData = sanitizePerson(req.body);
+      if (!personData.firstName || !personData.lastName) {
+        return res.status(400).json({ message: 'First name and last name are required' });
+      }
+
+      const duplicate = await PersonsCRUD.findByIdentifiers(personData);
+      if (duplicate) {
+        return res.status(409).json({
+          message: `A person with this ID or passport number is already registered: ${fullNameOf(duplicate)}`,
+          personId: duplicate._id.toString()
+        });
+      }
+
+      const person = await PersonsCRUD.create({
+        aliases: [],
+        photos: [],
+        ...personData,
+        fullName: fullNameOf(personData),
+        createdBy: sessionName(req)
+      });
+      console.log('✅ Person created:', person._id.toString());
+      res.status(201).json({ person: toResponsePerson(person) });
+    } catch (error) {
+      console.error('❌ Failed to create person:', error);
+      res.status(500).json({ message: 'Failed to create person', error: error.message });
+    }
+  });
+
+  app.put('/api/persons/:id', requirePermission('persons', 'update'), validId, async (req, res) => {
+    try {
+      const existing = await PersonsCRUD.findById(req.params.id);
+      if (!existing) {
+        return res.status(404).json({ message: 'Person not found' });
+      }
+
+      const updates = sanitizePerson(req.body);
+      const merged = { ...existing, ...updates };
+      if (!merged.firstName || !merged.lastName) {
+        return res.status(400).json({ message: 'First name and last name are required' });
+      }
+
+      const duplicate = await PersonsCRUD.findByIdentifiers(updates, req.params.id);
+      if (duplicate) {
+        return res.status(409).json({
+          message: `A person with this ID or passport number is already registered: ${fullNameOf(duplicate)}`,
+          personId: duplicate._id.toString()
+        });
+      }
+
+      await PersonsCRUD.update(req.params.id, { ...updates, fullName: fullNameOf(merged) });
+      const person = await PersonsCRUD.findById(req.params.id);
+      res.json({ person: toResponsePerson(person) });
+    } catch (error) {
+      console.error('❌ Failed to update person:', error);
+      res.status(500).json({ message: 'Failed to update person', error: error.message });
+    }
+  });
+
+  app.delete('/api/persons/:id', requirePermission('persons', 'delete'), validId, async (req, res) => {
+    try {
+      const person = await PersonsCRUD.findById(req.params.id);
+      if (!person) {
+        return res.status(404).json({ message: 'Person not found' });
+      }
+
+      await PersonsCRUD.delete(req.params.id);
+      const removedLinks = await PersonLinksCRUD.deleteByPerson(req.params.id);
+      for (const photo of person.photos || []) {
+        getFileStorage().remove(photoKey(photo.filename)).catch(() => {});
+      }
+
+      console.log('✅ Person deleted along with', removedLinks, 'links');
+      res.json({ message: 'Person deleted successfully' });
+    } catch (error) {
+      console.error('❌ Failed to delete person:', error);
+      res.status(500).json({ message: 'Failed to delete person', error: error.message });
+    }
+  });
+
+  // Photos
+  app.post('/api/persons/:id/photos', requirePermission('persons', 'update'), validId, uploadPhotos, async (req, res) => {
+    const stored = [];
+    try {
+      if (!req.files || req.files.length === 0) {
+        return res.status(400).json({ message: 'No photos uploaded' });
+      }
+
+      const photos = req.files.map(file => ({
+        name: file.originalname,
+        filename: file.filename,
+        url: `/api/persons/${req.params.id}/photos/${file.filename}`,
+        mimeType: file.mimetype,
+        size: file.size,
+        uploadedAt: new Date(),
+        uploadedBy: sessionName(req)
+      }));
+
+      const person = await PersonsCRUD.findById(req.params.id);
+      if (!person) {
+        await discardUploads(req.files);
+        return res.status(404).json({ message: 'Person not found' });
+      }
+      for (const file of req.files) {
+        await storeUpload(file, photoKey(file.filename));
+        stored.push(photoKey(file.filename));
+      }
+
+      const found = await PersonsCRUD.addPhotos(req.params.id, photos);
+      if (!found) {
+        await discardUploads(req.files, stored);
+        return res.status(404).json({ message: 'Person not found' });
+      }
+
+      res.status(201).json({ photos });
+    } catch (error) {
+      await discardUploads(req.files, stored);
+      console.error('❌ Failed to upload person photos:', error);
+      res.status(500).json({ message: 'Failed to upload photos', error: error.message });
+    }
+  });
+
+  app.get('/api/persons/:id/photos/:filename', requirePermission('persons', 'read'), validId, async (req, res) => {
+    try {
+      const person = await PersonsCRUD.findById(req.params.id);
+      const photo = person?.photos?.find(item => item.filename === req.params.filename);
+      if (!photo) {
+        return res.status(404).json({ message: 'Photo not found' });
+      }
+      await logDownload({
+        resourceType: 'persons',
+        resourceId: req.params.id,
+        resourceLabel: person.fullName,
+        filename: photo.name,
+        storageKey: photoKey(photo.filename)
+      }, { granted: true, reason: 'persons read permission' });
+      await sendStoredFile(res, photoKey(photo.filename), { filename: photo.name, contentType: photo.mimeType });
+      await PersonsCRUD.countPhotoDownload(req.params.id, photo.filename);
+    } catch (error) {
+      if (error instanceof StorageError) {
+        return res.status(error.status).json({ message: error.message });
+      }
+      console.error('❌ Failed to load person photo:', error);
+      res.status(500).json({ message: 'Failed to load photo', error: error.message });
+    }
+  });
+
+  app.delete('/api/persons/:id/photos/:filename', requirePermission('persons', 'update'), validId, async (req, res) => {
+    try {
+      const filename = path.basename(req.params.filename);
+      const removed = await PersonsCRUD.removePhoto(req.params.id, filename);
+      if (!removed) {
+        return res.status(404).json({ message: 'Photo not found' });
+      }
+      getFileStorage().remove(photoKey(filename)).catch(() => {});
+      res.json({ message: 'Photo removed' });
+    } catch (error) {
+      console.error('❌ Failed to remove person photo:', error);
+      res.status(500).json({ message: 'Failed to remove photo', error: error.message });
+    }
+  });
+
+  // Links
+  app.post('/api/persons/:id/links', requirePermission('persons', 'update'), validId, async (req, res) => {
+    try {
+      const { recordType, recordId, role, notes } = req.body;
+      const linkable = LINKABLE_RECORDS[recordType];
+
+      if (!linkable) {
+        return res.status(400).json({ message: `recordType must be one of: ${Object.keys(LINKABLE_RECORDS).join(', ')}` });
+      }
+      if (!PERSON_ROLES.includes(role)) {
+        return res.status(400).json({ message: `role must be one of: ${PERSON_ROLES.join(', ')}` });
+      }
+      if (!recordId || !ObjectId.isValid(recordId)) {
+        return res.status(400).json({ message: 'A valid recordId is required' });
+      }
+      if (!(await hasPermission(req.session.user.role, linkable.resource, 'read'))) {
+        return res.status(403).json({ message: `You do not have permission to read ${linkable.resource.replace(/_/g, ' ')}` });
+      }
+
+      const [person, record] = await Promise.all([
+        PersonsCRUD.findById(req.params.id),
+        linkable.crud.findById(recordId)
+      ]);
+      if (!person) {
+        return res.status(404).json({ message: 'Person not found' });
+      }
+      if (!record) {
+        return res.status(404).json({ message: 'Linked record not found' });
+      }
+
+      const existing = await PersonLinksCRUD.findExisting(req.params.id, recordType, recordId, role);
+      if (existing) {
+        return res.status(409).json({ message: `This person is already linked to the record as ${role}` });
+      }
+
+      const link = await PersonLinksCRUD.create({
+        personId: req.params.id,
+        recordType,
+        recordId,
+        role,
+        notes: notes || '',
+        linkedBy: sessionName(req)
+      });
+
+      res.status(201).json({
+        link: { ...link, id: link._id.toString(), summary: linkable.summarize(record) }
+      });
+    } catch (error) {
+      console.error('❌ Failed to link person:', error);
+      res.status(500).json({ message: 'Failed to link person', error: error.message });
+    }
+  });
+
+  app.delete('/api/persons/:id/links/:linkId', requirePermission('persons', 'update'), validId, async (req, res) => {
+    try {
+      if (!ObjectId.isValid(req.params.linkId)) {
+        return res.status(400).json({ message: 'Invalid link id' });
+      }
+      const link = await PersonLinksCRUD.findById(req.params.linkId);
+      if (!link || link.personId.toString() !== req.params.id) {
+        return res.status(404).json({ message: 'Link not found' });
+      }
+      await PersonLinksCRUD.delete(req.params.linkId);
+      res.json({ message: 'Link removed' });
+    } catch (error) {
+      console.error('❌ Failed to remove person link:', error);
+      res.status(500).json({ message: 'Failed to remove link', error: error.message });
+    }
+  });
+
+  // Everything a person appears in: explicit links plus unlinked records that match
+  // their identifiers or name, so officers can review and link them
+  app.get('/api/persons/:id/records', requirePermission('persons', 'read'), validId, async (req, res) => {
+    try {
+      const person = await PersonsCRUD.findById(req.params.id);
+      if (!person) {
+        return res.status(404).json({ message: 'Person not found' });
+      }
+
+      const role = req.session.user.role;
+      const readable = {};
+      for (const [type, linkable] of Object.entries(LINKABLE_RECORDS)) {
+        readable[type] = await hasPermission(role, linkable.resource, 'read');
+      }
+
+      const links = await PersonLinksCRUD.findByPerson(req.params.id);
+      const records = [];
+      for (const link of links) {
+        if (!readable[link.recordType]) continue;
+        const linkable = LINKABLE_RECORDS[link.recordType];
+        const record = ObjectId.isValid(link.recordId) ? await linkable.crud.findById(link.recordId) : null;
+        records.push({
+          id: link._id.toString(),
+          recordType: link.recordType,
+          recordId: link.recordId,
+          role: link.role,
+          notes: link.notes,
+          linkedBy: link.linkedBy,
+          linkedAt: link.createdAt,
+          // null when the record has since been deleted
+          summary: record ? linkable.summarize(record) : null
+        });
+      }
+
+      const db = getDatabase();
+      const linkedIds = new Set(links.map(link => `${link.recordType}:${link.recordId}`));
+      const unlinked = (type) => (record) => !linkedIds.has(`${type}:${record._id.toString()}`);
+      const possibleMatches = [];
+
+      const identifierMatches = [];
+      if (person.idNumber) identifierMatches.push({ idNumber: person.idNumber });
+      if (person.passportNumber) identifierMatches.push({ passportNumber: person.passportNumber });
+      if (readable.license_plate && identifierMatches.length > 0) {
+        const plates = await db.collection('license_plates').find({ $or: identifierMatches }).limit(25).toArray();
+        plates.filter(unlinked('license_plate')).forEach(plate => possibleMatches.push({
+          recordType: 'license_plate',
+          recordId: plate._id.toString(),
+          reason: 'Owner ID/passport matches',
+          suggestedRole: 'owner',
+          summary: LINKABLE_RECORDS.license_plate.summarize(plate)
+        }));
+      }
+
+      const fullName = person.fullName || fullNameOf(person);
+      if (readable.ob_entry && fullName) {
+        const namePattern = new RegExp(fullName.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+        const entries = await db.collection('ob_entries')
+          .find({ $or: [{ reportedBy: namePattern }, { involvedPersons: namePattern }] })
+          .sort({ createdAt: -1 })
+          .limit(25)
+          .toArray();
+        entries.filter(unlinked('ob_entry')).forEach(entry => {
+          const reported = namePattern.test(entry.reportedBy || '');
+          possibleMatches.push({
+            recordType: 'ob_entry',
+            recordId: entry._id.toString(),
+            reason: reported ? 'Name matches the reporting person' : 'Name appears in involved persons',
+            suggestedRole: reported ? 'complainant' : 'witness',
+            summary: LINKABLE_RECORDS.ob_entry.summarize(entry)
+          });
+        });
+      }
+
+      res.json({ records, possibleMatches });
+    } catch (error) {
+      console.error('❌ Failed to fetch person records:', error);
+      res.status(500).json({ message: 'Failed to fetch person records', error: error.message });
+    }
+  });
+
+  console.log('✅ Persons Routes registered successfully');
+}